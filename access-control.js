@@ -0,0 +1,101 @@
+// Access control for the Telegram controller
+//
+// Every user gets one of three roles, each allowed what the ones before it
+// are. Commands declare the role they need (telegram-commands.js):
+//   viewer   - status, stats, history and other read-only commands
+//   operator - start, stop, reset, continue and claim
+//   admin    - the set* commands and anything that moves funds
+// Users are matched by Telegram user ID, so in a group chat only the people
+// listed get in, not everyone in the group. Commands are taken in private
+// chats and in the configured group chats, nowhere else.
+//
+// Every command is appended to an audit log (JSONL) with who sent it, from
+// which chat, and whether it was allowed.
+import fs from 'fs';
+import path from 'path';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Parse "123456:admin,789012:viewer" into { userId: role }
+export function parseUsers(text = '') {
+    const users = {};
+
+    for (const pair of text.split(/[\s,]+/).filter(Boolean)) {
+        const [userId, role] = pair.split(':');
+        if (!/^\d+$/.test(userId || '') || !ROLES.includes(role)) {
+            throw new Error(`Invalid Telegram user "${pair}" - use <user id>:<${ROLES.join('|')}>`);
+        }
+        users[userId] = role;
+    }
+
+    return users;
+}
+
+export class AuditLog {
+    constructor(filePath, options = {}) {
+        this.filePath = path.resolve(filePath);
+        this.clock = options.clock || Date.now;
+    }
+
+    append(entry) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify({ time: new Date(this.clock()).toISOString(), ...entry }) + '\n');
+    }
+}
+
+export class AccessControl {
+    constructor(options = {}) {
+        this.users = options.users || {};
+        this.chatIds = (options.chatIds || []).filter(Boolean).map(String);
+        this.auditLog = options.auditLog || null;
+    }
+
+    roleOf(userId) {
+        return this.users[String(userId)] || null;
+    }
+
+    // Whether `role` covers `required`
+    static covers(role, required) {
+        return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+
+    // Check a command message against the role it needs and audit it.
+    // Returns { allowed, role, reason }
+    check(msg, command, required = 'admin') {
+        const userId = msg.from ? String(msg.from.id) : null;
+        const chatId = String(msg.chat.id);
+        const role = userId ? this.roleOf(userId) : null;
+
+        let reason = null;
+        if (msg.chat.type !== 'private' && !this.chatIds.includes(chatId)) {
+            reason = 'Commands are not taken in this chat';
+        } else if (!role) {
+            reason = 'Unauthorized';
+        } else if (!AccessControl.covers(role, required)) {
+            reason = `${required} role required`;
+        }
+
+        this.audit({
+            command,
+            text: msg.text,
+            userId,
+            username: msg.from?.username ?? null,
+            chatId,
+            role,
+            allowed: reason === null,
+            reason
+        });
+
+        return { allowed: reason === null, role, reason };
+    }
+
+    audit(entry) {
+        if (!this.auditLog) return;
+
+        try {
+            this.auditLog.append(entry);
+        } catch (error) {
+            console.error('❌ Failed to write audit log:', error.message);
+        }
+    }
+}
@@ -0,0 +1,228 @@
+// Backtest: replay historical rounds through the live bot's direction and sizing code
+//
+// Usage: node backtest.js <rounds.jsonl> [--base 0.003] [--max 7] [--direction RANDOM]
+//        [--direction-params "minRatio=1.5"] [--sizing RECOVER] [--sizing-params "multiplier=2"]
+//        [--balance 1] [--seed 42] [--stop-on-max] [--json]
+//
+// Defaults come from the same environment variables the bot uses.
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { parseRound, roundPayout, roundResult } from './prediction-contract.js';
+import { SKIP, createStrategy, formatStrategy, parseParams } from './strategies.js';
+import { createSizer, formatSizer, sizeBet } from './bet-sizing.js';
+import 'dotenv/config';
+
+// Rounds from a JSONL or JSON array file. Each record is either a parsed
+// round object or a raw rounds() tuple (numbers or numeric strings).
+export function loadRounds(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8').trim();
+    if (!raw) return [];
+
+    const records = raw.startsWith('[')
+        ? JSON.parse(raw)
+        : raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+    return records
+        .map(record => Array.isArray(record) ? parseRound(record) : record)
+        .sort((a, b) => a.epoch - b.epoch);
+}
+
+// Small seeded PRNG so RANDOM runs are repeatable
+function seededRandom(seed) {
+    let t = seed >>> 0;
+    return () => {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Replays the rounds the way the live bot runs without early prediction:
+// bet in a round, wait for it to close, then bet again two epochs later.
+//
+// The dataset only has final pool sizes, so strategies see the pools as they
+// ended rather than as they were 15-20s before lock, and momentum uses the
+// round's own lock price as the oracle price at bet time.
+export function runBacktest(rounds, options) {
+    const {
+        baseBetAmount,
+        maxDoubleDowns,
+        strategy,
+        sizer,
+        startBalance = 0,
+        random = Math.random,
+        stopOnMaxStreak = false
+    } = options;
+
+    const byEpoch = new Map(rounds.map(round => [round.epoch, round]));
+    const stats = {
+        bets: 0,
+        wins: 0,
+        losses: 0,
+        refunds: 0,
+        skipped: 0,
+        wagered: 0,
+        won: 0,
+        pnl: 0,
+        maxDrawdown: 0,
+        longestLossStreak: 0,
+        maxStreakHits: 0,
+        peakCapital: 0,
+        maxBet: 0
+    };
+
+    let lossStreak = 0;
+    let totalLost = 0;
+    let lastBet = 0;
+    let peakPnl = 0;
+    let nextEpoch = -Infinity;
+
+    for (const round of rounds) {
+        if (round.epoch < nextEpoch) continue;
+
+        // What the bot could see just before this round locked
+        const history = [];
+        for (let i = 1; i <= strategy.historySize; i++) {
+            const previous = byEpoch.get(round.epoch - i);
+            if (!previous) break;
+            history.push(i === 1 ? { ...previous, closePrice: 0, oracleCalled: false } : previous);
+        }
+
+        const direction = strategy.decide({
+            round,
+            history,
+            oraclePrice: strategy.needsPrice ? round.lockPrice : null,
+            random
+        });
+
+        if (direction === SKIP) {
+            stats.skipped++;
+            continue;
+        }
+
+        const amount = sizeBet(sizer, {
+            base: baseBetAmount,
+            lossStreak,
+            totalLost,
+            lastBet,
+            wins: stats.wins,
+            losses: stats.losses,
+            balance: startBalance + stats.pnl
+        }, maxDoubleDowns);
+
+        stats.peakCapital = Math.max(stats.peakCapital, amount - stats.pnl);
+        stats.maxBet = Math.max(stats.maxBet, amount);
+        nextEpoch = round.epoch + 2;
+
+        // Cancelled round - the stake is refunded
+        if (!round.oracleCalled) {
+            stats.refunds++;
+            continue;
+        }
+
+        stats.bets++;
+        stats.wagered += amount;
+
+        if (roundResult(round) === direction) {
+            // Nobody in the data was on our side: assume we just get the stake back
+            const payout = roundPayout(round, amount) || amount;
+            stats.wins++;
+            stats.won += payout;
+            stats.pnl += payout - amount;
+            lossStreak = 0;
+            totalLost = 0;
+            lastBet = 0;
+        } else {
+            stats.losses++;
+            stats.pnl -= amount;
+            lossStreak++;
+            totalLost += amount;
+            lastBet = amount;
+            stats.longestLossStreak = Math.max(stats.longestLossStreak, lossStreak);
+
+            // The live bot stops here and waits for a manual /reset
+            if (lossStreak > maxDoubleDowns) {
+                stats.maxStreakHits++;
+                if (stopOnMaxStreak) break;
+                lossStreak = 0;
+                totalLost = 0;
+                lastBet = 0;
+            }
+        }
+
+        peakPnl = Math.max(peakPnl, stats.pnl);
+        stats.maxDrawdown = Math.max(stats.maxDrawdown, peakPnl - stats.pnl);
+    }
+
+    return stats;
+}
+
+export function formatReport(stats, { rounds, strategy, sizer, baseBetAmount, maxDoubleDowns }) {
+    const winRate = stats.bets > 0 ? ((stats.wins / stats.bets) * 100).toFixed(1) : 0;
+    const first = rounds[0]?.epoch ?? '-';
+    const last = rounds[rounds.length - 1]?.epoch ?? '-';
+
+    return `📊 BACKTEST - rounds ${first} to ${last} (${rounds.length} rounds)\n\n` +
+        `   Direction: ${formatStrategy(strategy)}\n` +
+        `   Bet Sizing: ${formatSizer(sizer)}\n` +
+        `   Base Bet: ${baseBetAmount} BNB, Max Double-Downs: ${maxDoubleDowns}\n\n` +
+        `   Bets: ${stats.bets} (✅ ${stats.wins} / ❌ ${stats.losses}, ${winRate}% win rate)\n` +
+        `   Skipped: ${stats.skipped}, Refunded: ${stats.refunds}\n` +
+        `   Wagered: ${stats.wagered.toFixed(4)} BNB\n` +
+        `   ${stats.pnl >= 0 ? '📈' : '📉'} P/L: ${stats.pnl.toFixed(4)} BNB\n` +
+        `   Max Drawdown: ${stats.maxDrawdown.toFixed(4)} BNB\n` +
+        `   Longest Loss Streak: ${stats.longestLossStreak}\n` +
+        `   Max Streak Hit: ${stats.maxStreakHits} times\n` +
+        `   Max Bet: ${stats.maxBet.toFixed(6)} BNB\n` +
+        `   Peak Capital Needed: ${stats.peakCapital.toFixed(4)} BNB`;
+}
+
+function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            base: { type: 'string', default: process.env.BASE_BET_AMOUNT || '0.003' },
+            max: { type: 'string', default: process.env.MAX_DOUBLE_DOWNS || '7' },
+            direction: { type: 'string', default: process.env.BET_DIRECTION || 'RANDOM' },
+            'direction-params': { type: 'string', default: process.env.DIRECTION_PARAMS || '' },
+            sizing: { type: 'string', default: process.env.BET_SIZING || 'RECOVER' },
+            'sizing-params': { type: 'string', default: process.env.SIZING_PARAMS || '' },
+            balance: { type: 'string', default: '0' },
+            seed: { type: 'string' },
+            'stop-on-max': { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false }
+        }
+    });
+
+    const [file] = positionals;
+    if (!file) {
+        throw new Error('Usage: node backtest.js <rounds.jsonl> [options]');
+    }
+
+    const rounds = loadRounds(file);
+    const options = {
+        baseBetAmount: values.base,
+        maxDoubleDowns: parseInt(values.max),
+        strategy: createStrategy(values.direction, parseParams(values['direction-params'])),
+        sizer: createSizer(values.sizing, parseParams(values['sizing-params'])),
+        startBalance: parseFloat(values.balance),
+        random: values.seed ? seededRandom(parseInt(values.seed)) : Math.random,
+        stopOnMaxStreak: values['stop-on-max']
+    };
+
+    const stats = runBacktest(rounds, options);
+    console.log(values.json
+        ? JSON.stringify(stats, null, 2)
+        : formatReport(stats, { rounds, ...options }));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    try {
+        main();
+    } catch (error) {
+        console.error('❌ Backtest failed:', error.message);
+        process.exit(1);
+    }
+}
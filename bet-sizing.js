@@ -0,0 +1,151 @@
+// Bet sizing (money management) for PancakeSwap Prediction Bot
+//
+// A sizer turns the current loss sequence into the next bet amount (BNB).
+// Sizers are stateless: a win ends the sequence and the next bet starts
+// from base again. Every call gets the same context:
+//   base      - configured base bet
+//   lossStreak - losses since the last win (including assumed losses)
+//   totalLost - BNB lost since the last win
+//   lastBet   - amount of the bet that was just settled (0 after a win)
+//   wins, losses - all-time counts, for win-rate based sizers
+//   balance   - wallet balance in BNB
+// Parameters are checked against each sizer's schema, see plugin-registry.js
+import { PluginRegistry, formatPlugin } from './plugin-registry.js';
+
+const registry = new PluginRegistry({ kind: 'Bet sizing', method: 'nextBet' });
+
+export function registerSizer(definition) {
+    registry.register(definition);
+}
+
+export function listSizers() {
+    return registry.list();
+}
+
+export function createSizer(name, params = {}) {
+    const { definition, params: merged } = registry.resolve(name, params);
+
+    return {
+        name: definition.name,
+        params: merged,
+        nextBet: (context) => definition.nextBet(context, merged)
+    };
+}
+
+export { formatPlugin as formatSizer };
+
+// Bets for an unbroken run of losses: ladder[i] is the bet after i losses
+export function ladder(sizer, base, steps, context = {}) {
+    const bets = [];
+    let totalLost = 0;
+    let lastBet = 0;
+
+    for (let lossStreak = 0; lossStreak <= steps; lossStreak++) {
+        const bet = sizer.nextBet({ wins: 0, losses: 0, balance: 0, ...context, base, lossStreak, totalLost, lastBet });
+        bets.push(bet);
+        totalLost += bet;
+        lastBet = bet;
+    }
+
+    return bets;
+}
+
+// Next bet for the context, never climbing past the bet at maxSteps losses
+export function sizeBet(sizer, context, maxSteps = Infinity) {
+    const base = parseFloat(context.base);
+
+    if (context.lossStreak === 0) {
+        return sizer.nextBet({ ...context, base, lossStreak: 0, totalLost: 0, lastBet: 0 });
+    }
+
+    if (context.lossStreak >= maxSteps) {
+        return ladder(sizer, base, maxSteps, context)[maxSteps];
+    }
+
+    return sizer.nextBet({ ...context, base });
+}
+
+function fibonacci(n) {
+    let [a, b] = [1, 1];
+    for (let i = 1; i < n; i++) {
+        [a, b] = [b, a + b];
+    }
+    return a;
+}
+
+registerSizer({
+    name: 'RECOVER',
+    description: 'Bet enough to win back all losses (total lost × multiplier)',
+    defaults: { multiplier: 2 },
+    schema: { multiplier: { type: 'number', above: 0 } },
+    nextBet: ({ base, lossStreak, totalLost }, { multiplier }) =>
+        lossStreak === 0 ? base : totalLost * multiplier
+});
+
+registerSizer({
+    name: 'MARTINGALE',
+    description: 'Multiply the last bet after every loss',
+    defaults: { multiplier: 2 },
+    schema: { multiplier: { type: 'number', above: 0 } },
+    nextBet: ({ base, lossStreak }, { multiplier }) => base * multiplier ** lossStreak
+});
+
+registerSizer({
+    name: 'FIBONACCI',
+    description: 'Step up the Fibonacci sequence after every loss',
+    nextBet: ({ base, lossStreak }) => base * fibonacci(lossStreak + 1)
+});
+
+registerSizer({
+    name: 'DALEMBERT',
+    description: 'Add one unit after every loss (unit 0 = base bet)',
+    defaults: { unit: 0 },
+    schema: { unit: { type: 'number', min: 0 } },
+    nextBet: ({ base, lossStreak }, { unit }) => base + (unit || base) * lossStreak
+});
+
+registerSizer({
+    name: 'LABOUCHERE',
+    description: 'Bet first + last of the line (in base units), append each loss',
+    defaults: { line: '1-2-3' },
+    schema: { line: { type: 'line' } },
+    nextBet: ({ base, lossStreak }, { line }) => {
+        const units = line.split('-').map(Number);
+
+        // A win restarts the line, so the line is the initial one plus every losing bet
+        let bet = 0;
+        for (let i = 0; i <= lossStreak; i++) {
+            bet = units.length > 1 ? units[0] + units[units.length - 1] : units[0];
+            units.push(bet);
+        }
+        return base * bet;
+    }
+});
+
+registerSizer({
+    name: 'FLAT',
+    description: 'Always bet the base amount',
+    nextBet: ({ base }) => base
+});
+
+registerSizer({
+    name: 'KELLY',
+    description: 'Fraction of the Kelly stake from the observed win rate',
+    defaults: { fraction: 0.25, payout: 1.9, minBets: 20 },
+    schema: {
+        fraction: { type: 'number', above: 0, max: 1 },
+        payout: { type: 'number', above: 1 },
+        minBets: { type: 'integer', min: 0 }
+    },
+    nextBet: ({ base, wins, losses, balance }, { fraction, payout, minBets }) => {
+        const settled = wins + losses;
+        if (settled < minBets) return base;
+
+        const winRate = wins / settled;
+        const odds = payout - 1;
+        const edge = (winRate * odds - (1 - winRate)) / odds;
+
+        // No edge means Kelly would sit out, we keep betting the minimum instead
+        return Math.max(base, balance * edge * fraction);
+    }
+});
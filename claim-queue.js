@@ -0,0 +1,171 @@
+// Claim queue for PancakeSwap Prediction Bot
+//
+// Won and refundable epochs are queued instead of claimed one by one. The
+// queue claims them in batches once batchSize epochs are waiting or when the
+// timer fires, checks each epoch with claimable()/refundable() first, and
+// retries failed claims up to maxRetries times before giving up on an epoch.
+// Claims go out through options.sendClaim(epochs) => receipt, which the bot
+// points at its transaction manager so claims and bets share one nonce owner.
+
+export class ClaimQueue {
+    constructor(contract, address, options = {}) {
+        this.contract = contract;
+        this.address = address;
+        this.batchSize = options.batchSize ?? 3;
+        this.intervalMs = options.intervalMs ?? 15 * 60 * 1000;
+        this.maxRetries = options.maxRetries ?? 5;
+        this.onClaimed = options.onClaimed || (async () => {});
+        this.onFailed = options.onFailed || (async () => {});
+        this.sendClaim = options.sendClaim || (async (epochs) => (await contract.claim(epochs)).wait());
+
+        this.pending = new Map(); // epoch → { attempts, lastError }
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    get size() {
+        return this.pending.size;
+    }
+
+    epochs() {
+        return Array.from(this.pending.keys()).sort((a, b) => a - b);
+    }
+
+    // Queue an epoch; a full batch is claimed right away
+    add(epoch) {
+        epoch = Number(epoch);
+        if (!this.pending.has(epoch)) {
+            this.pending.set(epoch, { attempts: 0, lastError: null });
+            console.log(`📥 Queued round ${epoch} for claiming (${this.pending.size} pending)`);
+        }
+
+        if (this.pending.size >= this.batchSize) {
+            this.flush().catch(error => console.error('Claim flush error:', error.message));
+        }
+    }
+
+    // Drop an epoch that was claimed some other way
+    remove(epoch) {
+        return this.pending.delete(Number(epoch));
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            if (this.pending.size === 0) return;
+            this.flush().catch(error => console.error('Claim flush error:', error.message));
+        }, this.intervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Claim everything claimable now. Concurrent calls share one run.
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.claimPending().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async claimPending() {
+        const result = { claimed: [], failed: [], waiting: [] };
+        const ready = [];
+
+        for (const epoch of this.epochs()) {
+            try {
+                if (await this.eligible(epoch)) {
+                    ready.push(epoch);
+                    continue;
+                }
+
+                const ledger = await this.contract.ledger(epoch, this.address);
+                if (ledger[2]) {
+                    // Claimed elsewhere, e.g. by hand from the website
+                    this.pending.delete(epoch);
+                    continue;
+                }
+
+                await this.recordFailure(epoch, 'Not claimable yet', result);
+            } catch (error) {
+                await this.recordFailure(epoch, error.message, result);
+            }
+        }
+
+        for (let i = 0; i < ready.length; i += this.batchSize) {
+            const batch = ready.slice(i, i + this.batchSize);
+
+            try {
+                console.log(`💸 Claiming rounds ${batch.join(', ')}...`);
+                const receipt = await this.sendClaim(batch);
+
+                batch.forEach(epoch => this.pending.delete(epoch));
+                result.claimed.push(...batch);
+                await this.onClaimed(batch, receipt);
+            } catch (error) {
+                console.error(`Claim error for rounds ${batch.join(', ')}:`, error.message);
+                for (const epoch of batch) {
+                    await this.recordFailure(epoch, error.message, result);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    async recordFailure(epoch, reason, result) {
+        const entry = this.pending.get(epoch);
+        entry.attempts++;
+        entry.lastError = reason;
+
+        if (entry.attempts > this.maxRetries) {
+            this.pending.delete(epoch);
+            result.failed.push(epoch);
+            await this.onFailed(epoch, reason);
+        } else {
+            result.waiting.push(epoch);
+        }
+    }
+
+    // Won, or cancelled and refundable
+    async eligible(epoch) {
+        return await this.contract.claimable(epoch, this.address) ||
+               await this.contract.refundable(epoch, this.address);
+    }
+
+    // Find won or refundable rounds from the given range that were never claimed
+    async scan(fromEpoch, toEpoch) {
+        const found = [];
+
+        for (let epoch = toEpoch; epoch >= fromEpoch; epoch--) {
+            if (this.pending.has(epoch)) continue;
+
+            try {
+                if (await this.eligible(epoch)) {
+                    found.push(epoch);
+                    this.pending.set(epoch, { attempts: 0, lastError: null });
+                }
+            } catch (error) {
+                console.error(`Claim scan error for round ${epoch}:`, error.message);
+            }
+        }
+
+        return found;
+    }
+
+    snapshot() {
+        return Array.from(this.pending.entries());
+    }
+
+    restore(entries = []) {
+        this.pending = new Map(entries);
+    }
+}
@@ -0,0 +1,108 @@
+// Configuration for PancakeSwap Prediction Bot and its tools
+//
+// loadConfig() reads all of the bot's settings from the environment. The
+// CLIs read only the part they use, so a setting meant for the bot can't
+// stop them: chainConfig() for the contract and RPC endpoints,
+// tradeJournalPath() for the journal.
+import { PREDICTION_CONTRACT } from './prediction-contract.js';
+import { parseParams } from './strategies.js';
+import { parsePeriods } from './reports.js';
+import { parseUsers } from './access-control.js';
+
+// The contract and the RPC endpoints in front of it
+export function chainConfig(env = process.env) {
+    return {
+        predictionContract: env.PREDICTION_CONTRACT || PREDICTION_CONTRACT,
+        // Comma-separated, in order of preference; RPC_URL still works for a single endpoint
+        rpcUrls: (env.RPC_URLS || env.RPC_URL || 'https://bsc-dataseed.binance.org/')
+            .split(',').map(url => url.trim()).filter(Boolean),
+        chainId: parseInt(env.CHAIN_ID || '56'),
+        rpcQuorum: parseInt(env.RPC_QUORUM || '1'), // Endpoints that must agree on currentEpoch()/rounds()
+        rpcMaxBlockLag: parseInt(env.RPC_MAX_BLOCK_LAG || '3'),
+        rpcMaxLatencyMs: parseInt(env.RPC_MAX_LATENCY_MS || '3000'),
+        rpcTimeoutMs: parseInt(env.RPC_TIMEOUT_MS || '2500'), // Give up on an endpoint and fail over - keep well inside the betting window
+        rpcHealthIntervalSeconds: parseInt(env.RPC_HEALTH_INTERVAL_SECONDS || '30')
+    };
+}
+
+// The trade journal's file; "off" keeps no journal - /history, /export and reports need one
+export function tradeJournalPath(env = process.env) {
+    if (env.TRADE_JOURNAL === 'off') return null;
+    return env.TRADE_JOURNAL || (env.DRY_RUN === 'true' ? 'trades.dry-run.jsonl' : 'trades.jsonl');
+}
+
+// Bot configuration from environment variables
+export function loadConfig(env = process.env) {
+    const dryRun = env.DRY_RUN === 'true';
+    return {
+        privateKey: env.PRIVATE_KEY,
+        ...chainConfig(env),
+        oracleAddress: env.CHAINLINK_ORACLE || '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE', // Chainlink BNB/USD
+        rpcWsUrl: env.RPC_WS_URL, // Push round events; without it they are polled with eth_getLogs
+        roundEvents: env.ROUND_EVENTS !== 'false',
+        maxGasPriceGwei: parseFloat(env.MAX_GAS_PRICE_GWEI || '10'),
+        gasPercentile: parseInt(env.GAS_PERCENTILE || '60'), // Of gas prices paid in recent blocks
+        txSpeedUpSeconds: parseInt(env.TX_SPEED_UP_SECONDS || '6'), // Re-send a pending bet with more gas after this
+        txMaxSpeedUps: parseInt(env.TX_MAX_SPEED_UPS || '2'),
+        baseBetAmount: env.BASE_BET_AMOUNT || '0.003',
+        maxDoubleDowns: parseInt(env.MAX_DOUBLE_DOWNS || '7'),
+        betDirection: env.BET_DIRECTION || 'RANDOM', // Any registered strategy, see strategies.js
+        directionParams: parseParams(env.DIRECTION_PARAMS), // e.g. "minRatio=1.5,minPool=1"
+        betSizing: env.BET_SIZING || 'RECOVER', // Any registered sizer, see bet-sizing.js
+        sizingParams: parseParams(env.SIZING_PARAMS), // e.g. "multiplier=2"
+        earlyPrediction: env.EARLY_PREDICTION === 'true',
+        // Early prediction's current price: sources in order of preference (contract, chainlink, twap)
+        priceSources: (env.PRICE_SOURCES || 'contract,chainlink').split(',').map(source => source.trim()).filter(Boolean),
+        priceMaxAgeSeconds: parseInt(env.PRICE_MAX_AGE_SECONDS || '120'), // Older readings are ignored
+        priceMaxDivergencePercent: parseFloat(env.PRICE_MAX_DIVERGENCE_PERCENT || '0.1'), // No prediction past this
+        twapPool: env.TWAP_POOL, // PancakeSwap V3 WBNB/USD pool for the twap source
+        twapSeconds: parseInt(env.TWAP_SECONDS || '60'),
+        predictionThreshold: env.PREDICTION_THRESHOLD || '0.20', // In the units of PREDICTION_THRESHOLD_MODE
+        predictionThresholdMode: env.PREDICTION_THRESHOLD_MODE || 'usd', // usd, percent (of lock price) or volatility (multiple)
+        predictionVolatilityRounds: parseInt(env.PREDICTION_VOLATILITY_ROUNDS || '12'),
+        predictionAutoTune: env.PREDICTION_AUTO_TUNE === 'true', // Move the threshold to hit the target accuracy
+        predictionTargetAccuracy: parseFloat(env.PREDICTION_TARGET_ACCURACY || '80'),
+        predictionMinSamples: parseInt(env.PREDICTION_MIN_SAMPLES || '20'), // Closed predictions needed before tuning
+        predictionMinThreshold: parseFloat(env.PREDICTION_MIN_THRESHOLD || '0'),
+        predictionMaxThreshold: parseFloat(env.PREDICTION_MAX_THRESHOLD || 'Infinity'),
+        maxEarlyPredictionBet: env.MAX_EARLY_PREDICTION_BET || '1.0',
+        dryRun, // Simulate bets against a virtual balance, never send transactions
+        paperBalance: env.PAPER_BALANCE || '1.0',
+        stateFile: env.STATE_FILE || (dryRun ? 'bot-state.dry-run.json' : 'bot-state.json'),
+        claimBatchSize: parseInt(env.CLAIM_BATCH_SIZE || '3'), // Claim once this many wins are queued...
+        claimIntervalMinutes: parseFloat(env.CLAIM_INTERVAL_MINUTES || '15'), // ...or on this timer
+        claimMaxRetries: parseInt(env.CLAIM_MAX_RETRIES || '5'),
+        claimScanRounds: parseInt(env.CLAIM_SCAN_ROUNDS || '100'), // Rounds to scan for unclaimed wins at startup
+        tradeJournal: tradeJournalPath(env),
+        roundArchive: env.ROUND_ARCHIVE, // e.g. rounds.jsonl - keeps archiving closed rounds while running
+        poolMinTotal: parseFloat(env.POOL_MIN_TOTAL || '0'), // BNB in the round, 0 = off
+        poolMinMultiplier: parseFloat(env.POOL_MIN_MULTIPLIER || '0'), // Payout on our side after our bet, 0 = off
+        poolMaxOddsImpact: parseFloat(env.POOL_MAX_ODDS_IMPACT || '0'), // % our bet may cut our payout, 0 = off
+        poolSwitchSide: env.POOL_SWITCH_SIDE === 'true', // Bet the other side instead of skipping a poor payout
+        dailyLossLimit: parseFloat(env.DAILY_LOSS_LIMIT || '0'), // BNB per period, 0 = off
+        dailyProfitTarget: parseFloat(env.DAILY_PROFIT_TARGET || '0'), // BNB per period, 0 = off
+        maxDrawdownPercent: parseFloat(env.MAX_DRAWDOWN_PERCENT || '0'), // Below the session's peak equity, 0 = off
+        maxBetsPerHour: parseInt(env.MAX_BETS_PER_HOUR || '0'),
+        streakCooldownMinutes: parseFloat(env.STREAK_COOLDOWN_MINUTES || '0'), // Pause instead of stopping at max streak
+        riskResetHours: parseFloat(env.RISK_RESET_HOURS || '24'), // Length of a risk period...
+        riskResetHourUtc: parseInt(env.RISK_RESET_HOUR_UTC || '0'), // ...counted from this hour
+        reports: parsePeriods(env.REPORTS), // e.g. "daily,weekly" - pushed to Telegram from the trade journal
+        reportHourUtc: parseInt(env.REPORT_HOUR_UTC || '0'), // Daily and weekly reports go out at this hour...
+        reportWeekday: parseInt(env.REPORT_WEEKDAY || '1'), // ...weekly ones on this day (0 = Sunday)
+        telegramBotToken: env.TELEGRAM_BOT_TOKEN,
+        telegramChatId: env.TELEGRAM_CHAT_ID,
+        // e.g. "123456:admin,789012:viewer" - Telegram user IDs and roles allowed to send commands.
+        // Without it the owner of TELEGRAM_CHAT_ID is the only admin, as before - if it is a private
+        // chat. A group's ID (negative) is nobody's user ID, so there is no admin at all
+        telegramUsers: env.TELEGRAM_USERS
+            ? parseUsers(env.TELEGRAM_USERS)
+            : (/^\d+$/.test(env.TELEGRAM_CHAT_ID?.trim() || '') ? { [env.TELEGRAM_CHAT_ID.trim()]: 'admin' } : {}),
+        // Group chats commands are taken in, besides private chats with listed users
+        telegramCommandChats: [env.TELEGRAM_CHAT_ID, ...(env.TELEGRAM_COMMAND_CHATS || '').split(',')]
+            .map(id => id?.trim())
+            .filter(Boolean),
+        auditLog: env.AUDIT_LOG === 'off' ? null : (env.AUDIT_LOG || 'audit.jsonl'), // Every Telegram command, allowed or not; "off" keeps none
+        configFile: env.CONFIG_FILE, // e.g. profiles.json - named settings profiles, see profiles.js
+        profile: env.PROFILE // Profile to start with instead of the file's active one
+    };
+}
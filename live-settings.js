@@ -0,0 +1,73 @@
+// Live settings for PancakeSwap Prediction Bot
+//
+// Settings changed while the bot runs don't touch it straight away. They
+// wait here, keyed by setting so a later change replaces an earlier one,
+// until the bot is between rounds with no bet awaiting settlement. Then the
+// whole batch is checked against the settings it would produce and applied
+// at once, or dropped with the reason - never half of it.
+//   read()                    - the settings in effect, { key: value }
+//   write(changes)            - put changed settings into effect
+//   check(settings, changes)  - why `settings` can't be used, or null
+export class LiveSettings {
+    constructor({ read, write, check = () => null }) {
+        this.read = read;
+        this.write = write;
+        this.check = check;
+        this.pending = new Map();
+    }
+
+    get size() {
+        return this.pending.size;
+    }
+
+    // Queued changes as [key, value] pairs, oldest first
+    entries() {
+        return [...this.pending];
+    }
+
+    // The settings once every queued change, and then `changes`, is applied
+    preview(changes = {}) {
+        return { ...this.read(), ...Object.fromEntries(this.pending), ...changes };
+    }
+
+    // Why queueing `changes` would leave the settings unusable, or null
+    problem(changes) {
+        return this.check(this.preview(changes), { ...Object.fromEntries(this.pending), ...changes });
+    }
+
+    // Queue `changes` unless they would leave the settings unusable.
+    // Returns the reason they were refused, or null
+    queue(changes) {
+        const problem = this.problem(changes);
+        if (problem) {
+            return problem;
+        }
+
+        for (const [key, value] of Object.entries(changes)) {
+            // Re-queued changes move to the back
+            this.pending.delete(key);
+            this.pending.set(key, value);
+        }
+        return null;
+    }
+
+    // Apply everything queued, checked again since the bot (its balance, say)
+    // may have moved on. { changes: [{ key, from, to }], applied, problem } -
+    // with a problem nothing is applied and the whole batch is dropped
+    apply() {
+        const before = this.read();
+        const changes = Object.fromEntries(this.pending);
+        this.pending.clear();
+
+        const list = Object.entries(changes).map(([key, to]) => ({ key, from: before[key], to }));
+        const problem = list.length > 0 ? this.check({ ...before, ...changes }, changes) : null;
+        if (problem) {
+            return { changes: list, applied: false, problem };
+        }
+
+        if (list.length > 0) {
+            this.write(changes);
+        }
+        return { changes: list, applied: list.length > 0, problem: null };
+    }
+}
@@ -0,0 +1,156 @@
+// Paper trading for PancakeSwap Prediction Bot
+//
+// PaperContract stands in for the prediction contract in DRY_RUN mode. Reads
+// (currentEpoch, rounds) go to the real contract; bets, ledger and claims are
+// kept in memory against a virtual balance and settled from real round data
+// with the contract's own payout math.
+
+// Same grace period the contract gives the oracle before a round can be refunded
+const REFUND_BUFFER_SECONDS = 30;
+
+function paperTx(hash) {
+    return {
+        hash,
+        wait: async () => ({ hash, status: 1, gasUsed: 0n, fee: 0n })
+    };
+}
+
+export class PaperContract {
+    constructor(contract, startBalance, clock = Date.now) {
+        this.contract = contract;
+        this.clock = clock;
+        this.balance = startBalance;
+        this.bets = new Map(); // epoch → { position, amount, claimed }
+        this.txCount = 0;
+    }
+
+    currentEpoch() {
+        return this.contract.currentEpoch();
+    }
+
+    rounds(epoch) {
+        return this.contract.rounds(epoch);
+    }
+
+    getBalance() {
+        return this.balance;
+    }
+
+    nextHash(action) {
+        this.txCount++;
+        return `paper-${action}-${this.txCount}`;
+    }
+
+    async placeBet(epoch, position, value) {
+        const key = Number(epoch);
+        if (value > this.balance) {
+            throw new Error('Paper trading: insufficient virtual balance');
+        }
+        if (this.bets.has(key)) {
+            throw new Error('Can only bet once per round');
+        }
+
+        const round = await this.contract.rounds(key);
+        const now = Math.floor(this.clock() / 1000);
+        if (now >= Number(round[2])) {
+            throw new Error('Round not bettable');
+        }
+
+        this.balance -= value;
+        this.bets.set(key, { position, amount: value, claimed: false });
+
+        // Old rounds are settled one way or another - don't let the book grow forever
+        for (const old of this.bets.keys()) {
+            if (old < key - 100) this.bets.delete(old);
+        }
+
+        return paperTx(this.nextHash('bet'));
+    }
+
+    betBull(epoch, { value }) {
+        return this.placeBet(epoch, 0, value);
+    }
+
+    betBear(epoch, { value }) {
+        return this.placeBet(epoch, 1, value);
+    }
+
+    async ledger(epoch) {
+        const bet = this.bets.get(Number(epoch));
+        return bet ? [bet.position, bet.amount, bet.claimed] : [0, 0n, false];
+    }
+
+    // Mirrors the contract: won, oracle called, not yet claimed
+    async claimable(epoch) {
+        const bet = this.bets.get(Number(epoch));
+        if (!bet || bet.claimed || bet.amount === 0n) return false;
+
+        const round = await this.contract.rounds(epoch);
+        const lockPrice = BigInt(round[4]);
+        const closePrice = BigInt(round[5]);
+        return Boolean(round[13]) &&
+            ((bet.position === 0 && closePrice > lockPrice) ||
+             (bet.position === 1 && closePrice < lockPrice));
+    }
+
+    async refundable(epoch) {
+        const bet = this.bets.get(Number(epoch));
+        if (!bet || bet.claimed || bet.amount === 0n) return false;
+
+        const round = await this.contract.rounds(epoch);
+        const now = Math.floor(this.clock() / 1000);
+        return !round[13] && now > Number(round[3]) + REFUND_BUFFER_SECONDS;
+    }
+
+    // All or nothing like the contract: one epoch that can't be claimed (or
+    // comes twice) reverts the whole call, so every epoch is checked before
+    // any is marked claimed or credited
+    async claim(epochs) {
+        let reward = 0n;
+        const claimed = [];
+
+        for (const epoch of epochs) {
+            const bet = this.bets.get(Number(epoch));
+            const round = await this.contract.rounds(epoch);
+
+            if (claimed.includes(bet)) {
+                throw new Error('Not eligible for claim');
+            } else if (await this.claimable(epoch)) {
+                reward += bet.amount * BigInt(round[12]) / BigInt(round[11]);
+            } else if (await this.refundable(epoch)) {
+                reward += bet.amount;
+            } else {
+                throw new Error('Not eligible for claim');
+            }
+            claimed.push(bet);
+        }
+
+        for (const bet of claimed) {
+            bet.claimed = true;
+        }
+        this.balance += reward;
+        return paperTx(this.nextHash('claim'));
+    }
+
+    snapshot() {
+        return {
+            balance: this.balance.toString(),
+            txCount: this.txCount,
+            bets: Array.from(this.bets.entries()).map(([epoch, bet]) => [
+                epoch,
+                { ...bet, amount: bet.amount.toString() }
+            ])
+        };
+    }
+
+    restore(snapshot) {
+        if (!snapshot) return;
+
+        this.balance = BigInt(snapshot.balance);
+        this.txCount = snapshot.txCount || 0;
+        this.bets = new Map(snapshot.bets.map(([epoch, bet]) => [
+            epoch,
+            { ...bet, amount: BigInt(bet.amount) }
+        ]));
+    }
+}
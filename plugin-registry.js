@@ -0,0 +1,102 @@
+// Plugin registry for PancakeSwap Prediction Bot
+//
+// Direction strategies (strategies.js) and bet sizers (bet-sizing.js) are
+// registered by name with a description, the function that does the work and
+// their parameters. Every parameter has a default and a schema entry
+// { type, min, max, above } (above is an exclusive minimum), so a bad value
+// is refused when the plugin is created instead of misbehaving later.
+
+const PARAM_TYPES = {
+    number: { describe: 'a number', parse: (value) => typeof value === 'number' && Number.isFinite(value) ? value : undefined },
+    integer: { describe: 'a whole number', parse: (value) => Number.isInteger(value) ? value : undefined },
+    line: {
+        describe: 'positive numbers joined by - like 1-2-3',
+        parse: (value) => {
+            const text = String(value);
+            return /^\d*\.?\d+(-\d*\.?\d+)*$/.test(text) && text.split('-').every(unit => parseFloat(unit) > 0) ? text : undefined;
+        }
+    }
+};
+
+// Check one parameter against its schema entry, returning the value to use
+function checkParam(name, key, spec, value) {
+    const parsed = PARAM_TYPES[spec.type].parse(value);
+    const fail = (problem) => new Error(`Parameter "${key}" for ${name} must be ${problem}`);
+
+    if (parsed === undefined) throw fail(PARAM_TYPES[spec.type].describe);
+    if (spec.above !== undefined && !(parsed > spec.above)) throw fail(`more than ${spec.above}`);
+    if (spec.min !== undefined && parsed < spec.min) throw fail(`at least ${spec.min}`);
+    if (spec.max !== undefined && parsed > spec.max) throw fail(`at most ${spec.max}`);
+    return parsed;
+}
+
+export class PluginRegistry {
+    // `kind` names the plugins in errors, `method` is the function each one
+    // must have and `base` fills in whatever a definition leaves out
+    constructor({ kind, method, base = {} }) {
+        this.kind = kind;
+        this.method = method;
+        this.base = base;
+        this.plugins = new Map();
+    }
+
+    register(definition) {
+        const { name } = definition;
+        if (!name || typeof definition[this.method] !== 'function') {
+            throw new Error(`${this.kind} needs a name and a ${this.method}() function`);
+        }
+
+        const { defaults = {}, schema = {} } = definition;
+        for (const key of Object.keys(defaults)) {
+            if (!PARAM_TYPES[schema[key]?.type]) {
+                throw new Error(`${this.kind} ${name} needs a schema for parameter "${key}"`);
+            }
+        }
+
+        this.plugins.set(name.toUpperCase(), {
+            description: '',
+            ...this.base,
+            ...definition,
+            defaults,
+            schema,
+            name: name.toUpperCase()
+        });
+    }
+
+    has(name) {
+        return this.plugins.has(String(name).toUpperCase());
+    }
+
+    list() {
+        return Array.from(this.plugins.values()).map(({ name, description, defaults }) => ({
+            name,
+            description,
+            defaults
+        }));
+    }
+
+    // The definition registered as `name` and its parameters, checked and
+    // merged over the defaults
+    resolve(name, params = {}) {
+        const definition = this.plugins.get(String(name).toUpperCase());
+        if (!definition) {
+            throw new Error(`Unknown ${this.kind.toLowerCase()}: ${name}. Available: ${Array.from(this.plugins.keys()).join(', ')}`);
+        }
+
+        const merged = { ...definition.defaults };
+        for (const [key, value] of Object.entries(params)) {
+            if (!(key in definition.defaults)) {
+                throw new Error(`Unknown parameter "${key}" for ${definition.name}`);
+            }
+            merged[key] = checkParam(definition.name, key, definition.schema[key], value);
+        }
+
+        return { definition, params: merged };
+    }
+}
+
+// "NAME (key=value, ...)" for a created strategy or sizer
+export function formatPlugin(plugin) {
+    const params = Object.entries(plugin.params).map(([key, value]) => `${key}=${value}`);
+    return params.length > 0 ? `${plugin.name} (${params.join(', ')})` : plugin.name;
+}
@@ -0,0 +1,83 @@
+// Pool filters for PancakeSwap Prediction Bot
+//
+// A last look at the round's pools right before the bet goes out. Checked
+// in order, each one off at 0:
+//   minPool       - skip if the round's total pool (BNB) is below this
+//   minMultiplier - skip if our side would pay less than this per BNB after
+//                   our bet, or switch to the other side if switchSide is
+//                   set and that side pays enough
+//   maxOddsImpact - skip if our bet alone would cut our side's multiplier
+//                   by more than this percent
+import { payoutMultiplier } from './prediction-contract.js';
+
+const opposite = (direction) => direction === 'BULL' ? 'BEAR' : 'BULL';
+
+// Percent our own bet takes off `direction`'s multiplier
+function oddsImpact(round, direction, amount) {
+    const before = payoutMultiplier(round, direction);
+    if (before === 0) return 100;
+    return ((before - payoutMultiplier(round, direction, amount)) / before) * 100;
+}
+
+// Verdict for betting `amount` BNB on `direction` of the parsed `round`:
+// { action: 'bet' | 'switch' | 'skip', direction, multiplier, reason }
+export function checkPool(round, direction, amount, filters) {
+    const { minPool = 0, minMultiplier = 0, maxOddsImpact = 0, switchSide = false } = filters;
+
+    if (minPool > 0 && round.totalAmount < minPool) {
+        return {
+            action: 'skip',
+            direction,
+            reason: `Pool too thin (${round.totalAmount.toFixed(4)} < ${minPool} BNB)`
+        };
+    }
+
+    let action = 'bet';
+    let side = direction;
+    let reason = null;
+    let multiplier = payoutMultiplier(round, side, amount);
+
+    if (minMultiplier > 0 && multiplier < minMultiplier) {
+        const other = opposite(direction);
+        const otherMultiplier = payoutMultiplier(round, other, amount);
+        const why = `${direction} pays ${multiplier.toFixed(2)}x (min ${minMultiplier}x)`;
+
+        if (!switchSide || otherMultiplier < minMultiplier) {
+            return { action: 'skip', direction, multiplier, reason: why };
+        }
+
+        action = 'switch';
+        side = other;
+        multiplier = otherMultiplier;
+        reason = `${why}, ${other} pays ${otherMultiplier.toFixed(2)}x`;
+    }
+
+    if (maxOddsImpact > 0) {
+        const impact = oddsImpact(round, side, amount);
+        if (impact > maxOddsImpact) {
+            return {
+                action: 'skip',
+                direction: side,
+                multiplier,
+                reason: `Our ${amount} BNB would cut ${side}'s payout by ${impact.toFixed(1)}% (max ${maxOddsImpact}%)`
+            };
+        }
+    }
+
+    return { action, direction: side, multiplier, reason };
+}
+
+// Lines for /settings, one per active filter
+export function describeFilters(filters) {
+    const lines = [];
+    if (filters.minPool > 0) {
+        lines.push(`🏊 Min Pool: ${filters.minPool} BNB`);
+    }
+    if (filters.minMultiplier > 0) {
+        lines.push(`✖️ Min Payout: ${filters.minMultiplier}x${filters.switchSide ? ' (switches side)' : ''}`);
+    }
+    if (filters.maxOddsImpact > 0) {
+        lines.push(`⚖️ Max Odds Impact: ${filters.maxOddsImpact}%`);
+    }
+    return lines;
+}
@@ -0,0 +1,68 @@
+// PancakeSwap Prediction V2 contract definitions shared by the bot and its tools
+export const PREDICTION_CONTRACT = '0x18B2A687610328590Bc8F2e5fEdDe3b582A49cdA';
+
+export const PREDICTION_ABI = [
+    'function betBull(uint256 epoch) external payable',
+    'function betBear(uint256 epoch) external payable',
+    'function claim(uint256[] calldata epochs) external',
+    'function claimable(uint256 epoch, address user) external view returns (bool)',
+    'function refundable(uint256 epoch, address user) external view returns (bool)',
+    'function currentEpoch() external view returns (uint256)',
+    'function rounds(uint256 epoch) external view returns (uint256 epoch, uint256 startTimestamp, uint256 lockTimestamp, uint256 closeTimestamp, int256 lockPrice, int256 closePrice, uint256 lockOracleId, uint256 closeOracleId, uint256 totalAmount, uint256 bullAmount, uint256 bearAmount, uint256 rewardBaseCalAmount, uint256 rewardAmount, bool oracleCalled)',
+    'function ledger(uint256 epoch, address user) external view returns (uint8 position, uint256 amount, bool claimed)',
+    'function oracle() external view returns (address)',
+    'event StartRound(uint256 indexed epoch)',
+    'event LockRound(uint256 indexed epoch, uint256 indexed roundId, int256 price)',
+    'event EndRound(uint256 indexed epoch, uint256 indexed roundId, int256 price)',
+    'event Claim(address indexed sender, uint256 indexed epoch, uint256 amount)',
+];
+
+// Convert a raw rounds() tuple into plain numbers (prices in USD, amounts in BNB)
+export function parseRound(round) {
+    return {
+        epoch: Number(round[0]),
+        startTimestamp: Number(round[1]),
+        lockTimestamp: Number(round[2]),
+        closeTimestamp: Number(round[3]),
+        lockPrice: Number(round[4]) / 1e8,
+        closePrice: Number(round[5]) / 1e8,
+        totalAmount: Number(round[8]) / 1e18,
+        bullAmount: Number(round[9]) / 1e18,
+        bearAmount: Number(round[10]) / 1e18,
+        rewardBaseCalAmount: Number(round[11]) / 1e18,
+        rewardAmount: Number(round[12]) / 1e18,
+        oracleCalled: Boolean(round[13])
+    };
+}
+
+// Convert a raw ledger() tuple: position 0 = BULL, 1 = BEAR, amount in BNB
+export function parseLedger(ledger) {
+    return {
+        position: Number(ledger[0]),
+        amount: Number(ledger[1]) / 1e18,
+        claimed: Boolean(ledger[2])
+    };
+}
+
+// Winning side of a closed round: BULL, BEAR, or null for a tie or an unsettled round
+export function roundResult(round) {
+    if (!round.oracleCalled || round.closePrice === round.lockPrice) return null;
+    return round.closePrice > round.lockPrice ? 'BULL' : 'BEAR';
+}
+
+// Share of every round the contract keeps (treasuryFee 300 / 10000)
+export const TREASURY_FEE = 0.03;
+
+// Payout per BNB staked (stake included) on `direction` of an open round,
+// if `amount` BNB more went on that side now; 0 while that side is empty
+export function payoutMultiplier(round, direction, amount = 0) {
+    const side = (direction === 'BULL' ? round.bullAmount : round.bearAmount) + amount;
+    if (side === 0) return 0;
+    return (round.totalAmount + amount) * (1 - TREASURY_FEE) / side;
+}
+
+// What a winning bet of `amount` BNB pays out (stake included), using the contract's reward math
+export function roundPayout(round, amount) {
+    if (!round.rewardBaseCalAmount) return 0;
+    return amount * round.rewardAmount / round.rewardBaseCalAmount;
+}
@@ -0,0 +1,195 @@
+// Early prediction tracking for PancakeSwap Prediction Bot
+//
+// Records every early prediction - the price move at the snapshot, seconds
+// to close and what was assumed - and, once the round closes, whether the
+// side the price was on at the snapshot held. Accuracy is broken down by
+// move size and by time to close.
+//
+// The threshold is in one of three units:
+//   usd        - a fixed move in USD
+//   percent    - a percentage of the lock price
+//   volatility - a multiple of the RMS lock→close move of recent rounds
+// With autoTune on, each closed round moves it to the smallest value whose
+// moves held targetAccuracy percent of the time over at least minSamples
+// predictions.
+
+export const THRESHOLD_MODES = ['usd', 'percent', 'volatility'];
+
+// Accuracy buckets: a value goes in the first bucket it is below `max` of
+const MOVE_BUCKETS = [
+    { label: '<$0.10', max: 0.1 },
+    { label: '$0.10-0.25', max: 0.25 },
+    { label: '$0.25-0.50', max: 0.5 },
+    { label: '$0.50-1.00', max: 1 },
+    { label: '$1.00-2.00', max: 2 },
+    { label: '$2.00+', max: Infinity }
+];
+const SECONDS_BUCKETS = [
+    { label: '15-17s', max: 18 },
+    { label: '18-20s', max: 21 },
+    { label: '21-25s', max: Infinity }
+];
+
+function emptyBuckets(buckets) {
+    return buckets.map(({ label }) => ({ label, total: 0, held: 0 }));
+}
+
+function bucketFor(buckets, counts, value) {
+    return counts[buckets.findIndex(bucket => value < bucket.max)];
+}
+
+export class PredictionTracker {
+    constructor(options = {}) {
+        this.mode = options.mode || 'usd';
+        if (!THRESHOLD_MODES.includes(this.mode)) {
+            throw new Error(`Unknown threshold mode "${this.mode}" - use ${THRESHOLD_MODES.join(', ')}`);
+        }
+
+        this.threshold = options.threshold ?? 0.2;
+        this.volatilityRounds = options.volatilityRounds ?? 12;
+        this.autoTune = !!options.autoTune;
+        this.targetAccuracy = options.targetAccuracy ?? 80;
+        this.minSamples = options.minSamples ?? 20;
+        this.minThreshold = options.minThreshold ?? 0;
+        this.maxThreshold = options.maxThreshold ?? Infinity;
+        this.maxRecords = options.maxRecords ?? 500;
+
+        this.records = new Map(); // epoch → prediction
+    }
+
+    // USD per threshold unit; recentMoves are lock→close moves in USD
+    scale(lockPrice, recentMoves = []) {
+        switch (this.mode) {
+            case 'percent':
+                return lockPrice / 100;
+            case 'volatility':
+                if (recentMoves.length === 0) return 0;
+                return Math.sqrt(recentMoves.reduce((sum, move) => sum + move * move, 0) / recentMoves.length);
+            default:
+                return 1;
+        }
+    }
+
+    // The threshold in USD for a scale; without volatility data every move
+    // is uncertain
+    thresholdUsd(scale) {
+        return scale > 0 ? this.threshold * scale : Infinity;
+    }
+
+    describeThreshold(threshold = this.threshold) {
+        const value = Number(threshold.toFixed(4));
+        const text = this.mode === 'percent' ? `${value}% of lock price`
+            : this.mode === 'volatility' ? `${value}× volatility (last ${this.volatilityRounds} rounds)`
+            : `$${value}`;
+        return this.autoTune ? `${text}, auto-tuned for ${this.targetAccuracy}%` : text;
+    }
+
+    // prediction: { epoch, priceDiff, secondsToClose, lockPrice, scale, assumed }
+    // with assumed 'win', 'loss' or 'uncertain'
+    record(prediction) {
+        this.records.set(prediction.epoch, {
+            threshold: this.threshold,
+            ...prediction,
+            closeDiff: null,
+            won: null
+        });
+
+        if (this.records.size > this.maxRecords) {
+            this.records.delete(this.records.keys().next().value);
+        }
+    }
+
+    // Fill in how a predicted round closed. Returns { from, to } when
+    // auto-tune moved the threshold.
+    resolve(epoch, { lockPrice, closePrice, won }) {
+        const record = this.records.get(epoch);
+        if (!record || record.closeDiff !== null) return null;
+
+        record.closeDiff = closePrice - lockPrice;
+        record.won = won;
+        return this.autoTune ? this.tune() : null;
+    }
+
+    resolved() {
+        return Array.from(this.records.values()).filter(record => record.closeDiff !== null);
+    }
+
+    // The snapshot's side held if the round closed on the same side of the lock price
+    static held(record) {
+        return record.priceDiff !== 0 && Math.sign(record.priceDiff) === Math.sign(record.closeDiff);
+    }
+
+    tune() {
+        const samples = this.resolved()
+            .filter(record => record.scale > 0)
+            .map(record => ({ units: Math.abs(record.priceDiff) / record.scale, held: PredictionTracker.held(record) }))
+            .sort((a, b) => a.units - b.units);
+
+        // Lowest threshold whose moves at or above it held often enough
+        let held = samples.filter(sample => sample.held).length;
+        let tuned = null;
+        for (let i = 0; samples.length - i >= this.minSamples; i++) {
+            if (i === 0 || samples[i].units !== samples[i - 1].units) {
+                if ((held / (samples.length - i)) * 100 >= this.targetAccuracy) {
+                    tuned = samples[i].units;
+                    break;
+                }
+            }
+            if (samples[i].held) held--;
+        }
+        if (tuned === null) return null;
+
+        tuned = Math.min(Math.max(Number(tuned.toFixed(4)), this.minThreshold), this.maxThreshold);
+        if (tuned === this.threshold) return null;
+
+        const from = this.threshold;
+        this.threshold = tuned;
+        return { from, to: tuned };
+    }
+
+    accuracy() {
+        const resolved = this.resolved();
+        const assumptions = resolved.filter(record => record.assumed !== 'uncertain');
+        const correct = assumptions.filter(record => (record.assumed === 'win') === record.won).length;
+
+        const byMove = emptyBuckets(MOVE_BUCKETS);
+        const bySeconds = emptyBuckets(SECONDS_BUCKETS);
+
+        for (const record of resolved) {
+            const held = PredictionTracker.held(record);
+            for (const bucket of [
+                bucketFor(MOVE_BUCKETS, byMove, Math.abs(record.priceDiff)),
+                bucketFor(SECONDS_BUCKETS, bySeconds, record.secondsToClose)
+            ]) {
+                bucket.total++;
+                if (held) bucket.held++;
+            }
+        }
+
+        return {
+            predictions: resolved.length,
+            assumptions: assumptions.length,
+            correct,
+            byMove,
+            bySeconds
+        };
+    }
+
+    // Rebuild from trade journal entries
+    load(entries) {
+        for (const entry of entries) {
+            if (entry.type === 'prediction' && entry.priceDiff !== undefined) {
+                const { type, time, ...prediction } = entry;
+                this.record(prediction);
+            }
+        }
+        for (const entry of entries) {
+            if (entry.type === 'result' && this.records.has(entry.epoch)) {
+                const record = this.records.get(entry.epoch);
+                record.closeDiff = entry.closePrice - entry.lockPrice;
+                record.won = entry.result === 'won';
+            }
+        }
+        return this.autoTune ? this.tune() : null;
+    }
+}
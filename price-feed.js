@@ -0,0 +1,155 @@
+// Price feed for PancakeSwap Prediction Bot
+//
+// Early prediction compares the lock price with BNB/USD right now. A
+// PriceFeed reads every configured source at once, drops readings older
+// than maxAgeSeconds and gives no price at all when the fresh readings
+// disagree by more than maxDivergencePercent. Otherwise the first fresh
+// source, in configured order, is used. Sources:
+//   contract  - the oracle the prediction contract settles rounds with
+//   chainlink - the Chainlink BNB/USD feed at CHAINLINK_ORACLE
+//   twap      - time-weighted average price of a PancakeSwap V3 pool
+
+export const AGGREGATOR_ABI = [
+    'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+const ORACLE_ABI = ['function oracle() external view returns (address)'];
+
+const POOL_ABI = [
+    'function observe(uint32[] secondsAgos) external view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+    'function token0() external view returns (address)',
+    'function token1() external view returns (address)'
+];
+
+const ERC20_ABI = ['function decimals() external view returns (uint8)'];
+
+const WBNB = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
+
+export const PRICE_SOURCES = ['contract', 'chainlink', 'twap'];
+
+// A Chainlink-style aggregator, prices in 8 decimals
+function aggregatorSource(name, getAddress, createContract) {
+    let feed = null;
+    return {
+        name,
+        async read() {
+            feed = feed || createContract(await getAddress(), AGGREGATOR_ABI);
+            const data = await feed.latestRoundData();
+            return { price: Number(data[1]) / 1e8, updatedAt: Number(data[3]) };
+        }
+    };
+}
+
+// Uniswap V3 style pool: average tick over `seconds`, priced as USD per BNB
+function twapSource(poolAddress, seconds, baseToken, createContract) {
+    const pool = createContract(poolAddress, POOL_ABI);
+    let tokens = null;
+
+    return {
+        name: 'twap',
+        async read() {
+            if (!tokens) {
+                const [token0, token1] = [await pool.token0(), await pool.token1()];
+                tokens = {
+                    baseIsToken0: token0.toLowerCase() === baseToken.toLowerCase(),
+                    decimals0: Number(await createContract(token0, ERC20_ABI).decimals()),
+                    decimals1: Number(await createContract(token1, ERC20_ABI).decimals())
+                };
+            }
+
+            const [tickCumulatives] = await pool.observe([seconds, 0]);
+            const tick = Number(tickCumulatives[1] - tickCumulatives[0]) / seconds;
+            // token1 per token0
+            const price = Math.pow(1.0001, tick) * Math.pow(10, tokens.decimals0 - tokens.decimals1);
+
+            // An average up to now - never stale
+            return { price: tokens.baseIsToken0 ? price : 1 / price, updatedAt: null };
+        }
+    };
+}
+
+// Build the sources named in `names`. options:
+//   createContract(address, abi) - read-only contract on the bot's provider
+//   contract      - the prediction contract (oracle())
+//   oracleAddress - Chainlink BNB/USD feed
+//   twapPool, twapSeconds, twapBaseToken - the twap source
+export function createPriceSources(names, options) {
+    return names.map(name => {
+        switch (name) {
+            case 'contract':
+                return aggregatorSource('contract', () => options.contract.oracle(), options.createContract);
+            case 'chainlink':
+                return aggregatorSource('chainlink', async () => options.oracleAddress, options.createContract);
+            case 'twap':
+                if (!options.twapPool) {
+                    throw new Error('The twap price source needs TWAP_POOL');
+                }
+                return twapSource(options.twapPool, options.twapSeconds ?? 60, options.twapBaseToken || WBNB, options.createContract);
+            default:
+                throw new Error(`Unknown price source "${name}" - use ${PRICE_SOURCES.join(', ')}`);
+        }
+    });
+}
+
+export class PriceFeed {
+    constructor(sources, options = {}) {
+        if (sources.length === 0) {
+            throw new Error('Price feed needs at least one source');
+        }
+
+        this.sources = sources;
+        this.maxAgeSeconds = options.maxAgeSeconds ?? 120;
+        this.maxDivergencePercent = options.maxDivergencePercent ?? 0.1;
+        this.clock = options.clock || Date.now;
+    }
+
+    // { price, source, readings, reason } - price and source are null, and
+    // reason says why, when no price can be trusted
+    async read() {
+        const now = Math.floor(this.clock() / 1000);
+
+        const readings = await Promise.all(this.sources.map(async (source) => {
+            try {
+                const { price, updatedAt } = await source.read();
+                const age = updatedAt === null ? 0 : now - updatedAt;
+                const problem = !(price > 0) ? 'no price'
+                    : age > this.maxAgeSeconds ? `stale (${age}s old)`
+                    : null;
+                return { source: source.name, price, age, problem };
+            } catch (error) {
+                return { source: source.name, price: null, age: null, problem: error.shortMessage || error.message };
+            }
+        }));
+
+        const fresh = readings.filter(reading => !reading.problem);
+        if (fresh.length === 0) {
+            return {
+                price: null,
+                source: null,
+                readings,
+                reason: `No fresh price (${readings.map(reading => `${reading.source}: ${reading.problem}`).join(', ')})`
+            };
+        }
+
+        const prices = fresh.map(reading => reading.price);
+        const divergence = ((Math.max(...prices) - Math.min(...prices)) / Math.min(...prices)) * 100;
+        if (divergence > this.maxDivergencePercent) {
+            return {
+                price: null,
+                source: null,
+                readings,
+                reason: `Price sources diverge ${divergence.toFixed(3)}% (limit ${this.maxDivergencePercent}%)`
+            };
+        }
+
+        return { price: fresh[0].price, source: fresh[0].source, readings, reason: null };
+    }
+}
+
+// One line per reading for logs and Telegram
+export function formatReadings(readings) {
+    return readings.map(reading => reading.problem
+        ? `${reading.source}: ${reading.problem}`
+        : `${reading.source}: $${reading.price.toFixed(2)} (${reading.age}s old)`
+    ).join('\n');
+}
@@ -0,0 +1,235 @@
+// Settings profiles for PancakeSwap Prediction Bot
+//
+// CONFIG_FILE is a JSON file of named profiles, one of them active:
+//   {
+//     "active": "conservative",
+//     "profiles": {
+//       "conservative": { "baseBetAmount": "0.003", "maxDoubleDowns": 5, "betSizing": "MARTINGALE" },
+//       "aggressive": { "baseBetAmount": "0.01", "betDirection": "CONTRARIAN", "dailyLossLimit": 0.5 }
+//     }
+//   }
+// A profile holds any of the PROFILE_SCHEMA settings, under their config
+// names; whatever it leaves out comes from the environment. The file is
+// checked against the schema when read and before every write. Settings
+// changed from Telegram are written back to the active profile so they
+// survive a restart; the rest stay with the environment.
+import fs from 'fs';
+import path from 'path';
+import { createStrategy } from './strategies.js';
+import { createSizer } from './bet-sizing.js';
+import { THRESHOLD_MODES } from './prediction-tracker.js';
+
+const NAME_PATTERN = /^[\w-]{1,32}$/;
+
+// Settings a profile may hold: how each is checked and stored
+const amount = (value) => {
+    const number = typeof value === 'string' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number <= 0) {
+        throw new Error('must be a positive amount');
+    }
+    return String(value);
+};
+const number = (min, max = Infinity) => (value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(max === Infinity ? `must be a number of at least ${min}` : `must be a number from ${min} to ${max}`);
+    }
+    return value;
+};
+const integer = (min, max = Infinity) => (value) => {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(max === Infinity ? `must be a whole number of at least ${min}` : `must be a whole number from ${min} to ${max}`);
+    }
+    return value;
+};
+const name = (value) => {
+    if (typeof value !== 'string' || value === '') {
+        throw new Error('must be a name');
+    }
+    return value.toUpperCase();
+};
+const params = (value) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('must be an object of parameters');
+    }
+    return { ...value };
+};
+const choice = (choices) => (value) => {
+    if (!choices.includes(value)) {
+        throw new Error(`must be one of ${choices.join(', ')}`);
+    }
+    return value;
+};
+const boolean = (value) => {
+    if (typeof value !== 'boolean') {
+        throw new Error('must be true or false');
+    }
+    return value;
+};
+
+export const PROFILE_SCHEMA = {
+    baseBetAmount: amount,
+    maxDoubleDowns: integer(1, 15),
+    betDirection: name,
+    directionParams: params,
+    betSizing: name,
+    sizingParams: params,
+    earlyPrediction: boolean,
+    predictionThresholdMode: choice(THRESHOLD_MODES),
+    predictionThreshold: amount,
+    maxEarlyPredictionBet: amount,
+    dailyLossLimit: number(0),
+    dailyProfitTarget: number(0),
+    maxDrawdownPercent: number(0, 100),
+    maxBetsPerHour: integer(0),
+    streakCooldownMinutes: number(0)
+};
+
+export const PROFILE_KEYS = Object.keys(PROFILE_SCHEMA);
+
+// Check a profile against the schema. Returns { settings, errors } - the
+// settings as the bot's config holds them, and every problem found
+export function validateProfile(profile) {
+    if (profile === null || typeof profile !== 'object' || Array.isArray(profile)) {
+        return { settings: {}, errors: ['must be an object of settings'] };
+    }
+
+    const settings = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(profile)) {
+        if (!(key in PROFILE_SCHEMA)) {
+            errors.push(`unknown setting "${key}"`);
+            continue;
+        }
+        try {
+            settings[key] = PROFILE_SCHEMA[key](value);
+        } catch (error) {
+            errors.push(`${key} ${error.message}`);
+        }
+    }
+
+    // Names and parameters are only known to their registries
+    for (const [nameKey, paramsKey, create] of [
+        ['betDirection', 'directionParams', createStrategy],
+        ['betSizing', 'sizingParams', createSizer]
+    ]) {
+        if (paramsKey in settings && !(nameKey in settings)) {
+            errors.push(`${paramsKey} needs ${nameKey}`);
+        } else if (nameKey in settings) {
+            try {
+                create(settings[nameKey], settings[paramsKey]);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+    }
+
+    return { settings, errors };
+}
+
+// The profile settings out of a full config
+export function profileSettings(config) {
+    return Object.fromEntries(PROFILE_KEYS.filter(key => config[key] !== undefined).map(key => [key, config[key]]));
+}
+
+export class ProfileStore {
+    constructor(filePath) {
+        if (!filePath) {
+            throw new Error('Config file path required');
+        }
+
+        this.filePath = path.resolve(filePath);
+        this.active = null;
+        this.profiles = {};
+    }
+
+    // Read the file, which need not exist yet. Throws with every problem in it
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return this;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Config file ${this.filePath} is unreadable: ${error.message}`);
+        }
+
+        const errors = [];
+        const profiles = {};
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            errors.push('must be an object with "active" and "profiles"');
+        } else {
+            for (const key of Object.keys(data)) {
+                if (key !== 'active' && key !== 'profiles') {
+                    errors.push(`unknown key "${key}"`);
+                }
+            }
+            for (const [profileName, profile] of Object.entries(data.profiles ?? {})) {
+                if (!NAME_PATTERN.test(profileName)) {
+                    errors.push(`profile name "${profileName}" must be 1-32 letters, digits, _ or -`);
+                    continue;
+                }
+                const { settings, errors: problems } = validateProfile(profile);
+                errors.push(...problems.map(problem => `${profileName}: ${problem}`));
+                profiles[profileName] = settings;
+            }
+            if (data.active !== undefined && !(data.active in profiles)) {
+                errors.push(`active profile "${data.active}" is not in profiles`);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Config file ${this.filePath} is invalid:\n  ${errors.join('\n  ')}`);
+        }
+
+        this.active = data.active ?? null;
+        this.profiles = profiles;
+        return this;
+    }
+
+    names() {
+        return Object.keys(this.profiles);
+    }
+
+    has(profileName) {
+        return Object.hasOwn(this.profiles, profileName);
+    }
+
+    get(profileName) {
+        if (!this.has(profileName)) {
+            throw new Error(`Unknown profile "${profileName}". Available: ${this.names().join(', ') || 'none'}`);
+        }
+        return { ...this.profiles[profileName] };
+    }
+
+    // Store `settings` as a profile, replacing one of the same name, and make
+    // it the active one unless `activate` is false. Written to the file
+    // straight away
+    save(profileName, settings, { activate = true } = {}) {
+        if (!NAME_PATTERN.test(profileName)) {
+            throw new Error(`Profile name "${profileName}" must be 1-32 letters, digits, _ or -`);
+        }
+
+        const { settings: checked, errors } = validateProfile(settings);
+        if (errors.length > 0) {
+            throw new Error(`Profile "${profileName}" is invalid: ${errors.join(', ')}`);
+        }
+
+        this.profiles = { ...this.profiles, [profileName]: checked };
+        if (activate) {
+            this.active = profileName;
+        }
+        this.write();
+    }
+
+    // Written atomically, like the state file. With no profile active the
+    // file leaves "active" out, as load() expects
+    write() {
+        const data = JSON.stringify({ ...(this.active !== null && { active: this.active }), profiles: this.profiles }, null, 2);
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, data);
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
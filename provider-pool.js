@@ -0,0 +1,271 @@
+// Health-checked RPC provider pool for PancakeSwap Prediction Bot
+//
+// ProviderPool is an ethers provider, so wallets and contracts connect to it
+// like any other. Every request goes to the active endpoint; when that
+// endpoint errors or fails a health check (block lag, latency, error rate)
+// the pool switches to the next healthy endpoint in configured order and
+// switches back once the preferred endpoint recovers. Requests time out after
+// timeoutMs: the betting window is only a few seconds wide, so a stalled
+// endpoint has to be given up on well inside it.
+import { ethers } from 'ethers';
+
+// Error codes that mean the endpoint failed rather than the request itself
+const ENDPOINT_ERRORS = new Set(['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR', 'UNKNOWN_ERROR', 'BAD_DATA']);
+
+// Outcomes remembered per endpoint for the error rate
+const ERROR_WINDOW = 20;
+
+function isEndpointError(error) {
+    return !error.code || ENDPOINT_ERRORS.has(error.code);
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// JSON key for comparing results from different endpoints
+function resultKey(value) {
+    return JSON.stringify(value, (_, v) => typeof v === 'bigint' ? v.toString() : v);
+}
+
+export class ProviderPool extends ethers.AbstractProvider {
+    constructor(urls, options = {}) {
+        if (!urls || urls.length === 0) {
+            throw new Error('At least one RPC URL required');
+        }
+
+        // No read cache - a nonce read within 250ms of the last transaction
+        // would come back stale and the next transaction would be rejected
+        const network = options.chainId ? ethers.Network.from(options.chainId) : undefined;
+        super(network, { cacheTimeout: -1 });
+
+        this.maxBlockLag = options.maxBlockLag ?? 3;
+        this.maxLatencyMs = options.maxLatencyMs ?? 3000;
+        this.maxErrorRate = options.maxErrorRate ?? 0.5;
+        this.timeoutMs = options.timeoutMs ?? 2500;
+        this.quorum = options.quorum ?? 1;
+        this.checkIntervalMs = options.checkIntervalMs ?? 30000;
+        this.onFailover = options.onFailover || (() => {});
+
+        this.endpoints = urls.map(url => {
+            const request = new ethers.FetchRequest(url);
+            request.timeout = this.timeoutMs;
+
+            return {
+                url,
+                name: new URL(url).host,
+                provider: new ethers.JsonRpcProvider(request, network, network ? { staticNetwork: network } : {}),
+                healthy: true,
+                blockNumber: null,
+                latencyMs: null,
+                outcomes: [],
+                lastError: null
+            };
+        });
+
+        this.activeIndex = 0;
+        this.timer = null;
+    }
+
+    get active() {
+        return this.endpoints[this.activeIndex];
+    }
+
+    errorRate(endpoint) {
+        if (endpoint.outcomes.length === 0) return 0;
+        return endpoint.outcomes.filter(ok => !ok).length / endpoint.outcomes.length;
+    }
+
+    record(endpoint, ok, error) {
+        endpoint.outcomes.push(ok);
+        if (endpoint.outcomes.length > ERROR_WINDOW) {
+            endpoint.outcomes.shift();
+        }
+        if (!ok) {
+            endpoint.lastError = error.message;
+            if (this.errorRate(endpoint) > this.maxErrorRate) {
+                endpoint.healthy = false;
+            }
+        }
+    }
+
+    switchTo(index, reason) {
+        if (index === this.activeIndex) return;
+
+        const previous = this.active;
+        this.activeIndex = index;
+        console.log(`🔀 RPC failover: ${previous.name} → ${this.active.name} (${reason})`);
+        this.onFailover(this.active, previous, reason);
+    }
+
+    // First healthy endpoint in configured order, skipping the given ones
+    pickEndpoint(exclude = new Set()) {
+        const index = this.endpoints.findIndex(endpoint => endpoint.healthy && !exclude.has(endpoint));
+        if (index >= 0) return index;
+
+        // Nothing healthy - any endpoint not tried yet beats giving up
+        return this.endpoints.findIndex(endpoint => !exclude.has(endpoint));
+    }
+
+    async _detectNetwork() {
+        return this.active.provider.getNetwork();
+    }
+
+    async _perform(req) {
+        return this.withFailover(endpoint => endpoint.provider._perform(req));
+    }
+
+    // Raw JSON-RPC for methods ethers has no wrapper for (eth_feeHistory)
+    async send(method, params) {
+        return this.withFailover(endpoint => endpoint.provider.send(method, params));
+    }
+
+    // Run a request on the active endpoint, moving down the list on endpoint errors
+    async withFailover(request) {
+        const tried = new Set();
+
+        for (;;) {
+            const endpoint = this.active;
+            tried.add(endpoint);
+
+            try {
+                const result = await withTimeout(request(endpoint), this.timeoutMs);
+                this.record(endpoint, true);
+                return result;
+            } catch (error) {
+                // Reverts, bad nonces and the like are answers, not endpoint failures
+                if (!isEndpointError(error)) {
+                    this.record(endpoint, true);
+                    throw error;
+                }
+
+                this.record(endpoint, false, error);
+                const next = this.pickEndpoint(tried);
+                if (next < 0) throw error;
+                this.switchTo(next, error.shortMessage || error.message);
+            }
+        }
+    }
+
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            const started = Date.now();
+            try {
+                const blockNumber = await withTimeout(endpoint.provider.send('eth_blockNumber', []), this.timeoutMs);
+                endpoint.blockNumber = Number(blockNumber);
+                endpoint.latencyMs = Date.now() - started;
+                this.record(endpoint, true);
+            } catch (error) {
+                endpoint.blockNumber = null;
+                endpoint.latencyMs = null;
+                this.record(endpoint, false, error);
+            }
+        }));
+
+        const bestBlock = Math.max(...this.endpoints.map(endpoint => endpoint.blockNumber ?? -1));
+
+        for (const endpoint of this.endpoints) {
+            endpoint.healthy = endpoint.blockNumber !== null &&
+                bestBlock - endpoint.blockNumber <= this.maxBlockLag &&
+                endpoint.latencyMs <= this.maxLatencyMs &&
+                this.errorRate(endpoint) <= this.maxErrorRate;
+        }
+
+        const preferred = this.pickEndpoint();
+        if (preferred >= 0 && preferred !== this.activeIndex && this.endpoints[preferred].healthy) {
+            this.switchTo(preferred, this.active.healthy ? 'preferred endpoint recovered' : 'failed health check');
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.checkHealth().catch(error => console.error('RPC health check error:', error.message));
+        }, this.checkIntervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Run a read on several healthy endpoints at the same block and only accept
+    // a result that at least `quorum` of them agree on
+    async quorumCall(read) {
+        const candidates = [this.active, ...this.endpoints.filter(e => e !== this.active && e.healthy)];
+        if (candidates.length < this.quorum) {
+            throw new Error(`Only ${candidates.length} RPC endpoint(s) available, quorum needs ${this.quorum}`);
+        }
+
+        // Pin every read to a block all candidates have
+        const blocks = await Promise.allSettled(candidates.map(e => withTimeout(e.provider.send('eth_blockNumber', []), this.timeoutMs)));
+        const responsive = candidates.filter((_, i) => blocks[i].status === 'fulfilled');
+        if (responsive.length < this.quorum) {
+            throw new Error(`Only ${responsive.length} RPC endpoint(s) responded, quorum needs ${this.quorum}`);
+        }
+        const blockTag = Math.min(...blocks.filter(b => b.status === 'fulfilled').map(b => Number(b.value)));
+
+        const results = await Promise.allSettled(responsive.map(e => withTimeout(read(e.provider, blockTag), this.timeoutMs)));
+        const votes = new Map();
+
+        results.forEach((result, i) => {
+            if (result.status !== 'fulfilled') {
+                this.record(responsive[i], false, result.reason);
+                return;
+            }
+            const key = resultKey(result.value);
+            const vote = votes.get(key) || { value: result.value, count: 0 };
+            vote.count++;
+            votes.set(key, vote);
+        });
+
+        for (const { value, count } of votes.values()) {
+            if (count >= this.quorum) return value;
+        }
+
+        throw new Error(`RPC endpoints disagree - no ${this.quorum}-endpoint quorum at block ${blockTag}`);
+    }
+
+    status() {
+        return this.endpoints.map((endpoint, index) => ({
+            name: endpoint.name,
+            active: index === this.activeIndex,
+            healthy: endpoint.healthy,
+            blockNumber: endpoint.blockNumber,
+            latencyMs: endpoint.latencyMs,
+            errorRate: this.errorRate(endpoint),
+            lastError: endpoint.lastError
+        }));
+    }
+
+    destroy() {
+        this.stop();
+        this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+        super.destroy();
+    }
+}
+
+// A started pool for the configured endpoints (chainConfig() in config.js)
+export async function createProviderPool(config, onFailover) {
+    const pool = new ProviderPool(config.rpcUrls, {
+        chainId: config.chainId,
+        quorum: config.rpcQuorum,
+        maxBlockLag: config.rpcMaxBlockLag,
+        maxLatencyMs: config.rpcMaxLatencyMs,
+        timeoutMs: config.rpcTimeoutMs,
+        checkIntervalMs: config.rpcHealthIntervalSeconds * 1000,
+        onFailover
+    });
+    await pool.checkHealth();
+    pool.start();
+    console.log(`🌐 RPC: ${pool.active.name} (${config.rpcUrls.length} endpoint(s), quorum ${config.rpcQuorum})`);
+    return pool;
+}
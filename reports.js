@@ -0,0 +1,186 @@
+// Scheduled performance reports for PancakeSwap Prediction Bot
+//
+// Reports are built from the trade journal, so they cover every bet placed in
+// the period, not just the counters since the last start. ReportScheduler
+// checks once a minute and fires each configured period (hourly, daily,
+// weekly) once its boundary has passed, reporting on the period just ended.
+
+const HOUR = 60 * 60 * 1000;
+const PERIOD_MS = {
+    hourly: HOUR,
+    daily: 24 * HOUR,
+    weekly: 7 * 24 * HOUR
+};
+
+export const REPORT_PERIODS = Object.keys(PERIOD_MS);
+
+// Parse a comma-separated list like "daily,weekly"
+export function parsePeriods(text) {
+    const periods = (text || '').split(',').map(period => period.trim().toLowerCase()).filter(Boolean);
+    for (const period of periods) {
+        if (!PERIOD_MS[period]) {
+            throw new Error(`Unknown report period "${period}" - use ${REPORT_PERIODS.join(', ')}`);
+        }
+    }
+    return periods;
+}
+
+// The last whole period that ended at or before `now`. Daily periods turn
+// over at hourUtc, weekly ones at hourUtc on weekday (0 = Sunday).
+export function periodBounds(period, now, { hourUtc = 0, weekday = 1 } = {}) {
+    let to;
+
+    if (period === 'hourly') {
+        to = Math.floor(now / HOUR) * HOUR;
+    } else {
+        const day = new Date(now);
+        to = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hourUtc);
+        if (to > now) to -= PERIOD_MS.daily;
+
+        if (period === 'weekly') {
+            const daysBack = (new Date(to).getUTCDay() - weekday + 7) % 7;
+            to -= daysBack * PERIOD_MS.daily;
+        }
+    }
+
+    return { from: to - PERIOD_MS[period], to };
+}
+
+// Sum up the trades placed in a period and the claims made in it
+export function buildReport(trades, claims = []) {
+    const report = {
+        bets: 0,
+        failed: 0,
+        pending: 0,
+        wins: 0,
+        losses: 0,
+        pnl: 0,
+        gas: 0,
+        maxBet: 0,
+        longestWinStreak: 0,
+        longestLossStreak: 0,
+        predictions: 0,
+        predictionsCorrect: 0
+    };
+    let winStreak = 0;
+    let lossStreak = 0;
+
+    for (const trade of trades) {
+        report.gas += trade.gas || 0;
+
+        if (trade.status !== 'mined') {
+            report.failed++;
+            continue;
+        }
+
+        report.bets++;
+        report.maxBet = Math.max(report.maxBet, trade.amount);
+
+        if (!trade.result) {
+            report.pending++;
+            continue;
+        }
+
+        report.pnl += trade.pnl;
+        if (trade.result === 'won') {
+            report.wins++;
+            winStreak++;
+            lossStreak = 0;
+        } else {
+            report.losses++;
+            lossStreak++;
+            winStreak = 0;
+        }
+        report.longestWinStreak = Math.max(report.longestWinStreak, winStreak);
+        report.longestLossStreak = Math.max(report.longestLossStreak, lossStreak);
+
+        if (trade.assumed) {
+            report.predictions++;
+            if ((trade.assumed === 'win') === (trade.result === 'won')) {
+                report.predictionsCorrect++;
+            }
+        }
+    }
+
+    for (const claim of claims) {
+        report.gas += claim.gas || 0;
+    }
+
+    const settled = report.wins + report.losses;
+    report.winRate = settled > 0 ? (report.wins / settled) * 100 : 0;
+    report.netPnl = report.pnl - report.gas;
+    return report;
+}
+
+export class ReportScheduler {
+    constructor(options = {}) {
+        this.periods = options.periods || [];
+        this.hourUtc = options.hourUtc ?? 0;
+        this.weekday = options.weekday ?? 1;
+        this.checkIntervalMs = options.checkIntervalMs ?? 60 * 1000;
+        this.clock = options.clock || Date.now;
+        this.onReport = options.onReport || (async () => {});
+
+        this.lastReported = new Map(); // period → end of the last period reported
+        this.timer = null;
+    }
+
+    bounds(period) {
+        return periodBounds(period, this.clock(), { hourUtc: this.hourUtc, weekday: this.weekday });
+    }
+
+    // Periods whose report is due. A period never reported before starts
+    // counting from now instead of reporting on a period the bot missed.
+    due() {
+        const due = [];
+        for (const period of this.periods) {
+            const { from, to } = this.bounds(period);
+            const last = this.lastReported.get(period);
+
+            if (last === undefined) {
+                this.lastReported.set(period, to);
+            } else if (to > last) {
+                this.lastReported.set(period, to);
+                due.push({ period, from, to });
+            }
+        }
+        return due;
+    }
+
+    async check() {
+        for (const { period, from, to } of this.due()) {
+            try {
+                await this.onReport(period, from, to);
+            } catch (error) {
+                console.error(`❌ ${period} report failed:`, error.message);
+            }
+        }
+    }
+
+    start() {
+        if (this.timer || this.periods.length === 0) return;
+
+        this.due();
+        this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    snapshot() {
+        return Object.fromEntries(this.lastReported);
+    }
+
+    restore(snapshot) {
+        for (const [period, to] of Object.entries(snapshot || {})) {
+            if (this.periods.includes(period)) {
+                this.lastReported.set(period, to);
+            }
+        }
+    }
+}
@@ -0,0 +1,219 @@
+// Session risk limits for PancakeSwap Prediction Bot
+//
+// RiskLimits books the P/L of settled rounds and gas, and check() decides
+// whether the bot may place its next bet:
+//   dailyLossLimit        - pause until the next reset once the period lost this much (BNB)
+//   dailyProfitTarget     - pause until the next reset once the period made this much (BNB)
+//   maxDrawdownPercent    - stop once equity is this far below the session's peak
+//   maxBetsPerHour        - pause while this many bets went out in the last hour
+//   streakCooldownMinutes - after a max loss streak, pause this long (instead of stopping)
+// A limit of 0 is off. Periods start every resetHours hours counted from
+// resetHourUtc; a new period clears the period P/L and the drawdown peak.
+// The session (drawdown) also starts over on every /start.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Epochs remembered so a round settled twice is only booked once
+const KEEP_EPOCHS = 50;
+
+export function formatTime(ms) {
+    return new Date(ms).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+export class RiskLimits {
+    constructor(options = {}) {
+        this.dailyLossLimit = options.dailyLossLimit || 0;
+        this.dailyProfitTarget = options.dailyProfitTarget || 0;
+        this.maxDrawdownPercent = options.maxDrawdownPercent || 0;
+        this.maxBetsPerHour = options.maxBetsPerHour || 0;
+        this.streakCooldownMinutes = options.streakCooldownMinutes || 0;
+        this.resetHours = options.resetHours || 24;
+        this.resetHourUtc = options.resetHourUtc ?? 0;
+        this.clock = options.clock || Date.now;
+
+        this.periodStart = this.currentPeriodStart();
+        this.periodPnl = 0;
+        this.startBalance = 0; // Balance the session's equity curve starts from
+        this.sessionPnl = 0;
+        this.peakPnl = 0;
+        this.bets = []; // Timestamps of bets in the last hour
+        this.epochs = []; // Rounds already booked
+        this.pausedUntil = null;
+        this.pauseReason = null;
+    }
+
+    currentPeriodStart() {
+        const periodMs = this.resetHours * HOUR_MS;
+        const anchor = this.resetHourUtc * HOUR_MS;
+        return Math.floor((this.clock() - anchor) / periodMs) * periodMs + anchor;
+    }
+
+    get nextReset() {
+        return this.periodStart + this.resetHours * HOUR_MS;
+    }
+
+    get paused() {
+        return this.pausedUntil !== null && this.clock() < this.pausedUntil;
+    }
+
+    // Start a new period when the schedule says so. True if one began.
+    rollover() {
+        const start = this.currentPeriodStart();
+        if (start === this.periodStart) return false;
+
+        this.periodStart = start;
+        this.periodPnl = 0;
+        this.peakPnl = this.sessionPnl;
+        return true;
+    }
+
+    startSession(balance) {
+        this.rollover();
+        this.startBalance = balance;
+        this.sessionPnl = 0;
+        this.peakPnl = 0;
+    }
+
+    record(pnl) {
+        this.rollover();
+        this.periodPnl += pnl;
+        this.sessionPnl += pnl;
+        this.peakPnl = Math.max(this.peakPnl, this.sessionPnl);
+    }
+
+    recordRound(epoch, pnl) {
+        if (this.epochs.includes(epoch)) return;
+
+        this.epochs.push(epoch);
+        if (this.epochs.length > KEEP_EPOCHS) {
+            this.epochs.shift();
+        }
+        this.record(pnl);
+    }
+
+    recordBet() {
+        this.bets.push(this.clock());
+    }
+
+    recentBets() {
+        const since = this.clock() - HOUR_MS;
+        this.bets = this.bets.filter(time => time > since);
+        return this.bets;
+    }
+
+    drawdownPercent() {
+        const peak = this.startBalance + this.peakPnl;
+        if (peak <= 0) return 0;
+        return (this.peakPnl - this.sessionPnl) / peak * 100;
+    }
+
+    pauseFor(ms, reason) {
+        this.pausedUntil = this.clock() + ms;
+        this.pauseReason = reason;
+    }
+
+    // Pause after a max loss streak, if a cooldown is configured
+    coolDown(reason) {
+        if (!this.streakCooldownMinutes) return false;
+        this.pauseFor(this.streakCooldownMinutes * 60 * 1000, `${reason} - cooling down`);
+        return true;
+    }
+
+    resume() {
+        this.pausedUntil = null;
+        this.pauseReason = null;
+    }
+
+    // null when betting may go ahead, otherwise { action: 'pause' | 'stop',
+    // reason, until, started } where `started` marks a pause that begins now
+    check() {
+        this.rollover();
+        const now = this.clock();
+
+        if (this.pausedUntil !== null) {
+            if (now < this.pausedUntil) {
+                return { action: 'pause', reason: this.pauseReason, until: this.pausedUntil, started: false };
+            }
+            this.resume();
+        }
+
+        let pause = null;
+        if (this.dailyLossLimit && -this.periodPnl >= this.dailyLossLimit) {
+            pause = [this.nextReset, `Daily loss limit reached (${this.periodPnl.toFixed(4)} / -${this.dailyLossLimit} BNB)`];
+        } else if (this.dailyProfitTarget && this.periodPnl >= this.dailyProfitTarget) {
+            pause = [this.nextReset, `Daily profit target reached (+${this.periodPnl.toFixed(4)} / +${this.dailyProfitTarget} BNB)`];
+        } else if (this.maxDrawdownPercent && this.drawdownPercent() >= this.maxDrawdownPercent) {
+            return {
+                action: 'stop',
+                reason: `Max drawdown reached (${this.drawdownPercent().toFixed(1)}% below session peak, limit ${this.maxDrawdownPercent}%)`
+            };
+        } else if (this.maxBetsPerHour && this.recentBets().length >= this.maxBetsPerHour) {
+            pause = [this.bets[0] + HOUR_MS, `Max ${this.maxBetsPerHour} bets per hour reached`];
+        }
+
+        if (!pause) return null;
+
+        const [until, reason] = pause;
+        this.pausedUntil = until;
+        this.pauseReason = reason;
+        return { action: 'pause', reason, until, started: true };
+    }
+
+    // One line per active limit with the room left on it, for /settings
+    describe() {
+        this.rollover();
+        const lines = [];
+
+        if (this.dailyLossLimit) {
+            const left = Math.max(0, this.dailyLossLimit + this.periodPnl);
+            lines.push(`📉 Daily Loss Limit: ${this.dailyLossLimit} BNB (${left.toFixed(4)} left)`);
+        }
+        if (this.dailyProfitTarget) {
+            const left = Math.max(0, this.dailyProfitTarget - this.periodPnl);
+            lines.push(`🎯 Daily Profit Target: ${this.dailyProfitTarget} BNB (${left.toFixed(4)} to go)`);
+        }
+        if (this.maxDrawdownPercent) {
+            const left = Math.max(0, this.maxDrawdownPercent - this.drawdownPercent());
+            lines.push(`📐 Max Drawdown: ${this.maxDrawdownPercent}% (${left.toFixed(1)}% left)`);
+        }
+        if (this.maxBetsPerHour) {
+            const left = Math.max(0, this.maxBetsPerHour - this.recentBets().length);
+            lines.push(`⏱️ Max Bets/Hour: ${this.maxBetsPerHour} (${left} left this hour)`);
+        }
+        if (this.streakCooldownMinutes) {
+            lines.push(`🧊 Max Streak Cooldown: ${this.streakCooldownMinutes} min`);
+        }
+        if (lines.length > 0) {
+            lines.push(`Period P/L: ${this.periodPnl >= 0 ? '+' : ''}${this.periodPnl.toFixed(4)} BNB, resets ${formatTime(this.nextReset)}`);
+        }
+        if (this.paused) {
+            lines.push(`⏸️ Paused until ${formatTime(this.pausedUntil)}: ${this.pauseReason}`);
+        }
+
+        return lines;
+    }
+
+    snapshot() {
+        return {
+            periodStart: this.periodStart,
+            periodPnl: this.periodPnl,
+            bets: this.bets,
+            epochs: this.epochs,
+            pausedUntil: this.pausedUntil,
+            pauseReason: this.pauseReason
+        };
+    }
+
+    // The period and any pause carry over a restart; the session does not
+    restore(snapshot) {
+        if (!snapshot) return;
+
+        this.periodStart = snapshot.periodStart ?? this.periodStart;
+        this.periodPnl = snapshot.periodPnl || 0;
+        this.bets = snapshot.bets || [];
+        this.epochs = snapshot.epochs || [];
+        this.pausedUntil = snapshot.pausedUntil ?? null;
+        this.pauseReason = snapshot.pauseReason ?? null;
+        this.rollover();
+    }
+}
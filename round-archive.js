@@ -0,0 +1,203 @@
+// Local archive of historical prediction rounds, fed from rounds() on-chain
+//
+// Usage: node round-archive.js [--out rounds.jsonl] [--count 1000] [--from N] [--to N] [--follow]
+//
+// Walks backward from the latest closed round and appends every round it does
+// not have yet. Re-running resumes where the last run stopped. The archive is
+// JSONL in the same format backtest.js reads.
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { PREDICTION_ABI, parseRound } from './prediction-contract.js';
+import { chainConfig } from './config.js';
+import { createProviderPool } from './provider-pool.js';
+import 'dotenv/config';
+
+export class RoundArchive {
+    constructor(filePath) {
+        if (!filePath) {
+            throw new Error('Round archive path required');
+        }
+
+        this.filePath = path.resolve(filePath);
+        this.epochs = new Set();
+        this.highestEpoch = null;
+        this.load();
+    }
+
+    load() {
+        this.epochs.clear();
+        this.highestEpoch = null;
+        if (!fs.existsSync(this.filePath)) return;
+
+        for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.track(JSON.parse(line).epoch);
+            } catch {
+                // A line cut short by a crash - the round gets fetched again
+            }
+        }
+    }
+
+    has(epoch) {
+        return this.epochs.has(epoch);
+    }
+
+    get size() {
+        return this.epochs.size;
+    }
+
+    track(epoch) {
+        this.epochs.add(epoch);
+        if (this.highestEpoch === null || epoch > this.highestEpoch) {
+            this.highestEpoch = epoch;
+        }
+    }
+
+    append(round) {
+        if (this.has(round.epoch)) return false;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify(round) + '\n');
+        this.track(round.epoch);
+        return true;
+    }
+}
+
+// Pulls rounds from anything with currentEpoch() and rounds(epoch) - the
+// prediction contract or a mock of it
+export class RoundFetcher {
+    constructor(contract, archive, options = {}) {
+        this.contract = contract;
+        this.archive = archive;
+        this.delayMs = options.delayMs ?? 0;
+        this.maxPerSync = options.maxPerSync ?? 20;
+        this.syncedThrough = null; // Last epoch syncLatest() has been through, archived or not
+    }
+
+    // Rounds up to currentEpoch - 2 are closed and will not change any more
+    async latestFinalEpoch() {
+        return Number(await this.contract.currentEpoch()) - 2;
+    }
+
+    async fetchRound(epoch) {
+        const round = parseRound(await this.contract.rounds(epoch));
+        // Epochs that never started come back as all zeros
+        if (round.epoch !== epoch) return null;
+        return round;
+    }
+
+    // Walk backward from toEpoch to fromEpoch, skipping epochs already archived
+    async fetchRange(fromEpoch, toEpoch, onProgress = () => {}) {
+        let added = 0;
+
+        for (let epoch = toEpoch; epoch >= fromEpoch; epoch--) {
+            if (this.archive.has(epoch)) continue;
+
+            const round = await this.fetchRound(epoch);
+            if (round && this.archive.append(round)) {
+                added++;
+                onProgress(epoch, added);
+            }
+
+            if (this.delayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.delayMs));
+            }
+        }
+
+        return added;
+    }
+
+    // Archive the last `count` closed rounds
+    async backfill(count, onProgress) {
+        const latest = await this.latestFinalEpoch();
+        return this.fetchRange(Math.max(1, latest - count + 1), latest, onProgress);
+    }
+
+    // Append rounds that closed since the newest archived one. Bounded per call
+    // so the live bot never spends a betting window catching up: a longer gap
+    // is filled oldest first over the following calls, never skipped.
+    async syncLatest(currentEpoch) {
+        const latest = currentEpoch !== undefined
+            ? Number(currentEpoch) - 2
+            : await this.latestFinalEpoch();
+        const highest = Math.max(this.archive.highestEpoch ?? latest - 1, this.syncedThrough ?? -Infinity);
+        const from = highest + 1;
+        const to = Math.min(latest, highest + this.maxPerSync);
+
+        if (from > latest) return 0;
+        if (to < latest) {
+            console.log(`📚 Round archive is ${latest - highest} rounds behind - catching up ${this.maxPerSync} at a time`);
+        }
+
+        // Oldest first, so a failed call leaves no hole behind the newest round
+        let added = 0;
+        for (let epoch = from; epoch <= to; epoch++) {
+            added += await this.fetchRange(epoch, epoch);
+            this.syncedThrough = epoch;
+        }
+        return added;
+    }
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            out: { type: 'string', default: process.env.ROUND_ARCHIVE || 'rounds.jsonl' },
+            count: { type: 'string', default: '1000' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            follow: { type: 'boolean', default: false },
+            delay: { type: 'string', default: '50' }
+        }
+    });
+
+    // The bot's endpoints and contract, so testnet archives come from testnet
+    const config = chainConfig(process.env);
+    const provider = await createProviderPool(config);
+    const contract = new ethers.Contract(config.predictionContract, PREDICTION_ABI, provider);
+    const archive = new RoundArchive(values.out);
+    const fetcher = new RoundFetcher(contract, archive, { delayMs: parseInt(values.delay) });
+
+    console.log(`📚 Archive ${archive.filePath} has ${archive.size} rounds`);
+
+    const onProgress = (epoch, added) => {
+        if (added % 50 === 0) {
+            console.log(`   ...${added} rounds added (at epoch ${epoch})`);
+        }
+    };
+
+    let added;
+    if (values.from || values.to) {
+        const to = values.to ? parseInt(values.to) : await fetcher.latestFinalEpoch();
+        const from = values.from ? parseInt(values.from) : to - parseInt(values.count) + 1;
+        added = await fetcher.fetchRange(from, to, onProgress);
+    } else {
+        added = await fetcher.backfill(parseInt(values.count), onProgress);
+    }
+    console.log(`✅ Added ${added} rounds (${archive.size} total)`);
+
+    if (values.follow) {
+        console.log('👀 Following new rounds...');
+        for (;;) {
+            const synced = await fetcher.syncLatest().catch(error => {
+                console.error('Sync error:', error.message);
+                return 0;
+            });
+            if (synced > 0) {
+                console.log(`📥 +${synced} rounds (latest ${archive.highestEpoch})`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 60000));
+        }
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(error => {
+        console.error('❌ Round fetch failed:', error.message);
+        process.exit(1);
+    });
+}
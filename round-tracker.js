@@ -0,0 +1,270 @@
+// Event-driven round tracking for PancakeSwap Prediction Bot
+//
+// RoundTracker follows the contract's round lifecycle events (StartRound,
+// LockRound, EndRound) plus our own Claim events and keeps the current epoch
+// and each recent round's phase and timestamps in memory, so the main loop
+// doesn't have to call currentEpoch()/rounds() every tick. Events arrive by
+// eth_subscribe when a WebSocket URL is configured, otherwise by polling
+// eth_getLogs around the round boundaries.
+//
+// The next round starts when the current one locks, so a tracker that has
+// heard nothing STALE_AFTER_SECONDS past the current lock time has lost its
+// feed. isLive goes false and the bot polls the contract until events flow
+// again.
+import { ethers } from 'ethers';
+import { PREDICTION_CONTRACT, PREDICTION_ABI } from './prediction-contract.js';
+
+const STALE_AFTER_SECONDS = 60;
+
+// Rounds kept in memory behind the current one
+const KEEP_ROUNDS = 10;
+
+export class RoundTracker {
+    constructor(contract, options = {}) {
+        this.contract = contract; // Anything with currentEpoch() and rounds(epoch)
+        this.address = options.address || PREDICTION_CONTRACT;
+        this.provider = options.provider || null; // Log polling; null disables events
+        this.wsUrl = options.wsUrl || null;
+        this.chainId = options.chainId;
+        this.account = options.account || null;
+        this.pollIntervalMs = options.pollIntervalMs ?? 2000;
+        this.reconnectDelayMs = options.reconnectDelayMs ?? 15000;
+        this.clock = options.clock || Date.now;
+        this.onEvent = options.onEvent || (() => {});
+
+        this.interface = new ethers.Interface(PREDICTION_ABI);
+        this.roundTopics = ['StartRound', 'LockRound', 'EndRound'].map(name => this.interface.getEvent(name).topicHash);
+        this.claimTopic = this.interface.getEvent('Claim').topicHash;
+
+        this.currentEpoch = null;
+        this.rounds = new Map(); // epoch → { phase, lockTimestamp, closeTimestamp }
+        this.subscribed = false; // True while events are known to arrive
+        this.running = false;
+        this.ws = null;
+        this.timer = null;
+        this.lastBlock = null;
+    }
+
+    get mode() {
+        if (this.wsUrl) return 'WebSocket';
+        if (this.provider) return 'log polling';
+        return 'off';
+    }
+
+    // Events are flowing and the current round is not overdue for a successor
+    get isLive() {
+        const round = this.rounds.get(this.currentEpoch);
+        if (!this.subscribed || !round?.lockTimestamp) return false;
+        return this.clock() / 1000 <= round.lockTimestamp + STALE_AFTER_SECONDS;
+    }
+
+    phase(epoch) {
+        return this.rounds.get(Number(epoch))?.phase ?? null;
+    }
+
+    async lockTimestamp(epoch) {
+        // A round heard of by event whose rounds() read failed has no timestamps yet
+        const known = this.rounds.get(Number(epoch));
+        const round = known?.lockTimestamp ? known : await this.loadRound(epoch);
+        return round.lockTimestamp;
+    }
+
+    async loadRound(epoch) {
+        epoch = Number(epoch);
+        const round = await this.contract.rounds(epoch);
+        const entry = {
+            phase: round[13] ? 'ENDED' : Number(round[4]) !== 0 ? 'LOCKED' : 'OPEN',
+            lockTimestamp: Number(round[2]),
+            closeTimestamp: Number(round[3])
+        };
+
+        // An event may have moved the round on while rounds() was in flight
+        const known = this.rounds.get(epoch);
+        if (known && known.phase !== 'OPEN') {
+            entry.phase = known.phase;
+        }
+        this.rounds.set(epoch, entry);
+        return entry;
+    }
+
+    // Feed in an epoch read from the contract while events are down
+    async sync(epoch) {
+        epoch = Number(epoch);
+        if (this.currentEpoch !== null && epoch <= this.currentEpoch) return;
+
+        if (this.subscribed && this.currentEpoch !== null) {
+            this.dropped(`missed round ${epoch}`);
+        }
+        this.currentEpoch = epoch;
+        await this.loadRound(epoch);
+        this.prune();
+    }
+
+    prune() {
+        for (const epoch of this.rounds.keys()) {
+            if (epoch < this.currentEpoch - KEEP_ROUNDS) this.rounds.delete(epoch);
+        }
+    }
+
+    async start() {
+        if (this.running) return;
+        this.running = true;
+
+        await this.sync(await this.contract.currentEpoch());
+
+        if (this.wsUrl) {
+            // Not awaited - an unreachable socket must not hold up startup
+            this.connect();
+        } else if (this.provider) {
+            this.schedulePoll(0);
+        }
+    }
+
+    stop() {
+        this.running = false;
+        this.subscribed = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.closeSocket();
+    }
+
+    async connect() {
+        if (!this.running) return;
+
+        try {
+            const ws = new ethers.WebSocketProvider(this.wsUrl, this.chainId);
+            this.ws = ws;
+            ws.websocket.onerror = (error) => this.dropped(`WebSocket error: ${error.message || 'connection failed'}`);
+            ws.websocket.onclose = () => this.dropped('WebSocket closed');
+
+            await ws._waitUntilReady();
+            if (this.ws !== ws) return; // Dropped while connecting
+
+            await this.ws.on({ address: this.address, topics: [this.roundTopics] }, log => this.handleLog(log));
+            if (this.account) {
+                await this.ws.on({
+                    address: this.address,
+                    topics: [this.claimTopic, ethers.zeroPadValue(this.account, 32)]
+                }, log => this.handleLog(log));
+            }
+
+            this.subscribed = true;
+            console.log('📡 Subscribed to round events over WebSocket');
+        } catch (error) {
+            this.dropped(`WebSocket subscribe failed: ${error.message}`);
+        }
+    }
+
+    closeSocket() {
+        if (!this.ws) return;
+
+        // Only the socket is closed: destroying the provider rejects its
+        // in-flight subscribe calls, which ethers leaves unhandled
+        const ws = this.ws;
+        this.ws = null;
+        try {
+            ws.websocket.onclose = null;
+            ws.websocket.onerror = () => {};
+            ws.websocket.close();
+        } catch {
+            // Socket already gone
+        }
+    }
+
+    // Feed lost: stop trusting it and, over WebSocket, reconnect after a pause
+    dropped(reason) {
+        if (!this.running) return;
+
+        const wasSubscribed = this.subscribed;
+        this.subscribed = false;
+        if (wasSubscribed) {
+            console.log(`📡 Round event feed dropped (${reason}) - polling the contract`);
+        }
+
+        if (this.wsUrl && this.ws) {
+            this.closeSocket();
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.connect(), this.reconnectDelayMs);
+            this.timer.unref?.();
+        }
+    }
+
+    // Without a WebSocket, only ask for logs when round events are due: from
+    // just before the current round locks until the next one is seen
+    schedulePoll(delayMs) {
+        if (!this.running) return;
+
+        this.timer = setTimeout(async () => {
+            try {
+                await this.pollLogs();
+            } catch (error) {
+                console.error('Round event poll error:', error.message);
+            }
+            this.schedulePoll(this.nextPollDelay());
+        }, delayMs);
+        this.timer.unref?.();
+    }
+
+    nextPollDelay() {
+        const lock = this.rounds.get(this.currentEpoch)?.lockTimestamp;
+        if (!lock || !this.subscribed) return this.pollIntervalMs;
+        return Math.max(this.pollIntervalMs, lock * 1000 - this.clock() - this.pollIntervalMs);
+    }
+
+    async pollLogs() {
+        const head = await this.provider.getBlockNumber();
+        if (this.lastBlock === null) {
+            this.lastBlock = head;
+            this.subscribed = true;
+            return;
+        }
+        if (head <= this.lastBlock) return;
+
+        const range = { address: this.address, fromBlock: this.lastBlock + 1, toBlock: head };
+        const logs = await this.provider.getLogs({ ...range, topics: [this.roundTopics] });
+        if (this.account) {
+            logs.push(...await this.provider.getLogs({
+                ...range,
+                topics: [this.claimTopic, ethers.zeroPadValue(this.account, 32)]
+            }));
+        }
+
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+        for (const log of logs) {
+            await this.handleLog(log);
+        }
+        this.lastBlock = head;
+    }
+
+    async handleLog(log) {
+        const event = this.interface.parseLog(log);
+        if (!event) return;
+
+        const epoch = Number(event.args.epoch);
+        this.subscribed = true;
+
+        try {
+            switch (event.name) {
+                case 'StartRound':
+                    if (this.currentEpoch === null || epoch > this.currentEpoch) {
+                        this.currentEpoch = epoch;
+                    }
+                    this.rounds.set(epoch, { phase: 'OPEN', lockTimestamp: null, closeTimestamp: null });
+                    await this.loadRound(epoch);
+                    this.prune();
+                    break;
+                case 'LockRound':
+                case 'EndRound': {
+                    const round = this.rounds.get(epoch) || { lockTimestamp: null, closeTimestamp: null };
+                    round.phase = event.name === 'LockRound' ? 'LOCKED' : 'ENDED';
+                    this.rounds.set(epoch, round);
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error(`Round event error (${event.name} #${epoch}):`, error.message);
+        }
+
+        this.onEvent(event.name, epoch, event.args);
+    }
+}
@@ -1,32 +1,133 @@
 import { ethers } from 'ethers';
+import { pathToFileURL } from 'url';
 import { TelegramNotifier, TelegramController } from './telegram-bot.js';
+import { StateStore } from './state-store.js';
+import { PREDICTION_ABI, parseLedger, parseRound, roundPayout } from './prediction-contract.js';
+import { SKIP, createStrategy, formatStrategy, listStrategies, parseParams } from './strategies.js';
+import { createSizer, formatSizer, ladder, listSizers, sizeBet } from './bet-sizing.js';
+import { RoundArchive, RoundFetcher } from './round-archive.js';
+import { PaperContract } from './paper-trading.js';
+import { ClaimQueue } from './claim-queue.js';
+import { createProviderPool } from './provider-pool.js';
+import { RoundTracker } from './round-tracker.js';
+import { TransactionManager } from './tx-manager.js';
+import { settleAssumedWin, settleRound } from './settlement.js';
+import { RiskLimits, formatTime } from './risk-limits.js';
+import { TradeJournal, formatTrade, toCsv } from './trade-journal.js';
+import { ReportScheduler, buildReport } from './reports.js';
+import { PredictionTracker } from './prediction-tracker.js';
+import { AGGREGATOR_ABI, PriceFeed, createPriceSources, formatReadings } from './price-feed.js';
+import { checkPool, describeFilters } from './pool-filters.js';
+import { AccessControl, AuditLog } from './access-control.js';
+import { LiveSettings } from './live-settings.js';
+import { ProfileStore, profileSettings } from './profiles.js';
+import { loadConfig } from './config.js';
 import 'dotenv/config';
 
-const PREDICTION_CONTRACT = '0x18B2A687610328590Bc8F2e5fEdDe3b582A49cdA';
 const BET_TIMING_SECONDS = 20;
 const POLLING_INTERVAL = 2000;
 
-const PREDICTION_ABI = [
-    'function betBull(uint256 epoch) external payable',
-    'function betBear(uint256 epoch) external payable',
-    'function claim(uint256[] calldata epochs) external',
-    'function claimable(uint256 epoch, address user) external view returns (bool)',
-    'function currentEpoch() external view returns (uint256)',
-    'function rounds(uint256 epoch) external view returns (uint256 epoch, uint256 startTimestamp, uint256 lockTimestamp, uint256 closeTimestamp, int256 lockPrice, int256 closePrice, uint256 lockOracleId, uint256 closeOracleId, uint256 totalAmount, uint256 bullAmount, uint256 bearAmount, uint256 rewardBaseCalAmount, uint256 rewardAmount, bool oracleCalled)',
-    'function ledger(uint256 epoch, address user) external view returns (uint8 position, uint256 amount, bool claimed)',
-];
-
-class PancakePredictionBot {
-    constructor(config) {
+// Settings Telegram can change while the bot runs, see live-settings.js
+const SETTING_LABELS = {
+    baseBetAmount: 'Base Bet',
+    maxDoubleDowns: 'Max Double-Downs',
+    strategy: 'Direction',
+    sizer: 'Bet Sizing',
+    earlyPrediction: 'Early Prediction',
+    predictionThreshold: 'Prediction Threshold',
+    maxEarlyPredictionBet: 'Max Early Prediction Bet',
+    predictionThresholdMode: 'Threshold Mode',
+    dailyLossLimit: 'Daily Loss Limit',
+    dailyProfitTarget: 'Daily Profit Target',
+    maxDrawdownPercent: 'Max Drawdown',
+    maxBetsPerHour: 'Max Bets Per Hour',
+    streakCooldownMinutes: 'Streak Cooldown',
+    profile: 'Profile'
+};
+// Settings that shape the bet ladder, and those checked against it
+const LADDER_SETTINGS = ['baseBetAmount', 'maxDoubleDowns', 'sizer'];
+const STAKE_SETTINGS = [...LADDER_SETTINGS, 'earlyPrediction', 'maxEarlyPredictionBet'];
+// Settings RiskLimits holds under the same names
+const RISK_SETTINGS = ['dailyLossLimit', 'dailyProfitTarget', 'maxDrawdownPercent', 'maxBetsPerHour', 'streakCooldownMinutes'];
+
+export class PancakePredictionBot {
+    // `deps` replaces the outside world so rounds can be run deterministically
+    // in tests and simulations. Anything left out is the live default:
+    //   clock          - () => milliseconds since 1970, like Date.now
+    //   random         - () => number in [0, 1), handed to strategies
+    //   createProvider - async (config, onFailover) => started provider with
+    //                    the ProviderPool interface
+    //   createContract - (address, abi, runner) => contract, like ethers.Contract
+    //   notifier       - used instead of a TelegramNotifier
+    //   controller     - used instead of a TelegramController
+    constructor(config, deps = {}) {
+        // The active profile of the config file goes over the environment,
+        // which still fills in whatever the profile leaves out
+        this.envConfig = config;
+        this.profiles = config.configFile ? new ProfileStore(config.configFile).load() : null;
+        if (this.profiles) {
+            const profile = config.profile || this.profiles.active;
+            config = { ...config, ...(profile ? this.profiles.get(profile) : {}), profile: profile || 'default' };
+        }
         this.config = config;
+        this.clock = deps.clock || Date.now;
+        this.random = deps.random || Math.random;
+        this.createProvider = deps.createProvider || createProviderPool;
+        this.createContract = deps.createContract || ((address, abi, runner) => new ethers.Contract(address, abi, runner));
+        this.notifier = deps.notifier || null;
+        this.controller = deps.controller || null;
         this.provider = null;
         this.wallet = null;
         this.contract = null;
         this.telegram = null;
         this.telegramController = null;
+        this.roundFetcher = null;
+        this.claimQueue = null;
+        this.roundTracker = null;
+        this.txManager = null;
+        this.wakeLoop = null;
+        this.archivedEpoch = null;
         this.isRunning = false;
         this.waitingForResults = false;
         this.lastBetEpoch = null;
+        this.skippedEpoch = null;
+        this.strategy = createStrategy(config.betDirection, config.directionParams);
+        this.sizer = createSizer(config.betSizing, config.sizingParams);
+        this.stateStore = config.stateFile ? new StateStore(config.stateFile) : null;
+        this.tradeJournal = config.tradeJournal ? new TradeJournal(config.tradeJournal, { clock: this.clock }) : null;
+        this.riskLimits = new RiskLimits({
+            dailyLossLimit: config.dailyLossLimit,
+            dailyProfitTarget: config.dailyProfitTarget,
+            maxDrawdownPercent: config.maxDrawdownPercent,
+            maxBetsPerHour: config.maxBetsPerHour,
+            streakCooldownMinutes: config.streakCooldownMinutes,
+            resetHours: config.riskResetHours,
+            resetHourUtc: config.riskResetHourUtc,
+            clock: this.clock
+        });
+        this.predictions = new PredictionTracker({
+            mode: config.predictionThresholdMode,
+            threshold: parseFloat(config.predictionThreshold),
+            volatilityRounds: config.predictionVolatilityRounds,
+            autoTune: config.predictionAutoTune,
+            targetAccuracy: config.predictionTargetAccuracy,
+            minSamples: config.predictionMinSamples,
+            minThreshold: config.predictionMinThreshold,
+            maxThreshold: config.predictionMaxThreshold
+        });
+        this.closedMoves = new Map(); // epoch → lock→close move in USD (null without prices), for volatility mode
+        this.reportScheduler = new ReportScheduler({
+            periods: config.reports,
+            hourUtc: config.reportHourUtc,
+            weekday: config.reportWeekday,
+            clock: this.clock,
+            onReport: (period, from, to) => this.sendReport(period, from, to)
+        });
+        this.liveSettings = new LiveSettings({
+            read: () => this.currentSettings(),
+            write: (changes) => this.writeSettings(changes),
+            check: (settings, changes) => this.checkSettings(settings, changes)
+        });
         
         this.state = {
             consecutiveLosses: 0,
@@ -37,13 +138,16 @@ class PancakePredictionBot {
             totalWagered: 0,
             totalWon: 0,
             balance: '0',
-            totalLost: 0
+            totalLost: 0,
+            totalFees: 0             // Gas spent on bets and claims
         };
         
         // Early prediction tracking
         this.earlyPrediction = {
             realLosses: 0,           // Confirmed losses from closed rounds
             assumedLosses: 0,        // Predicted losses not yet confirmed
+            realLossCount: 0,        // Number of bets behind realLosses
+            assumedLossCount: 0,     // Number of bets behind assumedLosses
             lastAssumedOutcome: null, // 'win' or 'loss'
             lastAssumedBet: 0,       // The bet amount we assumed would win/lose
             lastPredictionEpoch: null, // Which epoch we made the last prediction for
@@ -54,31 +158,251 @@ class PancakePredictionBot {
         };
     }
 
+    // Plain-JSON copy of everything needed to resume a streak after a restart
+    snapshotState() {
+        return {
+            version: 1,
+            paper: this.config.dryRun ? this.contract.snapshot() : undefined,
+            claims: this.claimQueue ? this.claimQueue.snapshot() : [],
+            risk: this.riskLimits.snapshot(),
+            reports: this.reportScheduler.snapshot(),
+            lastBetEpoch: this.lastBetEpoch,
+            waitingForResults: this.waitingForResults,
+            state: { ...this.state },
+            earlyPrediction: {
+                ...this.earlyPrediction,
+                processedRounds: Array.from(this.earlyPrediction.processedRounds),
+                pendingWinClaims: Array.from(this.earlyPrediction.pendingWinClaims.entries())
+            }
+        };
+    }
+
+    restoreState(snapshot) {
+        if (!snapshot || snapshot.version !== 1) return false;
+
+        if (this.config.dryRun) {
+            this.contract.restore(snapshot.paper);
+        }
+        if (this.claimQueue) {
+            this.claimQueue.restore(snapshot.claims);
+        }
+        this.riskLimits.restore(snapshot.risk);
+        this.reportScheduler.restore(snapshot.reports);
+        
+        this.lastBetEpoch = snapshot.lastBetEpoch ?? null;
+        this.waitingForResults = !!snapshot.waitingForResults;
+        this.state = { ...this.state, ...snapshot.state };
+
+        const ep = snapshot.earlyPrediction || {};
+        this.earlyPrediction = {
+            ...this.earlyPrediction,
+            ...ep,
+            processedRounds: new Set(ep.processedRounds || []),
+            pendingWinClaims: new Map(ep.pendingWinClaims || [])
+        };
+        return true;
+    }
+
+    saveState() {
+        if (!this.stateStore) return;
+
+        try {
+            this.stateStore.save(this.snapshotState());
+        } catch (error) {
+            console.error('❌ Failed to save state:', error.message);
+        }
+    }
+
+    // Append to the trade journal; a full disk must not stop the bot
+    journal(entry) {
+        if (!this.tradeJournal) return;
+
+        try {
+            this.tradeJournal.append(entry);
+        } catch (error) {
+            console.error('❌ Failed to write trade journal:', error.message);
+        }
+    }
+
+    // Journal how a round we bet on closed
+    journalResult(round, ledger, pnl) {
+        const payout = ledger.amount + pnl;
+        this.journal({
+            type: 'result',
+            epoch: round.epoch,
+            lockPrice: round.lockPrice,
+            closePrice: round.closePrice,
+            totalAmount: round.totalAmount,
+            bullAmount: round.bullAmount,
+            bearAmount: round.bearAmount,
+            result: payout > 0 ? 'won' : 'lost',
+            payout,
+            pnl
+        });
+    }
+
+    // Check the reloaded epochs against the contract so a stale or foreign
+    // state file can't make us chase a bet that never landed
+    async reconcileState() {
+        const currentEpoch = Number(await this.contract.currentEpoch());
+
+        if (this.lastBetEpoch && this.lastBetEpoch > currentEpoch) {
+            console.log(`⚠️ Saved round ${this.lastBetEpoch} is ahead of chain (${currentEpoch}) - discarding saved epochs`);
+            this.lastBetEpoch = null;
+            this.waitingForResults = false;
+            this.earlyPrediction.lastPredictionEpoch = null;
+            this.earlyPrediction.lastAssumedOutcome = null;
+            this.earlyPrediction.pendingWinClaims.clear();
+            this.earlyPrediction.processedRounds.clear();
+            this.saveState();
+            return;
+        }
+
+        if (this.lastBetEpoch) {
+            const ledger = await this.contract.ledger(this.lastBetEpoch, this.wallet.address);
+            if (ledger[1] === 0n) {
+                console.log(`⚠️ No bet found on-chain for saved round ${this.lastBetEpoch} - not waiting on it`);
+                this.waitingForResults = false;
+                this.earlyPrediction.processedRounds.add(this.lastBetEpoch); // Nothing to settle
+                if (this.earlyPrediction.lastPredictionEpoch === this.lastBetEpoch) {
+                    this.earlyPrediction.lastPredictionEpoch = null;
+                    this.earlyPrediction.lastAssumedOutcome = null;
+                }
+            } else {
+                const betAmount = ethers.formatEther(ledger[1]);
+                console.log(`🔁 Resuming after round ${this.lastBetEpoch} (${betAmount} BNB on-chain)`);
+            }
+        }
+
+        for (const roundEpoch of Array.from(this.earlyPrediction.pendingWinClaims.keys())) {
+            const ledger = await this.contract.ledger(roundEpoch, this.wallet.address);
+            if (ledger[1] === 0n || ledger[2]) {
+                console.log(`🧹 Dropping pending claim for round ${roundEpoch} (${ledger[2] ? 'already claimed' : 'no bet on-chain'})`);
+                this.earlyPrediction.pendingWinClaims.delete(roundEpoch);
+            }
+        }
+
+        // Saved rounds may have closed or been cancelled while we were down
+        const ep = this.earlyPrediction;
+        const saved = new Set([this.lastBetEpoch, ep.lastPredictionEpoch, ...ep.pendingWinClaims.keys()]);
+        for (const roundEpoch of saved) {
+            if (!roundEpoch || ep.processedRounds.has(roundEpoch)) continue;
+
+            const round = parseRound(await this.readRound(roundEpoch));
+            if (round.oracleCalled) {
+                // Closed - start() settles the last bet before betting again
+                if (roundEpoch === this.lastBetEpoch && !ep.skipNextRound) {
+                    console.log(`🔁 Round ${roundEpoch} closed while we were down - settling it on start`);
+                    this.waitingForResults = true;
+                }
+            } else if (currentEpoch > roundEpoch + 1) {
+                // The round after it has started, so it was never going to close
+                this.clearCancelledRound(roundEpoch, parseLedger(await this.contract.ledger(roundEpoch, this.wallet.address)));
+            }
+        }
+
+        this.saveState();
+    }
+
+    // A cancelled round is refunded - neither a win nor a loss
+    clearCancelledRound(roundEpoch, ledger) {
+        const ep = this.earlyPrediction;
+        console.log(`🧹 Round ${roundEpoch} was cancelled${ledger.amount > 0 && !ledger.claimed ? ' - claiming the refund' : ''}`);
+
+        if (ledger.amount > 0 && !ledger.claimed) {
+            this.claimQueue.add(roundEpoch);
+        }
+        ep.processedRounds.add(roundEpoch);
+        ep.pendingWinClaims.delete(roundEpoch);
+
+        if (ep.lastPredictionEpoch === roundEpoch) {
+            // An assumed loss counted the stake that is coming back
+            if (ep.lastAssumedOutcome === 'loss') {
+                ep.assumedLosses = Math.max(0, ep.assumedLosses - ledger.amount);
+                ep.assumedLossCount = Math.max(0, ep.assumedLossCount - 1);
+            }
+            ep.lastPredictionEpoch = null;
+            ep.lastAssumedOutcome = null;
+        }
+        if (roundEpoch === this.lastBetEpoch) {
+            this.waitingForResults = false;
+        }
+    }
+
+    nowSeconds() {
+        return Math.floor(this.clock() / 1000);
+    }
+
+    // Wallet balance in wei - the virtual balance when paper trading
+    async getBalance() {
+        if (this.config.dryRun) {
+            return this.contract.getBalance();
+        }
+        return this.provider.getBalance(this.wallet.address);
+    }
+
+    // currentEpoch() and rounds() drive every bet, so these can be quorum reads
+    async readCurrentEpoch() {
+        if (this.provider.quorum <= 1) {
+            return this.contract.currentEpoch();
+        }
+        return this.provider.quorumCall((provider, blockTag) =>
+            this.createContract(this.config.predictionContract, PREDICTION_ABI, provider).currentEpoch({ blockTag })
+        );
+    }
+
+    async readRound(epoch) {
+        if (this.provider.quorum <= 1) {
+            return this.contract.rounds(epoch);
+        }
+        return this.provider.quorumCall((provider, blockTag) =>
+            this.createContract(this.config.predictionContract, PREDICTION_ABI, provider).rounds(epoch, { blockTag })
+        );
+    }
+
+    // Current epoch from round events, or from the contract while the event feed is down
+    async getCurrentEpoch() {
+        if (this.roundTracker.isLive) {
+            return this.roundTracker.currentEpoch;
+        }
+        const epoch = Number(await this.readCurrentEpoch());
+        await this.roundTracker.sync(epoch);
+        return epoch;
+    }
+
+    onRoundEvent(name, epoch, args) {
+        console.log(`📡 ${name} #${epoch}`);
+
+        // Claimed by us or by hand elsewhere - either way nothing left to queue
+        if (name === 'Claim' && this.claimQueue.remove(epoch)) {
+            console.log(`🧾 Round ${epoch} claim seen on-chain (${ethers.formatEther(args.amount)} BNB)`);
+        }
+
+        // Let the main loop react now instead of at its next tick
+        if (this.wakeLoop) {
+            this.wakeLoop();
+        }
+    }
+
+    onRpcFailover(to, from, reason) {
+        if (this.telegram) {
+            this.telegram.sendMessage(
+                `🔀 <b>RPC Failover</b>\n\n` +
+                `From: ${from.name}\n` +
+                `To: ${to.name}\n` +
+                `Reason: ${reason}`
+            );
+        }
+    }
+
     async getCurrentBNBPrice() {
         try {
             console.log(`📡 Getting current BNB price from Chainlink oracle...`);
             
-            // Chainlink BNB/USD Price Feed on BSC
-            // Address: 0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE
-            const chainlinkABI = [
-                {
-                    "inputs": [],
-                    "name": "latestRoundData",
-                    "outputs": [
-                        { "name": "roundId", "type": "uint80" },
-                        { "name": "answer", "type": "int256" },
-                        { "name": "startedAt", "type": "uint256" },
-                        { "name": "updatedAt", "type": "uint256" },
-                        { "name": "answeredInRound", "type": "uint80" }
-                    ],
-                    "stateMutability": "view",
-                    "type": "function"
-                }
-            ];
-            
-            const priceFeed = new ethers.Contract(
-                '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE',
-                chainlinkABI,
+            // Chainlink BNB/USD Price Feed on BSC (config.oracleAddress)
+            const priceFeed = this.createContract(
+                this.config.oracleAddress,
+                AGGREGATOR_ABI,
                 this.provider
             );
             
@@ -97,37 +421,416 @@ class PancakePredictionBot {
         console.log('🚀 Initializing bot...');
 
         // Setup Web3
-        this.provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
-        this.wallet = new ethers.Wallet(this.config.privateKey, this.provider);
-        this.contract = new ethers.Contract(PREDICTION_CONTRACT, PREDICTION_ABI, this.wallet);
+        this.provider = await this.createProvider(this.config, (to, from, reason) => this.onRpcFailover(to, from, reason));
+
+        this.wallet = this.config.privateKey
+            ? new ethers.Wallet(this.config.privateKey, this.provider)
+            : ethers.Wallet.createRandom().connect(this.provider);
+        this.contract = this.createContract(this.config.predictionContract, PREDICTION_ABI, this.wallet);
+        
+        // Early prediction's price: every configured source, cross-checked
+        this.priceFeed = new PriceFeed(createPriceSources(this.config.priceSources, {
+            createContract: (address, abi) => this.createContract(address, abi, this.provider),
+            contract: this.contract,
+            oracleAddress: this.config.oracleAddress,
+            twapPool: this.config.twapPool,
+            twapSeconds: this.config.twapSeconds
+        }), {
+            maxAgeSeconds: this.config.priceMaxAgeSeconds,
+            maxDivergencePercent: this.config.priceMaxDivergencePercent,
+            clock: this.clock
+        });
+        
+        // Paper trading: same reads, virtual bets and balance
+        if (this.config.dryRun) {
+            this.contract = new PaperContract(this.contract, ethers.parseEther(this.config.paperBalance), this.clock);
+            console.log(`🧪 DRY RUN - bets are simulated with a virtual balance, no transactions are sent`);
+        } else {
+            this.txManager = new TransactionManager(this.wallet, {
+                clock: this.clock,
+                maxGasPriceGwei: this.config.maxGasPriceGwei,
+                gasPercentile: this.config.gasPercentile,
+                speedUpAfterSeconds: this.config.txSpeedUpSeconds,
+                maxSpeedUps: this.config.txMaxSpeedUps
+            });
+        }
+
+        this.claimQueue = new ClaimQueue(this.contract, this.wallet.address, {
+            batchSize: this.config.claimBatchSize,
+            intervalMs: this.config.claimIntervalMinutes * 60 * 1000,
+            maxRetries: this.config.claimMaxRetries,
+            onClaimed: (epochs, receipt) => this.onWinningsClaimed(epochs, receipt),
+            onFailed: (epoch, reason) => this.onClaimFailed(epoch, reason),
+            sendClaim: (epochs) => this.sendClaim(epochs)
+        });
+
+        // Restore the streak from the last run
+        const restored = this.stateStore && this.restoreState(this.stateStore.load());
         
-        const balance = await this.provider.getBalance(this.wallet.address);
+        const balance = await this.getBalance();
         this.state.balance = ethers.formatEther(balance);
 
+        if (this.config.roundArchive) {
+            const archive = new RoundArchive(this.config.roundArchive);
+            this.roundFetcher = new RoundFetcher(this.contract, archive);
+            console.log(`📚 Archiving rounds to ${archive.filePath} (${archive.size} so far)`);
+        }
+
+        // Prediction accuracy (and a tuned threshold) carries over from the journal
+        if (this.tradeJournal) {
+            const tuned = this.predictions.load(this.tradeJournal.entries());
+            if (tuned) {
+                console.log(`🎛️ Prediction threshold auto-tuned from the journal: ${tuned.from} → ${tuned.to}`);
+            }
+            if (this.predictions.records.size > 0) {
+                console.log(`🔮 ${this.predictions.records.size} early predictions on record - threshold ${this.predictions.describeThreshold()}`);
+            }
+        }
+
         console.log(`💰 Wallet: ${this.wallet.address}`);
-        console.log(`💵 Balance: ${this.state.balance} BNB`);
+        console.log(`💵 Balance: ${this.state.balance} BNB${this.config.dryRun ? ' (simulated)' : ''}`);
 
-        // Setup Telegram
-        if (this.config.telegramBotToken && this.config.telegramChatId) {
-            this.telegram = new TelegramNotifier(
-                this.config.telegramBotToken,
-                this.config.telegramChatId
-            );
-            
-            this.telegramController = new TelegramController(
-                this.config.telegramBotToken,
-                [this.config.telegramChatId]
+        if (restored) {
+            console.log(
+                `💾 Restored state from ${this.stateStore.filePath} - ` +
+                `loss streak ${this.state.consecutiveLosses}, next bet ${this.state.currentBet} BNB`
             );
-            
+            await this.reconcileState();
+        }
+
+        // Pick up wins a previous session never claimed
+        await this.scanUnclaimed();
+        this.claimQueue.start();
+
+        // Round events drive the main loop; contract polling covers any gaps
+        this.roundTracker = new RoundTracker(this.contract, {
+            address: this.config.predictionContract,
+            provider: this.config.roundEvents ? this.provider : null,
+            wsUrl: this.config.roundEvents ? this.config.rpcWsUrl : null,
+            chainId: this.config.chainId,
+            account: this.wallet.address,
+            clock: this.clock,
+            onEvent: (name, epoch, args) => this.onRoundEvent(name, epoch, args)
+        });
+        await this.roundTracker.start();
+        console.log(`📡 Round events: ${this.roundTracker.mode}`);
+
+        // Setup Telegram
+        const telegramConfigured = this.config.telegramBotToken && this.config.telegramChatId;
+        this.telegram = this.notifier || (telegramConfigured
+            ? new TelegramNotifier(this.config.telegramBotToken, this.config.telegramChatId)
+            : null);
+        this.telegramController = this.controller || (telegramConfigured
+            ? new TelegramController(this.config.telegramBotToken, new AccessControl({
+                users: this.config.telegramUsers,
+                chatIds: this.config.telegramCommandChats,
+                auditLog: this.config.auditLog ? new AuditLog(this.config.auditLog, { clock: this.clock }) : null
+            }), { clock: this.clock })
+            : null);
+
+        if (this.telegram && this.config.dryRun) {
+            this.telegram.setLabel('🧪 <b>[SIMULATED]</b>');
+        }
+
+        if (telegramConfigured && Object.keys(this.config.telegramUsers).length === 0) {
+            console.log(`⚠️ TELEGRAM_CHAT_ID ${this.config.telegramChatId} is not a private chat and TELEGRAM_USERS is not set - every Telegram command will be refused`);
+        }
+
+        if (this.telegramController) {
             this.setupTelegramCommands();
             this.telegramController.start();
-            
+        }
+
+        if (this.telegram) {
             console.log('📱 Telegram notifications enabled');
         }
+
+        // Reports are built from the journal and only go out over Telegram
+        if (this.telegram && this.tradeJournal && this.reportScheduler.periods.length > 0) {
+            this.reportScheduler.start();
+            console.log(`📅 Reports: ${this.reportScheduler.periods.join(', ')}`);
+        }
+    }
+
+    // Biggest bet and total stake of a full losing streak
+    ladderRisk(sizer = this.sizer, base = this.config.baseBetAmount, maxDoubleDowns = this.config.maxDoubleDowns) {
+        const bets = ladder(sizer, parseFloat(base), maxDoubleDowns, this.sizingContext());
+        return { bets, maxBet: bets[bets.length - 1], maxRisk: bets.reduce((sum, bet) => sum + bet, 0) };
+    }
+
+    // A change Telegram asks to confirm, showing rows of [label, before, after]
+    confirmChange(title, rows, apply) {
+        return {
+            confirm: `❓ <b>${title}</b>\n\n` +
+                     rows.map(([label, before, after]) => `${label}: ${before} → ${after}`).join('\n'),
+            apply
+        };
+    }
+
+    currentSettings() {
+        return {
+            baseBetAmount: this.config.baseBetAmount,
+            maxDoubleDowns: this.config.maxDoubleDowns,
+            strategy: this.strategy,
+            sizer: this.sizer,
+            earlyPrediction: this.config.earlyPrediction,
+            // As set, not as auto-tune has moved it - that stays with the tracker
+            // and out of confirmations and profiles
+            predictionThreshold: parseFloat(this.config.predictionThreshold),
+            maxEarlyPredictionBet: this.config.maxEarlyPredictionBet,
+            predictionThresholdMode: this.predictions.mode,
+            ...Object.fromEntries(RISK_SETTINGS.map(key => [key, this.riskLimits[key]])),
+            profile: this.config.profile
+        };
+    }
+
+    // Live settings as the config holds them
+    settingsConfig(settings) {
+        const config = {};
+        for (const [key, value] of Object.entries(settings)) {
+            switch (key) {
+                case 'strategy':
+                    config.betDirection = value.name;
+                    config.directionParams = value.params;
+                    break;
+                case 'sizer':
+                    config.betSizing = value.name;
+                    config.sizingParams = value.params;
+                    break;
+                case 'predictionThreshold':
+                    config.predictionThreshold = String(value);
+                    break;
+                default:
+                    config[key] = value;
+            }
+        }
+        return config;
+    }
+
+    writeSettings(changes) {
+        Object.assign(this.config, this.settingsConfig(changes));
+        for (const [key, value] of Object.entries(changes)) {
+            switch (key) {
+                case 'strategy':
+                    this.strategy = value;
+                    break;
+                case 'sizer':
+                    this.sizer = value;
+                    break;
+                case 'predictionThreshold':
+                    // Auto-tune, if on, moves on from here at the next closed round
+                    this.predictions.threshold = value;
+                    break;
+                case 'predictionThresholdMode':
+                    this.predictions.mode = value;
+                    break;
+                default:
+                    if (RISK_SETTINGS.includes(key)) {
+                        this.riskLimits[key] = value;
+                    }
+            }
+        }
+        
+        // A new base bet waits for the current streak to end
+        const inStreak = this.state.consecutiveLosses > 0 ||
+                         this.earlyPrediction.realLossCount + this.earlyPrediction.assumedLossCount > 0;
+        if ('baseBetAmount' in changes && !inStreak) {
+            this.state.currentBet = changes.baseBetAmount;
+        }
+        this.saveState();
+        this.saveProfile();
+    }
+
+    // Write settings changed since startup or the last profile switch back to
+    // the active profile so they survive a restart. Settings still as the
+    // profile or, where it leaves them out, the environment has them stay out
+    saveProfile() {
+        if (!this.profiles) return;
+        
+        const name = this.config.profile;
+        const current = this.currentSettings();
+        const changed = Object.keys(this.profileChanges(name, current)).filter(key => key !== 'profile');
+        if (changed.length === 0 && (!this.profiles.has(name) || this.profiles.active === name)) return;
+        
+        const stored = this.profiles.has(name) ? this.profiles.get(name) : {};
+        const settings = Object.fromEntries(changed.map(key => [key, current[key]]));
+        try {
+            this.profiles.save(name, { ...stored, ...profileSettings(this.settingsConfig(settings)) });
+        } catch (error) {
+            console.error(`⚠️ Could not save profile ${name}: ${error.message}`);
+        }
+    }
+
+    // Live settings changes that switch to a stored profile: the ones where
+    // it differs from `current`, plus the profile itself. Settings it leaves
+    // out go back to the environment's, as do all of them for a profile not
+    // stored yet
+    profileChanges(name, current = this.liveSettings.preview()) {
+        const profile = { ...profileSettings(this.envConfig), ...(this.profiles.has(name) ? this.profiles.get(name) : {}) };
+        const target = {
+            baseBetAmount: profile.baseBetAmount,
+            maxDoubleDowns: profile.maxDoubleDowns,
+            strategy: createStrategy(profile.betDirection, profile.directionParams),
+            sizer: createSizer(profile.betSizing, profile.sizingParams),
+            earlyPrediction: profile.earlyPrediction,
+            predictionThresholdMode: profile.predictionThresholdMode,
+            predictionThreshold: parseFloat(profile.predictionThreshold),
+            maxEarlyPredictionBet: profile.maxEarlyPredictionBet,
+            ...Object.fromEntries(RISK_SETTINGS.map(key => [key, profile[key]]))
+        };
+        
+        const changes = { profile: name };
+        for (const [key, value] of Object.entries(target)) {
+            if (this.describeSetting(key, value) !== this.describeSetting(key, current[key])) {
+                changes[key] = value;
+            }
+        }
+        return changes;
+    }
+
+    // Why `settings` would be unsafe to bet with, or null. Only checked when
+    // `changes` move the stakes, so an unrelated change always goes through
+    checkSettings(settings, changes) {
+        if (!STAKE_SETTINGS.some(key => key in changes)) return null;
+        
+        const { bets, maxBet, maxRisk } = this.ladderRisk(settings.sizer, settings.baseBetAmount, settings.maxDoubleDowns);
+        const bad = bets.find(bet => !Number.isFinite(bet) || bet <= 0);
+        if (bad !== undefined) {
+            return `${formatSizer(settings.sizer)} gives a bet of ${bad} BNB in a losing streak`;
+        }
+        
+        const maxEarlyBet = parseFloat(settings.maxEarlyPredictionBet);
+        if (settings.earlyPrediction && maxBet > maxEarlyBet) {
+            return `Max bet ${maxBet.toFixed(6)} BNB is over the ${maxEarlyBet} BNB max early prediction bet`;
+        }
+        
+        const balance = parseFloat(this.state.balance);
+        if (maxRisk > balance) {
+            return `A full losing streak stakes ${maxRisk.toFixed(6)} BNB, more than the ${balance} BNB balance`;
+        }
+        
+        return null;
+    }
+
+    describeSetting(key, value) {
+        switch (key) {
+            case 'baseBetAmount':
+            case 'maxEarlyPredictionBet':
+                return `${value} BNB`;
+            case 'strategy':
+                return formatStrategy(value);
+            case 'sizer':
+                return formatSizer(value);
+            case 'earlyPrediction':
+                return value ? 'ON' : 'OFF';
+            case 'predictionThreshold':
+                return this.predictions.describeThreshold(value);
+            case 'dailyLossLimit':
+            case 'dailyProfitTarget':
+                return value > 0 ? `${value} BNB` : 'off';
+            case 'maxDrawdownPercent':
+                return value > 0 ? `${value}%` : 'off';
+            case 'maxBetsPerHour':
+                return value > 0 ? String(value) : 'off';
+            case 'streakCooldownMinutes':
+                return value > 0 ? `${value} min` : 'off';
+            default:
+                return String(value);
+        }
+    }
+
+    // No bet of ours is waiting on a result, so settings can change without
+    // a round being settled under different ones than it was bet with. Early
+    // prediction bets again before the last round settles, so its streak
+    // counts too
+    atRoundBoundary() {
+        const ep = this.earlyPrediction;
+        return !this.waitingForResults &&
+               !ep.skipNextRound &&
+               ep.pendingWinClaims.size === 0 &&
+               (!this.lastBetEpoch || ep.processedRounds.has(this.lastBetEpoch)) &&
+               ep.realLossCount + ep.assumedLossCount === 0;
+    }
+
+    // Ask to confirm settings changes, showing each one and what it does to
+    // the stakes. Confirmed changes are queued for the next round boundary
+    confirmSettings(title, changes) {
+        const problem = this.liveSettings.problem(changes);
+        if (problem) {
+            return `❌ ${problem}`;
+        }
+        
+        const before = this.liveSettings.preview();
+        const after = this.liveSettings.preview(changes);
+        const rows = Object.keys(changes).map(key => [
+            SETTING_LABELS[key],
+            this.describeSetting(key, before[key]),
+            this.describeSetting(key, after[key])
+        ]);
+        
+        if (LADDER_SETTINGS.some(key => key in changes)) {
+            const from = this.ladderRisk(before.sizer, before.baseBetAmount, before.maxDoubleDowns);
+            const to = this.ladderRisk(after.sizer, after.baseBetAmount, after.maxDoubleDowns);
+            rows.push(
+                ['Max bet', `${from.maxBet.toFixed(6)} BNB`, `${to.maxBet.toFixed(6)} BNB`],
+                ['Max risk', `${from.maxRisk.toFixed(6)} BNB`, `${to.maxRisk.toFixed(6)} BNB`]
+            );
+        }
+        
+        return this.confirmChange(title, rows, () => this.changeSettings(changes));
+    }
+
+    // Queue changes; a stopped bot with nothing in flight takes them at once,
+    // a running one at the next round boundary of its loop
+    changeSettings(changes) {
+        const problem = this.liveSettings.queue(changes);
+        if (problem) {
+            return `❌ ${problem}`;
+        }
+        
+        const lines = Object.entries(changes).map(([key, value]) => `${SETTING_LABELS[key]}: ${this.describeSetting(key, value)}`);
+        
+        if (!this.isRunning && this.atRoundBoundary()) {
+            const { applied, problem: late } = this.liveSettings.apply();
+            return applied
+                ? `✅ <b>Settings updated!</b>\n\n${lines.join('\n')}`
+                : `❌ ${late}`;
+        }
+        
+        return `⏳ <b>Change queued</b>\n\n${lines.join('\n')}\n\n` +
+               `Applies once no bet is awaiting settlement. See /settings.`;
+    }
+
+    // Called from the loop between rounds
+    async applyPendingSettings() {
+        if (this.liveSettings.size === 0 || !this.atRoundBoundary()) return;
+        
+        const { changes, applied, problem } = this.liveSettings.apply();
+        const lines = changes.map(({ key, from, to }) =>
+            `${SETTING_LABELS[key]}: ${this.describeSetting(key, from)} → ${this.describeSetting(key, to)}`
+        ).join('\n');
+        
+        if (applied) {
+            console.log(`⚙️ Settings applied:\n${lines}`);
+        } else {
+            console.log(`⚠️ Queued settings dropped: ${problem}`);
+        }
+        
+        if (this.telegram) {
+            await this.telegram.sendMessage(applied
+                ? `⚙️ <b>Settings Applied</b>\n\n${lines}`
+                : `⚠️ <b>Settings Not Applied</b>\n\n${lines}\n\nReason: ${problem}`
+            );
+        }
     }
 
     setupTelegramCommands() {
-        this.telegramController.onStart(async () => {
+        this.telegramController.command({
+            name: 'start',
+            group: 'Control',
+            role: 'operator',
+            help: 'Start trading bot'
+        }, async () => {
             if (this.isRunning) {
                 return '⚠️ Bot is already running!';
             }
@@ -135,7 +838,12 @@ class PancakePredictionBot {
             return '🤖 Bot started!';
         });
 
-        this.telegramController.onStop(async () => {
+        this.telegramController.command({
+            name: 'stop',
+            group: 'Control',
+            role: 'operator',
+            help: 'Stop trading bot'
+        }, async () => {
             if (!this.isRunning) {
                 return '⚠️ Bot is not running!';
             }
@@ -143,201 +851,755 @@ class PancakePredictionBot {
             return '🛑 Bot stopped!';
         });
 
-        this.telegramController.onStatus(async () => {
+        this.telegramController.command({
+            name: 'status',
+            group: 'Info',
+            role: 'viewer',
+            help: 'Check bot status'
+        }, async () => {
             const status = this.isRunning ? '🟢 RUNNING' : '🔴 STOPPED';
             const waiting = this.waitingForResults ? '⏳ Waiting for results...' : '✅ Ready to bet';
             const maxLosses = this.config.maxDoubleDowns + 1; // Base bet + doubles
             
             return `<b>BOT STATUS</b>\n\n` +
+                   (this.config.dryRun ? `🧪 Mode: DRY RUN (simulated bets)\n` : '') +
                    `Status: ${status}\n` +
                    `State: ${waiting}\n` +
+                   (this.riskLimits.paused ? `⏸️ Paused until ${formatTime(this.riskLimits.pausedUntil)}: ${this.riskLimits.pauseReason}\n` : '') +
                    `Balance: ${this.state.balance} BNB\n` +
                    `Next Bet: ${this.state.currentBet} BNB\n` +
-                   `Loss Streak: ${this.state.consecutiveLosses}/${maxLosses}`;
+                   `Loss Streak: ${this.state.consecutiveLosses}/${maxLosses}\n` +
+                   `Pending Claims: ${this.claimQueue.size}\n` +
+                   `Round Feed: ${this.roundTracker.isLive ? '🟢' : '🟡 polling'} ${this.roundTracker.mode}\n\n` +
+                   `<b>RPC Endpoints</b>\n` +
+                   this.provider.status().map(endpoint =>
+                       `${endpoint.active ? '▶️' : '  '} ${endpoint.healthy ? '🟢' : '🔴'} ${endpoint.name} - ` +
+                       `block ${endpoint.blockNumber ?? '?'}, ` +
+                       `${endpoint.latencyMs ?? '?'}ms, ` +
+                       `${(endpoint.errorRate * 100).toFixed(0)}% errors`
+                   ).join('\n');
         });
 
-        this.telegramController.onBalance(async () => {
-            const balance = await this.provider.getBalance(this.wallet.address);
+        this.telegramController.command({
+            name: 'balance',
+            group: 'Info',
+            role: 'viewer',
+            help: 'Check wallet balance'
+        }, async () => {
+            const balance = await this.getBalance();
             this.state.balance = ethers.formatEther(balance);
             
             return `<b>WALLET BALANCE</b>\n\n` +
-                   `💰 ${this.state.balance} BNB`;
+                   `💰 ${this.state.balance} BNB` +
+                   (this.config.dryRun ? ` (simulated)` : '');
+        });
+
+        this.telegramController.command({
+            name: 'stats',
+            group: 'Info',
+            role: 'viewer',
+            help: 'View trading statistics'
+        }, async () => {
+            await this.telegram.notifyStats(this.state);
+            return '📊 Stats sent!';
+        });
+
+        this.telegramController.command({
+            name: 'reset',
+            group: 'Control',
+            role: 'operator',
+            help: 'Reset bet sequence to base'
+        }, async () => {
+            return this.confirmChange('Reset bet sequence?', [
+                ['Next bet', `${this.state.currentBet} BNB`, `${this.config.baseBetAmount} BNB`],
+                ['Loss streak', this.state.consecutiveLosses, 0],
+                ['Total lost', `${this.state.totalLost.toFixed(6)} BNB`, '0 BNB']
+            ], () => {
+                this.reset();
+                return '✅ Sequence reset! Next /start will use base bet.';
+            });
+        });
+
+        this.telegramController.command({
+            name: 'continue',
+            group: 'Control',
+            role: 'operator',
+            help: 'Continue current streak'
+        }, async () => {
+            if (this.state.consecutiveLosses > 0) {
+                return `✅ <b>Continuing Current Streak</b>\n\n` +
+                       `Next bet: ${this.state.currentBet} BNB\n` +
+                       `Loss streak: ${this.state.consecutiveLosses}\n` +
+                       `Total lost: ${this.state.totalLost.toFixed(6)} BNB`;
+            } else {
+                return '✅ No active streak. Next /start will use base bet.';
+            }
+        });
+
+        this.telegramController.command({
+            name: 'settings',
+            group: 'Settings',
+            role: 'viewer',
+            help: 'View current settings'
+        }, async () => {
+            let msg = `⚙️ <b>Current Settings</b>\n\n` +
+                   (this.profiles ? `📁 Profile: ${this.config.profile}\n` : '') +
+                   `💰 Base Bet: ${this.config.baseBetAmount} BNB\n` +
+                   `🎯 Max Double-Downs: ${this.config.maxDoubleDowns}\n` +
+                   `📊 Direction: ${formatStrategy(this.strategy)}\n` +
+                   `💸 Bet Sizing: ${formatSizer(this.sizer)}\n` +
+                   `🔮 Early Prediction: ${this.config.earlyPrediction ? 'ON' : 'OFF'}\n`;
+            
+            if (this.config.earlyPrediction) {
+                const set = parseFloat(this.config.predictionThreshold);
+                msg += `📈 Prediction Threshold: ${this.predictions.describeThreshold()}` +
+                       `${this.predictions.threshold !== set ? ` (set to ${Number(set.toFixed(4))})` : ''}\n` +
+                       `🛑 Max Early Prediction Bet: ${this.config.maxEarlyPredictionBet} BNB\n`;
+            }
+            
+            const filters = describeFilters(this.poolFilters());
+            if (filters.length > 0) {
+                msg += `\n🎱 <b>Pool Filters</b>\n${filters.join('\n')}\n`;
+            }
+            
+            const risk = this.riskLimits.describe();
+            if (risk.length > 0) {
+                msg += `\n🛡️ <b>Risk Limits</b>\n${risk.join('\n')}\n`;
+            }
+            
+            if (this.liveSettings.size > 0) {
+                msg += `\n⏳ <b>Pending</b> (applied once no bet is awaiting settlement)\n` +
+                       this.liveSettings.entries().map(([key, value]) => `${SETTING_LABELS[key]}: ${this.describeSetting(key, value)}`).join('\n') + '\n';
+            }
+            
+            msg += `\nUse /setbet, /setmax, etc. to change settings.`;
+            return msg;
         });
 
-        this.telegramController.onStats(async () => {
-            await this.telegram.notifyStats(this.state);
-            return '📊 Stats sent!';
+        this.telegramController.command({
+            name: 'accuracy',
+            group: 'Info',
+            role: 'viewer',
+            help: 'Early prediction accuracy'
+        }, async () => {
+            const accuracy = this.predictions.accuracy();
+            if (accuracy.predictions === 0) {
+                return '🔮 No early predictions checked yet.';
+            }
+            
+            const percent = (part, total) => total > 0 ? `${((part / total) * 100).toFixed(1)}%` : '-';
+            const rows = buckets => buckets
+                .filter(bucket => bucket.total > 0)
+                .map(bucket => `${bucket.label}: ${bucket.held}/${bucket.total} (${percent(bucket.held, bucket.total)})`)
+                .join('\n');
+            
+            return `🔮 <b>Early Prediction Accuracy</b>\n\n` +
+                   `Threshold: ${this.predictions.describeThreshold()}\n` +
+                   `Assumptions: ${accuracy.correct}/${accuracy.assumptions} correct (${percent(accuracy.correct, accuracy.assumptions)})\n\n` +
+                   `<b>Price side held at close, by move</b>\n${rows(accuracy.byMove)}\n\n` +
+                   `<b>By seconds to close</b>\n${rows(accuracy.bySeconds)}`;
+        });
+
+        this.telegramController.command({
+            name: 'history',
+            group: 'Info',
+            role: 'viewer',
+            args: [{ name: 'count', type: 'integer', optional: true, default: 10, min: 1 }],
+            help: 'Show the last n bets (default 10)'
+        }, async ({ count }) => {
+            if (!this.tradeJournal) {
+                return '❌ Trade journal is off (set TRADE_JOURNAL).';
+            }
+            
+            // Keep the reply well inside Telegram's message limit
+            const trades = this.tradeJournal.recent(Math.min(Math.max(count, 1), 50));
+            if (trades.length === 0) {
+                return '📒 No trades yet.';
+            }
+            
+            return `📒 <b>Last ${trades.length} Trades</b>\n\n` + trades.map(formatTrade).join('\n');
+        });
+
+        this.telegramController.command({
+            name: 'export',
+            group: 'Info',
+            role: 'viewer',
+            help: 'Download the trade journal as CSV'
+        }, async () => {
+            if (!this.tradeJournal) {
+                return '❌ Trade journal is off (set TRADE_JOURNAL).';
+            }
+            
+            const trades = this.tradeJournal.trades();
+            if (trades.length === 0) {
+                return '📒 No trades yet.';
+            }
+            
+            const date = new Date(this.clock()).toISOString().slice(0, 10);
+            return {
+                filename: `trades-${date}.csv`,
+                content: toCsv(trades),
+                caption: `📒 ${trades.length} trades`
+            };
+        });
+
+        this.telegramController.command({
+            name: 'claim',
+            group: 'Control',
+            role: 'operator',
+            help: 'Claim queued winnings now'
+        }, async () => {
+            if (this.claimQueue.size === 0) {
+                return '✅ Nothing to claim.';
+            }
+            
+            const { claimed, failed, waiting } = await this.claimQueue.flush();
+            this.saveState();
+            
+            return `💸 <b>Claim Results</b>\n\n` +
+                   `✅ Claimed: ${claimed.length > 0 ? claimed.join(', ') : 'none'}\n` +
+                   (waiting.length > 0 ? `⏳ Will retry: ${waiting.join(', ')}\n` : '') +
+                   (failed.length > 0 ? `❌ Gave up: ${failed.join(', ')}\n` : '');
+        });
+
+        this.telegramController.command({
+            name: 'setbet',
+            group: 'Settings',
+            role: 'admin',
+            args: [{ name: 'amount', type: 'amount' }],
+            help: 'Set base bet in BNB',
+            example: '/setbet 0.01'
+        }, async ({ amount }) => {
+            return this.confirmSettings('Change base bet?', { baseBetAmount: amount });
+        });
+
+        this.telegramController.command({
+            name: 'setmax',
+            group: 'Settings',
+            role: 'admin',
+            args: [{ name: 'count', type: 'integer', min: 1, max: 15 }],
+            help: 'Set max double-downs',
+            example: '/setmax 5'
+        }, async ({ count: maxNum }) => {
+            return this.confirmSettings('Change max double-downs?', { maxDoubleDowns: maxNum });
+        });
+
+        this.telegramController.command({
+            name: 'setdirection',
+            group: 'Settings',
+            role: 'admin',
+            args: [{ name: 'strategy', type: 'word' }, { name: 'params', type: 'text', optional: true, default: '' }],
+            help: 'Set direction strategy, params as key=value',
+            example: '/setdirection PAYOUT minRatio=1.5'
+        }, async ({ strategy: name, params }) => {
+            let strategy;
+            try {
+                strategy = createStrategy(name, parseParams(params));
+            } catch (error) {
+                return `❌ ${error.message}\n\nSee /strategies for the list.`;
+            }
+            
+            return this.confirmSettings('Change direction?', { strategy });
+        });
+
+        this.telegramController.command({
+            name: 'strategies',
+            group: 'Settings',
+            role: 'viewer',
+            help: 'List direction strategies'
+        }, async () => {
+            let msg = `🧭 <b>Direction Strategies</b>\n\n`;
+            
+            for (const { name, description, defaults } of listStrategies()) {
+                const params = Object.entries(defaults).map(([key, value]) => `${key}=${value}`).join(' ');
+                msg += `<b>${name}</b>${name === this.strategy.name ? ' ✅' : ''} - ${description}\n`;
+                if (params) {
+                    msg += `   Params: ${params}\n`;
+                }
+            }
+            
+            msg += `\nExample: /setdirection PAYOUT minRatio=1.5`;
+            return msg;
+        });
+
+        this.telegramController.command({
+            name: 'setsizing',
+            group: 'Settings',
+            role: 'admin',
+            args: [{ name: 'method', type: 'word' }, { name: 'params', type: 'text', optional: true, default: '' }],
+            help: 'Set bet sizing method, params as key=value',
+            example: '/setsizing MARTINGALE multiplier=2'
+        }, async ({ method: name, params }) => {
+            let sizer;
+            try {
+                sizer = createSizer(name, parseParams(params));
+            } catch (error) {
+                return `❌ ${error.message}\n\nSee /sizers for the list.`;
+            }
+            
+            return this.confirmSettings('Change bet sizing?', { sizer });
+        });
+
+        this.telegramController.command({
+            name: 'sizers',
+            group: 'Settings',
+            role: 'viewer',
+            help: 'List bet sizing methods'
+        }, async () => {
+            let msg = `💸 <b>Bet Sizing Methods</b>\n\n`;
+            
+            for (const { name, description, defaults } of listSizers()) {
+                const params = Object.entries(defaults).map(([key, value]) => `${key}=${value}`).join(' ');
+                msg += `<b>${name}</b>${name === this.sizer.name ? ' ✅' : ''} - ${description}\n`;
+                if (params) {
+                    msg += `   Params: ${params}\n`;
+                }
+            }
+            
+            msg += `\nExample: /setsizing MARTINGALE multiplier=2`;
+            return msg;
+        });
+
+        this.telegramController.command({
+            name: 'setprediction',
+            group: 'Settings',
+            role: 'admin',
+            args: [{ name: 'state', type: 'word', choices: ['on', 'off', 'true', 'false'] }],
+            help: 'Toggle early prediction',
+            example: '/setprediction on'
+        }, async ({ state: value }) => {
+            const enabled = value === 'on' || value === 'true';
+            return this.confirmSettings(`${enabled ? 'Enable' : 'Disable'} early prediction?`, { earlyPrediction: enabled });
+        });
+
+        this.telegramController.command({
+            name: 'setthreshold',
+            group: 'Settings',
+            role: 'admin',
+            args: [{ name: 'threshold', type: 'number', min: 0.05, max: 2.0 }],
+            help: 'Set prediction threshold',
+            example: '/setthreshold 0.30'
+        }, async ({ threshold: thresh }) => {
+            return this.confirmSettings('Change prediction threshold?', { predictionThreshold: thresh });
+        });
+        
+        this.telegramController.command({
+            name: 'setmaxepbet',
+            group: 'Settings',
+            role: 'admin',
+            args: [{ name: 'amount', type: 'amount' }],
+            help: 'Set max early prediction bet in BNB',
+            example: '/setmaxepbet 1.0'
+        }, async ({ amount }) => {
+            return this.confirmSettings('Change max early prediction bet?', { maxEarlyPredictionBet: amount });
+        });
+        
+        this.telegramController.command({
+            name: 'profile',
+            group: 'Settings',
+            role: 'admin',
+            args: [
+                { name: 'action', type: 'word', choices: ['list', 'use', 'save'] },
+                { name: 'name', type: 'word', optional: true, default: '' }
+            ],
+            help: 'List, switch to or save a settings profile',
+            example: '/profile use conservative'
+        }, async ({ action, name }) => {
+            if (!this.profiles) {
+                return '❌ Profiles are off - set CONFIG_FILE to use them.';
+            }
+            
+            if (action === 'list') {
+                const names = this.profiles.names();
+                if (names.length === 0) {
+                    return `📁 No profiles saved yet. Save the current settings with /profile save &lt;name&gt;.`;
+                }
+                return `📁 <b>Profiles</b>\n\n` +
+                       names.map(profile => profile === this.config.profile ? `✅ <b>${profile}</b>` : `▫️ ${profile}`).join('\n') +
+                       `\n\nSwitch with /profile use &lt;name&gt;`;
+            }
+            
+            if (!name) {
+                return `❌ Missing name\n\nExample: /profile ${action} aggressive`;
+            }
+            
+            if (action === 'use') {
+                if (!this.profiles.has(name)) {
+                    return `❌ Unknown profile "${name}". Available: ${this.profiles.names().join(', ') || 'none'}`;
+                }
+                return this.confirmSettings(`Switch to profile ${name}?`, this.profileChanges(name));
+            }
+            
+            // The settings as they will be once queued changes apply. Switching
+            // to the new profile queues behind them, like any other change
+            const current = this.liveSettings.preview();
+            const save = () => {
+                const settings = this.liveSettings.preview();
+                // Saving the profile in use also makes it the file's active one,
+                // which it need not be yet - the file may hold no profile at all
+                try {
+                    this.profiles.save(name, profileSettings(this.settingsConfig(settings)), { activate: name === settings.profile });
+                } catch (error) {
+                    return `❌ ${error.message}`;
+                }
+                const saved = `💾 <b>Profile saved</b>\n\n${name} now holds the current settings` +
+                              `${this.liveSettings.size > 0 ? ', queued changes included' : ''}.`;
+                return name === settings.profile ? saved : `${saved}\n\n${this.changeSettings({ profile: name })}`;
+            };
+            
+            if (!this.profiles.has(name) || name === current.profile) {
+                return save();
+            }
+            
+            // Overwriting another profile: show what it loses
+            const rows = Object.entries(this.profileChanges(name, current))
+                .filter(([key]) => key !== 'profile')
+                .map(([key, value]) => [SETTING_LABELS[key], this.describeSetting(key, value), this.describeSetting(key, current[key])]);
+            return this.confirmChange(`Overwrite profile ${name}?`, rows, save);
+        });
+    }
+
+    // Append newly closed rounds to the local archive, once per epoch
+    async archiveRounds(epoch) {
+        if (!this.roundFetcher || this.archivedEpoch === epoch) return;
+        
+        try {
+            const added = await this.roundFetcher.syncLatest(epoch);
+            this.archivedEpoch = epoch;
+            if (added > 0) {
+                console.log(`📚 Archived ${added} round(s) up to ${this.roundFetcher.archive.highestEpoch}`);
+            }
+        } catch (error) {
+            console.error('Round archive error:', error.message);
+        }
+    }
+
+    // Ask the active strategy for a side, giving it the history and price it asked for
+    async chooseDirection(epoch, round) {
+        const history = [];
+        for (let i = 1; i <= this.strategy.historySize; i++) {
+            history.push(parseRound(await this.contract.rounds(epoch - i)));
+        }
+        
+        const oraclePrice = this.strategy.needsPrice ? await this.getCurrentBNBPrice() : null;
+        
+        return this.strategy.decide({
+            round: parseRound(round),
+            history,
+            oraclePrice,
+            random: this.random
+        });
+    }
+
+    // Everything a sizer may look at besides the loss sequence
+    sizingContext() {
+        return {
+            base: this.config.baseBetAmount,
+            wins: this.state.wins,
+            losses: this.state.losses,
+            balance: parseFloat(this.state.balance)
+        };
+    }
+
+    // Book the gas a mined transaction cost
+    recordFee(receipt) {
+        const fee = receipt && receipt.fee ? parseFloat(ethers.formatEther(receipt.fee)) : 0;
+        this.state.totalFees += fee;
+        this.riskLimits.record(-fee);
+        return fee;
+    }
+
+    // Report on the trades placed between `from` and `to` (ms); a period
+    // without bets is not worth a message
+    async sendReport(period, from, to) {
+        const trades = this.tradeJournal.trades({ from, to: to - 1 });
+        if (trades.length === 0) {
+            console.log(`📅 No bets for the ${period} report`);
+            return;
+        }
+
+        const report = buildReport(trades, this.tradeJournal.claims({ from, to: to - 1 }));
+        const bnbPrice = await this.getCurrentBNBPrice();
+        await this.telegram.notifyReport(period, formatTime(from), formatTime(to), report, bnbPrice);
+    }
+
+    // Place a bet that has to be mined before the round locks. Paper bets
+    // can't get stuck, so they skip the transaction manager.
+    async sendBet(direction, epoch, value, deadline) {
+        const method = direction === 'BULL' ? 'betBull' : 'betBear';
+
+        if (this.config.dryRun) {
+            const tx = await this.contract[method](epoch, { value });
+            return { status: 'mined', hash: tx.hash, receipt: await tx.wait(), reason: null };
+        }
+
+        const request = await this.contract[method].populateTransaction(epoch, { value });
+        const result = await this.txManager.send(request, { deadline });
+        
+        // No receipt doesn't mean no bet. The round has locked by now, so
+        // the ledger says for good whether one of the sends got in
+        if (result.status === 'timeout') {
+            const ledger = parseLedger(await this.contract.ledger(epoch, this.wallet.address));
+            if (ledger.amount > 0) {
+                console.log(`⚠️ No receipt for the bet on round ${epoch}, but the ledger has it`);
+                return { ...result, status: 'mined', reason: null };
+            }
+        }
+        return result;
+    }
+
+    // Claims go through the transaction manager too, which owns the wallet's
+    // nonces, so a claim can never take the nonce of a bet being sent
+    async sendClaim(epochs) {
+        if (this.config.dryRun) {
+            return (await this.contract.claim(epochs)).wait();
+        }
+        
+        const request = await this.contract.claim.populateTransaction(epochs);
+        const result = await this.txManager.send(request);
+        if (result.status !== 'mined') {
+            throw new Error(result.reason);
+        }
+        return result.receipt;
+    }
+
+    // Book claimed winnings: the contract's share of the reward pool for our
+    // stake (rewardAmount * amount / rewardBaseCalAmount) for every epoch, or
+    // the stake itself for a refunded round
+    async onWinningsClaimed(epochs, receipt) {
+        const fee = this.recordFee(receipt);
+        this.journal({ type: 'claim', epochs, gas: fee });
+        
+        let total = 0;
+        for (const epoch of epochs) {
+            const round = parseRound(await this.contract.rounds(epoch));
+            const ledger = await this.contract.ledger(epoch, this.wallet.address);
+            const amount = parseFloat(ethers.formatEther(ledger[1]));
+            total += round.oracleCalled ? roundPayout(round, amount) : amount;
+        }
+        this.state.totalWon += total;
+        
+        const newBalance = await this.getBalance();
+        this.state.balance = ethers.formatEther(newBalance);
+        this.saveState();
+        
+        console.log(`💰 Claimed ${total.toFixed(6)} BNB from rounds ${epochs.join(', ')} (gas ${fee.toFixed(6)} BNB)`);
+        
+        if (this.telegram) {
+            await this.telegram.sendMessage(
+                `💰 <b>Winnings Claimed</b>\n\n` +
+                `Rounds: ${epochs.join(', ')}\n` +
+                `Amount: ${total.toFixed(6)} BNB\n` +
+                `Gas: ${fee.toFixed(6)} BNB`
+            );
+        }
+    }
+
+    async onClaimFailed(epoch, reason) {
+        console.error(`❌ Giving up on claiming round ${epoch}: ${reason}`);
+        
+        if (this.telegram) {
+            await this.telegram.sendMessage(
+                `🚨 <b>Claim Failed</b>\n\n` +
+                `Round: ${epoch}\n` +
+                `Reason: ${reason}\n\n` +
+                `Claim it manually or with /claim after the next startup scan.`
+            );
+        }
+    }
+
+    async scanUnclaimed() {
+        if (!this.config.claimScanRounds) return;
+        
+        const currentEpoch = Number(await this.contract.currentEpoch());
+        const found = await this.claimQueue.scan(Math.max(1, currentEpoch - this.config.claimScanRounds), currentEpoch - 1);
+        
+        if (found.length > 0) {
+            console.log(`🔎 Found ${found.length} unclaimed win(s): ${found.join(', ')}`);
+            await this.claimQueue.flush();
+            this.saveState();
+        }
+    }
+
+    // Early prediction sizes over real + assumed losses and is capped by maxEarlyPredictionBet instead
+    calculateEarlyPredictionBet(lastBet = 0) {
+        const ep = this.earlyPrediction;
+        return sizeBet(this.sizer, {
+            ...this.sizingContext(),
+            lossStreak: ep.realLossCount + ep.assumedLossCount,
+            totalLost: ep.realLosses + ep.assumedLosses,
+            lastBet
         });
+    }
 
-        this.telegramController.onReset(async () => {
-            this.reset();
-            return '✅ Sequence reset! Next /start will use base bet.';
-        });
+    // Pool limits from the config, in the shape pool-filters.js takes
+    poolFilters() {
+        return {
+            minPool: this.config.poolMinTotal,
+            minMultiplier: this.config.poolMinMultiplier,
+            maxOddsImpact: this.config.poolMaxOddsImpact,
+            switchSide: this.config.poolSwitchSide
+        };
+    }
 
-        this.telegramController.onContinue(async () => {
-            if (this.state.consecutiveLosses > 0) {
-                return `✅ <b>Continuing Current Streak</b>\n\n` +
-                       `Next bet: ${this.state.currentBet} BNB\n` +
-                       `Loss streak: ${this.state.consecutiveLosses}\n` +
-                       `Total lost: ${this.state.totalLost.toFixed(6)} BNB`;
-            } else {
-                return '✅ No active streak. Next /start will use base bet.';
-            }
-        });
+    // Last look at the pools before a bet goes out; returns the side to bet
+    // on, or null if the round is skipped
+    async filterPool(epoch, direction) {
+        const filters = this.poolFilters();
+        if (!filters.minPool && !filters.minMultiplier && !filters.maxOddsImpact) {
+            return direction;
+        }
 
-        this.telegramController.onSettings(async () => {
-            let msg = `⚙️ <b>Current Settings</b>\n\n` +
-                   `💰 Base Bet: ${this.config.baseBetAmount} BNB\n` +
-                   `🎯 Max Double-Downs: ${this.config.maxDoubleDowns}\n` +
-                   `📊 Direction: ${this.config.betDirection}\n` +
-                   `🔮 Early Prediction: ${this.config.earlyPrediction ? 'ON' : 'OFF'}\n`;
-            
-            if (this.config.earlyPrediction) {
-                msg += `📈 Prediction Threshold: $${this.config.predictionThreshold}\n` +
-                       `🛑 Max Early Prediction Bet: ${this.config.maxEarlyPredictionBet} BNB\n`;
-            }
-            
-            msg += `\nUse /setbet, /setmax, etc. to change settings.`;
-            return msg;
-        });
+        const round = parseRound(await this.readRound(epoch));
+        const verdict = checkPool(round, direction, parseFloat(this.state.currentBet), filters);
 
-        this.telegramController.onSetBet(async (amount) => {
-            const bet = parseFloat(amount);
-            if (isNaN(bet) || bet <= 0) {
-                return '❌ Invalid amount. Use: /setbet 0.01';
-            }
-            
-            if (this.isRunning) {
-                return '⚠️ Stop the bot first with /stop';
-            }
+        if (verdict.action === 'skip') {
+            console.log(`⏭️ Pool filter skipped round ${epoch}: ${verdict.reason}`);
+            this.skippedEpoch = epoch;
             
-            this.config.baseBetAmount = amount;
-            
-            // Reset if no active streak
-            if (this.state.consecutiveLosses === 0) {
-                this.state.currentBet = amount;
+            if (this.telegram) {
+                await this.telegram.sendMessage(
+                    `⏭️ <b>Round Skipped</b>\n\n` +
+                    `Round: #${epoch}\n` +
+                    `Pool: ${round.totalAmount.toFixed(4)} BNB (🐂 ${round.bullAmount.toFixed(4)} / 🐻 ${round.bearAmount.toFixed(4)})\n` +
+                    `Reason: ${verdict.reason}`
+                );
             }
-            
-            return `✅ <b>Base bet updated!</b>\n\nNew base bet: ${amount} BNB\n\n` +
-                   `${this.state.consecutiveLosses > 0 
-                       ? '⚠️ Active streak continues with current bet.\nUse /reset to apply new base bet.' 
-                       : 'Next /start will use this amount.'}`;
-        });
+            return null;
+        }
 
-        this.telegramController.onSetMax(async (max) => {
-            const maxNum = parseInt(max);
-            if (isNaN(maxNum) || maxNum < 1 || maxNum > 15) {
-                return '❌ Invalid number. Use 1-15. Example: /setmax 5';
-            }
-            
-            if (this.isRunning) {
-                return '⚠️ Stop the bot first with /stop';
-            }
+        if (verdict.action === 'switch') {
+            console.log(`🔀 Switching round ${epoch} to ${verdict.direction}: ${verdict.reason}`);
             
-            this.config.maxDoubleDowns = maxNum;
-            
-            // Calculate max bet
-            let totalLost = 0;
-            let currentBet = parseFloat(this.config.baseBetAmount);
-            for (let i = 0; i < maxNum; i++) {
-                totalLost += currentBet;
-                currentBet = totalLost * 2;
+            if (this.telegram) {
+                await this.telegram.sendMessage(
+                    `🔀 <b>Side Switched</b>\n\n` +
+                    `Round: #${epoch}\n` +
+                    `${direction} → ${verdict.direction}\n` +
+                    `Reason: ${verdict.reason}`
+                );
             }
-            
-            return `✅ <b>Max double-downs updated!</b>\n\n` +
-                   `Max double-downs: ${maxNum}\n` +
-                   `Total bets allowed: ${maxNum + 1}\n` +
-                   `Max bet: ${currentBet.toFixed(6)} BNB\n` +
-                   `Max risk: ${(totalLost + currentBet).toFixed(6)} BNB`;
-        });
+        }
+        return verdict.direction;
+    }
 
-        this.telegramController.onSetDirection(async (direction) => {
-            if (!['BULL', 'BEAR', 'RANDOM'].includes(direction)) {
-                return '❌ Invalid direction. Use: BULL, BEAR, or RANDOM';
-            }
-            
-            if (this.isRunning) {
-                return '⚠️ Stop the bot first with /stop';
-            }
-            
-            this.config.betDirection = direction;
-            
-            const emoji = direction === 'BULL' ? '📈' : direction === 'BEAR' ? '📉' : '🎲';
-            return `✅ <b>Direction updated!</b>\n\n${emoji} Direction: ${direction}`;
-        });
+    // What settlement.js needs from the config and the active sizer
+    settlementOptions() {
+        return {
+            earlyPrediction: this.config.earlyPrediction,
+            maxDoubleDowns: parseInt(this.config.maxDoubleDowns),
+            sizeBet: (context, maxSteps) => sizeBet(this.sizer, { ...this.sizingContext(), ...context }, maxSteps)
+        };
+    }
 
-        this.telegramController.onSetPrediction(async (value) => {
-            if (!['on', 'off', 'true', 'false'].includes(value)) {
-                return '❌ Invalid value. Use: on, off, true, or false';
-            }
-            
-            if (this.isRunning) {
-                return '⚠️ Stop the bot first with /stop';
+    // Carry out the effects a settlement returned, in order
+    async applyEffects(effects) {
+        for (const effect of effects) {
+            switch (effect.type) {
+                case 'log':
+                    console.log(effect.message);
+                    break;
+                case 'claim':
+                    this.claimQueue.add(effect.epoch);
+                    break;
+                case 'notify':
+                    if (this.telegram) {
+                        await this.telegram[effect.method](...effect.args);
+                    }
+                    break;
+                case 'stop':
+                    if (effect.maxStreak && this.riskLimits.coolDown(effect.reason)) {
+                        // Sit the cooldown out, then start again from base
+                        console.log(`🧊 ${effect.reason} - pausing ${this.config.streakCooldownMinutes} min`);
+                        this.reset();
+                        if (this.telegram) {
+                            await this.telegram.notifyPaused(this.riskLimits.pauseReason, formatTime(this.riskLimits.pausedUntil));
+                        }
+                    } else {
+                        this.stop(effect.reason);
+                    }
+                    break;
             }
-            
-            const enabled = value === 'on' || value === 'true';
-            this.config.earlyPrediction = enabled;
-            
-            return `✅ <b>Early prediction ${enabled ? 'enabled' : 'disabled'}!</b>\n\n` +
-                   `${enabled 
-                       ? '🔮 Bot will predict outcomes early and bet faster.\nMake sure threshold is set correctly with /setthreshold' 
-                       : '⏸️ Bot will wait for round results before betting.'}`;
-        });
+        }
+    }
 
-        this.telegramController.onSetThreshold(async (threshold) => {
-            const thresh = parseFloat(threshold);
-            if (isNaN(thresh) || thresh < 0.05 || thresh > 2.0) {
-                return '❌ Invalid threshold. Use 0.05-2.0. Example: /setthreshold 0.30';
+    // False while a risk limit holds betting back. Pauses and resumes are
+    // announced once; a limit that needs a human stops the bot.
+    async checkRiskLimits() {
+        const wasPaused = this.riskLimits.pausedUntil !== null;
+        const previousReason = this.riskLimits.pauseReason;
+        const verdict = this.riskLimits.check();
+
+        if (!verdict) {
+            if (wasPaused) {
+                console.log(`▶️ Betting resumed (${previousReason})`);
+                if (this.telegram) {
+                    await this.telegram.notifyResumed(previousReason);
+                }
             }
-            
-            if (this.isRunning) {
-                return '⚠️ Stop the bot first with /stop';
+            return true;
+        }
+
+        if (verdict.action === 'stop') {
+            this.stop(verdict.reason);
+            return false;
+        }
+
+        if (verdict.started) {
+            console.log(`⏸️ Betting paused until ${formatTime(verdict.until)}: ${verdict.reason}`);
+            if (this.telegram) {
+                await this.telegram.notifyPaused(verdict.reason, formatTime(verdict.until));
             }
-            
-            this.config.predictionThreshold = threshold;
-            
-            return `✅ <b>Prediction threshold updated!</b>\n\n` +
-                   `Threshold: $${threshold}\n\n` +
-                   `Bot will predict outcome if price moves ±$${threshold} from lock price.`;
-        });
-        
-        this.telegramController.onSetMaxEPBet(async (amount) => {
-            const bet = parseFloat(amount);
-            if (isNaN(bet) || bet <= 0) {
-                return '❌ Invalid amount. Use: /setmaxepbet 1.0';
+        }
+        return false;
+    }
+
+    // Lock→close moves in USD of the rounds that closed before `epoch`. A
+    // closed round never changes, so each is only read from the contract once
+    async recentMoves(epoch) {
+        const oldest = epoch - this.predictions.volatilityRounds;
+        const moves = [];
+        for (let i = epoch - 1; i >= oldest; i--) {
+            if (!this.closedMoves.has(i)) {
+                const round = parseRound(await this.contract.rounds(i));
+                if (!round.oracleCalled) continue;
+                this.closedMoves.set(i, round.lockPrice > 0 && round.closePrice > 0 ? round.closePrice - round.lockPrice : null);
             }
-            
-            if (this.isRunning) {
-                return '⚠️ Stop the bot first with /stop';
+            if (this.closedMoves.get(i) !== null) {
+                moves.push(this.closedMoves.get(i));
             }
-            
-            this.config.maxEarlyPredictionBet = amount;
-            
-            return `✅ <b>Max early prediction bet updated!</b>\n\n` +
-                   `Max: ${amount} BNB\n\n` +
-                   `Bot will stop if next bet exceeds this amount.`;
-        });
-    }
+        }
 
-    calculateNextBet(consecutiveLosses, totalLost = 0) {
-        const base = parseFloat(this.config.baseBetAmount);
-        const maxDoubleDowns = parseInt(this.config.maxDoubleDowns);
-        
-        if (consecutiveLosses === 0) {
-            return base.toFixed(6);
+        for (const cached of this.closedMoves.keys()) {
+            if (cached < oldest) this.closedMoves.delete(cached);
         }
-        
-        if (consecutiveLosses >= maxDoubleDowns) {
-            let accumulated = 0;
-            let currentBet = base;
-            for (let i = 0; i < maxDoubleDowns; i++) {
-                accumulated += currentBet;
-                currentBet = accumulated * 2;
-            }
-            return currentBet.toFixed(6);
+        return moves;
+    }
+
+    // Keep an early prediction for accuracy tracking, in memory and in the journal
+    recordPrediction(prediction) {
+        this.predictions.record(prediction);
+        this.journal({ type: 'prediction', ...prediction, threshold: this.predictions.threshold });
+    }
+
+    // Check a prediction against how its round closed; auto-tune may move the threshold
+    async resolvePrediction(round, pnl) {
+        const tuned = this.predictions.resolve(round.epoch, {
+            lockPrice: round.lockPrice,
+            closePrice: round.closePrice,
+            won: pnl > 0
+        });
+        if (!tuned) return;
+
+        console.log(`🎛️ Prediction threshold auto-tuned: ${tuned.from} → ${tuned.to}`);
+
+        if (this.telegram) {
+            await this.telegram.sendMessage(
+                `🎛️ <b>Prediction Threshold Tuned</b>\n\n` +
+                `${tuned.from} → ${tuned.to}\n` +
+                `Now: ${this.predictions.describeThreshold()}`
+            );
         }
-        
-        return (totalLost * 2).toFixed(6);
     }
 
     async tryEarlyPrediction() {
@@ -351,7 +1613,7 @@ class PancakePredictionBot {
             const closeTimestamp = Number(round[3]); // When round ends (5 min after lock)
             const lockPrice = Number(round[4]) / 1e8;
             
-            const now = Math.floor(Date.now() / 1000);
+            const now = this.nowSeconds();
             const timeUntilClose = closeTimestamp - now;
 
             // Only make prediction if in the window (15-25s before close)
@@ -362,21 +1624,37 @@ class PancakePredictionBot {
             console.log(`✅ IN PREDICTION WINDOW (${timeUntilClose}s until close) - Getting price snapshot...`);
 
             // NOW get the current price (only once, when in the window)
-            const currentPrice = await this.getCurrentBNBPrice();
-            if (!currentPrice) {
-                console.log(`⚠️ Could not get current price for prediction`);
-                return null;
+            const quote = await this.priceFeed.read();
+            if (quote.price === null) {
+                // No price we can trust - predict nothing, same as too small a move
+                console.log(`⚠️ NO PREDICTION - ${quote.reason}\n${formatReadings(quote.readings)}`);
+                
+                if (this.telegram) {
+                    await this.telegram.sendMessage(
+                        `⚠️ <b>No Prediction - Price Check Failed</b>\n\n` +
+                        `Round: ${this.lastBetEpoch}\n` +
+                        `${quote.reason}\n\n` +
+                        `${formatReadings(quote.readings)}\n\n` +
+                        `Will skip next round and verify real results.`
+                    );
+                }
+                
+                return { uncertain: true };
             }
+            const currentPrice = quote.price;
 
             const priceDiff = currentPrice - lockPrice;
-            const threshold = parseFloat(this.config.predictionThreshold);
+            const recentMoves = this.predictions.mode === 'volatility' ? await this.recentMoves(this.lastBetEpoch) : [];
+            const scale = this.predictions.scale(lockPrice, recentMoves);
+            const threshold = this.predictions.thresholdUsd(scale);
+            const prediction = { epoch: this.lastBetEpoch, priceDiff, secondsToClose: timeUntilClose, lockPrice, scale };
             
             console.log(
                 `📊 Early Prediction Window - Round ${this.lastBetEpoch}\n` +
                 `   Lock Price: $${lockPrice.toFixed(2)}\n` +
-                `   Current Price: $${currentPrice.toFixed(2)}\n` +
+                `   Current Price: $${currentPrice.toFixed(2)} (${quote.source})\n` +
                 `   Price Diff: ${priceDiff > 0 ? '+' : ''}$${priceDiff.toFixed(2)}\n` +
-                `   Threshold: ±$${threshold}\n` +
+                `   Threshold: ±$${threshold.toFixed(2)} (${this.predictions.describeThreshold()})\n` +
                 `   Time Until Close: ${timeUntilClose}s`
             );
             
@@ -391,7 +1669,7 @@ class PancakePredictionBot {
             if (Math.abs(priceDiff) < threshold) {
                 // Price is within the envelope - TOO UNCERTAIN to predict
                 console.log(
-                    `⚠️ UNCERTAIN - Price movement ($${Math.abs(priceDiff).toFixed(2)}) is LESS than threshold ($${threshold})\n` +
+                    `⚠️ UNCERTAIN - Price movement ($${Math.abs(priceDiff).toFixed(2)}) is LESS than threshold ($${threshold.toFixed(2)})\n` +
                     `   Round ${this.lastBetEpoch} - Skipping next round to verify real results`
                 );
                 
@@ -401,14 +1679,17 @@ class PancakePredictionBot {
                         `Round: ${this.lastBetEpoch}\n` +
                         `Lock Price: $${lockPrice.toFixed(2)}\n` +
                         `Current Price: $${currentPrice.toFixed(2)}\n` +
+                        `Price source: ${quote.source}\n` +
                         `Price movement: ${priceDiff > 0 ? '+' : ''}$${priceDiff.toFixed(2)}\n` +
                         `Movement size: $${Math.abs(priceDiff).toFixed(2)}\n` +
-                        `Threshold: $${threshold}\n\n` +
+                        `Threshold: $${threshold.toFixed(2)}\n\n` +
                         `Movement too small to predict confidently.\n` +
                         `Will skip next round and verify real results.`
                     );
                 }
                 
+                this.recordPrediction({ ...prediction, assumed: 'uncertain' });
+                
                 // Return special "uncertain" flag
                 return { uncertain: true };
             }
@@ -424,38 +1705,31 @@ class PancakePredictionBot {
                 assumedWin = true;
             }
             
-            // Calculate total losses to cover (real + assumed)
-            let totalLossesToCover = this.earlyPrediction.realLosses + this.earlyPrediction.assumedLosses;
-            
             // Update assumed losses based on this prediction
             if (assumedWin) {
                 // If we assume win, we'll recover losses, so next bet is base
                 this.earlyPrediction.assumedLosses = 0;
+                this.earlyPrediction.assumedLossCount = 0;
             } else {
                 // If we assume loss, add current bet to assumed losses
                 this.earlyPrediction.assumedLosses += betAmount;
-                totalLossesToCover += betAmount;
+                this.earlyPrediction.assumedLossCount++;
             }
             
-            // Calculate next bet amount
-            let nextBet;
-            if (assumedWin) {
-                // Assuming win → bet base amount
-                nextBet = parseFloat(this.config.baseBetAmount);
-            } else {
-                // Assuming loss → need to cover all losses (real + assumed)
-                nextBet = totalLossesToCover * 2;
-            }
+            // Calculate next bet amount: base after an assumed win, otherwise
+            // whatever the sizer needs to cover all losses (real + assumed)
+            const nextBet = assumedWin
+                ? sizeBet(this.sizer, { ...this.sizingContext(), lossStreak: 0 })
+                : this.calculateEarlyPredictionBet(betAmount);
             
             // Check if next bet exceeds max allowed
             const maxBet = parseFloat(this.config.maxEarlyPredictionBet);
             if (nextBet > maxBet) {
-                console.log(`🛑 STOPPING: Next bet (${nextBet.toFixed(4)} BNB) exceeds max (${maxBet} BNB)`);
+                console.log(`🛑 Next bet (${nextBet.toFixed(4)} BNB) exceeds max (${maxBet} BNB)`);
                 
                 if (this.telegram) {
                     await this.telegram.sendMessage(
-                        `🛑 <b>Bot Stopped</b>\n\n` +
-                        `Reason: Next bet would exceed maximum\n` +
+                        `🛑 <b>Max Early Prediction Bet Reached</b>\n\n` +
                         `Required bet: ${nextBet.toFixed(4)} BNB\n` +
                         `Maximum allowed: ${maxBet} BNB\n` +
                         `Real losses: ${this.earlyPrediction.realLosses.toFixed(4)} BNB\n` +
@@ -463,7 +1737,8 @@ class PancakePredictionBot {
                     );
                 }
                 
-                await this.stop();
+                // The early prediction streak's max - a cooldown applies as at max loss streak
+                await this.applyEffects([{ type: 'stop', reason: 'Next bet would exceed max early prediction bet', maxStreak: true }]);
                 return null;
             }
             
@@ -471,6 +1746,7 @@ class PancakePredictionBot {
             this.earlyPrediction.lastAssumedOutcome = assumedWin ? 'win' : 'loss';
             this.earlyPrediction.lastAssumedBet = betAmount;
             this.earlyPrediction.lastPredictionEpoch = this.lastBetEpoch;
+            this.recordPrediction({ ...prediction, assumed: this.earlyPrediction.lastAssumedOutcome });
             
             // If assuming WIN, track this round for later claim verification
             if (assumedWin) {
@@ -479,7 +1755,7 @@ class PancakePredictionBot {
             }
             
             console.log(
-                `🔮 CONFIDENT PREDICTION - Price movement ($${Math.abs(priceDiff).toFixed(2)}) EXCEEDS threshold ($${threshold})\n` +
+                `🔮 CONFIDENT PREDICTION - Price movement ($${Math.abs(priceDiff).toFixed(2)}) EXCEEDS threshold ($${threshold.toFixed(2)})\n` +
                 `   Round ${this.lastBetEpoch} (${direction})\n` +
                 `   Price diff: ${priceDiff > 0 ? '+' : ''}$${priceDiff.toFixed(2)}\n` +
                 `   Assuming: ${assumedWin ? 'WIN ✅' : 'LOSS ❌'}\n` +
@@ -493,8 +1769,9 @@ class PancakePredictionBot {
                     `Direction: ${direction}\n` +
                     `Lock Price: $${lockPrice.toFixed(2)}\n` +
                     `Current Price: $${currentPrice.toFixed(2)}\n` +
+                    `Price source: ${quote.source}\n` +
                     `Price movement: ${priceDiff > 0 ? '+' : ''}$${priceDiff.toFixed(2)}\n` +
-                    `Threshold: ±$${threshold}\n` +
+                    `Threshold: ±$${threshold.toFixed(2)}\n` +
                     `Assumption: ${assumedWin ? 'WIN ✅' : 'LOSS ❌'}\n` +
                     `Real losses: ${this.earlyPrediction.realLosses.toFixed(4)} BNB\n` +
                     `Assumed losses: ${this.earlyPrediction.assumedLosses.toFixed(4)} BNB\n` +
@@ -525,9 +1802,15 @@ class PancakePredictionBot {
                 return true; // Return true so betting continues
             }
 
+            // The EndRound event tells us when there is something to read
+            const phase = this.roundTracker.phase(this.lastBetEpoch);
+            if (this.roundTracker.isLive && phase && phase !== 'ENDED') {
+                return false;
+            }
+
             console.log(`🔍 Checking result for round ${this.lastBetEpoch}...`);
 
-            const round = await this.contract.rounds(this.lastBetEpoch);
+            const round = await this.readRound(this.lastBetEpoch);
             const closePrice = Number(round[5]);
             
             if (closePrice === 0) {
@@ -546,230 +1829,23 @@ class PancakePredictionBot {
                 this.earlyPrediction.processedRounds.delete(sorted[0]); // Remove oldest
             }
 
-            const ledger = await this.contract.ledger(this.lastBetEpoch, this.wallet.address);
-            const position = Number(ledger[0]);
-            const lockPrice = Number(round[4]);
-            const betAmount = parseFloat(ethers.formatEther(ledger[1]));
-            const direction = position === 0 ? 'BULL' : 'BEAR';
-
-            const priceWentUp = closePrice > lockPrice;
-            const won = (position === 0 && priceWentUp) || (position === 1 && !priceWentUp);
-
-            // EARLY PREDICTION MODE: Verify assumptions OR handle uncertain skip
-            if (this.config.earlyPrediction && this.earlyPrediction.lastPredictionEpoch === this.lastBetEpoch) {
-                const assumedWin = this.earlyPrediction.lastAssumedOutcome === 'win';
-                const assumptionCorrect = assumedWin === won;
-                
-                console.log(`🔍 Verifying assumption: ${assumedWin ? 'WIN' : 'LOSS'} → Actually ${won ? 'WON' : 'LOST'} → ${assumptionCorrect ? 'CORRECT ✅' : 'WRONG ❌'}`);
-                
-                if (won) {
-                    // We won - clear all losses (real and assumed)
-                    this.earlyPrediction.realLosses = 0;
-                    this.earlyPrediction.assumedLosses = 0;
-                    
-                    console.log(`🎉 WON! Round ${this.lastBetEpoch} - All losses cleared`);
-                    
-                    // Claim winnings
-                    try {
-                        const tx = await this.contract.claim([this.lastBetEpoch]);
-                        await tx.wait();
-                        console.log(`💰 Claimed winnings`);
-                        
-                        const newBalance = await this.provider.getBalance(this.wallet.address);
-                        this.state.balance = ethers.formatEther(newBalance);
-                        
-                        if (this.telegram) {
-                            await this.telegram.sendMessage(
-                                `🎉 <b>Won Round ${this.lastBetEpoch}</b>\n\n` +
-                                `Direction: ${direction}\n` +
-                                `Bet: ${betAmount.toFixed(4)} BNB\n` +
-                                `Assumption was: ${assumptionCorrect ? 'Correct ✅' : 'Wrong ❌'}\n` +
-                                `All losses cleared!`
-                            );
-                        }
-                    } catch (e) {
-                        console.error('Claim error:', e.message);
-                    }
-                    
-                    this.state.wins++;
-                } else {
-                    // We lost - convert assumed loss to real loss
-                    if (assumptionCorrect) {
-                        // We assumed loss and it was correct - loss was already in assumedLosses
-                        this.earlyPrediction.realLosses += this.earlyPrediction.assumedLosses;
-                        this.earlyPrediction.assumedLosses = 0;
-                    } else {
-                        // We assumed win but actually lost - add to real losses
-                        this.earlyPrediction.realLosses += betAmount;
-                        this.earlyPrediction.assumedLosses = 0;
-                    }
-                    
-                    console.log(`❌ LOST! Round ${this.lastBetEpoch} - Real losses: ${this.earlyPrediction.realLosses.toFixed(4)} BNB`);
-                    
-                    if (this.telegram) {
-                        await this.telegram.sendMessage(
-                            `❌ <b>Lost Round ${this.lastBetEpoch}</b>\n\n` +
-                            `Direction: ${direction}\n` +
-                            `Bet: ${betAmount.toFixed(4)} BNB\n` +
-                            `Assumption was: ${assumptionCorrect ? 'Correct ✅' : 'Wrong ❌'}\n` +
-                            `Real losses: ${this.earlyPrediction.realLosses.toFixed(4)} BNB`
-                        );
-                    }
-                    
-                    this.state.losses++;
-                }
-                
-                this.waitingForResults = false;
-                this.state.totalBets++;
-                
-                // Clear prediction epoch since we've verified it
-                this.earlyPrediction.lastPredictionEpoch = null;
-                this.earlyPrediction.lastAssumedOutcome = null;
-                return true;
-            }
-            
-            // EARLY PREDICTION MODE - UNCERTAIN SKIP: No assumption was made, use real results
-            if (this.config.earlyPrediction && this.earlyPrediction.skipNextRound) {
-                console.log(`🔍 Verifying after uncertain skip: Round ${this.lastBetEpoch} → ${won ? 'WON' : 'LOST'}`);
-                
-                if (won) {
-                    // We won - clear all losses
-                    this.earlyPrediction.realLosses = 0;
-                    this.earlyPrediction.assumedLosses = 0;
-                    
-                    console.log(`🎉 WON! Round ${this.lastBetEpoch} - All losses cleared`);
-                    
-                    // Claim winnings
-                    try {
-                        const tx = await this.contract.claim([this.lastBetEpoch]);
-                        await tx.wait();
-                        console.log(`💰 Claimed winnings`);
-                        
-                        const newBalance = await this.provider.getBalance(this.wallet.address);
-                        this.state.balance = ethers.formatEther(newBalance);
-                        
-                        if (this.telegram) {
-                            await this.telegram.sendMessage(
-                                `🎉 <b>Won Round ${this.lastBetEpoch}</b>\n\n` +
-                                `Direction: ${direction}\n` +
-                                `Bet: ${betAmount.toFixed(4)} BNB\n` +
-                                `(After uncertain skip - verified real result)\n` +
-                                `All losses cleared!`
-                            );
-                        }
-                    } catch (e) {
-                        console.error('Claim error:', e.message);
-                    }
-                    
-                    this.state.wins++;
-                } else {
-                    // We lost - add to real losses
-                    this.earlyPrediction.realLosses += betAmount;
-                    this.earlyPrediction.assumedLosses = 0; // No assumptions were made
-                    
-                    // Calculate next bet to cover losses
-                    const totalLosses = this.earlyPrediction.realLosses + this.earlyPrediction.assumedLosses;
-                    const nextBet = (totalLosses * 2).toFixed(6);
-                    this.state.currentBet = nextBet;
-                    
-                    console.log(`❌ LOST! Round ${this.lastBetEpoch} - Real losses: ${this.earlyPrediction.realLosses.toFixed(4)} BNB`);
-                    console.log(`📈 Next bet: ${nextBet} BNB (to cover ${totalLosses.toFixed(4)} BNB losses)`);
-                    
-                    if (this.telegram) {
-                        await this.telegram.sendMessage(
-                            `❌ <b>Lost Round ${this.lastBetEpoch}</b>\n\n` +
-                            `Direction: ${direction}\n` +
-                            `Bet: ${betAmount.toFixed(4)} BNB\n` +
-                            `(After uncertain skip - verified real result)\n` +
-                            `Real losses: ${this.earlyPrediction.realLosses.toFixed(4)} BNB\n` +
-                            `Next bet: ${nextBet} BNB`
-                        );
-                    }
-                    
-                    this.state.losses++;
-                }
-                
-                this.waitingForResults = false;
-                this.state.totalBets++;
-                
-                // Results are now verified with REAL data, can resume normal betting
-                // skipNextRound flag will be cleared in placeBet after this returns true
-                return true;
-            }
-            
-            // NORMAL MODE (no early prediction): Use standard Martingale logic
-            if (won) {
-                console.log(`🎉 WON! Round ${this.lastBetEpoch}`);
-                
-                this.waitingForResults = false;
-                this.state.wins++;
-                this.state.consecutiveLosses = 0;
-                this.state.currentBet = this.config.baseBetAmount;
-                this.state.totalLost = 0;
-
-                // Claim winnings
-                try {
-                    const tx = await this.contract.claim([this.lastBetEpoch]);
-                    await tx.wait();
-                    console.log(`💰 Claimed winnings`);
-                    
-                    const newBalance = await this.provider.getBalance(this.wallet.address);
-                    this.state.balance = ethers.formatEther(newBalance);
-                    
-                    if (this.telegram) {
-                        await this.telegram.notifyWin(
-                            this.lastBetEpoch,
-                            direction,
-                            betAmount,
-                            'TBD'
-                        );
-                    }
-                } catch (e) {
-                    console.error('Claim error:', e.message);
-                }
-            } else {
-                const newLosses = this.state.consecutiveLosses + 1;
-                const newTotalLost = this.state.totalLost + betAmount;
-                const nextBet = this.calculateNextBet(newLosses, newTotalLost);
-                
-                console.log(`❌ LOST! Round ${this.lastBetEpoch}`);
-                
-                this.waitingForResults = false;
-                this.state.losses++;
-                this.state.consecutiveLosses = newLosses;
-                this.state.totalLost = newTotalLost;
-                this.state.currentBet = nextBet;
-
-                if (newLosses > this.config.maxDoubleDowns) {
-                    console.log(`🛑 MAX LOSSES REACHED!`);
-                    
-                    if (this.telegram) {
-                        await this.telegram.notifyLoss(
-                            this.lastBetEpoch,
-                            direction,
-                            betAmount,
-                            nextBet,
-                            newLosses,
-                            this.config.maxDoubleDowns + 1
-                        );
-                    }
-                    
-                    this.stop('Max loss streak reached');
-                } else {
-                    console.log(`📈 Doubling bet to ${nextBet} BNB (Lost ${newTotalLost.toFixed(6)} BNB total)`);
-                    
-                    if (this.telegram) {
-                        await this.telegram.notifyLoss(
-                            this.lastBetEpoch,
-                            direction,
-                            betAmount,
-                            nextBet,
-                            newLosses,
-                            this.config.maxDoubleDowns + 1
-                        );
-                    }
-                }
-            }
+            const closed = parseRound(round);
+            const ledger = parseLedger(await this.contract.ledger(this.lastBetEpoch, this.wallet.address));
+            const settled = settleRound(
+                { stats: this.state, earlyPrediction: this.earlyPrediction },
+                closed,
+                ledger,
+                this.settlementOptions()
+            );
+            this.state = settled.stats;
+            this.earlyPrediction = settled.earlyPrediction;
+            // Settled in full here - an assumed win must not be verified again
+            this.earlyPrediction.pendingWinClaims.delete(this.lastBetEpoch);
+            this.waitingForResults = false;
+            this.riskLimits.recordRound(this.lastBetEpoch, settled.pnl);
+            this.journalResult(closed, ledger, settled.pnl);
+            await this.resolvePrediction(closed, settled.pnl);
+            await this.applyEffects(settled.effects);
 
             return true;
         } catch (error) {
@@ -782,13 +1858,18 @@ class PancakePredictionBot {
         try {
             console.log('🔄 placeBet() called - checking conditions...');
             
-            const currentEpoch = await this.contract.currentEpoch();
-            const epoch = Number(currentEpoch);
+            const epoch = await this.getCurrentEpoch();
 
             console.log(`Current epoch: ${epoch}, Last bet: ${this.lastBetEpoch}, Waiting: ${this.waitingForResults}`);
 
+            await this.archiveRounds(epoch);
+
+            // Nothing to bet on a prediction while a cooldown or limit holds betting
+            // back - the round in flight settles the standard way
+            const predicting = this.config.earlyPrediction && !this.riskLimits.paused;
+
             // EARLY PREDICTION FLOW
-            if (this.config.earlyPrediction && this.waitingForResults && this.lastBetEpoch && this.lastBetEpoch <= epoch) {
+            if (predicting && this.waitingForResults && this.lastBetEpoch && this.lastBetEpoch <= epoch) {
                 // Try to make early prediction (15-25 second window)
                 const prediction = await this.tryEarlyPrediction();
                 
@@ -834,7 +1915,7 @@ class PancakePredictionBot {
             }
 
             // STANDARD FLOW: Wait for results (when NOT using early prediction)
-            if (this.waitingForResults && this.lastBetEpoch && !this.config.earlyPrediction) {
+            if (this.waitingForResults && this.lastBetEpoch && !predicting) {
                 const resultsReady = await this.checkPreviousRoundResult();
                 if (!resultsReady) return;
             }
@@ -854,7 +1935,7 @@ class PancakePredictionBot {
             
             // VERIFY AND CLAIM PENDING ASSUMED WINS
             if (this.config.earlyPrediction && this.earlyPrediction.pendingWinClaims.size > 0) {
-                for (const [roundEpoch, betAmt] of this.earlyPrediction.pendingWinClaims.entries()) {
+                for (const roundEpoch of this.earlyPrediction.pendingWinClaims.keys()) {
                     // Only check rounds that are 2+ epochs old (should be closed by now)
                     if (roundEpoch < epoch - 1) {
                         try {
@@ -862,63 +1943,24 @@ class PancakePredictionBot {
                             const closePrice = Number(round[5]);
                             
                             if (closePrice > 0) {
-                                // Round is closed, check if we actually won
-                                const ledger = await this.contract.ledger(roundEpoch, this.wallet.address);
-                                const position = Number(ledger[0]);
-                                const lockPrice = Number(round[4]) / 1e8;
-                                const closePriceUSD = closePrice / 1e8;
-                                
-                                const won = (position === 0 && closePriceUSD > lockPrice) || 
-                                           (position === 1 && closePriceUSD < lockPrice);
+                                const closed = parseRound(round);
+                                const ledger = parseLedger(await this.contract.ledger(roundEpoch, this.wallet.address));
+                                const settled = settleAssumedWin(
+                                    { stats: this.state, earlyPrediction: this.earlyPrediction },
+                                    closed,
+                                    ledger,
+                                    this.settlementOptions()
+                                );
+                                this.state = settled.stats;
+                                this.earlyPrediction = settled.earlyPrediction;
+                                this.riskLimits.recordRound(roundEpoch, settled.pnl);
+                                this.journalResult(closed, ledger, settled.pnl);
+                                await this.resolvePrediction(closed, settled.pnl);
+                                await this.applyEffects(settled.effects);
                                 
-                                if (won) {
-                                    // Assumption was correct! Claim winnings and clear real losses
-                                    console.log(`✅ VERIFIED WIN - Round ${roundEpoch} (assumed win was correct!)`);
-                                    
-                                    try {
-                                        const tx = await this.contract.claim([roundEpoch]);
-                                        await tx.wait();
-                                        console.log(`💰 Claimed winnings from round ${roundEpoch}`);
-                                        
-                                        // Clear real losses since we won
-                                        this.earlyPrediction.realLosses = 0;
-                                        
-                                        if (this.telegram) {
-                                            await this.telegram.sendMessage(
-                                                `✅ <b>Verified & Claimed Win</b>\n\n` +
-                                                `Round: ${roundEpoch}\n` +
-                                                `Assumption was correct!\n` +
-                                                `All losses cleared!`
-                                            );
-                                        }
-                                    } catch (e) {
-                                        console.error(`Claim error for round ${roundEpoch}:`, e.message);
-                                    }
-                                } else {
-                                    // Assumption was WRONG - we actually lost
-                                    console.log(`❌ VERIFIED LOSS - Round ${roundEpoch} (assumed win was WRONG!)`);
-                                    this.earlyPrediction.realLosses += betAmt;
-                                    
-                                    // Recalculate the current bet to cover the newly verified losses
-                                    const totalLosses = this.earlyPrediction.realLosses + this.earlyPrediction.assumedLosses;
-                                    const correctedBet = (totalLosses * 2).toFixed(6);
-                                    this.state.currentBet = correctedBet;
-                                    
-                                    console.log(`📈 Correcting bet amount to ${correctedBet} BNB to cover ${totalLosses.toFixed(4)} BNB total losses`);
-                                    
-                                    if (this.telegram) {
-                                        await this.telegram.sendMessage(
-                                            `❌ <b>Verified Loss</b>\n\n` +
-                                            `Round: ${roundEpoch}\n` +
-                                            `Assumed WIN but actually LOST\n` +
-                                            `Real losses: ${this.earlyPrediction.realLosses.toFixed(4)} BNB\n` +
-                                            `Next bet corrected to: ${correctedBet} BNB`
-                                        );
-                                    }
-                                }
-                                
-                                // Remove from pending claims
+                                // Remove from pending claims, and keep checkPreviousRoundResult off it
                                 this.earlyPrediction.pendingWinClaims.delete(roundEpoch);
+                                this.earlyPrediction.processedRounds.add(roundEpoch);
                             }
                         } catch (e) {
                             console.error(`Error verifying round ${roundEpoch}:`, e.message);
@@ -927,6 +1969,9 @@ class PancakePredictionBot {
                 }
             }
 
+            // Settled and not yet bet again - queued settings go in here
+            await this.applyPendingSettings();
+
             // Don't bet if already bet this round
             if (this.lastBetEpoch === epoch) {
                 return;
@@ -937,9 +1982,8 @@ class PancakePredictionBot {
                 return;
             }
 
-            const round = await this.contract.rounds(epoch);
-            const lockTimestamp = Number(round[2]);
-            const now = Math.floor(Date.now() / 1000);
+            const lockTimestamp = await this.roundTracker.lockTimestamp(epoch);
+            const now = this.nowSeconds();
             const timeUntilLock = lockTimestamp - now;
 
             // Allow betting if:
@@ -954,21 +1998,45 @@ class PancakePredictionBot {
                     console.log(`🎯 Betting immediately after confident prediction (bypassing timing check)`);
                     this.earlyPrediction.shouldBetNow = false;
                 }
-                // Determine direction based on config
-                let direction;
-                if (this.config.betDirection === 'BULL') {
-                    direction = 'BULL';
-                } else if (this.config.betDirection === 'BEAR') {
-                    direction = 'BEAR';
-                } else {
-                    direction = Math.random() > 0.5 ? 'BULL' : 'BEAR';
+                // Only ask the strategy once per round if it decided to sit out
+                if (this.skippedEpoch === epoch) {
+                    return;
+                }
+
+                if (!await this.checkRiskLimits()) {
+                    return;
+                }
+                
+                // Fresh read - pools keep moving until the round locks
+                const round = await this.readRound(epoch);
+                let direction = await this.chooseDirection(epoch, round);
+                if (direction === SKIP) {
+                    console.log(`⏭️ ${this.strategy.name} strategy skipped round ${epoch}`);
+                    this.skippedEpoch = epoch;
+                    
+                    if (this.telegram) {
+                        await this.telegram.sendMessage(
+                            `⏭️ <b>Round Skipped</b>\n\n` +
+                            `Round: #${epoch}\n` +
+                            `Strategy: ${formatStrategy(this.strategy)}`
+                        );
+                    }
+                    return;
                 }
                 
                 const betAmount = ethers.parseEther(this.state.currentBet);
 
                 console.log(`🎲 Betting ${this.state.currentBet} BNB on ${direction} - Round ${epoch}`);
 
-                const balance = await this.provider.getBalance(this.wallet.address);
+                let balance = await this.getBalance();
+                
+                // Winnings may still be sitting in the claim queue
+                if (balance < betAmount && this.claimQueue.size > 0) {
+                    console.log('💸 Balance short - claiming queued winnings first');
+                    await this.claimQueue.flush();
+                    balance = await this.getBalance();
+                }
+                
                 if (balance < betAmount) {
                     console.error('❌ Insufficient balance!');
                     
@@ -983,14 +2051,40 @@ class PancakePredictionBot {
                     return;
                 }
 
-                const tx = direction === 'BULL'
-                    ? await this.contract.betBull(currentEpoch, { value: betAmount })
-                    : await this.contract.betBear(currentEpoch, { value: betAmount });
+                // Pools keep moving - check them again as late as possible
+                direction = await this.filterPool(epoch, direction);
+                if (!direction) {
+                    return;
+                }
 
-                console.log(`📤 Transaction: ${tx.hash}`);
-                
-                await tx.wait();
-                console.log(`✅ Bet placed!`);
+                const result = await this.sendBet(direction, epoch, betAmount, lockTimestamp);
+                const fee = this.recordFee(result.receipt);
+                this.journal({
+                    type: 'bet',
+                    epoch,
+                    strategy: this.strategy.name,
+                    direction,
+                    amount: parseFloat(this.state.currentBet),
+                    status: result.status,
+                    reason: result.reason,
+                    txHash: result.hash,
+                    gas: fee
+                });
+
+                // Reverted, cancelled or never sent - not a bet, but any gas is still spent
+                if (result.status !== 'mined') {
+                    console.error(`❌ Bet not placed (${result.status}): ${result.reason}`);
+                    this.skippedEpoch = epoch;
+                    this.saveState();
+                    
+                    if (this.telegram) {
+                        await this.telegram.notifyBetFailed(epoch, direction, this.state.currentBet, result.status, result.reason);
+                    }
+                    return;
+                }
+
+                console.log(`📤 Transaction: ${result.hash}`);
+                console.log(`✅ Bet placed! (gas ${fee.toFixed(6)} BNB)`);
 
                 this.lastBetEpoch = epoch;
                 
@@ -1001,8 +2095,10 @@ class PancakePredictionBot {
                 
                 this.state.totalBets++;
                 this.state.totalWagered += parseFloat(this.state.currentBet);
+                this.riskLimits.recordBet();
+                this.saveState();
 
-                const newBalance = await this.provider.getBalance(this.wallet.address);
+                const newBalance = await this.getBalance();
                 this.state.balance = ethers.formatEther(newBalance);
 
                 if (this.telegram) {
@@ -1027,20 +2123,20 @@ class PancakePredictionBot {
 
         this.isRunning = true;
         console.log('🤖 Bot started!');
+        this.riskLimits.startSession(parseFloat(this.state.balance));
         
-        // Clear any stale waiting state from previous session
+        // Settle any result left over from a previous session
         if (this.waitingForResults && this.lastBetEpoch) {
             console.log(`Checking for stale results from round ${this.lastBetEpoch}...`);
             const currentEpoch = await this.contract.currentEpoch();
+            const resultsReady = await this.checkPreviousRoundResult();
             
-            // If the epoch we were waiting on is more than 2 rounds old, just clear it
-            if (Number(currentEpoch) - this.lastBetEpoch > 2) {
-                console.log(`Round ${this.lastBetEpoch} is too old, clearing waiting state`);
+            // A round that is still open long after it should have closed was cancelled
+            if (!resultsReady && Number(currentEpoch) - this.lastBetEpoch > 2) {
+                console.log(`Round ${this.lastBetEpoch} never closed, clearing waiting state`);
                 this.waitingForResults = false;
-            } else {
-                // Try to check the result
-                await this.checkPreviousRoundResult();
             }
+            this.saveState();
         }
 
         if (this.telegram) {
@@ -1056,9 +2152,19 @@ class PancakePredictionBot {
                 if (this.telegram) {
                     await this.telegram.notifyError(`Loop error: ${error.message}`);
                 }
+            } finally {
+                this.saveState();
             }
             
-            await new Promise(resolve => setTimeout(resolve, POLLING_INTERVAL));
+            // Round events cut the wait short
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, POLLING_INTERVAL);
+                this.wakeLoop = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+            this.wakeLoop = null;
         }
     }
 
@@ -1100,10 +2206,13 @@ class PancakePredictionBot {
         // Reset early prediction state
         this.earlyPrediction.realLosses = 0;
         this.earlyPrediction.assumedLosses = 0;
+        this.earlyPrediction.realLossCount = 0;
+        this.earlyPrediction.assumedLossCount = 0;
         this.earlyPrediction.lastAssumedOutcome = null;
         this.earlyPrediction.lastAssumedBet = 0;
         this.earlyPrediction.lastPredictionEpoch = null;
         this.earlyPrediction.skipNextRound = false;
+        this.saveState();
         
         if (this.telegram && oldLosses > 0) {
             this.telegram.sendMessage(
@@ -1118,6 +2227,17 @@ class PancakePredictionBot {
 
     async shutdown() {
         this.stop('Shutdown');
+        if (this.claimQueue) {
+            this.claimQueue.stop();
+        }
+        if (this.roundTracker) {
+            this.roundTracker.stop();
+        }
+        this.reportScheduler.stop();
+        if (this.provider) {
+            this.provider.stop();
+        }
+        this.saveState();
         if (this.telegramController) {
             this.telegramController.stop();
         }
@@ -1126,40 +2246,30 @@ class PancakePredictionBot {
 
 // Main execution
 async function main() {
-    const config = {
-        privateKey: process.env.PRIVATE_KEY,
-        rpcUrl: process.env.RPC_URL || 'https://bsc-dataseed.binance.org/',
-        baseBetAmount: process.env.BASE_BET_AMOUNT || '0.003',
-        maxDoubleDowns: parseInt(process.env.MAX_DOUBLE_DOWNS || '7'),
-        betDirection: process.env.BET_DIRECTION || 'RANDOM', // BULL, BEAR, or RANDOM
-        earlyPrediction: process.env.EARLY_PREDICTION === 'true',
-        predictionThreshold: process.env.PREDICTION_THRESHOLD || '0.20',
-        maxEarlyPredictionBet: process.env.MAX_EARLY_PREDICTION_BET || '1.0',
-        telegramBotToken: process.env.TELEGRAM_BOT_TOKEN,
-        telegramChatId: process.env.TELEGRAM_CHAT_ID
-    };
-
-    // Validate required env vars
-    if (!config.privateKey) {
-        throw new Error('PRIVATE_KEY environment variable required');
-    }
+    try {
+        const config = loadConfig();
+
+        // Validate required env vars
+        if (!config.privateKey && !config.dryRun) {
+            throw new Error('PRIVATE_KEY environment variable required (or set DRY_RUN=true)');
+        }
 
-    const bot = new PancakePredictionBot(config);
+        // Throws on a bad config file or profile, strategy, sizer, report period or user list
+        const bot = new PancakePredictionBot(config);
 
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-        console.log('\n🛑 Shutting down...');
-        await bot.shutdown();
-        process.exit(0);
-    });
+        // Handle graceful shutdown
+        process.on('SIGINT', async () => {
+            console.log('\n🛑 Shutting down...');
+            await bot.shutdown();
+            process.exit(0);
+        });
 
-    process.on('SIGTERM', async () => {
-        console.log('\n🛑 Shutting down...');
-        await bot.shutdown();
-        process.exit(0);
-    });
+        process.on('SIGTERM', async () => {
+            console.log('\n🛑 Shutting down...');
+            await bot.shutdown();
+            process.exit(0);
+        });
 
-    try {
         await bot.initialize();
         
         // Auto-start if configured
@@ -1174,4 +2284,6 @@ async function main() {
     }
 }
 
-main();
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main();
+}
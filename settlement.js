@@ -0,0 +1,291 @@
+// Round settlement for PancakeSwap Prediction Bot
+//
+// Works out what a closed round we bet on means for the bot. Both functions
+// are pure: they take the bot's bookkeeping ({ stats, earlyPrediction }), the
+// parsed round and our parsed ledger entry and return new bookkeeping, the
+// round's P/L in BNB (pnl) and the effects the bot has to carry out, in order:
+//   { type: 'log', message }
+//   { type: 'claim', epoch }
+//   { type: 'notify', method, args } - a TelegramNotifier call
+//   { type: 'stop', reason, maxStreak }
+//
+// The bet itself (totalBets, totalWagered) is counted when it is placed,
+// never here.
+import { roundPayout, roundResult } from './prediction-contract.js';
+
+function outcome(round, ledger) {
+    const direction = ledger.position === 0 ? 'BULL' : 'BEAR';
+    // A tie pays the house, same as the contract
+    const won = roundResult(round) === direction;
+    const payout = won ? roundPayout(round, ledger.amount) : 0;
+    return { direction, won, betAmount: ledger.amount, profit: payout - ledger.amount };
+}
+
+function clearLosses(ep) {
+    ep.realLosses = 0;
+    ep.assumedLosses = 0;
+    ep.realLossCount = 0;
+    ep.assumedLossCount = 0;
+}
+
+// Next bet while early prediction runs: sized over real + assumed losses
+function earlyPredictionBet(stats, ep, lastBet, options) {
+    return options.sizeBet({
+        wins: stats.wins,
+        losses: stats.losses,
+        lossStreak: ep.realLossCount + ep.assumedLossCount,
+        totalLost: ep.realLosses + ep.assumedLosses,
+        lastBet
+    });
+}
+
+// Settle the round in `round` that we hold `ledger` in. options:
+//   earlyPrediction - early prediction mode is on
+//   maxDoubleDowns  - losses in a row before the bot stops (normal mode)
+//   sizeBet(context, maxSteps) - next bet in BNB for a sizing context
+export function settleRound(state, round, ledger, options) {
+    const epoch = round.epoch;
+    const result = outcome(round, ledger);
+    const stats = { ...state.stats };
+    const ep = { ...state.earlyPrediction };
+    const effects = [];
+
+    if (result.won) {
+        stats.wins++;
+    } else {
+        stats.losses++;
+    }
+
+    if (options.earlyPrediction && ep.lastPredictionEpoch === epoch) {
+        settleAssumption(epoch, result, ep, effects);
+    } else if (options.earlyPrediction && ep.skipNextRound) {
+        settleAfterSkip(epoch, result, stats, ep, effects, options);
+    } else {
+        settleMartingale(epoch, result, stats, effects, options);
+    }
+
+    return { stats, earlyPrediction: ep, pnl: result.profit, effects };
+}
+
+// We bet the next round on an assumed outcome - now we know the real one
+function settleAssumption(epoch, { direction, won, betAmount, profit }, ep, effects) {
+    const assumedWin = ep.lastAssumedOutcome === 'win';
+    const verdict = assumedWin === won ? 'Correct ✅' : 'Wrong ❌';
+
+    effects.push({
+        type: 'log',
+        message: `🔍 Verifying assumption: ${assumedWin ? 'WIN' : 'LOSS'} → Actually ${won ? 'WON' : 'LOST'} → ${assumedWin === won ? 'CORRECT ✅' : 'WRONG ❌'}`
+    });
+
+    if (won) {
+        clearLosses(ep);
+        effects.push(
+            { type: 'log', message: `🎉 WON! Round ${epoch} - All losses cleared` },
+            { type: 'claim', epoch },
+            {
+                type: 'notify',
+                method: 'sendMessage',
+                args: [
+                    `🎉 <b>Won Round ${epoch}</b>\n\n` +
+                    `Direction: ${direction}\n` +
+                    `Bet: ${betAmount.toFixed(4)} BNB\n` +
+                    `💰 Profit: +${profit.toFixed(6)} BNB\n` +
+                    `Assumption was: ${verdict}\n` +
+                    `All losses cleared!`
+                ]
+            }
+        );
+    } else {
+        if (!assumedWin) {
+            // The assumed loss was already counted - it is real now
+            ep.realLosses += ep.assumedLosses;
+            ep.realLossCount += ep.assumedLossCount;
+        } else {
+            ep.realLosses += betAmount;
+            ep.realLossCount++;
+        }
+        ep.assumedLosses = 0;
+        ep.assumedLossCount = 0;
+
+        effects.push(
+            { type: 'log', message: `❌ LOST! Round ${epoch} - Real losses: ${ep.realLosses.toFixed(4)} BNB` },
+            {
+                type: 'notify',
+                method: 'sendMessage',
+                args: [
+                    `❌ <b>Lost Round ${epoch}</b>\n\n` +
+                    `Direction: ${direction}\n` +
+                    `Bet: ${betAmount.toFixed(4)} BNB\n` +
+                    `Assumption was: ${verdict}\n` +
+                    `Real losses: ${ep.realLosses.toFixed(4)} BNB`
+                ]
+            }
+        );
+    }
+
+    ep.lastPredictionEpoch = null;
+    ep.lastAssumedOutcome = null;
+}
+
+// No assumption was made for this round (the move was too small), so the
+// real result decides the next bet
+function settleAfterSkip(epoch, { direction, won, betAmount, profit }, stats, ep, effects, options) {
+    effects.push({ type: 'log', message: `🔍 Verifying after uncertain skip: Round ${epoch} → ${won ? 'WON' : 'LOST'}` });
+
+    if (won) {
+        clearLosses(ep);
+        effects.push(
+            { type: 'log', message: `🎉 WON! Round ${epoch} - All losses cleared` },
+            { type: 'claim', epoch },
+            {
+                type: 'notify',
+                method: 'sendMessage',
+                args: [
+                    `🎉 <b>Won Round ${epoch}</b>\n\n` +
+                    `Direction: ${direction}\n` +
+                    `Bet: ${betAmount.toFixed(4)} BNB\n` +
+                    `💰 Profit: +${profit.toFixed(6)} BNB\n` +
+                    `(After uncertain skip - verified real result)\n` +
+                    `All losses cleared!`
+                ]
+            }
+        );
+        return;
+    }
+
+    ep.realLosses += betAmount;
+    ep.realLossCount++;
+    ep.assumedLosses = 0;
+    ep.assumedLossCount = 0;
+
+    const nextBet = earlyPredictionBet(stats, ep, betAmount, options).toFixed(6);
+    stats.currentBet = nextBet;
+
+    effects.push(
+        { type: 'log', message: `❌ LOST! Round ${epoch} - Real losses: ${ep.realLosses.toFixed(4)} BNB` },
+        { type: 'log', message: `📈 Next bet: ${nextBet} BNB (to cover ${ep.realLosses.toFixed(4)} BNB losses)` },
+        {
+            type: 'notify',
+            method: 'sendMessage',
+            args: [
+                `❌ <b>Lost Round ${epoch}</b>\n\n` +
+                `Direction: ${direction}\n` +
+                `Bet: ${betAmount.toFixed(4)} BNB\n` +
+                `(After uncertain skip - verified real result)\n` +
+                `Real losses: ${ep.realLosses.toFixed(4)} BNB\n` +
+                `Next bet: ${nextBet} BNB`
+            ]
+        }
+    );
+}
+
+// No early prediction: back to base after a win, size up after a loss and
+// stop once the streak passes maxDoubleDowns
+function settleMartingale(epoch, { direction, won, betAmount, profit }, stats, effects, options) {
+    if (won) {
+        stats.consecutiveLosses = 0;
+        stats.totalLost = 0;
+        stats.currentBet = options.sizeBet({ wins: stats.wins, losses: stats.losses, lossStreak: 0 }).toFixed(6);
+
+        effects.push(
+            { type: 'log', message: `🎉 WON! Round ${epoch}` },
+            { type: 'claim', epoch },
+            { type: 'notify', method: 'notifyWin', args: [epoch, direction, betAmount, profit.toFixed(6)] }
+        );
+        return;
+    }
+
+    stats.consecutiveLosses++;
+    stats.totalLost += betAmount;
+    stats.currentBet = options.sizeBet({
+        wins: stats.wins,
+        losses: stats.losses,
+        lossStreak: stats.consecutiveLosses,
+        totalLost: stats.totalLost,
+        lastBet: betAmount
+    }, options.maxDoubleDowns).toFixed(6);
+
+    const maxedOut = stats.consecutiveLosses > options.maxDoubleDowns;
+    effects.push(
+        { type: 'log', message: `❌ LOST! Round ${epoch}` },
+        {
+            type: 'log',
+            message: maxedOut
+                ? '🛑 MAX LOSSES REACHED!'
+                : `📈 Doubling bet to ${stats.currentBet} BNB (Lost ${stats.totalLost.toFixed(6)} BNB total)`
+        },
+        {
+            type: 'notify',
+            method: 'notifyLoss',
+            args: [epoch, direction, betAmount, stats.currentBet, stats.consecutiveLosses, options.maxDoubleDowns + 1]
+        }
+    );
+
+    if (maxedOut) {
+        effects.push({ type: 'stop', reason: 'Max loss streak reached', maxStreak: true });
+    }
+}
+
+// Settle a round an early prediction assumed we won, once it has closed. The
+// next bet was sized on that assumption, so only a loss changes anything.
+export function settleAssumedWin(state, round, ledger, options) {
+    const epoch = round.epoch;
+    const { won, betAmount, profit } = outcome(round, ledger);
+    const stats = { ...state.stats };
+    const ep = { ...state.earlyPrediction };
+
+    if (won) {
+        stats.wins++;
+        ep.realLosses = 0;
+        ep.realLossCount = 0;
+
+        return {
+            stats,
+            earlyPrediction: ep,
+            pnl: profit,
+            effects: [
+                { type: 'log', message: `✅ VERIFIED WIN - Round ${epoch} (assumed win was correct!)` },
+                { type: 'claim', epoch },
+                {
+                    type: 'notify',
+                    method: 'sendMessage',
+                    args: [
+                        `✅ <b>Verified Win</b>\n\n` +
+                        `Round: ${epoch}\n` +
+                        `Assumption was correct!\n` +
+                        `All losses cleared!`
+                    ]
+                }
+            ]
+        };
+    }
+
+    stats.losses++;
+    ep.realLosses += betAmount;
+    ep.realLossCount++;
+
+    // Resize the next bet to cover the newly confirmed loss
+    const totalLosses = ep.realLosses + ep.assumedLosses;
+    stats.currentBet = earlyPredictionBet(stats, ep, betAmount, options).toFixed(6);
+
+    return {
+        stats,
+        earlyPrediction: ep,
+        pnl: profit,
+        effects: [
+            { type: 'log', message: `❌ VERIFIED LOSS - Round ${epoch} (assumed win was WRONG!)` },
+            { type: 'log', message: `📈 Correcting bet amount to ${stats.currentBet} BNB to cover ${totalLosses.toFixed(4)} BNB total losses` },
+            {
+                type: 'notify',
+                method: 'sendMessage',
+                args: [
+                    `❌ <b>Verified Loss</b>\n\n` +
+                    `Round: ${epoch}\n` +
+                    `Assumed WIN but actually LOST\n` +
+                    `Real losses: ${ep.realLosses.toFixed(4)} BNB\n` +
+                    `Next bet corrected to: ${stats.currentBet} BNB`
+                ]
+            }
+        ]
+    };
+}
@@ -0,0 +1,55 @@
+// Durable state storage for PancakeSwap Prediction Bot
+import fs from 'fs';
+import path from 'path';
+
+export class StateStore {
+    constructor(filePath) {
+        if (!filePath) {
+            throw new Error('State file path required');
+        }
+
+        this.filePath = path.resolve(filePath);
+        this.lastWritten = null;
+    }
+
+    // Read the last saved snapshot, or null if there is none
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+
+        try {
+            const raw = fs.readFileSync(this.filePath, 'utf8');
+            const snapshot = JSON.parse(raw);
+            this.lastWritten = raw;
+            return snapshot;
+        } catch (error) {
+            console.error(`State file ${this.filePath} is unreadable: ${error.message}`);
+            // Whatever was written last is not what is on disk - the next save must go through
+            this.lastWritten = null;
+            return null;
+        }
+    }
+
+    // Write the snapshot atomically: temp file first, then rename over the old one.
+    // Unchanged snapshots are skipped so this can be called on every loop.
+    save(snapshot) {
+        const data = JSON.stringify(snapshot, null, 2);
+        if (data === this.lastWritten) return false;
+
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, data);
+        fs.renameSync(tmpPath, this.filePath);
+
+        this.lastWritten = data;
+        return true;
+    }
+
+    clear() {
+        if (fs.existsSync(this.filePath)) {
+            fs.unlinkSync(this.filePath);
+        }
+        this.lastWritten = null;
+    }
+}
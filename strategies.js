@@ -0,0 +1,149 @@
+// Direction strategies for PancakeSwap Prediction Bot
+//
+// A strategy looks at the round being bet on and returns BULL, BEAR or SKIP.
+// Every decision gets the same context:
+//   round       - parsed rounds() data for the round being bet on (pool sizes so far)
+//   history     - earlier rounds, newest first (history[0] is usually the live round)
+//   oraclePrice - current Chainlink BNB/USD price, only fetched when needsPrice is set
+//   random      - () => number in [0, 1)
+// Parameters are checked against each strategy's schema, see plugin-registry.js
+import { roundResult } from './prediction-contract.js';
+import { PluginRegistry, formatPlugin } from './plugin-registry.js';
+
+export const SKIP = 'SKIP';
+
+const registry = new PluginRegistry({
+    kind: 'Strategy',
+    method: 'decide',
+    base: { historySize: () => 0, needsPrice: false }
+});
+
+export function registerStrategy(definition) {
+    registry.register(definition);
+}
+
+export function hasStrategy(name) {
+    return registry.has(name);
+}
+
+export function listStrategies() {
+    return registry.list();
+}
+
+// Build a ready-to-use strategy instance with its parameters checked and merged over the defaults
+export function createStrategy(name, params = {}) {
+    const { definition, params: merged } = registry.resolve(name, params);
+
+    return {
+        name: definition.name,
+        params: merged,
+        historySize: definition.historySize(merged),
+        needsPrice: definition.needsPrice,
+        decide: (context) => definition.decide(context, merged)
+    };
+}
+
+// Parse "key=value" pairs separated by spaces or commas; numeric values become numbers
+export function parseParams(text = '') {
+    const params = {};
+
+    for (const pair of text.split(/[\s,]+/).filter(Boolean)) {
+        const [key, value, ...extra] = pair.split('=');
+        if (!key || value === undefined || value === '' || extra.length > 0) {
+            throw new Error(`Invalid parameter "${pair}" - use key=value`);
+        }
+        const num = Number(value);
+        params[key] = isNaN(num) ? value : num;
+    }
+
+    return params;
+}
+
+export { formatPlugin as formatStrategy };
+
+// Results of closed rounds in history, newest first
+function closedResults(history) {
+    return history
+        .filter(round => round.oracleCalled)
+        .map(roundResult);
+}
+
+const opposite = (direction) => direction === 'BULL' ? 'BEAR' : 'BULL';
+
+registerStrategy({
+    name: 'BULL',
+    description: 'Always bet BULL',
+    decide: () => 'BULL'
+});
+
+registerStrategy({
+    name: 'BEAR',
+    description: 'Always bet BEAR',
+    decide: () => 'BEAR'
+});
+
+registerStrategy({
+    name: 'RANDOM',
+    description: 'Pick a side at random',
+    decide: ({ random }) => random() > 0.5 ? 'BULL' : 'BEAR'
+});
+
+registerStrategy({
+    name: 'FOLLOW',
+    description: 'Bet the same side as the last closed round',
+    historySize: () => 3,
+    decide: ({ history }) => {
+        const [last] = closedResults(history);
+        return last || SKIP;
+    }
+});
+
+registerStrategy({
+    name: 'CONTRARIAN',
+    description: 'Bet against a run of identical results',
+    defaults: { streak: 2 },
+    schema: { streak: { type: 'integer', min: 1, max: 20 } },
+    historySize: ({ streak }) => streak + 2,
+    decide: ({ history }, { streak }) => {
+        const results = closedResults(history).slice(0, streak);
+        if (results.length < streak || !results[0]) return SKIP;
+        if (!results.every(result => result === results[0])) return SKIP;
+        return opposite(results[0]);
+    }
+});
+
+registerStrategy({
+    name: 'PAYOUT',
+    description: 'Bet the side with the bigger payout multiplier',
+    defaults: { minRatio: 1.2, minPool: 0.5 },
+    schema: { minRatio: { type: 'number', min: 1 }, minPool: { type: 'number', min: 0 } },
+    decide: ({ round }, { minRatio, minPool }) => {
+        const { totalAmount, bullAmount, bearAmount } = round;
+        if (totalAmount < minPool || bullAmount === 0 || bearAmount === 0) return SKIP;
+
+        const bullPayout = totalAmount / bullAmount;
+        const bearPayout = totalAmount / bearAmount;
+        const [side, high, low] = bullPayout >= bearPayout
+            ? ['BULL', bullPayout, bearPayout]
+            : ['BEAR', bearPayout, bullPayout];
+
+        return high / low >= minRatio ? side : SKIP;
+    }
+});
+
+registerStrategy({
+    name: 'MOMENTUM',
+    description: 'Follow the Chainlink price move since the live round locked',
+    defaults: { minMove: 0.3 },
+    schema: { minMove: { type: 'number', min: 0 } },
+    historySize: () => 1,
+    needsPrice: true,
+    decide: ({ history, oraclePrice }, { minMove }) => {
+        const [live] = history;
+        if (!oraclePrice || !live || !live.lockPrice) return SKIP;
+
+        const move = oraclePrice - live.lockPrice;
+        if (Math.abs(move) < minMove) return SKIP;
+        return move > 0 ? 'BULL' : 'BEAR';
+    }
+});
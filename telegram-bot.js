@@ -1,5 +1,7 @@
 // Telegram Bot Integration for PancakeSwap Prediction Bot
 import TelegramBot from 'node-telegram-bot-api';
+import { AccessControl } from './access-control.js';
+import { COMMAND_PATTERN, CommandRegistry, parseArgs } from './telegram-commands.js';
 
 export class TelegramNotifier {
     constructor(botToken, chatId) {
@@ -10,11 +12,21 @@ export class TelegramNotifier {
         this.bot = new TelegramBot(botToken, { polling: false });
         this.chatId = chatId;
         this.enabled = true;
+        this.label = null;
+    }
+
+    // Prefix every message, e.g. to mark paper trading notifications
+    setLabel(label) {
+        this.label = label;
     }
 
     async sendMessage(message, options = {}) {
         if (!this.enabled) return;
         
+        if (this.label) {
+            message = `${this.label}\n${message}`;
+        }
+        
         try {
             await this.bot.sendMessage(this.chatId, message, {
                 parse_mode: 'HTML',
@@ -50,6 +62,33 @@ export class TelegramNotifier {
         );
     }
 
+    async notifyBetFailed(round, direction, amount, status, reason) {
+        await this.sendMessage(
+            `⚠️ <b>BET NOT PLACED</b>\n\n` +
+            `Round: #${round}\n` +
+            `Direction: ${direction}\n` +
+            `Amount: ${amount} BNB\n` +
+            `Status: ${status}\n` +
+            `Reason: ${reason}`
+        );
+    }
+
+    async notifyPaused(reason, resumesAt) {
+        await this.sendMessage(
+            `⏸️ <b>BETTING PAUSED</b>\n\n` +
+            `Reason: ${reason}\n` +
+            `Resumes: ${resumesAt}\n\n` +
+            `Results and claims are still handled while paused`
+        );
+    }
+
+    async notifyResumed(reason) {
+        await this.sendMessage(
+            `▶️ <b>BETTING RESUMED</b>\n\n` +
+            `Pause over: ${reason}`
+        );
+    }
+
     async notifyWin(round, direction, amount, winnings) {
         await this.sendMessage(
             `🎉 <b>WIN!</b>\n\n` +
@@ -93,8 +132,12 @@ export class TelegramNotifier {
             ? ((stats.wins / stats.totalBets) * 100).toFixed(1) 
             : 0;
         
-        const netProfit = (stats.totalWon - stats.totalWagered).toFixed(4);
-        const profitEmoji = parseFloat(netProfit) >= 0 ? '📈' : '📉';
+        const fees = stats.totalFees || 0;
+        const grossProfit = stats.totalWon - stats.totalWagered;
+        const netProfit = grossProfit - fees;
+        const roi = stats.totalWagered > 0 ? (netProfit / stats.totalWagered) * 100 : 0;
+        const perBet = stats.totalBets > 0 ? netProfit / stats.totalBets : 0;
+        const profitEmoji = netProfit >= 0 ? '📈' : '📉';
 
         await this.sendMessage(
             `📊 <b>TRADING STATS</b>\n\n` +
@@ -103,12 +146,48 @@ export class TelegramNotifier {
             `❌ Losses: ${stats.losses}\n` +
             `🎯 Win Rate: ${winRate}%\n\n` +
             `💵 Wagered: ${stats.totalWagered.toFixed(4)} BNB\n` +
-            `${profitEmoji} Net P/L: ${netProfit} BNB\n\n` +
+            `🏆 Won: ${stats.totalWon.toFixed(4)} BNB\n` +
+            `Gross P/L: ${grossProfit.toFixed(4)} BNB\n` +
+            `⛽ Gas: ${fees.toFixed(4)} BNB\n` +
+            `${profitEmoji} Net P/L: ${netProfit.toFixed(4)} BNB\n` +
+            `📐 ROI: ${roi.toFixed(2)}% (${perBet.toFixed(6)} BNB/bet)\n\n` +
             `🔥 Current Streak: ${stats.consecutiveLosses} losses\n` +
             `💰 Next Bet: ${stats.currentBet} BNB`
         );
     }
 
+    // A scheduled report (see reports.js); USD values only with a BNB price
+    async notifyReport(period, from, to, report, bnbPrice) {
+        const bnb = (amount, sign = false) => {
+            const text = `${sign && amount >= 0 ? '+' : ''}${amount.toFixed(4)} BNB`;
+            return bnbPrice ? `${text} ($${(amount * bnbPrice).toFixed(2)})` : text;
+        };
+        const extra = [
+            report.failed > 0 ? `${report.failed} failed` : null,
+            report.pending > 0 ? `${report.pending} pending` : null
+        ].filter(Boolean);
+
+        let message =
+            `📅 <b>${period.toUpperCase()} REPORT</b>\n` +
+            `${from} → ${to}\n\n` +
+            `Bets: ${report.bets}${extra.length > 0 ? ` (${extra.join(', ')})` : ''}\n` +
+            `✅ Wins: ${report.wins}\n` +
+            `❌ Losses: ${report.losses}\n` +
+            `🎯 Win Rate: ${report.winRate.toFixed(1)}%\n\n` +
+            `💵 P/L: ${bnb(report.pnl, true)}\n` +
+            `⛽ Gas: ${bnb(report.gas)}\n` +
+            `${report.netPnl >= 0 ? '📈' : '📉'} Net P/L: ${bnb(report.netPnl, true)}\n\n` +
+            `🔥 Longest Streaks: ${report.longestWinStreak} wins, ${report.longestLossStreak} losses\n` +
+            `💰 Max Bet: ${report.maxBet.toFixed(4)} BNB`;
+
+        if (report.predictions > 0) {
+            const accuracy = (report.predictionsCorrect / report.predictions) * 100;
+            message += `\n🔮 Early Prediction: ${report.predictionsCorrect}/${report.predictions} correct (${accuracy.toFixed(1)}%)`;
+        }
+
+        await this.sendMessage(message);
+    }
+
     async notifyError(error) {
         await this.sendMessage(
             `🚨 <b>ERROR</b>\n\n` +
@@ -125,351 +204,228 @@ export class TelegramNotifier {
     }
 }
 
-// Command handler for controlling bot via Telegram
+// Buttons of the /panel keyboard, each runs the command of the same name
+const PANEL_BUTTONS = [
+    [{ text: '▶️ Start', callback_data: 'panel:start' }, { text: '⏹️ Stop', callback_data: 'panel:stop' }],
+    [
+        { text: '📋 Status', callback_data: 'panel:status' },
+        { text: '📊 Stats', callback_data: 'panel:stats' },
+        { text: '⚙️ Settings', callback_data: 'panel:settings' }
+    ]
+];
+
+// Command handler for controlling bot via Telegram. The bot declares its
+// commands with command(), see telegram-commands.js
 export class TelegramController {
-    constructor(botToken, allowedChatIds = []) {
-        this.bot = new TelegramBot(botToken, { polling: true });
-        this.allowedChatIds = allowedChatIds;
-        this.callbacks = {};
-    }
-
-    // Register callbacks for bot control
-    onStart(callback) {
-        this.callbacks.start = callback;
-    }
-
-    onStop(callback) {
-        this.callbacks.stop = callback;
+    // options:
+    //   bot              - used instead of a polling TelegramBot
+    //   confirmTimeoutMs - how long a confirmation prompt can be answered
+    //   clock            - () => milliseconds since 1970, like Date.now
+    constructor(botToken, access, options = {}) {
+        this.bot = options.bot || new TelegramBot(botToken, { polling: true });
+        this.access = access;
+        this.commands = new CommandRegistry();
+        this.confirmations = new Map();
+        this.confirmationCount = 0;
+        this.confirmTimeoutMs = options.confirmTimeoutMs ?? 2 * 60 * 1000;
+        this.clock = options.clock || Date.now;
     }
 
-    onStatus(callback) {
-        this.callbacks.status = callback;
+    // Declare a command, see telegram-commands.js for the definition
+    command(definition, run = definition.run) {
+        this.commands.register({ ...definition, run });
     }
 
-    onBalance(callback) {
-        this.callbacks.balance = callback;
-    }
-
-    onStats(callback) {
-        this.callbacks.stats = callback;
-    }
-
-    onReset(callback) {
-        this.callbacks.reset = callback;
-    }
-
-    onContinue(callback) {
-        this.callbacks.continue = callback;
-    }
-
-    onSetBet(callback) {
-        this.callbacks.setBet = callback;
-    }
-
-    onSetMax(callback) {
-        this.callbacks.setMax = callback;
-    }
-
-    onSetDirection(callback) {
-        this.callbacks.setDirection = callback;
-    }
-
-    onSetPrediction(callback) {
-        this.callbacks.setPrediction = callback;
-    }
-
-    onSetThreshold(callback) {
-        this.callbacks.setThreshold = callback;
-    }
-    
-    onSetMaxEPBet(callback) {
-        this.callbacks.setMaxEPBet = callback;
-    }
-
-    onSettings(callback) {
-        this.callbacks.settings = callback;
-    }
-
-    // Check if user is authorized
-    isAuthorized(chatId) {
-        return this.allowedChatIds.length === 0 || 
-               this.allowedChatIds.includes(chatId.toString());
+    // Check the sender's role for a command, audit it and answer if refused
+    async authorize(msg, command) {
+        const { allowed, reason } = this.access.check(msg, command, this.commands.get(command)?.role);
+        if (!allowed) {
+            await this.bot.sendMessage(msg.chat.id, `🚫 ${reason}`);
+        }
+        return allowed;
     }
 
-    // Start listening for commands
-    start() {
-        // /start command
-        this.bot.onText(/\/start/, async (msg) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
+    // Send what a command returned: a message, { message, keyboard } with
+    // inline buttons, a file, or { confirm, apply } to ask first. apply()
+    // only runs once the user who sent the command presses Confirm
+    async reply(msg, command, result) {
+        const chatId = msg.chat.id;
 
-            if (this.callbacks.start) {
-                const result = await this.callbacks.start();
-                await this.bot.sendMessage(chatId, result);
-            }
-        });
+        if (!result) return;
 
-        // /stop command
-        this.bot.onText(/\/stop/, async (msg) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
-
-            if (this.callbacks.stop) {
-                const result = await this.callbacks.stop();
-                await this.bot.sendMessage(chatId, result);
-            }
-        });
+        if (typeof result === 'string') {
+            await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
+            return;
+        }
 
-        // /status command
-        this.bot.onText(/\/status/, async (msg) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
+        if (result.keyboard) {
+            await this.bot.sendMessage(chatId, result.message, {
+                parse_mode: 'HTML',
+                reply_markup: { inline_keyboard: result.keyboard }
+            });
+            return;
+        }
 
-            if (this.callbacks.status) {
-                const result = await this.callbacks.status();
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
-            }
-        });
+        if (result.filename) {
+            await this.bot.sendDocument(
+                chatId,
+                Buffer.from(result.content),
+                { caption: result.caption },
+                { filename: result.filename, contentType: 'text/csv' }
+            );
+            return;
+        }
 
-        // /balance command
-        this.bot.onText(/\/balance/, async (msg) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
+        const now = this.clock();
+        for (const [id, pending] of this.confirmations) {
+            if (pending.expiresAt <= now) {
+                this.confirmations.delete(id);
             }
+        }
 
-            if (this.callbacks.balance) {
-                const result = await this.callbacks.balance();
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
-            }
+        const id = String(++this.confirmationCount);
+        this.confirmations.set(id, {
+            command,
+            userId: msg.from?.id,
+            apply: result.apply,
+            expiresAt: now + this.confirmTimeoutMs
         });
 
-        // /stats command
-        this.bot.onText(/\/stats/, async (msg) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
-
-            if (this.callbacks.stats) {
-                const result = await this.callbacks.stats();
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
+        await this.bot.sendMessage(chatId, result.confirm, {
+            parse_mode: 'HTML',
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '✅ Confirm', callback_data: `confirm:${id}` },
+                    { text: '❌ Cancel', callback_data: `cancel:${id}` }
+                ]]
             }
         });
+    }
 
-        // /help command
-        this.bot.onText(/\/help/, async (msg) => {
-            const chatId = msg.chat.id;
-            
-            const helpText = 
-                `🤖 <b>Bot Commands</b>\n\n` +
-                `<b>Control:</b>\n` +
-                `/start - Start trading bot\n` +
-                `/stop - Stop trading bot\n` +
-                `/reset - Reset bet sequence to base\n` +
-                `/continue - Continue current streak\n\n` +
-                `<b>Settings:</b>\n` +
-                `/setbet [amount] - Set base bet (e.g. /setbet 0.01)\n` +
-                `/setmax [number] - Set max double-downs (e.g. /setmax 5)\n` +
-                `/setdirection [dir] - Set direction (BULL/BEAR/RANDOM)\n` +
-                `/setprediction [on/off] - Toggle early prediction\n` +
-                `/setthreshold [amount] - Set prediction threshold\n` +
-                `/setmaxepbet [amount] - Set max early prediction bet\n` +
-                `/settings - View current settings\n\n` +
-                `<b>Info:</b>\n` +
-                `/status - Check bot status\n` +
-                `/balance - Check wallet balance\n` +
-                `/stats - View trading statistics\n` +
-                `/commands - Show this help message\n` +
-                `/help - Show this help message`;
-            
-            await this.bot.sendMessage(chatId, helpText, { parse_mode: 'HTML' });
-        });
-
-        // /commands command (alias for help)
-        this.bot.onText(/\/commands/, async (msg) => {
-            const chatId = msg.chat.id;
-            
-            const helpText = 
-                `🤖 <b>Bot Commands</b>\n\n` +
-                `<b>Control:</b>\n` +
-                `/start - Start trading bot\n` +
-                `/stop - Stop trading bot\n` +
-                `/reset - Reset bet sequence to base\n` +
-                `/continue - Continue current streak\n\n` +
-                `<b>Settings:</b>\n` +
-                `/setbet [amount] - Set base bet (e.g. /setbet 0.01)\n` +
-                `/setmax [number] - Set max double-downs (e.g. /setmax 5)\n` +
-                `/setdirection [dir] - Set direction (BULL/BEAR/RANDOM)\n` +
-                `/setprediction [on/off] - Toggle early prediction\n` +
-                `/setthreshold [amount] - Set prediction threshold\n` +
-                `/setmaxepbet [amount] - Set max early prediction bet\n` +
-                `/settings - View current settings\n\n` +
-                `<b>Info:</b>\n` +
-                `/status - Check bot status\n` +
-                `/balance - Check wallet balance\n` +
-                `/stats - View trading statistics\n` +
-                `/commands - Show this help message\n` +
-                `/help - Show this help message`;
-            
-            await this.bot.sendMessage(chatId, helpText, { parse_mode: 'HTML' });
-        });
+    // Inline keyboard presses: panel buttons and confirmation prompts
+    async handleCallbackQuery(query) {
+        const [kind, value] = (query.data || '').split(':');
+        // A press acts as the user who pressed it, in the chat it was pressed in
+        const msg = { text: query.data, from: query.from, chat: query.message.chat };
+
+        let notice = null;
+        if (kind === 'panel' && this.commands.get(value)) {
+            await this.runCommand(msg, this.commands.get(value), '');
+        } else if (kind === 'confirm' || kind === 'cancel') {
+            notice = await this.answerConfirmation(query, msg, kind === 'confirm', value);
+        }
 
-        // /reset command
-        this.bot.onText(/\/reset/, async (msg) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
+        await this.bot.answerCallbackQuery(query.id, notice ? { text: notice } : {});
+    }
 
-            if (this.callbacks.reset) {
-                const result = await this.callbacks.reset();
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
-            }
+    // Confirm or cancel a pending change, replacing the prompt with the
+    // outcome. Returns a short notice for the user who pressed, if any
+    async answerConfirmation(query, msg, confirmed, id) {
+        const pending = this.confirmations.get(id);
+        const edit = (text) => this.bot.editMessageText(text, {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id,
+            parse_mode: 'HTML'
         });
 
-        // /continue command
-        this.bot.onText(/\/continue/, async (msg) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
+        if (!pending || pending.expiresAt <= this.clock()) {
+            this.confirmations.delete(id);
+            await edit('⌛ Expired - send the command again.');
+            return 'Expired';
+        }
 
-            if (this.callbacks.continue) {
-                const result = await this.callbacks.continue();
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
-            }
-        });
+        if (String(query.from.id) !== String(pending.userId)) {
+            return 'Only the user who sent the command can answer';
+        }
 
-        // /settings command
-        this.bot.onText(/\/settings/, async (msg) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
+        this.confirmations.delete(id);
 
-            if (this.callbacks.settings) {
-                const result = await this.callbacks.settings();
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
-            }
-        });
+        if (!confirmed) {
+            await edit('❌ Cancelled - nothing changed.');
+            return null;
+        }
 
-        // /setbet command
-        this.bot.onText(/\/setbet (.+)/, async (msg, match) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
+        // Checked and audited again: roles can change while a prompt is open
+        if (!await this.authorize(msg, pending.command)) {
+            return null;
+        }
 
-            const amount = match[1];
-            if (this.callbacks.setBet) {
-                const result = await this.callbacks.setBet(amount);
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
-            }
-        });
+        await edit(await pending.apply());
+        return null;
+    }
 
-        // /setmax command
-        this.bot.onText(/\/setmax (.+)/, async (msg, match) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
+    // Route a message to its command. Only whole-message commands count, so
+    // /setmaxepbet never runs /setmax and /startx is not /start
+    async handleMessage(msg) {
+        const match = COMMAND_PATTERN.exec(msg.text || '');
+        if (!match) return;
+
+        const command = this.commands.get(match[1].toLowerCase());
+        if (!command) {
+            // Groups may have other bots' commands
+            if (msg.chat.type === 'private') {
+                await this.bot.sendMessage(msg.chat.id, `❓ Unknown command /${match[1]} - see /help`);
             }
+            return;
+        }
 
-            const max = match[1];
-            if (this.callbacks.setMax) {
-                const result = await this.callbacks.setMax(max);
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
-            }
-        });
+        await this.runCommand(msg, command, match[2] || '');
+    }
 
-        // /setdirection command
-        this.bot.onText(/\/setdirection (.+)/, async (msg, match) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
+    async runCommand(msg, command, text) {
+        if (!await this.authorize(msg, command.name)) {
+            return;
+        }
 
-            const direction = match[1].toUpperCase();
-            if (this.callbacks.setDirection) {
-                const result = await this.callbacks.setDirection(direction);
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
-            }
-        });
+        const { args, error } = parseArgs(command, text);
+        if (error) {
+            await this.bot.sendMessage(
+                msg.chat.id,
+                `❌ ${error}\n\nUsage: ${this.commands.usage(command)}` +
+                (command.example ? `\nExample: ${command.example}` : '')
+            );
+            return;
+        }
 
-        // /setprediction command
-        this.bot.onText(/\/setprediction (.+)/, async (msg, match) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
+        await this.reply(msg, command.name, await command.run(args, msg));
+    }
 
-            const value = match[1].toLowerCase();
-            if (this.callbacks.setPrediction) {
-                const result = await this.callbacks.setPrediction(value);
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
+    // Start listening for commands
+    start() {
+        // Registered last so they come last in /help
+        const help = (args, msg) => {
+            const role = this.access.roleOf(msg.from?.id);
+            return this.commands.help(command => AccessControl.covers(role, command.role));
+        };
+
+        this.command({
+            name: 'panel',
+            group: 'Control',
+            role: 'viewer',
+            help: 'Buttons for the common commands'
+        }, () => ({ message: '🎛️ <b>Control Panel</b>', keyboard: PANEL_BUTTONS }));
+        this.command({ name: 'commands', role: 'viewer', help: 'Show this help message' }, help);
+        this.command({ name: 'help', role: 'viewer', help: 'Show this help message' }, help);
+
+        this.bot.onText(COMMAND_PATTERN, async (msg) => {
+            try {
+                await this.handleMessage(msg);
+            } catch (error) {
+                console.error('Telegram command error:', error.message);
             }
         });
 
-        // /setthreshold command
-        this.bot.onText(/\/setthreshold (.+)/, async (msg, match) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
-
-            const threshold = match[1];
-            if (this.callbacks.setThreshold) {
-                const result = await this.callbacks.setThreshold(threshold);
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
+        this.bot.on('callback_query', async (query) => {
+            try {
+                await this.handleCallbackQuery(query);
+            } catch (error) {
+                console.error('Telegram callback error:', error.message);
             }
         });
-        
-        // /setmaxepbet command
-        this.bot.onText(/\/setmaxepbet (.+)/, async (msg, match) => {
-            const chatId = msg.chat.id;
-            
-            if (!this.isAuthorized(chatId)) {
-                await this.bot.sendMessage(chatId, '🚫 Unauthorized');
-                return;
-            }
 
-            const amount = match[1];
-            if (this.callbacks.setMaxEPBet) {
-                const result = await this.callbacks.setMaxEPBet(amount);
-                await this.bot.sendMessage(chatId, result, { parse_mode: 'HTML' });
-            }
+        // The menu Telegram shows when typing /
+        this.bot.setMyCommands(this.commands.menu()).catch(error => {
+            console.error('Telegram setMyCommands error:', error.message);
         });
 
         console.log('Telegram controller started - listening for commands');
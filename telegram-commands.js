@@ -0,0 +1,161 @@
+// Telegram command registry for PancakeSwap Prediction Bot
+//
+// Every command the controller answers is declared once:
+//   name    - what follows the slash, lowercase
+//   group   - help section: Control, Settings or Info
+//   role    - least role allowed to run it, see access-control.js
+//   args    - [{ name, type, optional, default, min, max, choices }] in order.
+//             Types: amount (positive decimal, kept as typed like BNB amounts
+//             in the config), number, integer, word, and text for the rest of
+//             the line, which can only come last
+//   help    - one line for /help and Telegram's command menu
+//   example - shown with argument errors
+//   run(args, msg) - returns a message, { message, keyboard } with inline
+//             buttons, { confirm, apply } to ask first, or
+//             { filename, content, caption } for a file
+// Matching, argument parsing, authorization, /help and the menu are all built
+// from these, so a new command is one register() call.
+
+export const COMMAND_GROUPS = ['Control', 'Settings', 'Info'];
+
+// "/setbet@SomeBot 0.5" - the whole message, nothing before or after
+export const COMMAND_PATTERN = /^\/([A-Za-z0-9_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/;
+
+const ARG_TYPES = {
+    amount: { describe: 'a positive amount', parse: (text) => /^\d*\.?\d+$/.test(text) && parseFloat(text) > 0 ? text : undefined },
+    number: { describe: 'a number', parse: (text) => /^-?\d*\.?\d+$/.test(text) ? parseFloat(text) : undefined },
+    integer: { describe: 'a whole number', parse: (text) => /^-?\d+$/.test(text) ? parseInt(text) : undefined },
+    word: { describe: 'a word', parse: (text) => text },
+    text: { describe: 'text', parse: (text) => text }
+};
+
+// Check one argument against its schema: { value } or { error }
+function parseArg(arg, raw) {
+    const value = ARG_TYPES[arg.type].parse(raw);
+    if (value === undefined) {
+        return { error: `${arg.name} must be ${ARG_TYPES[arg.type].describe}` };
+    }
+
+    const numeric = typeof value === 'string' ? parseFloat(value) : value;
+    if (arg.min !== undefined && arg.max !== undefined && (numeric < arg.min || numeric > arg.max)) {
+        return { error: `${arg.name} must be ${arg.min}-${arg.max}` };
+    }
+    if (arg.min !== undefined && numeric < arg.min) {
+        return { error: `${arg.name} must be at least ${arg.min}` };
+    }
+    if (arg.max !== undefined && numeric > arg.max) {
+        return { error: `${arg.name} must be at most ${arg.max}` };
+    }
+    if (arg.choices && !arg.choices.includes(value.toLowerCase())) {
+        return { error: `${arg.name} must be one of ${arg.choices.join(', ')}` };
+    }
+
+    return { value: arg.choices ? value.toLowerCase() : value };
+}
+
+// Parse what follows the command into { args } keyed by argument name, or
+// { error } saying what is wrong
+export function parseArgs(command, text = '') {
+    const args = {};
+    let rest = text.trim();
+
+    for (const arg of command.args) {
+        let raw = rest;
+        if (arg.type === 'text') {
+            rest = '';
+        } else {
+            [, raw = '', rest = ''] = rest.match(/^(\S*)\s*([\s\S]*)$/);
+        }
+
+        if (raw === '') {
+            if (!arg.optional) {
+                return { error: `Missing ${arg.name}` };
+            }
+            args[arg.name] = arg.default;
+            continue;
+        }
+
+        const { value, error } = parseArg(arg, raw);
+        if (error) {
+            return { error };
+        }
+        args[arg.name] = value;
+    }
+
+    if (rest) {
+        return { error: `Unexpected "${rest}"` };
+    }
+
+    return { args };
+}
+
+// Help goes out as HTML, where <amount> would be a tag
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+    }
+
+    register(definition) {
+        const { name, run } = definition;
+        if (!/^[a-z0-9_]{1,32}$/.test(name || '') || typeof run !== 'function') {
+            throw new Error('Command needs a lowercase name and a run() function');
+        }
+        if (this.commands.has(name)) {
+            throw new Error(`Command /${name} is already registered`);
+        }
+
+        const args = definition.args || [];
+        for (const [index, arg] of args.entries()) {
+            if (!ARG_TYPES[arg.type]) {
+                throw new Error(`/${name} argument ${arg.name} has unknown type "${arg.type}"`);
+            }
+            if (arg.type === 'text' && index < args.length - 1) {
+                throw new Error(`/${name} argument ${arg.name} takes the rest of the line and must come last`);
+            }
+        }
+
+        this.commands.set(name, {
+            group: 'Info',
+            // Nobody but admins until said otherwise
+            role: 'admin',
+            help: '',
+            example: null,
+            ...definition,
+            args
+        });
+    }
+
+    get(name) {
+        return this.commands.get(name) || null;
+    }
+
+    list() {
+        return [...this.commands.values()];
+    }
+
+    usage(command) {
+        return [`/${command.name}`, ...command.args.map(arg => arg.optional ? `[${arg.name}]` : `<${arg.name}>`)].join(' ');
+    }
+
+    // /help text, grouped, with only the commands `include` lets through
+    help(include = () => true) {
+        let text = `🤖 <b>Bot Commands</b>\n`;
+
+        for (const group of COMMAND_GROUPS) {
+            const commands = this.list().filter(command => command.group === group && include(command));
+            if (commands.length > 0) {
+                text += `\n<b>${group}:</b>\n` +
+                        commands.map(command => `${escapeHtml(this.usage(command))} - ${command.help}`).join('\n') + '\n';
+            }
+        }
+
+        return text;
+    }
+
+    // Entries for Telegram's setMyCommands
+    menu() {
+        return this.list().map(command => ({ command: command.name, description: command.help || command.name }));
+    }
+}
@@ -0,0 +1,123 @@
+// Unit tests for access-control.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AccessControl, AuditLog, parseUsers } from '../access-control.js';
+
+const GROUP = -100123;
+const START = Date.UTC(2024, 0, 1, 10);
+
+let dir;
+let file;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-control-'));
+    file = path.join(dir, 'audit.jsonl');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function access() {
+    return new AccessControl({
+        users: parseUsers('1:viewer,2:operator,3:admin'),
+        chatIds: [String(GROUP)],
+        auditLog: new AuditLog(file, { clock: () => START })
+    });
+}
+
+function message(userId, text, chatId = userId) {
+    return {
+        text,
+        from: { id: userId, username: `user${userId}` },
+        chat: { id: chatId, type: chatId === userId ? 'private' : 'supergroup' }
+    };
+}
+
+function audit() {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('parseUsers', () => {
+    it('reads user IDs and roles', () => {
+        assert.deepEqual(parseUsers('111:admin, 222:viewer'), { 111: 'admin', 222: 'viewer' });
+        assert.deepEqual(parseUsers(''), {});
+    });
+
+    it('rejects unknown roles and bad IDs', () => {
+        assert.throws(() => parseUsers('111:owner'), /Invalid Telegram user "111:owner"/);
+        assert.throws(() => parseUsers('bob:admin'), /Invalid Telegram user/);
+    });
+});
+
+describe('AccessControl', () => {
+    it('lets each role run its own commands and the ones below', () => {
+        const control = access();
+
+        assert.equal(control.check(message(1, '/status'), 'status', 'viewer').allowed, true);
+        assert.deepEqual(control.check(message(1, '/stop'), 'stop', 'operator'), {
+            allowed: false, role: 'viewer', reason: 'operator role required'
+        });
+        assert.equal(control.check(message(2, '/stop'), 'stop', 'operator').allowed, true);
+        assert.equal(control.check(message(2, '/setbet 1'), 'setbet', 'admin').allowed, false);
+        assert.equal(control.check(message(3, '/setbet 1'), 'setbet', 'admin').allowed, true);
+    });
+
+    it('checks the user, not the chat, in a group', () => {
+        const control = access();
+
+        assert.equal(control.check(message(2, '/start', GROUP), 'start', 'operator').allowed, true);
+        assert.deepEqual(control.check(message(9, '/status', GROUP), 'status', 'viewer'), {
+            allowed: false, role: null, reason: 'Unauthorized'
+        });
+    });
+
+    it('ignores groups that are not configured', () => {
+        assert.equal(access().check(message(3, '/status', -100999), 'status', 'viewer').reason, 'Commands are not taken in this chat');
+    });
+
+    it('lets nobody in without users', () => {
+        assert.equal(new AccessControl().check(message(1, '/status'), 'status', 'viewer').allowed, false);
+    });
+
+    it('needs admin when no role is given', () => {
+        const control = access();
+
+        assert.equal(control.check(message(2, '/withdraw'), 'withdraw').allowed, false);
+        assert.equal(control.check(message(3, '/withdraw'), 'withdraw').allowed, true);
+    });
+
+    it('audits every command, allowed or not', () => {
+        const control = access();
+        control.check(message(2, '/setbet 0.5', GROUP), 'setbet', 'admin');
+        control.check(message(3, '/setbet 0.5'), 'setbet', 'admin');
+
+        assert.deepEqual(audit(), [
+            {
+                time: '2024-01-01T10:00:00.000Z',
+                command: 'setbet',
+                text: '/setbet 0.5',
+                userId: '2',
+                username: 'user2',
+                chatId: String(GROUP),
+                role: 'operator',
+                allowed: false,
+                reason: 'admin role required'
+            },
+            {
+                time: '2024-01-01T10:00:00.000Z',
+                command: 'setbet',
+                text: '/setbet 0.5',
+                userId: '3',
+                username: 'user3',
+                chatId: '3',
+                role: 'admin',
+                allowed: true,
+                reason: null
+            }
+        ]);
+    });
+});
@@ -0,0 +1,161 @@
+// Unit tests for backtest.js on a small fixture of rounds
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadRounds, runBacktest, formatReport } from '../backtest.js';
+import { SKIP, createStrategy } from '../strategies.js';
+import { createSizer } from '../bet-sizing.js';
+
+function approx(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+// A closed round paying 1.94x to the winning side
+function round(epoch, lockPrice, closePrice, overrides = {}) {
+    return {
+        epoch,
+        lockPrice,
+        closePrice,
+        oracleCalled: true,
+        totalAmount: 2,
+        bullAmount: 1,
+        bearAmount: 1,
+        rewardBaseCalAmount: 1,
+        rewardAmount: 1.94,
+        ...overrides
+    };
+}
+
+// The bot bets every other epoch: 1 wins, 3 loses, 5 ties (a loss, and the
+// streak past maxDoubleDowns), 7 is cancelled and 9 wins
+const ROUNDS = [
+    round(1, 600, 601),
+    round(2, 600, 600.5),
+    round(3, 600, 599),
+    round(4, 600, 600.5),
+    round(5, 600, 600),
+    round(6, 600, 600.5),
+    round(7, 600, 0, { oracleCalled: false }),
+    round(8, 600, 600.5),
+    round(9, 600, 602)
+];
+
+function options(overrides = {}) {
+    return {
+        baseBetAmount: '0.01',
+        maxDoubleDowns: 1,
+        strategy: createStrategy('BULL'),
+        sizer: createSizer('MARTINGALE'),
+        ...overrides
+    };
+}
+
+describe('loadRounds', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function write(name, content) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    it('reads JSONL of parsed rounds and raw tuples, sorted by epoch', () => {
+        const tuple = ['3', '100', '400', '700', '60000000000', '60100000000', '0', '0',
+            '2000000000000000000', '1000000000000000000', '1000000000000000000', '1000000000000000000', '1940000000000000000', true];
+        const file = write('rounds.jsonl', `${JSON.stringify(round(5, 600, 599))}\n\n${JSON.stringify(tuple)}\n`);
+
+        const rounds = loadRounds(file);
+
+        assert.deepEqual(rounds.map(r => r.epoch), [3, 5]);
+        assert.equal(rounds[0].lockPrice, 600);
+        assert.equal(rounds[0].closePrice, 601);
+        assert.equal(rounds[0].rewardAmount, 1.94);
+        assert.equal(rounds[0].oracleCalled, true);
+    });
+
+    it('reads a JSON array and an empty file', () => {
+        assert.deepEqual(loadRounds(write('rounds.json', JSON.stringify([round(2, 1, 2), round(1, 1, 2)]))).map(r => r.epoch), [1, 2]);
+        assert.deepEqual(loadRounds(write('empty.jsonl', '\n')), []);
+    });
+});
+
+describe('runBacktest', () => {
+    it('counts wins, losses, ties and refunds and tracks P/L and drawdown', () => {
+        const stats = runBacktest(ROUNDS, options());
+
+        assert.equal(stats.bets, 4);
+        assert.equal(stats.wins, 2);
+        assert.equal(stats.losses, 2);
+        assert.equal(stats.refunds, 1);
+        assert.equal(stats.skipped, 0);
+        approx(stats.wagered, 0.05);
+        approx(stats.won, 0.0388);
+        approx(stats.pnl, -0.0112);
+        // From +0.0094 after round 1 down to -0.0206 after round 5
+        approx(stats.maxDrawdown, 0.03);
+        assert.equal(stats.longestLossStreak, 2);
+        assert.equal(stats.maxStreakHits, 1);
+        approx(stats.maxBet, 0.02);
+        approx(stats.peakCapital, 0.0306);
+    });
+
+    it('stops at the max streak when asked to', () => {
+        const stats = runBacktest(ROUNDS, options({ stopOnMaxStreak: true }));
+
+        assert.equal(stats.bets, 3);
+        assert.equal(stats.maxStreakHits, 1);
+        assert.equal(stats.refunds, 0);
+        approx(stats.pnl, -0.0206);
+    });
+
+    it('moves on a round at a time past skipped rounds', () => {
+        const strategy = { historySize: 0, needsPrice: false, decide: ({ round }) => round.epoch < 3 ? SKIP : 'BULL' };
+
+        const stats = runBacktest(ROUNDS, options({ strategy }));
+
+        assert.equal(stats.skipped, 2);
+        // Bets 3, 5 (the streak resets), 7 (refunded) and 9
+        assert.equal(stats.bets, 3);
+        assert.equal(stats.refunds, 1);
+        approx(stats.pnl, -0.01 - 0.02 + 0.0094);
+    });
+
+    it('gets the stake back when nobody else was on its side', () => {
+        const stats = runBacktest([round(1, 600, 601, { rewardBaseCalAmount: 0, rewardAmount: 0 })], options());
+
+        assert.equal(stats.wins, 1);
+        approx(stats.won, 0.01);
+        assert.equal(stats.pnl, 0);
+    });
+});
+
+describe('formatReport', () => {
+    it('reports the numbers of a run', () => {
+        const run = options();
+        const report = formatReport(runBacktest(ROUNDS, run), { rounds: ROUNDS, ...run });
+
+        assert.match(report, /rounds 1 to 9 \(9 rounds\)/);
+        assert.match(report, /Direction: BULL/);
+        assert.match(report, /Bet Sizing: MARTINGALE/);
+        assert.match(report, /Base Bet: 0\.01 BNB, Max Double-Downs: 1/);
+        assert.match(report, /Bets: 4 \(✅ 2 \/ ❌ 2, 50\.0% win rate\)/);
+        assert.match(report, /Skipped: 0, Refunded: 1/);
+        assert.match(report, /Wagered: 0\.0500 BNB/);
+        assert.match(report, /📉 P\/L: -0\.0112 BNB/);
+        assert.match(report, /Max Drawdown: 0\.0300 BNB/);
+        assert.match(report, /Longest Loss Streak: 2/);
+        assert.match(report, /Max Streak Hit: 1 times/);
+        assert.match(report, /Max Bet: 0\.020000 BNB/);
+        assert.match(report, /Peak Capital Needed: 0\.0306 BNB/);
+    });
+});
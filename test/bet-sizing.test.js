@@ -0,0 +1,57 @@
+// Unit tests for bet-sizing.js: the sizers' ladders and their parameter checks
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSizer, ladder, sizeBet } from '../bet-sizing.js';
+import { parseParams } from '../strategies.js';
+
+const round = (bets) => bets.map(bet => Math.round(bet * 1e9) / 1e9);
+
+describe('sizers', () => {
+    it('FIBONACCI steps up the sequence', () => {
+        assert.deepEqual(ladder(createSizer('FIBONACCI'), 1, 6), [1, 1, 2, 3, 5, 8, 13]);
+    });
+
+    it('DALEMBERT adds a unit per loss, the base bet by default', () => {
+        assert.deepEqual(ladder(createSizer('DALEMBERT'), 1, 3), [1, 2, 3, 4]);
+        assert.deepEqual(round(ladder(createSizer('DALEMBERT', { unit: 0.5 }), 1, 3)), [1, 1.5, 2, 2.5]);
+    });
+
+    it('LABOUCHERE bets first + last of the line and appends each loss', () => {
+        assert.deepEqual(ladder(createSizer('LABOUCHERE'), 1, 3), [4, 5, 6, 7]);
+        assert.deepEqual(ladder(createSizer('LABOUCHERE', { line: 2 }), 1, 2), [2, 4, 6]);
+    });
+
+    it('KELLY bets the base until it has enough results and no less after', () => {
+        const kelly = createSizer('KELLY');
+
+        assert.equal(kelly.nextBet({ base: 0.01, wins: 10, losses: 5, balance: 10 }), 0.01);
+        // 60% at 1.9×: edge (0.6 × 0.9 - 0.4) / 0.9, a quarter of it staked
+        assert.equal(round([kelly.nextBet({ base: 0.01, wins: 30, losses: 20, balance: 10 })])[0], 0.388888889);
+        // No edge: back to the base bet
+        assert.equal(kelly.nextBet({ base: 0.01, wins: 5, losses: 20, balance: 10 }), 0.01);
+    });
+
+    it('never sizes past the bet at max steps', () => {
+        const martingale = createSizer('MARTINGALE');
+
+        assert.equal(sizeBet(martingale, { base: '1', lossStreak: 5, totalLost: 31, lastBet: 16 }, 3), 8);
+    });
+});
+
+describe('sizer parameters', () => {
+    it('refuses values that are not numbers or out of range', () => {
+        assert.throws(() => createSizer('MARTINGALE', { multiplier: 'abc' }), /"multiplier" for MARTINGALE must be a number/);
+        assert.throws(() => createSizer('MARTINGALE', { multiplier: -1 }), /must be more than 0/);
+        assert.throws(() => createSizer('DALEMBERT', { unit: -5 }), /"unit" for DALEMBERT must be at least 0/);
+        assert.throws(() => createSizer('KELLY', { fraction: 2 }), /must be at most 1/);
+        assert.throws(() => createSizer('KELLY', { minBets: 2.5 }), /must be a whole number/);
+        assert.throws(() => createSizer('LABOUCHERE', { line: '1-0-3' }), /"line" for LABOUCHERE must be positive numbers/);
+        assert.throws(() => createSizer('RECOVER', { factor: 2 }), /Unknown parameter "factor"/);
+    });
+
+    it('parses key=value pairs and refuses anything else', () => {
+        assert.deepEqual(parseParams('multiplier=2.5, line=1-2'), { multiplier: 2.5, line: '1-2' });
+        assert.throws(() => parseParams('a=1=2'), /Invalid parameter "a=1=2"/);
+        assert.throws(() => parseParams('a='), /Invalid parameter/);
+    });
+});
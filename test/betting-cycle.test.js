@@ -0,0 +1,265 @@
+// Integration tests: the bot against a local chain running MockPrediction,
+// through bet → lock → close → claim. Rounds are driven by the test and the
+// bot's main loop is replaced by explicit placeBet() calls.
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { TestChain } from './helpers/chain.js';
+import { createTestBot, stopTestBot } from './helpers/bot.js';
+
+describe('betting cycle', () => {
+    let chain;
+    let addresses;
+    let bot;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        chain = await TestChain.start();
+    });
+
+    after(async () => {
+        await chain.stop();
+        mock.restoreAll();
+    });
+
+    beforeEach(async () => {
+        addresses = await chain.deploy();
+    });
+
+    afterEach(async () => {
+        if (bot) await stopTestBot(bot);
+        bot = null;
+    });
+
+    // A win queued while a claim is in flight waits for the next run
+    async function drainClaims() {
+        while (bot.claimQueue.size > 0) {
+            await bot.claimQueue.flush();
+        }
+    }
+
+    it('bets, wins and claims the payout', async () => {
+        bot = await createTestBot(chain, addresses);
+        const address = bot.wallet.address;
+
+        const epoch = await chain.openRound();
+        await bot.placeBet();
+
+        assert.deepEqual(await chain.ledger(epoch, address), { position: 0, amount: 0.01, claimed: false });
+        assert.equal(bot.lastBetEpoch, epoch);
+        assert.ok(bot.telegram.find('BET PLACED'));
+
+        await chain.addPool(epoch, 0, 0.05);
+        await chain.lockRound(epoch, 600);
+        await chain.openRound({ lockIn: 120 });
+
+        // Locked but not closed - nothing to settle yet
+        await bot.placeBet();
+        assert.equal(bot.waitingForResults, true);
+
+        await chain.endRound(epoch, 601);
+        await bot.placeBet();
+        await drainClaims();
+
+        assert.equal(bot.state.wins, 1);
+        assert.equal(bot.state.consecutiveLosses, 0);
+        assert.equal(bot.waitingForResults, false);
+        assert.equal((await chain.ledger(epoch, address)).claimed, true);
+        assert.equal(bot.claimQueue.size, 0);
+
+        // 0.06 BNB pool less the 3% fee, all of it ours
+        assert.ok(Math.abs(bot.state.totalWon - 0.0582) < 1e-9);
+        assert.ok(bot.telegram.find('WIN!'));
+        assert.ok(bot.telegram.find('Winnings Claimed'));
+    });
+
+    it('doubles the bet after a loss', async () => {
+        bot = await createTestBot(chain, addresses);
+
+        const epoch = await chain.openRound();
+        await bot.placeBet();
+        await chain.lockRound(epoch, 600);
+        const next = await chain.openRound();
+        await chain.endRound(epoch, 599);
+
+        // Settles the loss, then bets the recovery amount in the new round
+        await bot.placeBet();
+
+        assert.equal(bot.state.losses, 1);
+        assert.equal(bot.state.consecutiveLosses, 1);
+        assert.equal(parseFloat(bot.state.currentBet), 0.02);
+        assert.equal(await bot.contract.claimable(epoch, bot.wallet.address), false);
+        assert.equal((await chain.ledger(next, bot.wallet.address)).amount, 0.02);
+        assert.ok(bot.telegram.find('<b>LOSS</b>'));
+    });
+
+    it('stops when the loss streak passes maxDoubleDowns', async () => {
+        bot = await createTestBot(chain, addresses, { maxDoubleDowns: 1 });
+
+        const first = await chain.openRound();
+        await bot.placeBet();
+        await chain.lockRound(first, 600);
+        const second = await chain.openRound();
+        await chain.endRound(first, 590);
+        await bot.placeBet();
+
+        assert.equal(bot.isRunning, true);
+        assert.equal((await chain.ledger(second, bot.wallet.address)).amount, 0.02);
+
+        await chain.lockRound(second, 600);
+        await chain.openRound({ lockIn: 120 });
+        await chain.endRound(second, 590);
+        await bot.placeBet();
+
+        assert.equal(bot.state.consecutiveLosses, 2);
+        assert.equal(bot.isRunning, false);
+        assert.ok(bot.telegram.find('MAX STREAK REACHED'));
+        assert.ok(bot.telegram.find('Max loss streak reached'));
+    });
+
+    it('stops instead of betting with too little balance', async () => {
+        const poor = ethers.Wallet.createRandom();
+        await chain.fund(poor.address, 0.005);
+        bot = await createTestBot(chain, addresses, { privateKey: poor.privateKey });
+
+        const epoch = await chain.openRound();
+        await bot.placeBet();
+
+        assert.equal((await chain.ledger(epoch, poor.address)).amount, 0);
+        assert.equal(bot.lastBetEpoch, null);
+        assert.equal(bot.state.totalBets, 0);
+        assert.equal(bot.isRunning, false);
+        assert.ok(bot.telegram.find('LOW BALANCE'));
+    });
+
+    it('follows round events from the deployed contract', async () => {
+        bot = await createTestBot(chain, addresses, { roundEvents: true });
+        const tracker = bot.roundTracker;
+        assert.equal(tracker.mode, 'log polling');
+
+        // Polled by hand rather than on the tracker's timer
+        tracker.stop();
+        await tracker.pollLogs();
+
+        const epoch = await chain.openRound();
+        await tracker.pollLogs();
+        assert.equal(tracker.currentEpoch, epoch);
+        assert.equal(tracker.phase(epoch), 'OPEN');
+        assert.equal(tracker.isLive, true);
+        assert.equal(await bot.getCurrentEpoch(), epoch);
+
+        await chain.lockRound(epoch, 600);
+        await tracker.pollLogs();
+        assert.equal(tracker.phase(epoch), 'LOCKED');
+    });
+
+    describe('early prediction', () => {
+        const earlyPrediction = { earlyPrediction: true, predictionThreshold: '0.20' };
+
+        // Bet round N, lock it, and open N+1 while N is 15-25s from closing -
+        // the bot's prediction window
+        async function betIntoPredictionWindow(oracleUsd) {
+            const epoch = await chain.openRound({ lockIn: 18, closeIn: 21 });
+            await bot.placeBet();
+            await chain.lockRound(epoch, 600);
+            await chain.setOraclePrice(oracleUsd);
+            const next = await chain.openRound();
+            await bot.placeBet();
+            return { epoch, next };
+        }
+
+        // Epochs of the results the bot journals, in order
+        function journaledResults() {
+            return bot.journal.mock.calls.map(call => call.arguments[0]).filter(entry => entry.type === 'result').map(entry => entry.epoch);
+        }
+
+        // Close both rounds and move on so the bot verifies the assumption
+        async function closeRounds(epoch, next, closeUsd) {
+            await chain.lockRound(next, 600);
+            await chain.endRound(epoch, closeUsd);
+            await chain.endRound(next, 601);
+            await chain.openRound({ lockIn: 120 });
+            await bot.placeBet();
+        }
+
+        it('assumes a win, bets base right away and confirms the win later', async () => {
+            bot = await createTestBot(chain, addresses, earlyPrediction);
+            mock.method(bot, 'journal');
+
+            const { epoch, next } = await betIntoPredictionWindow(601);
+
+            assert.ok(bot.telegram.find('Assumption: WIN'));
+            assert.equal((await chain.ledger(next, bot.wallet.address)).amount, 0.01);
+            assert.equal(bot.earlyPrediction.pendingWinClaims.get(epoch), 0.01);
+
+            await chain.addPool(epoch, 0, 0.05);
+            await closeRounds(epoch, next, 601);
+            await drainClaims();
+
+            assert.ok(bot.telegram.find('Verified Win'));
+            assert.equal(bot.earlyPrediction.pendingWinClaims.size, 0);
+            assert.equal(bot.earlyPrediction.realLosses, 0);
+            assert.equal((await chain.ledger(epoch, bot.wallet.address)).claimed, true);
+            assert.deepEqual(journaledResults(), [next, epoch]);
+            assert.equal(bot.state.wins, 2);
+        });
+
+        it('corrects the next bet when an assumed win turns out lost', async () => {
+            bot = await createTestBot(chain, addresses, earlyPrediction);
+            mock.method(bot, 'journal');
+
+            const { epoch, next } = await betIntoPredictionWindow(601);
+            await closeRounds(epoch, next, 599);
+
+            assert.ok(bot.telegram.find('Verified Loss'));
+            assert.equal(bot.earlyPrediction.realLosses, 0.01);
+            assert.equal(bot.earlyPrediction.pendingWinClaims.size, 0);
+            assert.equal(parseFloat(bot.state.currentBet), 0.02);
+            assert.equal(await bot.contract.claimable(epoch, bot.wallet.address), false);
+            assert.deepEqual(journaledResults(), [next, epoch]);
+            assert.equal(bot.state.wins, 1);
+            assert.equal(bot.state.losses, 1);
+        });
+
+        it('settles an assumed win once when the next bet never went in', async () => {
+            // The bet after the prediction is over the hourly limit
+            bot = await createTestBot(chain, addresses, { ...earlyPrediction, maxBetsPerHour: 1 });
+            mock.method(bot, 'journal');
+
+            const { epoch, next } = await betIntoPredictionWindow(601);
+            assert.equal(bot.earlyPrediction.pendingWinClaims.get(epoch), 0.01);
+            assert.equal((await chain.ledger(next, bot.wallet.address)).amount, 0);
+
+            await chain.addPool(epoch, 0, 0.05);
+            await closeRounds(epoch, next, 601);
+            await bot.placeBet();
+            await drainClaims();
+
+            assert.deepEqual(journaledResults(), [epoch]);
+            assert.equal(bot.state.wins, 1);
+            assert.equal(bot.earlyPrediction.pendingWinClaims.size, 0);
+            assert.equal((await chain.ledger(epoch, bot.wallet.address)).claimed, true);
+        });
+
+        it('assumes a loss and raises the next bet before the round closes', async () => {
+            bot = await createTestBot(chain, addresses, earlyPrediction);
+
+            const { epoch, next } = await betIntoPredictionWindow(599);
+
+            assert.ok(bot.telegram.find('Assumption: LOSS'));
+            assert.equal(bot.earlyPrediction.assumedLosses, 0.01);
+            assert.equal(bot.earlyPrediction.pendingWinClaims.has(epoch), false);
+            assert.equal((await chain.ledger(next, bot.wallet.address)).amount, 0.02);
+        });
+
+        it('skips the next round when the move is inside the threshold', async () => {
+            bot = await createTestBot(chain, addresses, earlyPrediction);
+
+            const { next } = await betIntoPredictionWindow(600.1);
+
+            assert.ok(bot.telegram.find('Uncertain - No Prediction'));
+            assert.equal(bot.earlyPrediction.skipNextRound, true);
+            assert.equal((await chain.ledger(next, bot.wallet.address)).amount, 0);
+        });
+    });
+});
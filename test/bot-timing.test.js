@@ -0,0 +1,106 @@
+// Unit tests for the bot's timing windows and random direction, run against
+// an in-memory chain with an injected clock and RNG
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+describe('bot timing', () => {
+    let bot;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    afterEach(async () => {
+        if (bot) {
+            bot.telegram = null;
+            await bot.shutdown();
+        }
+        bot = null;
+    });
+
+    async function betAmount(epoch) {
+        const [, amount] = await bot.contract.ledger(epoch);
+        return amount;
+    }
+
+    describe('betting window', () => {
+        // Seconds before lock → whether the bot bets
+        const cases = [[30, false], [21, false], [20, true], [16, true], [15, false], [5, false]];
+
+        for (const [secondsBeforeLock, bets] of cases) {
+            it(`${bets ? 'bets' : 'waits'} ${secondsBeforeLock}s before lock`, async () => {
+                const chain = new FakeChain();
+                const epoch = chain.openRound({ lockIn: secondsBeforeLock });
+                bot = await createFakeBot(chain);
+
+                await bot.placeBet();
+
+                assert.equal(await betAmount(epoch) > 0n, bets);
+                assert.equal(bot.lastBetEpoch, bets ? epoch : null);
+            });
+        }
+
+        it('bets once the clock reaches the window', async () => {
+            const chain = new FakeChain();
+            const epoch = chain.openRound({ lockIn: 60 });
+            bot = await createFakeBot(chain);
+
+            await bot.placeBet();
+            assert.equal(await betAmount(epoch), 0n);
+
+            chain.now += 42;
+            await bot.placeBet();
+            assert.equal(bot.lastBetEpoch, epoch);
+            assert.ok(bot.telegram.find('BET PLACED'));
+        });
+    });
+
+    describe('early prediction window', () => {
+        // Bet round 1, lock it at $600 and open round 2
+        async function lockFirstRound(chain) {
+            const first = chain.openRound({ lockIn: 18 });
+            bot = await createFakeBot(chain, { earlyPrediction: true, predictionThreshold: '0.20' });
+            await bot.placeBet();
+
+            chain.now += 18;
+            Object.assign(chain.round(first), { lockPrice: 600 });
+            const second = chain.openRound({ lockIn: 300 });
+            return { first, second };
+        }
+
+        for (const [secondsBeforeClose, predicts] of [[40, false], [26, false], [25, true], [15, true], [14, false]]) {
+            it(`${predicts ? 'predicts' : 'waits'} ${secondsBeforeClose}s before close`, async () => {
+                const chain = new FakeChain();
+                const { first, second } = await lockFirstRound(chain);
+                chain.oraclePrice = 601;
+
+                chain.now = chain.round(first).closeTimestamp - secondsBeforeClose;
+                await bot.placeBet();
+
+                assert.equal(!!bot.telegram.find('Assumption: WIN'), predicts);
+                assert.equal(await betAmount(second) > 0n, predicts);
+            });
+        }
+    });
+
+    describe('random direction', () => {
+        for (const [roll, direction, position] of [[0.9, 'BULL', 0], [0.1, 'BEAR', 1]]) {
+            it(`bets ${direction} when the RNG rolls ${roll}`, async () => {
+                const chain = new FakeChain();
+                const epoch = chain.openRound({ lockIn: 18 });
+                bot = await createFakeBot(chain, { betDirection: 'RANDOM' }, { random: () => roll });
+
+                await bot.placeBet();
+
+                const [betPosition] = await bot.contract.ledger(epoch);
+                assert.equal(betPosition, position);
+                assert.ok(bot.telegram.find(direction));
+            });
+        }
+    });
+});
@@ -0,0 +1,126 @@
+// Unit tests for claim-queue.js against an in-memory contract
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClaimQueue } from '../claim-queue.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+
+// Epochs we won, were refunded, or already claimed some other way
+function contract({ won = [], refunds = [], claimed = [] } = {}) {
+    const state = { won: new Set(won), refunds: new Set(refunds), claimed: new Set(claimed), calls: [] };
+    state.contract = {
+        claimable: async (epoch) => state.won.has(epoch) && !state.claimed.has(epoch),
+        refundable: async (epoch) => state.refunds.has(epoch) && !state.claimed.has(epoch),
+        ledger: async (epoch) => [0, 1n, state.claimed.has(epoch)]
+    };
+    state.sendClaim = async (epochs) => {
+        state.calls.push(epochs);
+        if (state.failNext) {
+            state.failNext = false;
+            throw new Error('nonce too low');
+        }
+        epochs.forEach(epoch => state.claimed.add(epoch));
+        return { status: 1 };
+    };
+    return state;
+}
+
+function queue(chain, options = {}) {
+    return new ClaimQueue(chain.contract, ADDRESS, { sendClaim: chain.sendClaim, batchSize: 2, maxRetries: 1, ...options });
+}
+
+describe('ClaimQueue', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('claims once a batch is full, through sendClaim', async () => {
+        const chain = contract({ won: [3, 4] });
+        const claims = [];
+        const claimQueue = queue(chain, { onClaimed: async (epochs) => claims.push(epochs) });
+
+        claimQueue.add(3);
+        assert.equal(claimQueue.flushing, null);
+        claimQueue.add(4);
+        await claimQueue.flushing;
+
+        assert.deepEqual(chain.calls, [[3, 4]]);
+        assert.deepEqual(claims, [[3, 4]]);
+        assert.equal(claimQueue.size, 0);
+    });
+
+    it('finds refunds as well as wins in the startup scan', async () => {
+        const chain = contract({ won: [2], refunds: [5], claimed: [3] });
+        const claimQueue = queue(chain);
+
+        assert.deepEqual(await claimQueue.scan(1, 6), [5, 2]);
+        assert.deepEqual((await claimQueue.flush()).claimed, [2, 5]);
+    });
+
+    it('keeps an epoch through a failed claim and gives up after maxRetries', async () => {
+        const chain = contract({ won: [7] });
+        const failed = [];
+        const claimQueue = queue(chain, { onFailed: async (epoch, reason) => failed.push([epoch, reason]) });
+        claimQueue.add(7);
+        claimQueue.add(8);
+
+        chain.failNext = true;
+        const first = await claimQueue.flush();
+        assert.deepEqual(first.waiting.sort(), [7, 8]);
+        assert.equal(claimQueue.pending.get(7).lastError, 'nonce too low');
+
+        const second = await claimQueue.flush();
+        assert.deepEqual(second.claimed, [7]);
+        assert.deepEqual(second.failed, [8]);
+        assert.deepEqual(failed, [[8, 'Not claimable yet']]);
+    });
+
+    it('drops epochs claimed some other way', async () => {
+        const chain = contract({ won: [9] });
+        const claimQueue = queue(chain);
+        claimQueue.add(9);
+        chain.claimed.add(9);
+
+        await claimQueue.flush();
+
+        assert.equal(claimQueue.size, 0);
+        assert.deepEqual(chain.calls, []);
+    });
+});
+
+describe('bot startup claim scan', () => {
+    let bot;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        bot.telegram = null;
+        await bot.shutdown();
+        mock.restoreAll();
+    });
+
+    it('scans from the first epoch when claimScanRounds reaches past it', async () => {
+        const chain = new FakeChain();
+        chain.openRound();
+        chain.openRound();
+        chain.openRound();
+        bot = await createFakeBot(chain, { claimScanRounds: 5 });
+        const scans = [];
+        bot.claimQueue.scan = async (from, to) => {
+            scans.push([from, to]);
+            return [];
+        };
+
+        await bot.scanUnclaimed();
+
+        assert.deepEqual(scans, [[1, 2]]);
+    });
+});
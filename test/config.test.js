@@ -0,0 +1,60 @@
+// Unit tests for config.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chainConfig, loadConfig, tradeJournalPath } from '../config.js';
+import { PREDICTION_CONTRACT } from '../prediction-contract.js';
+
+describe('loadConfig', () => {
+    it('reads the environment it is given rather than process.env', () => {
+        const config = loadConfig({
+            PREDICTION_CONTRACT: '0x00000000000000000000000000000000000000cc',
+            CHAINLINK_ORACLE: '0x00000000000000000000000000000000000000fe',
+            RPC_URLS: 'http://a.example, http://b.example,',
+            CHAIN_ID: '1337'
+        });
+
+        assert.equal(config.predictionContract, '0x00000000000000000000000000000000000000cc');
+        assert.equal(config.oracleAddress, '0x00000000000000000000000000000000000000fe');
+        assert.deepEqual(config.rpcUrls, ['http://a.example', 'http://b.example']);
+        assert.equal(config.chainId, 1337);
+    });
+
+    it('defaults to the BSC mainnet contracts', () => {
+        const config = loadConfig({});
+
+        assert.equal(config.predictionContract, PREDICTION_CONTRACT);
+        assert.equal(config.oracleAddress, '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE');
+        assert.deepEqual(config.rpcUrls, ['https://bsc-dataseed.binance.org/']);
+        assert.equal(config.chainId, 56);
+    });
+
+    it('makes the owner of a private TELEGRAM_CHAT_ID the admin when TELEGRAM_USERS is not set', () => {
+        assert.deepEqual(loadConfig({ TELEGRAM_CHAT_ID: '123456' }).telegramUsers, { 123456: 'admin' });
+        assert.deepEqual(loadConfig({ TELEGRAM_CHAT_ID: '-100123456' }).telegramUsers, {});
+        assert.deepEqual(loadConfig({ TELEGRAM_CHAT_ID: '-100123456', TELEGRAM_USERS: '42:admin' }).telegramUsers, { 42: 'admin' });
+    });
+
+    it('keeps dry-run state apart from live state', () => {
+        assert.equal(loadConfig({}).stateFile, 'bot-state.json');
+        assert.equal(loadConfig({ DRY_RUN: 'true' }).stateFile, 'bot-state.dry-run.json');
+        assert.equal(loadConfig({}).tradeJournal, 'trades.jsonl');
+        assert.equal(loadConfig({ DRY_RUN: 'true' }).tradeJournal, 'trades.dry-run.jsonl');
+    });
+
+    it('writes no trade journal or audit log when they are turned off', () => {
+        const config = loadConfig({ TRADE_JOURNAL: 'off', AUDIT_LOG: 'off' });
+
+        assert.equal(config.tradeJournal, null);
+        assert.equal(config.auditLog, null);
+        assert.equal(loadConfig({ AUDIT_LOG: 'logs/audit.jsonl' }).auditLog, 'logs/audit.jsonl');
+    });
+
+    it('gives the tools only what they use, whatever else is set', () => {
+        const env = { REPORTS: 'monthly', RPC_URLS: 'http://a.example', TRADE_JOURNAL: 'off' };
+
+        assert.throws(() => loadConfig(env), /monthly/);
+        assert.deepEqual(chainConfig(env).rpcUrls, ['http://a.example']);
+        assert.equal(tradeJournalPath(env), null);
+        assert.equal(tradeJournalPath({ DRY_RUN: 'true' }), 'trades.dry-run.jsonl');
+    });
+});
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Chainlink price feed with a price the test sets
+contract MockAggregator {
+    int256 private price;
+    uint80 private roundId;
+
+    function setPrice(int256 newPrice) external {
+        price = newPrice;
+        roundId++;
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return (roundId, price, block.timestamp, block.timestamp, roundId);
+    }
+}
@@ -0,0 +1,164 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Stand-in for PancakePredictionV2 with the same external interface as
+// PREDICTION_ABI. Rounds are started, locked and ended by the test instead of
+// an operator and an oracle, and the reward math matches the real contract.
+contract MockPrediction {
+    enum Position { Bull, Bear }
+
+    struct Round {
+        uint256 epoch;
+        uint256 startTimestamp;
+        uint256 lockTimestamp;
+        uint256 closeTimestamp;
+        int256 lockPrice;
+        int256 closePrice;
+        uint256 lockOracleId;
+        uint256 closeOracleId;
+        uint256 totalAmount;
+        uint256 bullAmount;
+        uint256 bearAmount;
+        uint256 rewardBaseCalAmount;
+        uint256 rewardAmount;
+        bool oracleCalled;
+    }
+
+    struct BetInfo {
+        Position position;
+        uint256 amount;
+        bool claimed;
+    }
+
+    uint256 public constant TREASURY_FEE = 300; // 3%
+    uint256 public constant BUFFER_SECONDS = 30; // Oracle grace period before a refund
+
+    uint256 public currentEpoch;
+    address public oracle;
+    mapping(uint256 => Round) public rounds;
+    mapping(uint256 => mapping(address => BetInfo)) public ledger;
+
+    event StartRound(uint256 indexed epoch);
+    event LockRound(uint256 indexed epoch, uint256 indexed roundId, int256 price);
+    event EndRound(uint256 indexed epoch, uint256 indexed roundId, int256 price);
+    event BetBull(address indexed sender, uint256 indexed epoch, uint256 amount);
+    event BetBear(address indexed sender, uint256 indexed epoch, uint256 amount);
+    event Claim(address indexed sender, uint256 indexed epoch, uint256 amount);
+
+    function setOracle(address newOracle) external {
+        oracle = newOracle;
+    }
+
+    function startRound(uint256 lockTimestamp, uint256 closeTimestamp) external {
+        currentEpoch++;
+        Round storage round = rounds[currentEpoch];
+        round.epoch = currentEpoch;
+        round.startTimestamp = block.timestamp;
+        round.lockTimestamp = lockTimestamp;
+        round.closeTimestamp = closeTimestamp;
+        emit StartRound(currentEpoch);
+    }
+
+    function lockRound(uint256 epoch, int256 price) external {
+        rounds[epoch].lockPrice = price;
+        rounds[epoch].lockOracleId = epoch;
+        emit LockRound(epoch, epoch, price);
+    }
+
+    function endRound(uint256 epoch, int256 price) external {
+        Round storage round = rounds[epoch];
+        require(round.lockPrice != 0, "Round not locked");
+        round.closePrice = price;
+        round.closeOracleId = epoch;
+        round.oracleCalled = true;
+
+        uint256 treasuryAmount = (round.totalAmount * TREASURY_FEE) / 10000;
+        if (round.closePrice > round.lockPrice) {
+            round.rewardBaseCalAmount = round.bullAmount;
+            round.rewardAmount = round.totalAmount - treasuryAmount;
+        } else if (round.closePrice < round.lockPrice) {
+            round.rewardBaseCalAmount = round.bearAmount;
+            round.rewardAmount = round.totalAmount - treasuryAmount;
+        }
+        emit EndRound(epoch, epoch, price);
+    }
+
+    // Other players' money in the pools, so a win pays more than the stake back
+    function addPool(uint256 epoch, uint256 bullAmount, uint256 bearAmount) external payable {
+        require(msg.value == bullAmount + bearAmount, "Value must match pools");
+        Round storage round = rounds[epoch];
+        round.bullAmount += bullAmount;
+        round.bearAmount += bearAmount;
+        round.totalAmount += msg.value;
+    }
+
+    function betBull(uint256 epoch) external payable {
+        _bet(epoch, Position.Bull);
+        emit BetBull(msg.sender, epoch, msg.value);
+    }
+
+    function betBear(uint256 epoch) external payable {
+        _bet(epoch, Position.Bear);
+        emit BetBear(msg.sender, epoch, msg.value);
+    }
+
+    function _bet(uint256 epoch, Position position) internal {
+        require(epoch == currentEpoch, "Bet is too early/late");
+        require(block.timestamp < rounds[epoch].lockTimestamp, "Round not bettable");
+        require(msg.value > 0, "Bet amount must be greater than minBetAmount");
+        require(ledger[epoch][msg.sender].amount == 0, "Can only bet once per round");
+
+        Round storage round = rounds[epoch];
+        round.totalAmount += msg.value;
+        if (position == Position.Bull) {
+            round.bullAmount += msg.value;
+        } else {
+            round.bearAmount += msg.value;
+        }
+
+        BetInfo storage betInfo = ledger[epoch][msg.sender];
+        betInfo.position = position;
+        betInfo.amount = msg.value;
+    }
+
+    function claimable(uint256 epoch, address user) public view returns (bool) {
+        BetInfo memory betInfo = ledger[epoch][user];
+        Round memory round = rounds[epoch];
+        if (round.lockPrice == round.closePrice) {
+            return false;
+        }
+        return round.oracleCalled && betInfo.amount != 0 && !betInfo.claimed &&
+            ((round.closePrice > round.lockPrice && betInfo.position == Position.Bull) ||
+             (round.closePrice < round.lockPrice && betInfo.position == Position.Bear));
+    }
+
+    function refundable(uint256 epoch, address user) public view returns (bool) {
+        BetInfo memory betInfo = ledger[epoch][user];
+        Round memory round = rounds[epoch];
+        return !round.oracleCalled && !betInfo.claimed && betInfo.amount != 0 &&
+            block.timestamp > round.closeTimestamp + BUFFER_SECONDS;
+    }
+
+    function claim(uint256[] calldata epochs) external {
+        uint256 reward;
+
+        for (uint256 i = 0; i < epochs.length; i++) {
+            Round memory round = rounds[epochs[i]];
+            BetInfo storage betInfo = ledger[epochs[i]][msg.sender];
+            uint256 addedReward;
+            if (refundable(epochs[i], msg.sender)) {
+                addedReward = betInfo.amount;
+            } else {
+                require(claimable(epochs[i], msg.sender), "Not eligible for claim");
+                addedReward = (betInfo.amount * round.rewardAmount) / round.rewardBaseCalAmount;
+            }
+            betInfo.claimed = true;
+            reward += addedReward;
+            emit Claim(msg.sender, epochs[i], addedReward);
+        }
+
+        if (reward > 0) {
+            payable(msg.sender).transfer(reward);
+        }
+    }
+}
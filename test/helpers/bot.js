@@ -0,0 +1,36 @@
+// Builds a PancakePredictionBot wired to the local chain and a fake Telegram
+import { PancakePredictionBot } from '../../server.js';
+import { loadConfig } from '../../config.js';
+import { CHAIN_ID } from './chain.js';
+import { FakeTelegram } from './fake-telegram.js';
+
+export async function createTestBot(chain, addresses, overrides = {}) {
+    const bot = new PancakePredictionBot({
+        ...loadConfig({}),
+        privateKey: chain.keys[1],
+        rpcUrls: [chain.url],
+        chainId: CHAIN_ID,
+        ...addresses,
+        roundEvents: false,
+        stateFile: null,
+        tradeJournal: null,
+        betDirection: 'BULL',
+        baseBetAmount: '0.01',
+        claimBatchSize: 1,
+        claimScanRounds: 5,
+        ...overrides
+    }, { notifier: new FakeTelegram() });
+
+    await bot.initialize();
+    // As if start() were running its loop - the tests call placeBet() themselves
+    bot.isRunning = true;
+    return bot;
+}
+
+export async function stopTestBot(bot) {
+    // Let a claim started by the last test finish before the provider goes
+    await bot.claimQueue.flushing?.catch(() => {});
+    bot.telegram = null;
+    await bot.shutdown();
+    bot.provider.destroy();
+}
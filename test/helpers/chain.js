@@ -0,0 +1,141 @@
+// Local EVM for the integration tests: an in-process ganache node running the
+// mock prediction contract and price feed from test/contracts
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ganache from 'ganache';
+import solc from 'solc';
+import { ethers } from 'ethers';
+
+const CONTRACTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'contracts');
+
+export const CHAIN_ID = 1337;
+
+let compiled = null;
+
+// Compile every .sol file in test/contracts once per test run
+export function compileContracts() {
+    if (compiled) return compiled;
+
+    const sources = {};
+    for (const file of fs.readdirSync(CONTRACTS_DIR).filter(name => name.endsWith('.sol'))) {
+        sources[file] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, file), 'utf8') };
+    }
+
+    const output = JSON.parse(solc.compile(JSON.stringify({
+        language: 'Solidity',
+        sources,
+        settings: {
+            evmVersion: 'shanghai', // Newest fork ganache runs
+            optimizer: { enabled: true, runs: 200 },
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+        }
+    })));
+
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+    }
+
+    compiled = {};
+    for (const contracts of Object.values(output.contracts)) {
+        for (const [name, contract] of Object.entries(contracts)) {
+            compiled[name] = { abi: contract.abi, bytecode: contract.evm.bytecode.object };
+        }
+    }
+    return compiled;
+}
+
+export function price(usd) {
+    return ethers.parseUnits(String(usd), 8);
+}
+
+export class TestChain {
+    constructor(server, url, keys) {
+        this.server = server;
+        this.url = url;
+        this.keys = keys; // Private keys of the funded ganache accounts
+        // No read cache: transactions go out back to back and need fresh nonces
+        this.provider = new ethers.JsonRpcProvider(url, CHAIN_ID, { staticNetwork: true, cacheTimeout: -1 });
+        this.owner = new ethers.Wallet(keys[0], this.provider);
+        this.prediction = null;
+        this.oracle = null;
+    }
+
+    static async start() {
+        const server = ganache.server({
+            logging: { quiet: true },
+            chain: { chainId: CHAIN_ID },
+            wallet: { totalAccounts: 3, defaultBalance: 100 }
+        });
+        await server.listen(0, '127.0.0.1');
+
+        const keys = Object.values(server.provider.getInitialAccounts()).map(account => account.secretKey);
+        return new TestChain(server, `http://127.0.0.1:${server.address().port}`, keys);
+    }
+
+    async stop() {
+        this.provider.destroy();
+        await this.server.close();
+    }
+
+    // Fresh prediction contract and price feed, so every scenario starts at epoch 0
+    async deploy() {
+        const { MockPrediction, MockAggregator } = compileContracts();
+
+        const deploy = async ({ abi, bytecode }) => {
+            const contract = await new ethers.ContractFactory(abi, bytecode, this.owner).deploy();
+            await contract.waitForDeployment();
+            return contract;
+        };
+
+        this.prediction = await deploy(MockPrediction);
+        this.oracle = await deploy(MockAggregator);
+        await this.send(this.prediction.setOracle(await this.oracle.getAddress()));
+        return {
+            predictionContract: await this.prediction.getAddress(),
+            oracleAddress: await this.oracle.getAddress()
+        };
+    }
+
+    async send(txPromise) {
+        const tx = await txPromise;
+        return tx.wait();
+    }
+
+    // Start the next round; the bot bets 15-20s before lock, so the default
+    // puts a new round straight into its betting window
+    async openRound({ lockIn = 18, closeIn = lockIn + 300 } = {}) {
+        const now = Math.floor(Date.now() / 1000);
+        await this.send(this.prediction.startRound(now + lockIn, now + closeIn));
+        return Number(await this.prediction.currentEpoch());
+    }
+
+    async lockRound(epoch, usd) {
+        await this.send(this.prediction.lockRound(epoch, price(usd)));
+    }
+
+    async endRound(epoch, usd) {
+        await this.send(this.prediction.endRound(epoch, price(usd)));
+    }
+
+    // Other players' stakes in BNB
+    async addPool(epoch, bull, bear) {
+        const bullAmount = ethers.parseEther(String(bull));
+        const bearAmount = ethers.parseEther(String(bear));
+        await this.send(this.prediction.addPool(epoch, bullAmount, bearAmount, { value: bullAmount + bearAmount }));
+    }
+
+    async setOraclePrice(usd) {
+        await this.send(this.oracle.setPrice(price(usd)));
+    }
+
+    async fund(address, bnb) {
+        await this.send(this.owner.sendTransaction({ to: address, value: ethers.parseEther(String(bnb)) }));
+    }
+
+    async ledger(epoch, address) {
+        const [position, amount, claimed] = await this.prediction.ledger(epoch, address);
+        return { position: Number(position), amount: parseFloat(ethers.formatEther(amount)), claimed };
+    }
+}
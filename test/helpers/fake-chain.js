@@ -0,0 +1,100 @@
+// In-memory prediction contract, oracle and provider for unit tests. Rounds
+// are plain objects the test edits; the bot runs in dry-run mode on top, so
+// bets land in its PaperContract and never need a signer.
+import { PancakePredictionBot } from '../../server.js';
+import { loadConfig } from '../../config.js';
+import { FakeTelegram } from './fake-telegram.js';
+
+const ORACLE = '0x00000000000000000000000000000000000000fe';
+
+const wei = (bnb) => BigInt(Math.round(bnb * 1e18));
+
+export class FakeChain {
+    constructor(now = 1_700_000_000) {
+        this.now = now; // Seconds, the bot's clock reads this
+        this.epoch = 0;
+        this.rounds = new Map();
+        this.oraclePrice = 600;
+    }
+
+    // Start the next round, locking `lockIn` seconds from now
+    openRound({ lockIn = 300, closeIn = lockIn + 300 } = {}) {
+        this.epoch++;
+        this.rounds.set(this.epoch, {
+            startTimestamp: this.now,
+            lockTimestamp: this.now + lockIn,
+            closeTimestamp: this.now + closeIn,
+            lockPrice: 0,
+            closePrice: 0,
+            bullAmount: 0, // Other players' stakes in BNB
+            bearAmount: 0,
+            oracleCalled: false
+        });
+        return this.epoch;
+    }
+
+    round(epoch) {
+        return this.rounds.get(epoch);
+    }
+
+    // The rounds() tuple, prices in 8 decimals like Chainlink
+    tuple(epoch) {
+        const round = this.rounds.get(Number(epoch));
+        if (!round) return [BigInt(epoch), 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, false];
+
+        return [
+            BigInt(epoch),
+            BigInt(round.startTimestamp),
+            BigInt(round.lockTimestamp),
+            BigInt(round.closeTimestamp),
+            BigInt(Math.round(round.lockPrice * 1e8)),
+            BigInt(Math.round(round.closePrice * 1e8)),
+            0n, 0n,
+            wei(round.bullAmount + round.bearAmount),
+            wei(round.bullAmount),
+            wei(round.bearAmount),
+            0n, 0n,
+            round.oracleCalled
+        ];
+    }
+
+    // Stand-ins for what the bot would otherwise build from its config
+    deps() {
+        const chain = this;
+        return {
+            clock: () => chain.now * 1000,
+            createProvider: async () => ({
+                quorum: 1,
+                getBalance: async () => 0n,
+                stop() {},
+                status: () => []
+            }),
+            createContract: (address) => address === ORACLE
+                ? { latestRoundData: async () => [0n, BigInt(Math.round(chain.oraclePrice * 1e8)), 0n, BigInt(chain.now), 0n] }
+                : {
+                    oracle: async () => ORACLE,
+                    currentEpoch: async () => BigInt(chain.epoch),
+                    rounds: async (epoch) => chain.tuple(epoch)
+                },
+            notifier: new FakeTelegram()
+        };
+    }
+}
+
+export async function createFakeBot(chain, overrides = {}, deps = {}) {
+    const bot = new PancakePredictionBot({
+        ...loadConfig({}),
+        dryRun: true,
+        oracleAddress: ORACLE,
+        roundEvents: false,
+        stateFile: null,
+        tradeJournal: null,
+        betDirection: 'BULL',
+        baseBetAmount: '0.01',
+        ...overrides
+    }, { ...chain.deps(), ...deps });
+
+    await bot.initialize();
+    bot.isRunning = true;
+    return bot;
+}
@@ -0,0 +1,85 @@
+// In-memory Telegram stand-ins: record what would have been sent
+import { TelegramNotifier } from '../../telegram-bot.js';
+
+export class FakeTelegram extends TelegramNotifier {
+    constructor() {
+        super('test-token', 'test-chat');
+        this.messages = [];
+    }
+
+    async sendMessage(message) {
+        if (!this.enabled) return;
+        this.messages.push(this.label ? `${this.label}\n${message}` : message);
+    }
+
+    find(text) {
+        return this.messages.find(message => message.includes(text));
+    }
+}
+
+// Stands in for node-telegram-bot-api inside a TelegramController: records
+// what it sends and lets tests deliver commands and button presses
+export class FakeTelegramBot {
+    constructor() {
+        this.handlers = [];
+        this.listeners = {};
+        this.sent = [];
+        this.edits = [];
+        this.answers = [];
+        this.nextMessageId = 1;
+    }
+
+    onText(regexp, handler) {
+        this.handlers.push({ regexp, handler });
+    }
+
+    on(event, listener) {
+        this.listeners[event] = listener;
+    }
+
+    async sendMessage(chatId, text, options = {}) {
+        const message = { message_id: this.nextMessageId++, chat: { id: chatId, type: 'private' }, text, options };
+        this.sent.push(message);
+        return message;
+    }
+
+    async sendDocument(chatId, content, options = {}, fileOptions = {}) {
+        const message = { message_id: this.nextMessageId++, chat: { id: chatId, type: 'private' }, document: fileOptions.filename, options };
+        this.sent.push(message);
+        return message;
+    }
+
+    async setMyCommands(commands) {
+        this.menu = commands;
+    }
+
+    async editMessageText(text, options) {
+        this.edits.push({ text, ...options });
+    }
+
+    async answerCallbackQuery(id, options = {}) {
+        this.answers.push({ id, ...options });
+    }
+
+    stopPolling() {}
+
+    // Every handler whose pattern matches gets the message, like polling
+    async receive(userId, text) {
+        const msg = { text, from: { id: userId }, chat: { id: userId, type: 'private' } };
+        for (const { regexp, handler } of this.handlers) {
+            const match = regexp.exec(text);
+            if (match) {
+                await handler(msg, match);
+            }
+        }
+    }
+
+    // Press a button of a message this bot sent
+    async press(userId, message, data) {
+        await this.listeners.callback_query({ id: String(this.answers.length + 1), from: { id: userId }, data, message });
+    }
+
+    last() {
+        return this.sent[this.sent.length - 1];
+    }
+}
@@ -0,0 +1,169 @@
+// Unit tests for live-settings.js, plus the bot applying queued settings
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LiveSettings } from '../live-settings.js';
+import { createSizer } from '../bet-sizing.js';
+import { parseLedger } from '../prediction-contract.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+// Settings in a plain object, refused when the bet is over `limit.max`
+function settings(initial = { bet: 1, max: 3, mode: 'a' }) {
+    const current = { ...initial };
+    const limit = { max: 5 };
+    const live = new LiveSettings({
+        read: () => ({ ...current }),
+        write: (changes) => Object.assign(current, changes),
+        check: (next) => next.bet > limit.max ? `bet ${next.bet} over ${limit.max}` : null
+    });
+    return { live, current, limit };
+}
+
+describe('LiveSettings', () => {
+    it('queues changes without touching the settings', () => {
+        const { live, current } = settings();
+
+        assert.equal(live.queue({ bet: 2 }), null);
+        assert.equal(live.queue({ mode: 'b' }), null);
+        assert.equal(live.queue({ bet: 4 }), null);
+
+        assert.equal(current.bet, 1);
+        assert.deepEqual(live.entries(), [['mode', 'b'], ['bet', 4]]);
+        assert.deepEqual(live.preview({ max: 7 }), { bet: 4, max: 7, mode: 'b' });
+    });
+
+    it('refuses changes that would leave the settings unusable', () => {
+        const { live } = settings();
+        live.queue({ bet: 4 });
+
+        assert.equal(live.problem({ mode: 'c' }), null);
+        assert.equal(live.queue({ bet: 6 }), 'bet 6 over 5');
+        assert.deepEqual(live.entries(), [['bet', 4]]);
+    });
+
+    it('applies the whole batch at once', () => {
+        const { live, current } = settings();
+        live.queue({ bet: 2, mode: 'b' });
+
+        assert.deepEqual(live.apply(), {
+            changes: [{ key: 'bet', from: 1, to: 2 }, { key: 'mode', from: 'a', to: 'b' }],
+            applied: true,
+            problem: null
+        });
+        assert.deepEqual(current, { bet: 2, max: 3, mode: 'b' });
+        assert.equal(live.size, 0);
+        assert.deepEqual(live.apply(), { changes: [], applied: false, problem: null });
+    });
+
+    it('drops the whole batch when it no longer checks out', () => {
+        const { live, current, limit } = settings();
+        live.queue({ bet: 4, mode: 'b' });
+        limit.max = 3;
+
+        const result = live.apply();
+
+        assert.equal(result.applied, false);
+        assert.equal(result.problem, 'bet 4 over 3');
+        assert.deepEqual(current, { bet: 1, max: 3, mode: 'a' });
+        assert.equal(live.size, 0);
+    });
+});
+
+describe('bot live settings', () => {
+    let bot;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    afterEach(async () => {
+        bot.telegram = null;
+        await bot.shutdown();
+    });
+
+    it('holds a change while a bet awaits settlement and applies it after', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        bot = await createFakeBot(chain, { betSizing: 'MARTINGALE', maxDoubleDowns: 3 });
+        await bot.placeBet();
+        assert.equal(bot.waitingForResults, true);
+
+        const reply = await bot.confirmSettings('Change base bet?', { baseBetAmount: '0.02' }).apply();
+        assert.match(reply, /Change queued/);
+        assert.equal(bot.config.baseBetAmount, '0.01');
+
+        // Our BULL bet wins
+        chain.now += 18;
+        Object.assign(chain.round(epoch), { lockPrice: 600 });
+        chain.openRound({ lockIn: 300 });
+        chain.now = chain.round(epoch).closeTimestamp + 1;
+        Object.assign(chain.round(epoch), { closePrice: 601, oracleCalled: true });
+        await bot.placeBet();
+
+        assert.equal(bot.waitingForResults, false);
+        assert.equal(bot.config.baseBetAmount, '0.02');
+        assert.equal(bot.state.currentBet, '0.02');
+        assert.match(bot.telegram.find('Settings Applied'), /Base Bet: 0\.01 BNB → 0\.02 BNB/);
+    });
+
+    it('holds a change through an early prediction streak', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        bot = await createFakeBot(chain, { earlyPrediction: true, betSizing: 'MARTINGALE', maxDoubleDowns: 3 });
+        await bot.placeBet();
+
+        const reply = await bot.confirmSettings('Change base bet?', { baseBetAmount: '0.005' }).apply();
+        assert.match(reply, /Change queued/);
+
+        // Round 1 locks at $600 and the price is $1 below it 20s before close:
+        // the BULL bet is assumed lost while it is still unsettled
+        chain.now += 18;
+        Object.assign(chain.round(epoch), { lockPrice: 600 });
+        const next = chain.openRound({ lockIn: 300 });
+        chain.now = chain.round(epoch).closeTimestamp - 20;
+        chain.oraclePrice = 599;
+        await bot.placeBet();
+
+        assert.ok(bot.telegram.find('Assumption: LOSS'));
+        assert.equal(parseLedger(await bot.contract.ledger(next, bot.wallet.address)).amount, 0.02);
+        assert.equal(bot.config.baseBetAmount, '0.01');
+        assert.equal(bot.liveSettings.size, 1);
+    });
+
+    it('applies at once when stopped with nothing in flight', async () => {
+        bot = await createFakeBot(new FakeChain(), { betSizing: 'MARTINGALE', maxDoubleDowns: 3 });
+        bot.isRunning = false;
+
+        const reply = await bot.confirmSettings('Change max double-downs?', { maxDoubleDowns: 4 }).apply();
+
+        assert.match(reply, /Settings updated/);
+        assert.equal(bot.config.maxDoubleDowns, 4);
+    });
+
+    it('rejects a ladder the balance or the early prediction cap cannot cover', async () => {
+        bot = await createFakeBot(new FakeChain(), {
+            betSizing: 'MARTINGALE',
+            maxDoubleDowns: 5,
+            earlyPrediction: true,
+            maxEarlyPredictionBet: '0.5'
+        });
+
+        assert.equal(
+            bot.confirmSettings('Change max double-downs?', { maxDoubleDowns: 6 }),
+            '❌ Max bet 0.640000 BNB is over the 0.5 BNB max early prediction bet'
+        );
+        assert.equal(
+            bot.confirmSettings('Change max early prediction bet?', { maxEarlyPredictionBet: '2', maxDoubleDowns: 6 }),
+            '❌ A full losing streak stakes 1.270000 BNB, more than the 1 BNB balance'
+        );
+        assert.equal(
+            bot.confirmSettings('Change bet sizing?', { sizer: createSizer('MARTINGALE', { multiplier: 1e100 }) }),
+            '❌ MARTINGALE (multiplier=1e+100) gives a bet of Infinity BNB in a losing streak'
+        );
+        // Nothing to do with the stakes, so not checked
+        assert.ok(bot.confirmSettings('Change direction?', { strategy: bot.strategy }).confirm);
+    });
+});
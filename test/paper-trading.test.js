@@ -0,0 +1,62 @@
+// Unit tests for paper-trading.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaperContract } from '../paper-trading.js';
+
+const BNB = 10n ** 18n;
+const NOW = 1_700_000_000;
+
+// rounds() tuples: epoch 1 went up, epoch 2 went down, epoch 3 still open
+function contract() {
+    const closed = (epoch, lockPrice, closePrice) => [
+        BigInt(epoch), 0n, BigInt(NOW - 600), BigInt(NOW - 300), lockPrice, closePrice,
+        0n, 0n, 4n * BNB, 2n * BNB, 2n * BNB, 2n * BNB, 4n * BNB, true
+    ];
+    const rounds = {
+        1: closed(1, 600n, 601n),
+        2: closed(2, 600n, 599n),
+        3: [3n, 0n, BigInt(NOW + 300), BigInt(NOW + 600), 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, false]
+    };
+    return { rounds: async (epoch) => rounds[Number(epoch)], currentEpoch: async () => 3n };
+}
+
+async function paper() {
+    const paper = new PaperContract(contract(), 10n * BNB, () => NOW * 1000);
+    // Booked directly: the rounds are already closed
+    paper.bets.set(1, { position: 0, amount: BNB, claimed: false });
+    paper.bets.set(2, { position: 0, amount: BNB, claimed: false });
+    paper.balance -= 2n * BNB;
+    return paper;
+}
+
+describe('PaperContract', () => {
+    it('takes bets on open rounds only', async () => {
+        const contract = await paper();
+
+        await contract.betBull(3, { value: BNB });
+        assert.equal(contract.getBalance(), 7n * BNB);
+        await assert.rejects(contract.betBear(3, { value: BNB }), /Can only bet once per round/);
+        await assert.rejects(contract.betBear(4, { value: 100n * BNB }), /insufficient virtual balance/);
+    });
+
+    it('credits winnings at the contract\'s payout', async () => {
+        const contract = await paper();
+
+        await contract.claim([1]);
+
+        assert.equal(contract.getBalance(), 10n * BNB);
+        assert.deepEqual(await contract.ledger(1), [0, BNB, true]);
+        assert.equal(await contract.claimable(1), false);
+    });
+
+    it('claims nothing when one epoch in the batch is not eligible', async () => {
+        const contract = await paper();
+
+        await assert.rejects(contract.claim([1, 2]), /Not eligible for claim/);
+        await assert.rejects(contract.claim([1, 1]), /Not eligible for claim/);
+
+        assert.equal(contract.getBalance(), 8n * BNB);
+        assert.deepEqual(await contract.ledger(1), [0, BNB, false]);
+        assert.equal(await contract.claimable(1), true);
+    });
+});
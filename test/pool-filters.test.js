@@ -0,0 +1,136 @@
+// Unit tests for pool-filters.js, plus the bot acting on a verdict
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPool, describeFilters } from '../pool-filters.js';
+import { payoutMultiplier } from '../prediction-contract.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+function pool(bullAmount, bearAmount) {
+    return { totalAmount: bullAmount + bearAmount, bullAmount, bearAmount };
+}
+
+describe('payoutMultiplier', () => {
+    it('pays the whole pool less the fee over the winning side', () => {
+        assert.equal(payoutMultiplier(pool(1, 3), 'BULL'), 3.88);
+        assert.ok(Math.abs(payoutMultiplier(pool(1, 3), 'BULL', 1) - 2.425) < 1e-12);
+        assert.equal(payoutMultiplier(pool(0, 3), 'BULL'), 0);
+    });
+});
+
+describe('checkPool', () => {
+    it('lets everything through with no filters set', () => {
+        assert.deepEqual(checkPool(pool(0, 0), 'BULL', 0.01, {}), {
+            action: 'bet', direction: 'BULL', multiplier: 0.97, reason: null
+        });
+    });
+
+    it('skips a thin pool', () => {
+        const verdict = checkPool(pool(0.1, 0.1), 'BULL', 0.01, { minPool: 0.5 });
+
+        assert.equal(verdict.action, 'skip');
+        assert.equal(verdict.reason, 'Pool too thin (0.2000 < 0.5 BNB)');
+    });
+
+    it('skips a side that pays too little', () => {
+        const verdict = checkPool(pool(3, 1), 'BULL', 0.01, { minMultiplier: 1.5 });
+
+        assert.equal(verdict.action, 'skip');
+        assert.equal(verdict.reason, 'BULL pays 1.29x (min 1.5x)');
+    });
+
+    it('switches side when the other side pays enough', () => {
+        const verdict = checkPool(pool(3, 1), 'BULL', 0.01, { minMultiplier: 1.5, switchSide: true });
+
+        assert.equal(verdict.action, 'switch');
+        assert.equal(verdict.direction, 'BEAR');
+        assert.equal(verdict.reason, 'BULL pays 1.29x (min 1.5x), BEAR pays 3.85x');
+    });
+
+    it('skips when neither side pays enough', () => {
+        const verdict = checkPool(pool(1, 1), 'BULL', 0.01, { minMultiplier: 2, switchSide: true });
+
+        assert.equal(verdict.action, 'skip');
+        assert.equal(verdict.direction, 'BULL');
+    });
+
+    it('skips a bet that would move the odds too much', () => {
+        assert.equal(checkPool(pool(1, 1), 'BULL', 0.01, { maxOddsImpact: 5 }).action, 'bet');
+
+        const verdict = checkPool(pool(1, 1), 'BULL', 0.5, { maxOddsImpact: 5 });
+        assert.equal(verdict.action, 'skip');
+        assert.equal(verdict.reason, "Our 0.5 BNB would cut BULL's payout by 16.7% (max 5%)");
+
+        // Ours would be the only stake on that side
+        assert.equal(checkPool(pool(0, 1), 'BULL', 0.01, { maxOddsImpact: 50 }).action, 'skip');
+    });
+
+    it('checks the odds impact on the side it switched to', () => {
+        const verdict = checkPool(pool(3, 0.02), 'BULL', 0.01, { minMultiplier: 1.5, maxOddsImpact: 10, switchSide: true });
+
+        assert.equal(verdict.action, 'skip');
+        assert.equal(verdict.direction, 'BEAR');
+    });
+});
+
+describe('describeFilters', () => {
+    it('lists the active filters', () => {
+        assert.deepEqual(describeFilters({ minPool: 0, minMultiplier: 0, maxOddsImpact: 0 }), []);
+        assert.deepEqual(describeFilters({ minPool: 1, minMultiplier: 1.8, maxOddsImpact: 5, switchSide: true }), [
+            '🏊 Min Pool: 1 BNB',
+            '✖️ Min Payout: 1.8x (switches side)',
+            '⚖️ Max Odds Impact: 5%'
+        ]);
+    });
+});
+
+describe('bot pool filters', () => {
+    let bot;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    afterEach(async () => {
+        bot.telegram = null;
+        await bot.shutdown();
+    });
+
+    async function betLedger(epoch) {
+        const [position, amount] = await bot.contract.ledger(epoch);
+        return { position, amount };
+    }
+
+    it('skips the round and says why', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        Object.assign(chain.round(epoch), { bullAmount: 0.1, bearAmount: 0.05 });
+        bot = await createFakeBot(chain, { poolMinTotal: 0.5 });
+
+        await bot.placeBet();
+        await bot.placeBet();
+
+        assert.equal((await betLedger(epoch)).amount, 0n);
+        assert.equal(bot.skippedEpoch, epoch);
+        const skips = bot.telegram.messages.filter(message => message.includes('Round Skipped'));
+        assert.equal(skips.length, 1);
+        assert.match(skips[0], /Reason: Pool too thin \(0\.1500 < 0\.5 BNB\)/);
+    });
+
+    it('bets the other side when ours pays too little', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        Object.assign(chain.round(epoch), { bullAmount: 3, bearAmount: 1 });
+        bot = await createFakeBot(chain, { poolMinMultiplier: 1.5, poolSwitchSide: true });
+
+        await bot.placeBet();
+
+        const { position, amount } = await betLedger(epoch);
+        assert.equal(position, 1);
+        assert.ok(amount > 0n);
+        assert.ok(bot.telegram.find('BULL → BEAR'));
+    });
+});
@@ -0,0 +1,248 @@
+// Unit tests for prediction-tracker.js, plus what the bot records
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PredictionTracker } from '../prediction-tracker.js';
+import { TradeJournal } from '../trade-journal.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+let nextEpoch = 1;
+
+// A prediction at `priceDiff` that closed `closeDiff` from the lock price
+function predict(tracker, priceDiff, closeDiff, extra = {}) {
+    const epoch = nextEpoch++;
+    const assumed = Math.abs(priceDiff) < tracker.threshold ? 'uncertain' : 'win';
+    tracker.record({ epoch, priceDiff, secondsToClose: 20, lockPrice: 600, scale: 1, assumed, ...extra });
+    return tracker.resolve(epoch, { lockPrice: 600, closePrice: 600 + closeDiff, won: closeDiff > 0 });
+}
+
+describe('PredictionTracker', () => {
+    it('converts the threshold to USD in every mode', () => {
+        assert.equal(new PredictionTracker({ threshold: 0.3 }).thresholdUsd(1), 0.3);
+
+        const percent = new PredictionTracker({ mode: 'percent', threshold: 0.05 });
+        assert.equal(percent.scale(600), 6);
+        assert.ok(Math.abs(percent.thresholdUsd(percent.scale(600)) - 0.3) < 1e-12);
+
+        const volatility = new PredictionTracker({ mode: 'volatility', threshold: 0.5 });
+        assert.equal(volatility.scale(600, [3, -4, 0, 0, 5, 0]), Math.sqrt(50 / 6));
+        // No history to measure - nothing is certain
+        assert.equal(volatility.thresholdUsd(volatility.scale(600, [])), Infinity);
+
+        assert.throws(() => new PredictionTracker({ mode: 'atr' }), /Unknown threshold mode "atr"/);
+    });
+
+    it('describes the threshold in its own units', () => {
+        assert.equal(new PredictionTracker({ threshold: 0.2 }).describeThreshold(), '$0.2');
+        assert.equal(new PredictionTracker({ mode: 'percent', threshold: 0.05 }).describeThreshold(), '0.05% of lock price');
+        assert.equal(
+            new PredictionTracker({ mode: 'volatility', threshold: 1.5, autoTune: true }).describeThreshold(),
+            '1.5× volatility (last 12 rounds), auto-tuned for 80%'
+        );
+    });
+
+    it('breaks accuracy down by move and by seconds to close', () => {
+        const tracker = new PredictionTracker({ threshold: 0.2 });
+        predict(tracker, 0.05, -1);
+        predict(tracker, 0.3, 1);
+        predict(tracker, -0.4, 1, { secondsToClose: 16, assumed: 'loss' });
+        predict(tracker, 1.5, 2, { secondsToClose: 24, assumed: 'loss' });
+        // Not closed yet - left out
+        tracker.record({ epoch: 99, priceDiff: 0.5, secondsToClose: 20, lockPrice: 600, scale: 1, assumed: 'win' });
+
+        const accuracy = tracker.accuracy();
+        assert.equal(accuracy.predictions, 4);
+        assert.equal(accuracy.assumptions, 3);
+        assert.equal(accuracy.correct, 1);
+        assert.deepEqual(accuracy.byMove.filter(bucket => bucket.total > 0), [
+            { label: '<$0.10', total: 1, held: 0 },
+            { label: '$0.25-0.50', total: 2, held: 1 },
+            { label: '$1.00-2.00', total: 1, held: 1 }
+        ]);
+        assert.deepEqual(accuracy.bySeconds, [
+            { label: '15-17s', total: 1, held: 0 },
+            { label: '18-20s', total: 2, held: 1 },
+            { label: '21-25s', total: 1, held: 1 }
+        ]);
+    });
+
+    it('tunes to the lowest threshold that held often enough', () => {
+        const tracker = new PredictionTracker({ threshold: 0.2, autoTune: true, targetAccuracy: 75, minSamples: 4 });
+        // Small moves are a coin flip, bigger ones mostly hold
+        assert.equal(predict(tracker, 0.1, -1), null);
+        predict(tracker, -0.15, 1);
+        predict(tracker, 0.3, 1);
+        predict(tracker, 0.4, 1);
+        predict(tracker, 0.5, -1);
+
+        // 0.3 and up: 2/3 held, not enough samples yet
+        assert.equal(tracker.threshold, 0.2);
+
+        assert.deepEqual(predict(tracker, 0.6, 1), { from: 0.2, to: 0.3 });
+        assert.equal(tracker.threshold, 0.3);
+    });
+
+    it('stays inside the configured bounds', () => {
+        const tracker = new PredictionTracker({ threshold: 0.2, autoTune: true, targetAccuracy: 50, minSamples: 2, minThreshold: 0.15 });
+        predict(tracker, 0.01, 1);
+        predict(tracker, 0.02, 1);
+
+        assert.equal(tracker.threshold, 0.15);
+    });
+
+    it('rebuilds from the trade journal', () => {
+        const tracker = new PredictionTracker({ threshold: 0.2 });
+        tracker.load([
+            { type: 'bet', epoch: 4, direction: 'BULL' },
+            { type: 'prediction', epoch: 4, assumed: 'win', priceDiff: 0.5, secondsToClose: 20, lockPrice: 600, scale: 1, threshold: 0.2 },
+            // Written before predictions were tracked
+            { type: 'prediction', epoch: 5, assumed: 'win' },
+            { type: 'result', epoch: 4, lockPrice: 600, closePrice: 600.4, result: 'won' }
+        ]);
+
+        assert.equal(tracker.records.size, 1);
+        assert.equal(tracker.accuracy().correct, 1);
+    });
+});
+
+describe('bot early predictions', () => {
+    let bot;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    afterEach(async () => {
+        bot.telegram = null;
+        await bot.shutdown();
+    });
+
+    // Bet round `epoch`, lock it at $600 and open the next round
+    async function lockRound(chain, overrides) {
+        const epoch = chain.openRound({ lockIn: 18 });
+        bot = await createFakeBot(chain, { earlyPrediction: true, ...overrides });
+        await bot.placeBet();
+
+        chain.now += 18;
+        Object.assign(chain.round(epoch), { lockPrice: 600 });
+        chain.openRound({ lockIn: 300 });
+        chain.now = chain.round(epoch).closeTimestamp - 20;
+        return epoch;
+    }
+
+    it('uses a threshold relative to the lock price', async () => {
+        const chain = new FakeChain();
+        // 0.1% of $600 = $0.60
+        const epoch = await lockRound(chain, { predictionThresholdMode: 'percent', predictionThreshold: '0.1' });
+        chain.oraclePrice = 600.5;
+
+        await bot.placeBet();
+
+        assert.ok(bot.telegram.find('Uncertain - No Prediction'));
+        assert.ok(bot.telegram.find('Threshold: $0.60'));
+        assert.deepEqual(bot.predictions.records.get(epoch), {
+            threshold: 0.1,
+            epoch,
+            priceDiff: 0.5,
+            secondsToClose: 20,
+            lockPrice: 600,
+            scale: 6,
+            assumed: 'uncertain',
+            closeDiff: null,
+            won: null
+        });
+    });
+
+    it('checks the assumption once the round closes', async () => {
+        const chain = new FakeChain();
+        const epoch = await lockRound(chain, { predictionThreshold: '0.20' });
+        chain.oraclePrice = 601;
+
+        await bot.placeBet();
+        await bot.resolvePrediction({ epoch, lockPrice: 600, closePrice: 599 }, -0.01);
+
+        const accuracy = bot.predictions.accuracy();
+        assert.equal(accuracy.assumptions, 1);
+        assert.equal(accuracy.correct, 0);
+    });
+
+    // Tunes to $0.30 - the smaller move didn't hold
+    const TUNE = { predictionAutoTune: true, predictionTargetAccuracy: 75, predictionMinSamples: 1 };
+    const TUNING_ENTRIES = [
+        { type: 'prediction', epoch: 1, assumed: 'win', priceDiff: 0.3, secondsToClose: 20, lockPrice: 600, scale: 1, threshold: 0.2 },
+        { type: 'prediction', epoch: 2, assumed: 'win', priceDiff: 0.1, secondsToClose: 20, lockPrice: 600, scale: 1, threshold: 0.2 },
+        { type: 'result', epoch: 1, lockPrice: 600, closePrice: 601, result: 'won' },
+        { type: 'result', epoch: 2, lockPrice: 600, closePrice: 599, result: 'lost' }
+    ];
+
+    it('keeps an auto-tuned threshold out of the settings and the profile', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tuning-'));
+        const file = path.join(dir, 'profiles.json');
+        try {
+            bot = await createFakeBot(new FakeChain(), { ...TUNE, predictionThreshold: '0.20', configFile: file, paperBalance: '1000' });
+            bot.isRunning = false;
+            for (const { type, ...prediction } of TUNING_ENTRIES.filter(entry => entry.type === 'prediction')) {
+                bot.predictions.record(prediction);
+            }
+            await bot.resolvePrediction({ epoch: 1, lockPrice: 600, closePrice: 601 }, 0.01);
+            await bot.resolvePrediction({ epoch: 2, lockPrice: 600, closePrice: 599 }, -0.01);
+
+            assert.equal(bot.predictions.threshold, 0.3);
+            assert.equal(bot.config.predictionThreshold, '0.20');
+            assert.equal(bot.liveSettings.preview().predictionThreshold, 0.2);
+
+            bot.changeSettings({ maxDoubleDowns: 5 });
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            assert.deepEqual(saved.profiles.default, { maxDoubleDowns: 5 });
+            assert.equal(bot.predictions.threshold, 0.3);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('starts from the threshold tuned on the journal', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tuning-'));
+        const tradeJournal = path.join(dir, 'trades.jsonl');
+        const journal = new TradeJournal(tradeJournal);
+        TUNING_ENTRIES.forEach(entry => journal.append(entry));
+        try {
+            bot = await createFakeBot(new FakeChain(), { ...TUNE, predictionThreshold: '0.20', tradeJournal });
+
+            assert.equal(bot.predictions.threshold, 0.3);
+            assert.equal(bot.config.predictionThreshold, '0.20');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('reads each closed round\'s move from the contract once', async () => {
+        const chain = new FakeChain();
+        for (const move of [1, -2, 0.5, 3]) {
+            const epoch = chain.openRound();
+            Object.assign(chain.round(epoch), { lockPrice: 600, closePrice: 600 + move, oracleCalled: true });
+        }
+        const live = chain.openRound();
+        bot = await createFakeBot(chain, { predictionThresholdMode: 'volatility', predictionVolatilityRounds: 3 });
+        const reads = [];
+        const rounds = bot.contract.rounds.bind(bot.contract);
+        bot.contract.rounds = (epoch) => {
+            reads.push(Number(epoch));
+            return rounds(epoch);
+        };
+
+        assert.deepEqual(await bot.recentMoves(live), [3, 0.5, -2]);
+        assert.deepEqual(await bot.recentMoves(live), [3, 0.5, -2]);
+        assert.deepEqual(reads, [4, 3, 2]);
+
+        Object.assign(chain.round(live), { lockPrice: 600, closePrice: 599, oracleCalled: true });
+        assert.deepEqual(await bot.recentMoves(chain.openRound()), [-1, 3, 0.5]);
+        assert.deepEqual(reads, [4, 3, 2, 5]);
+        assert.deepEqual([...bot.closedMoves.keys()].sort(), [3, 4, 5]);
+    });
+});
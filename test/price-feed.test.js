@@ -0,0 +1,148 @@
+// Unit tests for price-feed.js, plus how early prediction uses it
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PriceFeed, createPriceSources, formatReadings } from '../price-feed.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+const NOW = 1_700_000_000;
+
+function source(name, price, age = 5) {
+    return { name, read: async () => ({ price, updatedAt: NOW - age }) };
+}
+
+function feed(sources, options = {}) {
+    return new PriceFeed(sources, { clock: () => NOW * 1000, ...options });
+}
+
+describe('PriceFeed', () => {
+    it('uses the first source when they agree', async () => {
+        const quote = await feed([source('contract', 600.1), source('chainlink', 600.2)]).read();
+
+        assert.equal(quote.price, 600.1);
+        assert.equal(quote.source, 'contract');
+        assert.equal(quote.reason, null);
+        assert.equal(formatReadings(quote.readings), 'contract: $600.10 (5s old)\nchainlink: $600.20 (5s old)');
+    });
+
+    it('skips stale and failing sources', async () => {
+        const failing = { name: 'twap', read: async () => { throw new Error('call revert exception'); } };
+        const quote = await feed([source('contract', 600, 300), failing, source('chainlink', 601)]).read();
+
+        assert.equal(quote.price, 601);
+        assert.equal(quote.source, 'chainlink');
+        assert.deepEqual(quote.readings.map(reading => reading.problem), ['stale (300s old)', 'call revert exception', null]);
+    });
+
+    it('gives no price when the sources diverge', async () => {
+        const quote = await feed([source('contract', 600), source('twap', 601)], { maxDivergencePercent: 0.1 }).read();
+
+        assert.equal(quote.price, null);
+        assert.equal(quote.source, null);
+        assert.equal(quote.reason, 'Price sources diverge 0.167% (limit 0.1%)');
+    });
+
+    it('gives no price when nothing is fresh', async () => {
+        const quote = await feed([source('contract', 600, 200), source('chainlink', 0)]).read();
+
+        assert.equal(quote.price, null);
+        assert.equal(quote.reason, 'No fresh price (contract: stale (200s old), chainlink: no price)');
+    });
+});
+
+describe('createPriceSources', () => {
+    const USDT = '0x55d398326f99059fF775485246999027B3197955';
+    const WBNB = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
+    const POOL = '0x0000000000000000000000000000000000000001';
+
+    it('reads the oracle the prediction contract settles with', async () => {
+        const created = [];
+        const [contract] = createPriceSources(['contract'], {
+            contract: { oracle: async () => '0xfeed' },
+            createContract: (address) => {
+                created.push(address);
+                return { latestRoundData: async () => [1n, 60012000000n, 0n, BigInt(NOW), 1n] };
+            }
+        });
+
+        assert.deepEqual(await contract.read(), { price: 600.12, updatedAt: NOW });
+        await contract.read();
+        assert.deepEqual(created, ['0xfeed']);
+    });
+
+    it('prices BNB from a pool TWAP', async () => {
+        // USDT is token0, so the pool's tick prices WBNB per USDT
+        const tick = -63974;
+        const [twap] = createPriceSources(['twap'], {
+            twapPool: POOL,
+            twapSeconds: 60,
+            createContract: (address) => address === POOL
+                ? {
+                    token0: async () => USDT,
+                    token1: async () => WBNB,
+                    observe: async ([secondsAgo]) => [[1000n, 1000n + BigInt(tick * secondsAgo)], []]
+                }
+                : { decimals: async () => 18n }
+        });
+
+        const { price, updatedAt } = await twap.read();
+        assert.ok(Math.abs(price - 1 / Math.pow(1.0001, tick)) < 1e-9);
+        assert.ok(Math.abs(price - 600) < 1);
+        assert.equal(updatedAt, null);
+    });
+
+    it('rejects unknown sources and a twap without a pool', () => {
+        assert.throws(() => createPriceSources(['binance'], {}), /Unknown price source "binance"/);
+        assert.throws(() => createPriceSources(['twap'], {}), /needs TWAP_POOL/);
+    });
+});
+
+describe('bot price check', () => {
+    let bot;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    afterEach(async () => {
+        bot.telegram = null;
+        await bot.shutdown();
+    });
+
+    // Bet a round, lock it at $600 and move into its prediction window
+    async function intoPredictionWindow(chain) {
+        const epoch = chain.openRound({ lockIn: 18 });
+        bot = await createFakeBot(chain, { earlyPrediction: true, predictionThreshold: '0.20' });
+        await bot.placeBet();
+
+        chain.now += 18;
+        Object.assign(chain.round(epoch), { lockPrice: 600 });
+        chain.openRound({ lockIn: 300 });
+        chain.now = chain.round(epoch).closeTimestamp - 20;
+    }
+
+    it('names the source it predicted with', async () => {
+        const chain = new FakeChain();
+        await intoPredictionWindow(chain);
+        chain.oraclePrice = 601;
+
+        await bot.placeBet();
+
+        assert.match(bot.telegram.find('Confident Prediction'), /Price source: contract/);
+    });
+
+    it('refuses to predict when the sources disagree', async () => {
+        const chain = new FakeChain();
+        await intoPredictionWindow(chain);
+        bot.priceFeed = feed([source('contract', 601), source('twap', 603)]);
+
+        await bot.placeBet();
+
+        assert.match(bot.telegram.find('Price Check Failed'), /Price sources diverge 0\.333% \(limit 0\.1%\)/);
+        assert.equal(bot.telegram.find('Confident Prediction'), undefined);
+        assert.equal(bot.earlyPrediction.skipNextRound, true);
+    });
+});
@@ -0,0 +1,278 @@
+// Unit tests for profiles.js, plus the bot running on and writing back to a config file
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProfileStore, validateProfile } from '../profiles.js';
+import { TelegramController } from '../telegram-bot.js';
+import { AccessControl } from '../access-control.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+import { FakeTelegramBot } from './helpers/fake-telegram.js';
+
+const ADMIN = 1;
+
+let dir;
+let file;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    file = path.join(dir, 'profiles.json');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeFile(data) {
+    fs.writeFileSync(file, JSON.stringify(data));
+}
+
+function readFile() {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const PROFILES = {
+    active: 'conservative',
+    profiles: {
+        conservative: { baseBetAmount: '0.01', maxDoubleDowns: 3, betSizing: 'MARTINGALE' },
+        aggressive: { baseBetAmount: '0.02', maxDoubleDowns: 4, betDirection: 'BEAR', dailyLossLimit: 0.5 }
+    }
+};
+
+describe('validateProfile', () => {
+    it('keeps settings as the config holds them', () => {
+        assert.deepEqual(validateProfile({ baseBetAmount: 0.01, betSizing: 'martingale', sizingParams: { multiplier: 3 } }), {
+            settings: { baseBetAmount: '0.01', betSizing: 'MARTINGALE', sizingParams: { multiplier: 3 } },
+            errors: []
+        });
+    });
+
+    it('reports every problem at once', () => {
+        const { errors } = validateProfile({
+            baseBetAmount: '-1',
+            maxDoubleDowns: 20,
+            betDirection: 'SIDEWAYS',
+            sizingParams: {},
+            predictionThresholdMode: 'pips',
+            maxBets: 3
+        });
+
+        assert.deepEqual(errors.slice(0, 4), [
+            'baseBetAmount must be a positive amount',
+            'maxDoubleDowns must be a whole number from 1 to 15',
+            'predictionThresholdMode must be one of usd, percent, volatility',
+            'unknown setting "maxBets"'
+        ]);
+        assert.match(errors[4], /^Unknown strategy: SIDEWAYS/);
+        assert.equal(errors[5], 'sizingParams needs betSizing');
+    });
+});
+
+describe('ProfileStore', () => {
+    it('starts empty without a file and writes one on save', () => {
+        const store = new ProfileStore(file).load();
+        assert.deepEqual(store.names(), []);
+
+        store.save('default', { baseBetAmount: '0.01' });
+
+        assert.deepEqual(readFile(), { active: 'default', profiles: { default: { baseBetAmount: '0.01' } } });
+        assert.deepEqual(new ProfileStore(file).load().get('default'), { baseBetAmount: '0.01' });
+    });
+
+    it('reads back a file saved with no profile active', () => {
+        new ProfileStore(file).load().save('steady', { maxDoubleDowns: 4 }, { activate: false });
+
+        assert.deepEqual(readFile(), { profiles: { steady: { maxDoubleDowns: 4 } } });
+        const store = new ProfileStore(file).load();
+        assert.equal(store.active, null);
+        assert.deepEqual(store.get('steady'), { maxDoubleDowns: 4 });
+    });
+
+    it('refuses an invalid file, saying where', () => {
+        writeFile({ active: 'fast', profiles: { safe: { maxDoubleDowns: 0 }, 'bad name': {} }, extra: 1 });
+
+        assert.throws(() => new ProfileStore(file).load(), (error) =>
+            /unknown key "extra"/.test(error.message) &&
+            /safe: maxDoubleDowns must be a whole number from 1 to 15/.test(error.message) &&
+            /profile name "bad name"/.test(error.message) &&
+            /active profile "fast" is not in profiles/.test(error.message));
+    });
+
+    it('refuses invalid profiles before writing', () => {
+        const store = new ProfileStore(file).load();
+
+        assert.throws(() => store.save('risky', { maxDrawdownPercent: 150 }), /maxDrawdownPercent must be a number from 0 to 100/);
+        assert.throws(() => store.save('../x', {}), /must be 1-32 letters/);
+        assert.equal(fs.existsSync(file), false);
+    });
+});
+
+describe('bot profiles', () => {
+    let bot;
+    let telegram;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    afterEach(async () => {
+        bot.telegram = null;
+        await bot.shutdown();
+    });
+
+    async function start(overrides = {}) {
+        telegram = new FakeTelegramBot();
+        const controller = new TelegramController('test-token', new AccessControl({
+            users: { [ADMIN]: 'admin' }
+        }), { bot: telegram });
+
+        bot = await createFakeBot(new FakeChain(), { configFile: file, paperBalance: '1000', ...overrides }, { controller });
+        bot.isRunning = false;
+        return bot;
+    }
+
+    it('starts with the active profile over the environment', async () => {
+        writeFile(PROFILES);
+        await start();
+
+        assert.equal(bot.config.profile, 'conservative');
+        assert.equal(bot.config.maxDoubleDowns, 3);
+        assert.equal(bot.sizer.name, 'MARTINGALE');
+        assert.equal(bot.strategy.name, 'BULL');
+    });
+
+    it('starts with PROFILE when it is set', async () => {
+        writeFile(PROFILES);
+        await start({ profile: 'aggressive' });
+
+        assert.equal(bot.config.baseBetAmount, '0.02');
+        assert.equal(bot.riskLimits.dailyLossLimit, 0.5);
+        assert.equal(bot.strategy.name, 'BEAR');
+    });
+
+    it('writes changes made from Telegram back to the active profile', async () => {
+        writeFile(PROFILES);
+        await start();
+
+        await telegram.receive(ADMIN, '/setmax 5');
+        await telegram.press(ADMIN, telegram.last(), 'confirm:1');
+
+        const saved = readFile();
+        assert.equal(saved.active, 'conservative');
+        assert.deepEqual(saved.profiles.conservative, { ...PROFILES.profiles.conservative, maxDoubleDowns: 5 });
+        assert.deepEqual(saved.profiles.aggressive, PROFILES.profiles.aggressive);
+    });
+
+    it('writes only settings changed from Telegram into the default profile', async () => {
+        await start();
+
+        await telegram.receive(ADMIN, '/setmax 5');
+        await telegram.press(ADMIN, telegram.last(), 'confirm:1');
+
+        assert.deepEqual(readFile(), { active: 'default', profiles: { default: { maxDoubleDowns: 5 } } });
+    });
+
+    it('switches profiles, putting back what the new one leaves out', async () => {
+        writeFile(PROFILES);
+        await start();
+
+        await telegram.receive(ADMIN, '/profile list');
+        assert.match(telegram.last().text, /✅ <b>conservative<\/b>\n▫️ aggressive/);
+
+        await telegram.receive(ADMIN, '/profile use aggressive');
+        const prompt = telegram.last().text;
+        assert.match(prompt, /Profile: conservative → aggressive/);
+        assert.match(prompt, /Bet Sizing: .*MARTINGALE.* → .*RECOVER/);
+        assert.match(prompt, /Daily Loss Limit: off → 0\.5 BNB/);
+
+        await telegram.press(ADMIN, telegram.last(), 'confirm:1');
+
+        assert.equal(bot.config.profile, 'aggressive');
+        assert.equal(bot.config.baseBetAmount, '0.02');
+        assert.equal(bot.sizer.name, 'RECOVER');
+        assert.equal(bot.strategy.name, 'BEAR');
+        assert.equal(bot.riskLimits.dailyLossLimit, 0.5);
+        assert.equal(readFile().active, 'aggressive');
+        assert.deepEqual(readFile().profiles.aggressive, PROFILES.profiles.aggressive);
+    });
+
+    it('saves the current settings as a new profile', async () => {
+        await start({ maxDoubleDowns: 4 });
+        assert.equal(bot.config.profile, 'default');
+
+        await telegram.receive(ADMIN, '/profile save steady');
+
+        assert.match(telegram.last().text, /Profile saved/);
+        const saved = readFile();
+        assert.equal(saved.active, 'steady');
+        assert.equal(saved.profiles.steady.maxDoubleDowns, 4);
+        assert.equal(bot.config.profile, 'steady');
+    });
+
+    it('makes the profile in use active when saving it', async () => {
+        await start();
+        assert.equal(bot.config.profile, 'default');
+
+        await telegram.receive(ADMIN, '/profile save default');
+
+        assert.match(telegram.last().text, /Profile saved/);
+        assert.equal(readFile().active, 'default');
+        assert.equal(new ProfileStore(file).load().active, 'default');
+    });
+
+    it('reports a profile that cannot be written', async () => {
+        writeFile(PROFILES);
+        await start();
+        mock.method(bot.profiles, 'save', () => {
+            throw new Error('ENOSPC: no space left on device');
+        });
+
+        await telegram.receive(ADMIN, '/profile save steady');
+        assert.equal(telegram.last().text, '❌ ENOSPC: no space left on device');
+
+        await telegram.receive(ADMIN, '/profile save aggressive');
+        await telegram.press(ADMIN, telegram.last(), 'confirm:1');
+        assert.match(telegram.edits.at(-1).text, /❌ ENOSPC/);
+        assert.equal(bot.config.profile, 'conservative');
+    });
+
+    it('saves queued changes into a new profile and switches to it along with them', async () => {
+        writeFile(PROFILES);
+        await start();
+        bot.isRunning = true;
+
+        await telegram.receive(ADMIN, '/setmax 5');
+        await telegram.press(ADMIN, telegram.last(), 'confirm:1');
+        await telegram.receive(ADMIN, '/profile save steady');
+
+        assert.match(telegram.last().text, /queued changes included[\s\S]*Change queued/);
+        assert.equal(readFile().profiles.steady.maxDoubleDowns, 5);
+        assert.equal(readFile().active, 'conservative');
+        assert.equal(bot.config.profile, 'conservative');
+
+        await bot.applyPendingSettings();
+
+        const saved = readFile();
+        assert.equal(bot.config.profile, 'steady');
+        assert.equal(bot.config.maxDoubleDowns, 5);
+        assert.equal(saved.active, 'steady');
+        assert.deepEqual(saved.profiles.conservative, PROFILES.profiles.conservative);
+    });
+
+    it('asks before overwriting another profile', async () => {
+        writeFile(PROFILES);
+        await start();
+
+        await telegram.receive(ADMIN, '/profile save aggressive');
+        assert.match(telegram.last().text, /Overwrite profile aggressive\?[\s\S]*Base Bet: 0\.02 BNB → 0\.01 BNB/);
+        assert.equal(readFile().profiles.aggressive.baseBetAmount, '0.02');
+
+        await telegram.press(ADMIN, telegram.last(), 'confirm:1');
+        assert.equal(readFile().profiles.aggressive.baseBetAmount, '0.01');
+    });
+});
@@ -0,0 +1,124 @@
+// Unit tests for provider-pool.js with fake endpoints in place of JSON-RPC
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ProviderPool } from '../provider-pool.js';
+
+const URLS = ['https://a.example', 'https://b.example', 'https://c.example'];
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+
+// An endpoint answering eth_blockNumber with `block` and every other
+// request with `answer`; a function for either is called instead
+function endpoint({ block = 100, answer = 'ok' } = {}) {
+    const reply = (value) => typeof value === 'function' ? value() : Promise.resolve(value);
+    return {
+        send: (method) => reply(method === 'eth_blockNumber' ? block : answer),
+        _perform: () => reply(answer),
+        getNetwork: async () => ethers.Network.from(56),
+        destroy() {}
+    };
+}
+
+const endpointError = () => Promise.reject(Object.assign(new Error('bad gateway'), { code: 'SERVER_ERROR' }));
+const stall = () => new Promise(() => {});
+
+describe('ProviderPool', () => {
+    let pool;
+    let failovers;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    afterEach(() => {
+        pool.destroy();
+    });
+
+    function createPool(endpoints, options = {}) {
+        failovers = [];
+        pool = new ProviderPool(URLS.slice(0, endpoints.length), {
+            chainId: 56,
+            timeoutMs: 50,
+            onFailover: (to, from, reason) => failovers.push([from.name, to.name, reason]),
+            ...options
+        });
+        endpoints.forEach((fake, i) => { pool.endpoints[i].provider = fake; });
+        return pool;
+    }
+
+    it('fails over when the active endpoint errors', async () => {
+        createPool([endpoint({ answer: endpointError }), endpoint({ answer: 'from b' })]);
+
+        assert.equal(await pool.send('eth_call', []), 'from b');
+        assert.deepEqual(failovers, [['a.example', 'b.example', 'bad gateway']]);
+    });
+
+    it('fails over from a stalled endpoint within timeoutMs', async () => {
+        createPool([endpoint({ answer: stall }), endpoint({ answer: 'from b' })]);
+
+        const started = Date.now();
+        assert.equal(await pool.send('eth_call', []), 'from b');
+        assert.ok(Date.now() - started < 1000);
+        assert.match(failovers[0][2], /Timed out after 50ms/);
+    });
+
+    it('passes on answers that are not endpoint failures', async () => {
+        const revert = () => Promise.reject(Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' }));
+        createPool([endpoint({ answer: revert }), endpoint()]);
+
+        await assert.rejects(pool.send('eth_call', []), /execution reverted/);
+        assert.equal(pool.active.name, 'a.example');
+    });
+
+    it('reads the nonce afresh every time instead of from a cache', async () => {
+        let nonce = 7;
+        const a = endpoint();
+        a._perform = async () => `0x${(nonce++).toString(16)}`;
+        createPool([a]);
+
+        assert.equal(await pool.getTransactionCount(ADDRESS, 'pending'), 7);
+        assert.equal(await pool.getTransactionCount(ADDRESS, 'pending'), 8);
+    });
+
+    it('drops lagging or stalled endpoints on a health check and goes back once they recover', async () => {
+        const a = endpoint({ block: 90 });
+        createPool([a, endpoint({ block: stall }), endpoint({ block: 100 })]);
+
+        await pool.checkHealth();
+        assert.deepEqual(pool.status().map(({ healthy }) => healthy), [false, false, true]);
+        assert.equal(pool.active.name, 'c.example');
+
+        pool.endpoints[0].provider = endpoint({ block: 100 });
+        await pool.checkHealth();
+        assert.equal(pool.active.name, 'a.example');
+        assert.equal(failovers.at(-1)[2], 'preferred endpoint recovered');
+    });
+
+    it('accepts a read once a quorum agrees at a block all of them have', async () => {
+        createPool([endpoint({ block: 101 }), endpoint({ block: 100 }), endpoint({ block: 102 })], { quorum: 2 });
+        const blocks = [];
+        const answers = ['7', '7', '8'];
+
+        const value = await pool.quorumCall((provider, blockTag) => {
+            blocks.push(blockTag);
+            return answers[pool.endpoints.findIndex(e => e.provider === provider)];
+        });
+
+        assert.equal(value, '7');
+        assert.deepEqual(blocks, [100, 100, 100]);
+    });
+
+    it('refuses a read the endpoints disagree on or too few can answer', async () => {
+        createPool([endpoint(), endpoint(), endpoint({ block: stall })], { quorum: 2 });
+        let next = 0;
+
+        await assert.rejects(pool.quorumCall(() => String(next++)), /disagree - no 2-endpoint quorum at block 100/);
+
+        pool.endpoints[1].provider = endpoint({ block: stall });
+        await assert.rejects(pool.quorumCall(() => '1'), /Only 1 RPC endpoint\(s\) responded, quorum needs 2/);
+    });
+});
@@ -0,0 +1,171 @@
+// Unit tests for reports.js, plus the report the bot sends
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReportScheduler, buildReport, parsePeriods, periodBounds } from '../reports.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Wednesday 2024-01-03 10:30 UTC
+const NOW = Date.UTC(2024, 0, 3, 10, 30);
+
+const trade = (epoch, result, extra = {}) => ({
+    epoch, direction: 'BULL', amount: 0.01, status: 'mined', gas: 0.0001,
+    result, pnl: result === 'won' ? 0.0094 : -0.01, ...extra
+});
+
+describe('parsePeriods', () => {
+    it('reads a comma-separated list', () => {
+        assert.deepEqual(parsePeriods(' Daily, weekly '), ['daily', 'weekly']);
+        assert.deepEqual(parsePeriods(undefined), []);
+        assert.throws(() => parsePeriods('monthly'), /Unknown report period "monthly"/);
+    });
+});
+
+describe('periodBounds', () => {
+    it('ends on the last hour', () => {
+        assert.deepEqual(periodBounds('hourly', NOW), { from: Date.UTC(2024, 0, 3, 9), to: Date.UTC(2024, 0, 3, 10) });
+    });
+
+    it('ends on the last report hour', () => {
+        assert.deepEqual(periodBounds('daily', NOW, { hourUtc: 8 }), { from: Date.UTC(2024, 0, 2, 8), to: Date.UTC(2024, 0, 3, 8) });
+        assert.deepEqual(periodBounds('daily', NOW, { hourUtc: 12 }), { from: Date.UTC(2024, 0, 1, 12), to: Date.UTC(2024, 0, 2, 12) });
+    });
+
+    it('ends on the last report weekday', () => {
+        // Monday 2024-01-01
+        assert.deepEqual(periodBounds('weekly', NOW), { from: Date.UTC(2023, 11, 25), to: Date.UTC(2024, 0, 1) });
+        // Wednesday itself, but before the report hour
+        assert.equal(periodBounds('weekly', NOW, { weekday: 3, hourUtc: 12 }).to, Date.UTC(2023, 11, 27, 12));
+    });
+});
+
+describe('buildReport', () => {
+    it('sums up bets, streaks, gas and prediction accuracy', () => {
+        const report = buildReport([
+            trade(1, 'lost'),
+            trade(2, 'lost', { amount: 0.02, pnl: -0.02 }),
+            trade(3, 'won', { amount: 0.04, pnl: 0.0376, assumed: 'win' }),
+            trade(4, 'won', { assumed: 'loss' }),
+            trade(5, null, { status: 'reverted', gas: 0.0002 }),
+            trade(6, null)
+        ], [{ type: 'claim', epochs: [3, 4], gas: 0.0003 }]);
+
+        assert.equal(report.bets, 5);
+        assert.equal(report.failed, 1);
+        assert.equal(report.pending, 1);
+        assert.equal(report.wins, 2);
+        assert.equal(report.losses, 2);
+        assert.equal(report.winRate, 50);
+        assert.ok(Math.abs(report.pnl - 0.017) < 1e-12);
+        assert.ok(Math.abs(report.gas - 0.001) < 1e-12);
+        assert.ok(Math.abs(report.netPnl - 0.016) < 1e-12);
+        assert.equal(report.longestWinStreak, 2);
+        assert.equal(report.longestLossStreak, 2);
+        assert.equal(report.maxBet, 0.04);
+        assert.equal(report.predictions, 2);
+        assert.equal(report.predictionsCorrect, 1);
+    });
+});
+
+describe('ReportScheduler', () => {
+    it('fires each period once its boundary passes', async () => {
+        const clock = { now: NOW };
+        const sent = [];
+        const scheduler = new ReportScheduler({
+            periods: ['hourly', 'daily'],
+            clock: () => clock.now,
+            onReport: async (period, from, to) => sent.push([period, from, to])
+        });
+
+        // Starting up never reports on a period the bot wasn't there for
+        await scheduler.check();
+        assert.deepEqual(sent, []);
+
+        clock.now = Date.UTC(2024, 0, 3, 11, 0, 30);
+        await scheduler.check();
+        await scheduler.check();
+        assert.deepEqual(sent, [['hourly', Date.UTC(2024, 0, 3, 10), Date.UTC(2024, 0, 3, 11)]]);
+
+        clock.now = Date.UTC(2024, 0, 4, 0, 1);
+        await scheduler.check();
+        assert.deepEqual(sent.slice(1).map(([period]) => period), ['hourly', 'daily']);
+    });
+
+    it('catches up on the last period missed while down', async () => {
+        const clock = { now: NOW };
+        const sent = [];
+        const first = new ReportScheduler({ periods: ['daily'], clock: () => clock.now });
+        first.due();
+
+        clock.now += 2 * DAY;
+        const restarted = new ReportScheduler({
+            periods: ['daily'],
+            clock: () => clock.now,
+            onReport: async (period, from) => sent.push(from)
+        });
+        restarted.restore(JSON.parse(JSON.stringify(first.snapshot())));
+        await restarted.check();
+
+        assert.deepEqual(sent, [Date.UTC(2024, 0, 4)]);
+    });
+
+    it('keeps going when a report fails', async () => {
+        mock.method(console, 'error', () => {});
+        const clock = { now: NOW };
+        const scheduler = new ReportScheduler({
+            periods: ['hourly'],
+            clock: () => clock.now,
+            onReport: async () => { throw new Error('Telegram down'); }
+        });
+        scheduler.due();
+        clock.now += HOUR;
+
+        await scheduler.check();
+        assert.equal(scheduler.due().length, 0);
+        assert.match(console.error.mock.calls[0].arguments[0], /hourly report failed/);
+        mock.restoreAll();
+    });
+});
+
+describe('bot reports', () => {
+    let dir;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('sends the journal for the period with USD values', async () => {
+        const chain = new FakeChain(NOW / 1000);
+        const bot = await createFakeBot(chain, { tradeJournal: path.join(dir, 'trades.jsonl') });
+
+        try {
+            bot.tradeJournal.append({ type: 'bet', ...trade(1), status: 'mined' });
+            bot.tradeJournal.append({ type: 'result', epoch: 1, result: 'won', payout: 0.0194, pnl: 0.0094 });
+            bot.tradeJournal.append({ type: 'prediction', epoch: 1, assumed: 'win' });
+
+            await bot.sendReport('daily', NOW - DAY, NOW + 1);
+            const report = bot.telegram.find('DAILY REPORT');
+            assert.ok(report);
+            assert.match(report, /2024-01-02 10:30 UTC → 2024-01-03 10:30 UTC/);
+            assert.match(report, /P\/L: \+0\.0094 BNB \(\$5\.64\)/);
+            assert.match(report, /Early Prediction: 1\/1 correct \(100\.0%\)/);
+
+            // Nothing placed in the period - no message
+            await bot.sendReport('hourly', NOW + HOUR, NOW + 2 * HOUR);
+            assert.equal(bot.telegram.find('HOURLY REPORT'), undefined);
+        } finally {
+            bot.telegram = null;
+            await bot.shutdown();
+        }
+    });
+});
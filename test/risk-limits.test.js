@@ -0,0 +1,257 @@
+// Unit tests for risk-limits.js, plus how the bot acts on a verdict
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { RiskLimits } from '../risk-limits.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+const HOUR = 60 * 60 * 1000;
+// 2024-01-01 10:00 UTC
+const START = Date.UTC(2024, 0, 1, 10);
+
+function limits(options = {}) {
+    const clock = { now: START };
+    const risk = new RiskLimits({ clock: () => clock.now, ...options });
+    return { risk, clock };
+}
+
+describe('RiskLimits', () => {
+    it('lets everything through with no limits set', () => {
+        const { risk } = limits();
+        risk.startSession(1);
+        risk.record(-10);
+
+        assert.equal(risk.check(), null);
+        assert.deepEqual(risk.describe(), []);
+    });
+
+    it('pauses until the next reset once the daily loss limit is hit', () => {
+        const { risk, clock } = limits({ dailyLossLimit: 0.05 });
+        risk.record(-0.03);
+        assert.equal(risk.check(), null);
+
+        risk.record(-0.02);
+        const verdict = risk.check();
+        assert.equal(verdict.action, 'pause');
+        assert.equal(verdict.started, true);
+        assert.equal(verdict.until, Date.UTC(2024, 0, 2));
+        assert.match(verdict.reason, /Daily loss limit reached \(-0\.0500 \/ -0\.05 BNB\)/);
+
+        // Announced once, then just held
+        assert.equal(risk.check().started, false);
+
+        clock.now = Date.UTC(2024, 0, 2, 0, 1);
+        assert.equal(risk.check(), null);
+        assert.equal(risk.periodPnl, 0);
+    });
+
+    it('pauses once the daily profit target is met', () => {
+        const { risk } = limits({ dailyProfitTarget: 0.1 });
+        risk.record(0.12);
+
+        const verdict = risk.check();
+        assert.equal(verdict.action, 'pause');
+        assert.match(verdict.reason, /Daily profit target reached/);
+    });
+
+    it('resets on the configured schedule', () => {
+        const { risk, clock } = limits({ dailyLossLimit: 1, resetHours: 6, resetHourUtc: 2 });
+        // Periods start at 02:00, 08:00, 14:00 and 20:00
+        assert.equal(risk.periodStart, Date.UTC(2024, 0, 1, 8));
+        assert.equal(risk.nextReset, Date.UTC(2024, 0, 1, 14));
+
+        risk.record(-0.5);
+        clock.now = Date.UTC(2024, 0, 1, 14);
+        assert.equal(risk.rollover(), true);
+        assert.equal(risk.periodPnl, 0);
+    });
+
+    it('stops at the max drawdown from the session peak', () => {
+        const { risk } = limits({ maxDrawdownPercent: 10 });
+        risk.startSession(1);
+        risk.record(0.2);
+        risk.record(-0.1);
+        assert.equal(risk.check(), null);
+
+        // 1.2 peak → 1.08 is 10% down
+        risk.record(-0.02);
+        const verdict = risk.check();
+        assert.equal(verdict.action, 'stop');
+        assert.match(verdict.reason, /Max drawdown reached \(10\.0% below session peak, limit 10%\)/);
+
+        // A new session starts a new curve
+        risk.startSession(1.08);
+        assert.equal(risk.check(), null);
+    });
+
+    it('pauses until the oldest bet of the hour drops out', () => {
+        const { risk, clock } = limits({ maxBetsPerHour: 2 });
+        risk.recordBet();
+        clock.now += 10 * 60 * 1000;
+        risk.recordBet();
+
+        const verdict = risk.check();
+        assert.equal(verdict.action, 'pause');
+        assert.equal(verdict.until, START + HOUR);
+
+        clock.now = START + HOUR;
+        assert.equal(risk.check(), null);
+    });
+
+    it('cools down only when configured', () => {
+        assert.equal(limits().risk.coolDown('Max loss streak reached'), false);
+
+        const { risk, clock } = limits({ streakCooldownMinutes: 30 });
+        assert.equal(risk.coolDown('Max loss streak reached'), true);
+        assert.equal(risk.check().reason, 'Max loss streak reached - cooling down');
+
+        clock.now += 30 * 60 * 1000;
+        assert.equal(risk.check(), null);
+    });
+
+    it('books a round only once', () => {
+        const { risk } = limits();
+        risk.recordRound(5, -0.01);
+        risk.recordRound(5, -0.01);
+
+        assert.equal(risk.periodPnl, -0.01);
+    });
+
+    it('shows the room left on every limit', () => {
+        const { risk } = limits({ dailyLossLimit: 0.05, dailyProfitTarget: 0.1, maxDrawdownPercent: 20, maxBetsPerHour: 10, streakCooldownMinutes: 15 });
+        risk.startSession(1);
+        risk.record(-0.02);
+        risk.recordBet();
+
+        assert.deepEqual(risk.describe(), [
+            '📉 Daily Loss Limit: 0.05 BNB (0.0300 left)',
+            '🎯 Daily Profit Target: 0.1 BNB (0.1200 to go)',
+            '📐 Max Drawdown: 20% (18.0% left)',
+            '⏱️ Max Bets/Hour: 10 (9 left this hour)',
+            '🧊 Max Streak Cooldown: 15 min',
+            'Period P/L: -0.0200 BNB, resets 2024-01-02 00:00 UTC'
+        ]);
+    });
+
+    it('keeps the period and pause across a restart', () => {
+        const { risk, clock } = limits({ dailyLossLimit: 0.05 });
+        risk.record(-0.05);
+        risk.check();
+
+        const restored = new RiskLimits({ dailyLossLimit: 0.05, clock: () => clock.now });
+        restored.restore(JSON.parse(JSON.stringify(risk.snapshot())));
+        assert.equal(restored.periodPnl, -0.05);
+        assert.equal(restored.paused, true);
+    });
+});
+
+describe('bot risk limits', () => {
+    let bot;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    afterEach(async () => {
+        bot.telegram = null;
+        await bot.shutdown();
+    });
+
+    it('holds bets back while paused and says so once', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        bot = await createFakeBot(chain, { dailyLossLimit: 0.05 });
+        bot.riskLimits.record(-0.05);
+
+        await bot.placeBet();
+        await bot.placeBet();
+
+        const [, amount] = await bot.contract.ledger(epoch);
+        assert.equal(amount, 0n);
+        assert.equal(bot.isRunning, true);
+        assert.equal(bot.telegram.messages.filter(message => message.includes('BETTING PAUSED')).length, 1);
+        assert.ok(bot.telegram.find('Daily loss limit reached'));
+    });
+
+    it('stops at the max drawdown', async () => {
+        const chain = new FakeChain();
+        chain.openRound({ lockIn: 18 });
+        bot = await createFakeBot(chain, { maxDrawdownPercent: 5 });
+        bot.riskLimits.startSession(1);
+        bot.riskLimits.record(-0.06);
+
+        await bot.placeBet();
+
+        assert.equal(bot.isRunning, false);
+        assert.ok(bot.telegram.find('Max drawdown reached'));
+    });
+
+    it('pauses and resets instead of stopping at max streak with a cooldown', async () => {
+        const chain = new FakeChain();
+        bot = await createFakeBot(chain, { streakCooldownMinutes: 30 });
+        bot.state.consecutiveLosses = 3;
+        bot.state.currentBet = '0.08';
+
+        await bot.applyEffects([{ type: 'stop', reason: 'Max loss streak reached', maxStreak: true }]);
+
+        assert.equal(bot.isRunning, true);
+        assert.equal(bot.riskLimits.paused, true);
+        assert.equal(bot.state.currentBet, '0.01');
+        assert.ok(bot.telegram.find('Max loss streak reached - cooling down'));
+
+        chain.now += 30 * 60;
+        chain.openRound({ lockIn: 18 });
+        await bot.placeBet();
+
+        assert.ok(bot.telegram.find('BETTING RESUMED'));
+        assert.equal(bot.lastBetEpoch, chain.epoch);
+    });
+
+    it('cools down the same way at the max early prediction bet', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        bot = await createFakeBot(chain, {
+            earlyPrediction: true,
+            betSizing: 'MARTINGALE',
+            maxEarlyPredictionBet: '0.015',
+            streakCooldownMinutes: 30
+        });
+        await bot.placeBet();
+
+        // An assumed loss on round 1 makes the next bet 0.02, over the max
+        chain.now += 18;
+        Object.assign(chain.round(epoch), { lockPrice: 600 });
+        const next = chain.openRound({ lockIn: 300 });
+        chain.now = chain.round(epoch).closeTimestamp - 20;
+        chain.oraclePrice = 599;
+        await bot.placeBet();
+
+        assert.equal(bot.isRunning, true);
+        assert.equal(bot.riskLimits.paused, true);
+        assert.equal(bot.state.currentBet, '0.01');
+        assert.ok(bot.telegram.find('Max Early Prediction Bet Reached'));
+        assert.ok(bot.telegram.find('Next bet would exceed max early prediction bet - cooling down'));
+        const [, amount] = await bot.contract.ledger(next);
+        assert.equal(amount, 0n);
+    });
+
+    it('stops at the max early prediction bet without a cooldown', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        bot = await createFakeBot(chain, { earlyPrediction: true, betSizing: 'MARTINGALE', maxEarlyPredictionBet: '0.015' });
+        await bot.placeBet();
+
+        chain.now += 18;
+        Object.assign(chain.round(epoch), { lockPrice: 600 });
+        chain.openRound({ lockIn: 300 });
+        chain.now = chain.round(epoch).closeTimestamp - 20;
+        chain.oraclePrice = 599;
+        await bot.placeBet();
+
+        assert.equal(bot.isRunning, false);
+        assert.ok(bot.telegram.find('Next bet would exceed max early prediction bet'));
+    });
+});
@@ -0,0 +1,103 @@
+// Unit tests for round-archive.js against an in-memory prediction contract
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RoundArchive, RoundFetcher } from '../round-archive.js';
+
+const BNB = 10n ** 18n;
+
+let dir;
+let file;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'round-archive-'));
+    file = path.join(dir, 'rounds.jsonl');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Rounds 1 to current exist; `failing` epochs make rounds() throw
+function contract(current) {
+    const chain = { current, failing: new Set(), reads: [] };
+    chain.currentEpoch = async () => BigInt(chain.current);
+    chain.rounds = async (epoch) => {
+        epoch = Number(epoch);
+        chain.reads.push(epoch);
+        if (chain.failing.has(epoch)) throw new Error('bad gateway');
+        if (epoch < 1 || epoch > chain.current) return [0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, false];
+        const start = 1_700_000_000 + epoch * 300;
+        return [
+            BigInt(epoch), BigInt(start), BigInt(start + 300), BigInt(start + 600),
+            600n * 10n ** 8n, 601n * 10n ** 8n, 0n, 0n, 2n * BNB, BNB, BNB, 0n, 0n, true
+        ];
+    };
+    return chain;
+}
+
+const archived = () => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).epoch);
+
+describe('RoundFetcher', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('backfills closed rounds newest first and resumes without refetching', async () => {
+        const chain = contract(12);
+        const fetcher = new RoundFetcher(chain, new RoundArchive(file));
+
+        assert.equal(await fetcher.backfill(5), 5);
+        assert.deepEqual(archived(), [10, 9, 8, 7, 6]);
+
+        chain.reads = [];
+        const resumed = new RoundFetcher(chain, new RoundArchive(file));
+        assert.equal(await resumed.backfill(7), 2);
+        assert.deepEqual(chain.reads, [5, 4]);
+    });
+
+    it('catches up a gap longer than maxPerSync over several syncs, oldest first', async () => {
+        const chain = contract(12);
+        const archive = new RoundArchive(file);
+        const fetcher = new RoundFetcher(chain, archive, { maxPerSync: 4 });
+        await fetcher.backfill(1);
+
+        chain.current = 22;
+        assert.equal(await fetcher.syncLatest(), 4);
+        assert.deepEqual(archived(), [10, 11, 12, 13, 14]);
+        assert.equal(await fetcher.syncLatest(22), 4);
+        assert.equal(await fetcher.syncLatest(22), 2);
+        assert.equal(await fetcher.syncLatest(22), 0);
+
+        assert.deepEqual(archived(), [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+        assert.ok(console.log.mock.calls.some(call => /10 rounds behind/.test(call.arguments[0])));
+    });
+
+    it('leaves no hole when a sync fails part way', async () => {
+        const chain = contract(12);
+        const fetcher = new RoundFetcher(chain, new RoundArchive(file), { maxPerSync: 10 });
+        await fetcher.backfill(1);
+
+        chain.current = 16;
+        chain.failing.add(13);
+        await assert.rejects(fetcher.syncLatest(), /bad gateway/);
+        assert.deepEqual(archived(), [10, 11, 12]);
+
+        chain.failing.clear();
+        assert.equal(await fetcher.syncLatest(), 2);
+        assert.deepEqual(archived(), [10, 11, 12, 13, 14]);
+    });
+
+    it('starts an empty archive at the newest closed round', async () => {
+        const fetcher = new RoundFetcher(contract(12), new RoundArchive(file));
+
+        assert.equal(await fetcher.syncLatest(), 1);
+        assert.deepEqual(archived(), [10]);
+    });
+});
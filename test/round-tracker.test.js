@@ -0,0 +1,151 @@
+// Unit tests for round-tracker.js with log polling against a fake provider
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { RoundTracker } from '../round-tracker.js';
+import { PREDICTION_ABI, PREDICTION_CONTRACT } from '../prediction-contract.js';
+
+const ADDRESS = '0x00000000000000000000000000000000000000cc';
+const ACCOUNT = '0x00000000000000000000000000000000000000aa';
+const NOW = 1_700_000_000;
+const abi = new ethers.Interface(PREDICTION_ABI);
+
+// Contract with rounds 1-5; every round locks five minutes after it starts
+function contract(current = 5) {
+    return {
+        currentEpoch: async () => BigInt(current),
+        rounds: async (epoch) => [
+            BigInt(epoch), BigInt(NOW + (epoch - 5) * 300), BigInt(NOW + (epoch - 4) * 300), BigInt(NOW + (epoch - 3) * 300),
+            0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, false
+        ]
+    };
+}
+
+function log(name, args, blockNumber, index = 0) {
+    return { ...abi.encodeEventLog(abi.getEvent(name), args), blockNumber, index };
+}
+
+// Serves the `logs` that match a filter's block range and topics
+function provider(head = 100) {
+    const node = { head, logs: [], filters: [] };
+    node.getBlockNumber = async () => node.head;
+    node.getLogs = async (filter) => {
+        node.filters.push(filter);
+        return node.logs.filter(entry => entry.blockNumber >= filter.fromBlock && entry.blockNumber <= filter.toBlock &&
+            filter.topics.every((topic, i) => [topic].flat().includes(entry.topics[i])));
+    };
+    return node;
+}
+
+describe('RoundTracker', () => {
+    let tracker;
+    let events;
+    let time;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    afterEach(() => {
+        tracker.stop();
+    });
+
+    async function start(node, options = {}) {
+        events = [];
+        time = { now: NOW * 1000 };
+        tracker = new RoundTracker(contract(), {
+            address: ADDRESS,
+            provider: node,
+            account: ACCOUNT,
+            clock: () => time.now,
+            onEvent: (name, epoch) => events.push([name, epoch]),
+            ...options
+        });
+        tracker.running = true;
+        await tracker.sync(await tracker.contract.currentEpoch());
+        await tracker.pollLogs();
+        return tracker;
+    }
+
+    it('asks for logs from the configured contract address', async () => {
+        const node = provider();
+        await start(node);
+        node.head = 101;
+
+        await tracker.pollLogs();
+
+        assert.ok(node.filters.length > 0);
+        assert.ok(node.filters.every(filter => filter.address === ADDRESS));
+        assert.equal(new RoundTracker(contract()).address, PREDICTION_CONTRACT);
+    });
+
+    it('follows rounds through StartRound, LockRound and EndRound', async () => {
+        const node = provider();
+        await start(node);
+        node.logs.push(
+            log('LockRound', [5, 5, 600], 101),
+            log('EndRound', [4, 4, 601], 101, 1),
+            log('StartRound', [6], 101, 2)
+        );
+        node.head = 101;
+
+        await tracker.pollLogs();
+
+        assert.equal(tracker.currentEpoch, 6);
+        assert.equal(tracker.phase(4), 'ENDED');
+        assert.equal(tracker.phase(5), 'LOCKED');
+        assert.equal(tracker.phase(6), 'OPEN');
+        assert.equal(await tracker.lockTimestamp(6), NOW + 600);
+        assert.deepEqual(events, [['LockRound', 5], ['EndRound', 4], ['StartRound', 6]]);
+    });
+
+    it('reads a round again when its StartRound read failed', async () => {
+        mock.method(console, 'error', () => {});
+        const node = provider();
+        await start(node);
+        const rounds = tracker.contract.rounds;
+        tracker.contract.rounds = async () => {
+            throw new Error('bad gateway');
+        };
+        node.logs.push(log('StartRound', [6], 101));
+        node.head = 101;
+
+        await tracker.pollLogs();
+        assert.equal(tracker.currentEpoch, 6);
+        assert.equal(tracker.phase(6), 'OPEN');
+        await assert.rejects(tracker.lockTimestamp(6), /bad gateway/);
+
+        tracker.contract.rounds = rounds;
+        assert.equal(await tracker.lockTimestamp(6), NOW + 600);
+        assert.equal(tracker.phase(6), 'OPEN');
+        console.error.mock.restore();
+    });
+
+    it('only hears Claim events for its own account', async () => {
+        const node = provider();
+        await start(node);
+        node.logs.push(log('Claim', [ACCOUNT, 3, 1n], 101), log('Claim', [ADDRESS, 2, 1n], 101, 1));
+        node.head = 101;
+
+        await tracker.pollLogs();
+
+        const claims = node.filters.filter(filter => filter.topics[0] === abi.getEvent('Claim').topicHash);
+        assert.deepEqual(claims.at(-1).topics[1], ethers.zeroPadValue(ACCOUNT, 32));
+        assert.deepEqual(events, [['Claim', 3]]);
+    });
+
+    it('goes stale once the current round is a minute past its lock', async () => {
+        await start(provider());
+        assert.equal(tracker.isLive, true);
+
+        time.now = (NOW + 300 + 61) * 1000;
+        assert.equal(tracker.isLive, false);
+
+        await tracker.sync(7);
+        assert.equal(tracker.currentEpoch, 7);
+    });
+});
@@ -0,0 +1,289 @@
+// Unit tests for settlement.js: plain bookkeeping in, bookkeeping and effects out
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { settleRound, settleAssumedWin } from '../settlement.js';
+import { createSizer, sizeBet } from '../bet-sizing.js';
+
+const EPOCH = 5;
+const sizer = createSizer('MARTINGALE');
+
+function options(overrides = {}) {
+    return {
+        earlyPrediction: false,
+        maxDoubleDowns: 3,
+        sizeBet: (context, maxSteps) => sizeBet(sizer, { base: '0.01', balance: 1, ...context }, maxSteps),
+        ...overrides
+    };
+}
+
+// Closed round: 0.05 BNB reward base, 0.097 BNB reward pool
+function round(lockPrice, closePrice) {
+    return {
+        epoch: EPOCH,
+        lockPrice,
+        closePrice,
+        oracleCalled: true,
+        rewardBaseCalAmount: 0.05,
+        rewardAmount: 0.097
+    };
+}
+
+const up = round(600, 601);
+const down = round(600, 599);
+const flat = round(600, 600);
+
+function ledger(direction, amount = 0.01) {
+    return { position: direction === 'BULL' ? 0 : 1, amount, claimed: false };
+}
+
+function state({ stats = {}, earlyPrediction = {} } = {}) {
+    return {
+        stats: {
+            consecutiveLosses: 0,
+            currentBet: '0.01',
+            totalBets: 1,
+            wins: 0,
+            losses: 0,
+            totalWagered: 0.01,
+            totalLost: 0,
+            ...stats
+        },
+        earlyPrediction: {
+            realLosses: 0,
+            assumedLosses: 0,
+            realLossCount: 0,
+            assumedLossCount: 0,
+            lastAssumedOutcome: null,
+            lastPredictionEpoch: null,
+            skipNextRound: false,
+            ...earlyPrediction
+        }
+    };
+}
+
+const types = effects => effects.map(effect => effect.type);
+const notification = effects => effects.find(effect => effect.type === 'notify');
+const message = effects => notification(effects).args[0];
+
+describe('settleRound', () => {
+    describe('martingale', () => {
+        it('books a win, resets the streak and claims', () => {
+            const before = state({ stats: { consecutiveLosses: 2, totalLost: 0.03, currentBet: '0.04' } });
+            const { stats, effects } = settleRound(before, up, ledger('BULL', 0.04), options());
+
+            assert.equal(stats.wins, 1);
+            assert.equal(stats.losses, 0);
+            assert.equal(stats.consecutiveLosses, 0);
+            assert.equal(stats.totalLost, 0);
+            assert.equal(stats.currentBet, '0.010000');
+            assert.deepEqual(types(effects), ['log', 'claim', 'notify']);
+            assert.deepEqual(effects[1], { type: 'claim', epoch: EPOCH });
+            assert.deepEqual(notification(effects), {
+                type: 'notify',
+                method: 'notifyWin',
+                args: [EPOCH, 'BULL', 0.04, '0.037600']
+            });
+        });
+
+        it('returns the round P/L', () => {
+            assert.ok(Math.abs(settleRound(state(), up, ledger('BULL'), options()).pnl - 0.0094) < 1e-12);
+            assert.equal(settleRound(state(), down, ledger('BULL'), options()).pnl, -0.01);
+        });
+
+        it('pays BEAR when the price falls', () => {
+            const { stats, effects } = settleRound(state(), down, ledger('BEAR'), options());
+
+            assert.equal(stats.wins, 1);
+            assert.deepEqual(notification(effects).args, [EPOCH, 'BEAR', 0.01, '0.009400']);
+        });
+
+        it('books a loss and sizes up the next bet', () => {
+            const { stats, effects } = settleRound(state(), down, ledger('BULL'), options());
+
+            assert.equal(stats.losses, 1);
+            assert.equal(stats.consecutiveLosses, 1);
+            assert.equal(stats.totalLost, 0.01);
+            assert.equal(stats.currentBet, '0.020000');
+            assert.deepEqual(types(effects), ['log', 'log', 'notify']);
+            assert.deepEqual(notification(effects), {
+                type: 'notify',
+                method: 'notifyLoss',
+                args: [EPOCH, 'BULL', 0.01, '0.020000', 1, 4]
+            });
+        });
+
+        it('carries the streak on', () => {
+            const before = state({ stats: { consecutiveLosses: 2, totalLost: 0.03 } });
+            const { stats } = settleRound(before, up, ledger('BEAR', 0.04), options());
+
+            assert.equal(stats.consecutiveLosses, 3);
+            assert.ok(Math.abs(stats.totalLost - 0.07) < 1e-12);
+            assert.equal(stats.currentBet, '0.080000');
+        });
+
+        it('counts a tie as a loss for either side', () => {
+            for (const direction of ['BULL', 'BEAR']) {
+                const { stats, effects } = settleRound(state(), flat, ledger(direction), options());
+
+                assert.equal(stats.losses, 1);
+                assert.ok(!types(effects).includes('claim'));
+            }
+        });
+
+        it('stops once the streak passes maxDoubleDowns', () => {
+            const before = state({ stats: { consecutiveLosses: 1, totalLost: 0.01 } });
+            const { stats, effects } = settleRound(before, down, ledger('BULL', 0.02), options({ maxDoubleDowns: 1 }));
+
+            assert.equal(stats.consecutiveLosses, 2);
+            // Capped at the bet after maxDoubleDowns losses
+            assert.equal(stats.currentBet, '0.020000');
+            assert.equal(effects[1].message, '🛑 MAX LOSSES REACHED!');
+            assert.deepEqual(effects[effects.length - 1], { type: 'stop', reason: 'Max loss streak reached', maxStreak: true });
+            assert.deepEqual(notification(effects).args.slice(4), [2, 2]);
+        });
+
+        it('is used in early prediction mode when no prediction was made', () => {
+            const { stats, effects } = settleRound(state(), up, ledger('BULL'), options({ earlyPrediction: true }));
+
+            assert.equal(stats.wins, 1);
+            assert.equal(notification(effects).method, 'notifyWin');
+        });
+    });
+
+    describe('verifying an early prediction', () => {
+        const predicted = (outcome, losses = {}) => state({
+            earlyPrediction: { lastPredictionEpoch: EPOCH, lastAssumedOutcome: outcome, ...losses }
+        });
+        const ep = options({ earlyPrediction: true });
+
+        it('clears every loss when an assumed win is confirmed', () => {
+            const before = predicted('win', { realLosses: 0.01, realLossCount: 1 });
+            const { stats, earlyPrediction, effects } = settleRound(before, up, ledger('BULL'), ep);
+
+            assert.equal(stats.wins, 1);
+            assert.equal(earlyPrediction.realLosses, 0);
+            assert.equal(earlyPrediction.realLossCount, 0);
+            assert.equal(earlyPrediction.lastPredictionEpoch, null);
+            assert.equal(earlyPrediction.lastAssumedOutcome, null);
+            assert.deepEqual(types(effects), ['log', 'log', 'claim', 'notify']);
+            assert.match(message(effects), /Won Round 5[\s\S]*Profit: \+0\.009400[\s\S]*Correct ✅/);
+        });
+
+        it('adds the bet to real losses when an assumed win lost', () => {
+            const before = predicted('win', { realLosses: 0.01, realLossCount: 1 });
+            const { stats, earlyPrediction, effects } = settleRound(before, down, ledger('BULL'), ep);
+
+            assert.equal(stats.losses, 1);
+            assert.equal(earlyPrediction.realLosses, 0.02);
+            assert.equal(earlyPrediction.realLossCount, 2);
+            assert.equal(earlyPrediction.lastPredictionEpoch, null);
+            assert.ok(!types(effects).includes('claim'));
+            assert.match(message(effects), /Lost Round 5[\s\S]*Wrong ❌[\s\S]*Real losses: 0\.0200/);
+        });
+
+        it('turns a confirmed assumed loss into a real one', () => {
+            const before = predicted('loss', { realLosses: 0.01, realLossCount: 1, assumedLosses: 0.02, assumedLossCount: 1 });
+            const { earlyPrediction, effects } = settleRound(before, down, ledger('BULL', 0.02), ep);
+
+            assert.ok(Math.abs(earlyPrediction.realLosses - 0.03) < 1e-12);
+            assert.equal(earlyPrediction.realLossCount, 2);
+            assert.equal(earlyPrediction.assumedLosses, 0);
+            assert.equal(earlyPrediction.assumedLossCount, 0);
+            assert.match(message(effects), /Correct ✅/);
+        });
+
+        it('clears the assumed loss when the round was won after all', () => {
+            const before = predicted('loss', { assumedLosses: 0.01, assumedLossCount: 1 });
+            const { earlyPrediction, effects } = settleRound(before, up, ledger('BULL'), ep);
+
+            assert.equal(earlyPrediction.assumedLosses, 0);
+            assert.equal(earlyPrediction.assumedLossCount, 0);
+            assert.ok(types(effects).includes('claim'));
+            assert.match(message(effects), /Wrong ❌/);
+        });
+
+        it('keeps the next bet sized at prediction time', () => {
+            const before = predicted('win', { realLosses: 0.01, realLossCount: 1 });
+            before.stats.currentBet = '0.010000';
+            const { stats } = settleRound(before, down, ledger('BULL'), ep);
+
+            assert.equal(stats.currentBet, '0.010000');
+        });
+    });
+
+    describe('after an uncertain skip', () => {
+        const skipped = (losses = {}) => state({ earlyPrediction: { skipNextRound: true, ...losses } });
+        const ep = options({ earlyPrediction: true });
+
+        it('clears losses and claims a win', () => {
+            const { earlyPrediction, effects } = settleRound(skipped({ realLosses: 0.01, realLossCount: 1 }), up, ledger('BULL'), ep);
+
+            assert.equal(earlyPrediction.realLosses, 0);
+            assert.deepEqual(types(effects), ['log', 'log', 'claim', 'notify']);
+            assert.match(message(effects), /After uncertain skip/);
+        });
+
+        it('sizes the next bet over real losses after a loss', () => {
+            const { stats, earlyPrediction, effects } = settleRound(skipped({ realLosses: 0.01, realLossCount: 1 }), down, ledger('BULL'), ep);
+
+            assert.equal(stats.losses, 1);
+            assert.equal(earlyPrediction.realLosses, 0.02);
+            assert.equal(earlyPrediction.realLossCount, 2);
+            assert.equal(stats.currentBet, '0.040000');
+            assert.match(message(effects), /Next bet: 0\.040000 BNB/);
+        });
+    });
+
+    it('leaves its input and the bet counters alone', () => {
+        const before = state({ stats: { consecutiveLosses: 1, totalLost: 0.01 } });
+        const copy = structuredClone(before);
+        const { stats } = settleRound(before, down, ledger('BULL', 0.02), options());
+
+        assert.deepEqual(before, copy);
+        assert.equal(stats.totalBets, 1);
+        assert.equal(stats.totalWagered, 0.01);
+    });
+});
+
+describe('settleAssumedWin', () => {
+    const before = () => state({
+        stats: { currentBet: '0.010000' },
+        earlyPrediction: { realLosses: 0.01, realLossCount: 1, assumedLosses: 0.02, assumedLossCount: 1 }
+    });
+    const ep = options({ earlyPrediction: true });
+
+    it('clears real losses and claims when the win is confirmed', () => {
+        const { stats, earlyPrediction, effects } = settleAssumedWin(before(), up, ledger('BULL'), ep);
+
+        assert.equal(earlyPrediction.realLosses, 0);
+        assert.equal(earlyPrediction.realLossCount, 0);
+        assert.equal(earlyPrediction.assumedLosses, 0.02);
+        assert.equal(stats.currentBet, '0.010000');
+        assert.equal(stats.wins, 1);
+        assert.equal(stats.losses, 0);
+        assert.deepEqual(types(effects), ['log', 'claim', 'notify']);
+        assert.match(message(effects), /Verified Win/);
+        assert.ok(Math.abs(settleAssumedWin(before(), up, ledger('BULL'), ep).pnl - 0.0094) < 1e-12);
+    });
+
+    it('books the loss and corrects the next bet when it lost', () => {
+        const { stats, earlyPrediction, effects } = settleAssumedWin(before(), down, ledger('BULL'), ep);
+
+        assert.equal(earlyPrediction.realLosses, 0.02);
+        assert.equal(earlyPrediction.realLossCount, 2);
+        // Three losses behind it, real and assumed
+        assert.equal(stats.currentBet, '0.080000');
+        assert.equal(stats.wins, 0);
+        assert.equal(stats.losses, 1);
+        assert.ok(!types(effects).includes('claim'));
+        assert.match(message(effects), /Verified Loss[\s\S]*Next bet corrected to: 0\.080000 BNB/);
+    });
+
+    it('leaves its input alone', () => {
+        const input = before();
+        const copy = structuredClone(input);
+        settleAssumedWin(input, down, ledger('BULL'), ep);
+
+        assert.deepEqual(input, copy);
+    });
+});
@@ -0,0 +1,220 @@
+// Unit tests for state-store.js, plus the bot picking its streak back up after a restart
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StateStore } from '../state-store.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+let dir;
+let file;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+    file = path.join(dir, 'state', 'bot-state.json');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('StateStore', () => {
+    it('loads nothing before the first save', () => {
+        assert.equal(new StateStore(file).load(), null);
+        assert.throws(() => new StateStore(''), /State file path required/);
+    });
+
+    it('writes through a temp file and reads the snapshot back', () => {
+        const store = new StateStore(file);
+        const renames = [];
+        const rename = fs.renameSync;
+        mock.method(fs, 'renameSync', (from, to) => {
+            renames.push([from, to]);
+            return rename(from, to);
+        });
+
+        try {
+            assert.equal(store.save({ version: 1, lastBetEpoch: 7 }), true);
+        } finally {
+            fs.renameSync.mock.restore();
+        }
+
+        assert.deepEqual(renames, [[`${file}.${process.pid}.tmp`, file]]);
+        assert.deepEqual(fs.readdirSync(path.dirname(file)), ['bot-state.json']);
+        assert.deepEqual(new StateStore(file).load(), { version: 1, lastBetEpoch: 7 });
+    });
+
+    it('leaves the old file whole when a write fails', () => {
+        const store = new StateStore(file);
+        store.save({ version: 1, lastBetEpoch: 7 });
+        mock.method(fs, 'writeFileSync', () => {
+            throw new Error('ENOSPC: no space left on device');
+        });
+
+        try {
+            assert.throws(() => store.save({ version: 1, lastBetEpoch: 8 }), /ENOSPC/);
+        } finally {
+            fs.writeFileSync.mock.restore();
+        }
+
+        assert.deepEqual(new StateStore(file).load(), { version: 1, lastBetEpoch: 7 });
+    });
+
+    it('skips a save that changes nothing, including right after a load', () => {
+        const store = new StateStore(file);
+        assert.equal(store.save({ version: 1, lastBetEpoch: 7 }), true);
+        assert.equal(store.save({ version: 1, lastBetEpoch: 7 }), false);
+        assert.equal(store.save({ version: 1, lastBetEpoch: 8 }), true);
+
+        const reloaded = new StateStore(file);
+        reloaded.load();
+        assert.equal(reloaded.save({ version: 1, lastBetEpoch: 8 }), false);
+    });
+
+    it('starts over from a truncated file and replaces it on the next save', () => {
+        mock.method(console, 'error', () => {});
+        const store = new StateStore(file);
+        store.save({ version: 1, lastBetEpoch: 7 });
+        fs.writeFileSync(file, '{ "version": 1, "lastBe');
+
+        try {
+            assert.equal(store.load(), null);
+            assert.match(console.error.mock.calls[0].arguments[0], /is unreadable/);
+        } finally {
+            console.error.mock.restore();
+        }
+
+        assert.equal(store.save({ version: 1, lastBetEpoch: 7 }), true);
+        assert.deepEqual(new StateStore(file).load(), { version: 1, lastBetEpoch: 7 });
+    });
+
+    it('clears the file', () => {
+        const store = new StateStore(file);
+        store.save({ version: 1 });
+        store.clear();
+
+        assert.equal(fs.existsSync(file), false);
+        assert.equal(store.save({ version: 1 }), true);
+    });
+});
+
+describe('bot state', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    async function stop(bot) {
+        bot.telegram = null;
+        await bot.shutdown();
+    }
+
+    it('resumes the loss streak after a restart', async () => {
+        const chain = new FakeChain();
+        const first = await createFakeBot(chain, { stateFile: file });
+        Object.assign(first.state, { consecutiveLosses: 3, totalLost: 0.07, currentBet: '0.080000' });
+        await stop(first);
+
+        const second = await createFakeBot(chain, { stateFile: file });
+        try {
+            assert.equal(second.state.consecutiveLosses, 3);
+            assert.equal(second.state.totalLost, 0.07);
+            assert.equal(second.state.currentBet, '0.080000');
+        } finally {
+            await stop(second);
+        }
+    });
+
+    it('claims the refund of a round cancelled while it was down', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        const first = await createFakeBot(chain, { stateFile: file });
+        await first.placeBet();
+        await stop(first);
+
+        // The contract restarted: round 1 never closes and round 3 is open
+        chain.openRound();
+        chain.openRound();
+        const second = await createFakeBot(chain, { stateFile: file });
+        try {
+            assert.equal(second.waitingForResults, false);
+            assert.ok(second.earlyPrediction.processedRounds.has(epoch));
+            assert.ok(second.claimQueue.pending.has(epoch));
+        } finally {
+            await stop(second);
+        }
+    });
+
+    it('takes back an assumed loss on a cancelled round', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        const first = await createFakeBot(chain, { stateFile: file, earlyPrediction: true, betSizing: 'MARTINGALE' });
+        await first.placeBet();
+
+        chain.now += 18;
+        Object.assign(chain.round(epoch), { lockPrice: 600 });
+        const next = chain.openRound({ lockIn: 300 });
+        chain.now = chain.round(epoch).closeTimestamp - 20;
+        chain.oraclePrice = 599;
+        await first.placeBet();
+        assert.equal(first.earlyPrediction.assumedLossCount, 1);
+        await stop(first);
+
+        chain.openRound();
+        const second = await createFakeBot(chain, { stateFile: file, earlyPrediction: true, betSizing: 'MARTINGALE' });
+        try {
+            const ep = second.earlyPrediction;
+            assert.equal(ep.lastPredictionEpoch, null);
+            assert.equal(ep.assumedLossCount, 0);
+            assert.equal(ep.assumedLosses, 0);
+            assert.ok(second.claimQueue.pending.has(epoch));
+            // The bet on round 2 is still in play
+            assert.equal(second.lastBetEpoch, next);
+            assert.equal(second.waitingForResults, true);
+        } finally {
+            await stop(second);
+        }
+    });
+
+    it('settles a round that closed while it was down', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        const first = await createFakeBot(chain, { stateFile: file });
+        await first.placeBet();
+        first.waitingForResults = false; // As if saved between an early prediction and the next bet
+        await stop(first);
+
+        Object.assign(chain.round(epoch), { lockPrice: 600, closePrice: 601, oracleCalled: true });
+        chain.openRound();
+        chain.openRound();
+        const second = await createFakeBot(chain, { stateFile: file });
+        try {
+            assert.equal(second.waitingForResults, true);
+            assert.equal(await second.checkPreviousRoundResult(), true);
+            assert.equal(second.state.wins, 1);
+        } finally {
+            await stop(second);
+        }
+    });
+
+    it('starts fresh from an unreadable state file', async () => {
+        mock.method(console, 'error', () => {});
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, '{"version":1,"state":{"consecutiveLo');
+
+        const bot = await createFakeBot(new FakeChain(), { stateFile: file });
+        try {
+            assert.equal(bot.state.consecutiveLosses, 0);
+            assert.equal(bot.state.currentBet, '0.01');
+        } finally {
+            await stop(bot);
+            console.error.mock.restore();
+        }
+
+        assert.equal(new StateStore(file).load().version, 1);
+    });
+});
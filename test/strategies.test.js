@@ -0,0 +1,70 @@
+// Unit tests for strategies.js and the plugin registry behind it
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SKIP, createStrategy, formatStrategy, hasStrategy, listStrategies } from '../strategies.js';
+import { PluginRegistry } from '../plugin-registry.js';
+
+// A closed round that went up or down, or the live one
+const closed = (direction) => ({ oracleCalled: true, lockPrice: 600, closePrice: direction === 'BULL' ? 601 : 599 });
+const live = { oracleCalled: false, lockPrice: 600 };
+
+function decide(name, context, params) {
+    return createStrategy(name, params).decide({ round: {}, history: [], random: () => 0, ...context });
+}
+
+describe('strategies', () => {
+    it('RANDOM takes the side the random number picks', () => {
+        assert.equal(decide('RANDOM', { random: () => 0.9 }), 'BULL');
+        assert.equal(decide('RANDOM', { random: () => 0.1 }), 'BEAR');
+    });
+
+    it('FOLLOW bets the last closed result', () => {
+        assert.equal(decide('FOLLOW', { history: [live, closed('BEAR'), closed('BULL')] }), 'BEAR');
+        assert.equal(decide('FOLLOW', { history: [live] }), SKIP);
+    });
+
+    it('CONTRARIAN bets against a run of `streak` identical results', () => {
+        const history = [live, closed('BULL'), closed('BULL'), closed('BEAR')];
+
+        assert.equal(decide('CONTRARIAN', { history }), 'BEAR');
+        assert.equal(decide('CONTRARIAN', { history }, { streak: 3 }), SKIP);
+        assert.equal(createStrategy('CONTRARIAN', { streak: 3 }).historySize, 5);
+    });
+
+    it('PAYOUT bets the bigger multiplier once it is far enough ahead', () => {
+        const round = { totalAmount: 3, bullAmount: 1, bearAmount: 2 };
+
+        assert.equal(decide('PAYOUT', { round }), 'BULL');
+        assert.equal(decide('PAYOUT', { round }, { minRatio: 2.5 }), SKIP);
+        assert.equal(decide('PAYOUT', { round }, { minPool: 5 }), SKIP);
+    });
+
+    it('MOMENTUM follows the price move since lock', () => {
+        assert.equal(decide('MOMENTUM', { history: [live], oraclePrice: 599.5 }), 'BEAR');
+        assert.equal(decide('MOMENTUM', { history: [live], oraclePrice: 600.1 }), SKIP);
+        assert.equal(decide('MOMENTUM', { history: [live] }), SKIP);
+    });
+});
+
+describe('strategy registry', () => {
+    it('lists, finds and formats strategies', () => {
+        assert.ok(hasStrategy('contrarian'));
+        assert.deepEqual(listStrategies().find(({ name }) => name === 'PAYOUT').defaults, { minRatio: 1.2, minPool: 0.5 });
+        assert.equal(formatStrategy(createStrategy('payout', { minRatio: 1.5 })), 'PAYOUT (minRatio=1.5, minPool=0.5)');
+    });
+
+    it('refuses parameters that are not numbers or out of range', () => {
+        assert.throws(() => createStrategy('CONTRARIAN', { streak: 'abc' }), /"streak" for CONTRARIAN must be a whole number/);
+        assert.throws(() => createStrategy('CONTRARIAN', { streak: 0 }), /must be at least 1/);
+        assert.throws(() => createStrategy('PAYOUT', { minRatio: 0.5 }), /"minRatio" for PAYOUT must be at least 1/);
+        assert.throws(() => createStrategy('MOMENTUM', { minMove: -1 }), /must be at least 0/);
+        assert.throws(() => createStrategy('SIDEWAYS'), /Unknown strategy: SIDEWAYS/);
+    });
+
+    it('refuses plugins without a schema for every parameter', () => {
+        const registry = new PluginRegistry({ kind: 'Strategy', method: 'decide' });
+
+        assert.throws(() => registry.register({ name: 'x' }), /needs a name and a decide\(\) function/);
+        assert.throws(() => registry.register({ name: 'x', decide: () => SKIP, defaults: { n: 1 } }), /needs a schema for parameter "n"/);
+    });
+});
@@ -0,0 +1,78 @@
+// Unit tests for telegram-commands.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { COMMAND_PATTERN, CommandRegistry, parseArgs } from '../telegram-commands.js';
+
+function registry() {
+    const commands = new CommandRegistry();
+    const run = () => 'ok';
+    commands.register({ name: 'start', group: 'Control', role: 'operator', help: 'Start trading bot', run });
+    commands.register({ name: 'setbet', group: 'Settings', args: [{ name: 'amount', type: 'amount' }], help: 'Set base bet', run });
+    commands.register({ name: 'status', role: 'viewer', help: 'Check bot status', run });
+    return commands;
+}
+
+describe('COMMAND_PATTERN', () => {
+    it('matches whole commands only', () => {
+        assert.deepEqual([...COMMAND_PATTERN.exec('/setbet 0.5')].slice(1), ['setbet', '0.5']);
+        assert.deepEqual([...COMMAND_PATTERN.exec('/status@PredictionBot')].slice(1), ['status', undefined]);
+        assert.equal(COMMAND_PATTERN.exec('/setmaxepbet 1')[1], 'setmaxepbet');
+        assert.equal(COMMAND_PATTERN.exec('please /start'), null);
+        assert.equal(COMMAND_PATTERN.exec('/start-now'), null);
+    });
+});
+
+describe('parseArgs', () => {
+    const command = {
+        args: [
+            { name: 'count', type: 'integer', min: 1, max: 15 },
+            { name: 'mode', type: 'word', optional: true, default: 'on', choices: ['on', 'off'] },
+            { name: 'params', type: 'text', optional: true, default: '' }
+        ]
+    };
+
+    it('parses by schema and fills in defaults', () => {
+        assert.deepEqual(parseArgs(command, '5'), { args: { count: 5, mode: 'on', params: '' } });
+        assert.deepEqual(parseArgs(command, ' 3  OFF a=1 b=2'), { args: { count: 3, mode: 'off', params: 'a=1 b=2' } });
+        assert.deepEqual(parseArgs({ args: [{ name: 'amount', type: 'amount' }] }, '0.010'), { args: { amount: '0.010' } });
+    });
+
+    it('says what is wrong', () => {
+        assert.deepEqual(parseArgs(command, ''), { error: 'Missing count' });
+        assert.deepEqual(parseArgs(command, 'five'), { error: 'count must be a whole number' });
+        assert.deepEqual(parseArgs(command, '16'), { error: 'count must be 1-15' });
+        assert.deepEqual(parseArgs(command, '2 maybe'), { error: 'mode must be one of on, off' });
+        assert.deepEqual(parseArgs({ args: [{ name: 'amount', type: 'amount' }] }, '0'), { error: 'amount must be a positive amount' });
+        assert.deepEqual(parseArgs({ args: [] }, 'extra'), { error: 'Unexpected "extra"' });
+    });
+});
+
+describe('CommandRegistry', () => {
+    it('rejects bad declarations', () => {
+        const commands = registry();
+        const run = () => '';
+
+        assert.throws(() => commands.register({ name: 'Start', run }), /lowercase name/);
+        assert.throws(() => commands.register({ name: 'start', run }), /already registered/);
+        assert.throws(() => commands.register({ name: 'x', args: [{ name: 'a', type: 'date' }], run }), /unknown type "date"/);
+        assert.throws(() => commands.register({
+            name: 'y', args: [{ name: 'a', type: 'text' }, { name: 'b', type: 'word' }], run
+        }), /must come last/);
+    });
+
+    it('only lets admins run commands without a role', () => {
+        assert.equal(registry().get('setbet').role, 'admin');
+    });
+
+    it('builds help and the command menu', () => {
+        const commands = registry();
+
+        assert.equal(commands.help(),
+            `🤖 <b>Bot Commands</b>\n\n` +
+            `<b>Control:</b>\n/start - Start trading bot\n\n` +
+            `<b>Settings:</b>\n/setbet &lt;amount&gt; - Set base bet\n\n` +
+            `<b>Info:</b>\n/status - Check bot status\n`);
+        assert.doesNotMatch(commands.help(command => command.role === 'viewer'), /setbet|start/);
+        assert.deepEqual(commands.menu().map(entry => entry.command), ['start', 'setbet', 'status']);
+    });
+});
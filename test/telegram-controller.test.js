@@ -0,0 +1,131 @@
+// TelegramController against a fake Telegram: commands, the panel and confirmations
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TelegramController } from '../telegram-bot.js';
+import { AccessControl } from '../access-control.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+import { FakeTelegramBot } from './helpers/fake-telegram.js';
+
+const ADMIN = 1;
+const VIEWER = 2;
+
+describe('TelegramController', () => {
+    let bot;
+    let telegram;
+    let clock;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    beforeEach(async () => {
+        telegram = new FakeTelegramBot();
+        clock = { now: 0 };
+        const controller = new TelegramController('test-token', new AccessControl({
+            users: { [ADMIN]: 'admin', [VIEWER]: 'viewer' }
+        }), { bot: telegram, clock: () => clock.now });
+
+        bot = await createFakeBot(new FakeChain(), { maxDoubleDowns: 7, paperBalance: '1000' }, { controller });
+        bot.isRunning = false;
+    });
+
+    afterEach(async () => {
+        bot.telegram = null;
+        await bot.shutdown();
+    });
+
+    const buttons = (message) => message.options.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+
+    it('runs only the command that was sent', async () => {
+        await telegram.receive(ADMIN, '/setmaxepbet 0.5');
+        assert.match(telegram.last().text, /Max Early Prediction Bet: 1\.0 BNB → 0\.5 BNB/);
+        assert.equal(telegram.sent.length, 1);
+
+        await telegram.receive(ADMIN, '/startx');
+        assert.equal(telegram.last().text, '❓ Unknown command /startx - see /help');
+        assert.equal(bot.isRunning, false);
+    });
+
+    it('checks arguments against the schema', async () => {
+        await telegram.receive(ADMIN, '/setmax 20');
+
+        assert.equal(telegram.last().text, '❌ count must be 1-15\n\nUsage: /setmax <count>\nExample: /setmax 5');
+    });
+
+    it('shows help for the sender\'s role and fills the command menu', async () => {
+        await telegram.receive(VIEWER, '/help');
+
+        const help = telegram.last().text;
+        assert.match(help, /\/status - Check bot status/);
+        assert.match(help, /\/panel - /);
+        assert.doesNotMatch(help, /\/setbet|\/start /);
+        assert.ok(telegram.menu.some(entry => entry.command === 'setthreshold'));
+    });
+
+    it('asks before changing a setting and shows what it changes', async () => {
+        await telegram.receive(ADMIN, '/setmax 3');
+
+        const prompt = telegram.last();
+        assert.match(prompt.text, /Max Double-Downs: 7 → 3/);
+        assert.match(prompt.text, /Max risk: [\d.]+ BNB → [\d.]+ BNB/);
+        assert.deepEqual(buttons(prompt), ['confirm:1', 'cancel:1']);
+        assert.equal(bot.config.maxDoubleDowns, 7);
+
+        await telegram.press(ADMIN, prompt, 'confirm:1');
+
+        assert.equal(bot.config.maxDoubleDowns, 3);
+        assert.match(telegram.edits[0].text, /Settings updated/);
+        assert.equal(telegram.edits[0].message_id, prompt.message_id);
+
+        // Answered once only
+        await telegram.press(ADMIN, prompt, 'confirm:1');
+        assert.equal(telegram.answers[1].text, 'Expired');
+    });
+
+    it('changes nothing when cancelled, pressed by someone else or too late', async () => {
+        await telegram.receive(ADMIN, '/setbet 0.05');
+        const prompt = telegram.last();
+
+        await telegram.press(VIEWER, prompt, 'confirm:1');
+        assert.equal(telegram.answers[0].text, 'Only the user who sent the command can answer');
+
+        await telegram.press(ADMIN, prompt, 'cancel:1');
+        assert.match(telegram.edits[0].text, /Cancelled/);
+
+        await telegram.receive(ADMIN, '/setbet 0.05');
+        clock.now += 3 * 60 * 1000;
+        await telegram.press(ADMIN, telegram.last(), 'confirm:2');
+
+        assert.equal(bot.config.baseBetAmount, '0.01');
+    });
+
+    it('queues a change while a bet awaits settlement and lists it in /settings', async () => {
+        bot.waitingForResults = true;
+        await telegram.receive(ADMIN, '/setmax 3');
+        await telegram.press(ADMIN, telegram.last(), 'confirm:1');
+
+        assert.match(telegram.edits[0].text, /Change queued/);
+        assert.equal(bot.config.maxDoubleDowns, 7);
+
+        await telegram.receive(VIEWER, '/settings');
+        assert.match(telegram.last().text, /Pending<\/b> \(applied once no bet is awaiting settlement\)\nMax Double-Downs: 3/);
+    });
+
+    it('runs panel buttons with the role of whoever pressed them', async () => {
+        await telegram.receive(VIEWER, '/panel');
+        const panel = telegram.last();
+        assert.deepEqual(buttons(panel), ['panel:start', 'panel:stop', 'panel:status', 'panel:stats', 'panel:settings']);
+
+        await telegram.press(VIEWER, panel, 'panel:start');
+        assert.equal(telegram.last().text, '🚫 operator role required');
+        assert.equal(bot.isRunning, false);
+
+        await telegram.press(VIEWER, panel, 'panel:status');
+        assert.match(telegram.last().text, /BOT STATUS/);
+        assert.equal(telegram.answers.length, 2);
+    });
+});
@@ -0,0 +1,149 @@
+// Unit tests for trade-journal.js, plus what the bot writes to it
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TradeJournal, formatTrade, toCsv } from '../trade-journal.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+// 2024-01-01 10:00 UTC
+const START = Date.UTC(2024, 0, 1, 10);
+const DAY = 24 * 60 * 60 * 1000;
+
+let dir;
+let file;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trade-journal-'));
+    file = path.join(dir, 'trades.jsonl');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function journal() {
+    const clock = { now: START };
+    return { journal: new TradeJournal(file, { clock: () => clock.now }), clock };
+}
+
+const bet = (epoch, extra = {}) => ({
+    type: 'bet', epoch, strategy: 'BULL', direction: 'BULL', amount: 0.01, status: 'mined', txHash: `0x${epoch}`, gas: 0.0001, ...extra
+});
+
+describe('TradeJournal', () => {
+    it('folds bet, assumption and result into one trade', () => {
+        const { journal: trades, clock } = journal();
+        trades.append(bet(5));
+        trades.append({ type: 'prediction', epoch: 5, assumed: 'win' });
+        clock.now += 10 * 60 * 1000;
+        trades.append({
+            type: 'result', epoch: 5, lockPrice: 600, closePrice: 601,
+            totalAmount: 2, bullAmount: 1, bearAmount: 1, result: 'won', payout: 0.0194, pnl: 0.0094
+        });
+
+        assert.deepEqual(trades.trades(), [{
+            epoch: 5,
+            time: '2024-01-01T10:00:00.000Z',
+            strategy: 'BULL',
+            direction: 'BULL',
+            amount: 0.01,
+            status: 'mined',
+            reason: null,
+            txHash: '0x5',
+            gas: 0.0001,
+            assumed: 'win',
+            lockPrice: 600,
+            closePrice: 601,
+            totalAmount: 2,
+            bullAmount: 1,
+            bearAmount: 1,
+            result: 'won',
+            payout: 0.0194,
+            pnl: 0.0094,
+            settledAt: '2024-01-01T10:10:00.000Z'
+        }]);
+    });
+
+    it('filters on when the bet was placed', () => {
+        const { journal: trades, clock } = journal();
+        trades.append(bet(1));
+        clock.now += DAY;
+        trades.append(bet(2));
+        clock.now += DAY;
+        trades.append(bet(3));
+
+        const epochs = trades.trades({ from: START + DAY, to: START + DAY }).map(trade => trade.epoch);
+        assert.deepEqual(epochs, [2]);
+        assert.deepEqual(trades.recent(2).map(trade => trade.epoch), [2, 3]);
+    });
+
+    it('skips a line cut short by a crash', () => {
+        const { journal: trades } = journal();
+        trades.append(bet(1));
+        fs.appendFileSync(file, '{"type":"bet","epo');
+
+        assert.equal(trades.trades().length, 1);
+        assert.deepEqual(new TradeJournal(path.join(dir, 'missing.jsonl')).trades(), []);
+    });
+});
+
+describe('toCsv', () => {
+    it('writes a header and quotes what needs it', () => {
+        const csv = toCsv([{ epoch: 7, direction: 'BEAR', amount: 0.02, status: 'reverted', reason: 'Bet is too early, "round" not bettable' }]);
+        const [header, row] = csv.trim().split('\n');
+
+        assert.match(header, /^time,epoch,strategy,direction,amount,status,reason,/);
+        assert.equal(row, ',7,,BEAR,0.02,reverted,"Bet is too early, ""round"" not bettable",,,,,,,,,,,,');
+    });
+});
+
+describe('formatTrade', () => {
+    const trade = { epoch: 9, direction: 'BULL', amount: 0.01, status: 'mined' };
+
+    it('shows pending, won, lost and failed bets', () => {
+        assert.equal(formatTrade(trade), '⏳ #9 BULL 0.0100 - pending');
+        assert.equal(formatTrade({ ...trade, assumed: 'win' }), '⏳ #9 BULL 0.0100 - pending (assumed win)');
+        assert.equal(formatTrade({ ...trade, result: 'won', pnl: 0.0094 }), '✅ #9 BULL 0.0100 → +0.0094');
+        assert.equal(formatTrade({ ...trade, result: 'lost', pnl: -0.01 }), '❌ #9 BULL 0.0100 → -0.0100');
+        assert.equal(formatTrade({ ...trade, status: 'reverted' }), '⚠️ #9 BULL 0.0100 - reverted');
+    });
+});
+
+describe('bot trade journal', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('journals the bet and how its round closed', async () => {
+        const chain = new FakeChain();
+        const epoch = chain.openRound({ lockIn: 18 });
+        const bot = await createFakeBot(chain, { tradeJournal: file });
+
+        try {
+            await bot.placeBet();
+            Object.assign(chain.round(epoch), { lockPrice: 600, closePrice: 599, oracleCalled: true });
+            await bot.checkPreviousRoundResult();
+
+            const [trade] = bot.tradeJournal.trades();
+            assert.equal(trade.epoch, epoch);
+            assert.equal(trade.strategy, 'BULL');
+            assert.equal(trade.direction, 'BULL');
+            assert.equal(trade.amount, 0.01);
+            assert.equal(trade.status, 'mined');
+            assert.equal(trade.lockPrice, 600);
+            assert.equal(trade.closePrice, 599);
+            assert.equal(trade.result, 'lost');
+            assert.equal(trade.payout, 0);
+            assert.equal(trade.pnl, -0.01);
+        } finally {
+            bot.telegram = null;
+            await bot.shutdown();
+        }
+    });
+});
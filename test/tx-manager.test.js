@@ -0,0 +1,162 @@
+// Unit tests for tx-manager.js against a fake wallet and node, on a fake clock
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransactionManager } from '../tx-manager.js';
+import { FakeChain, createFakeBot } from './helpers/fake-chain.js';
+
+const GWEI = 10n ** 9n;
+const START = 1_700_000_000_000;
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+
+// Every receipt poll moves the clock on a second. `mine(tx, sent)` says
+// whether a sent transaction has a receipt yet
+function node({ mine = () => false, sendError = null, estimateError = null, options = {} } = {}) {
+    const time = { now: START };
+    const sent = [];
+    const provider = {
+        getFeeData: async () => ({ gasPrice: GWEI }),
+        send: async () => { throw new Error('eth_feeHistory not supported'); },
+        getTransactionReceipt: async (hash) => {
+            time.now += 1000;
+            const index = sent.findIndex(tx => tx.hash === hash);
+            return mine(sent[index], sent) ? { hash, status: 1, fee: 0n } : null;
+        }
+    };
+    const wallet = {
+        provider,
+        address: ADDRESS,
+        getNonce: async () => 7,
+        estimateGas: async () => {
+            if (estimateError) throw estimateError;
+            return 21000n;
+        },
+        sendTransaction: async (tx) => {
+            if (sendError) throw sendError;
+            sent.push({ ...tx, hash: `0x${sent.length + 1}` });
+            return { hash: `0x${sent.length}` };
+        }
+    };
+    const manager = new TransactionManager(wallet, {
+        clock: () => time.now,
+        pollMs: 0,
+        speedUpAfterSeconds: 3,
+        giveUpAfterSeconds: 10,
+        ...options
+    });
+    return { manager, sent, time };
+}
+
+const BET = { to: '0x00000000000000000000000000000000000000bb', data: '0x', value: 1n };
+
+describe('TransactionManager', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('returns a send the node refuses instead of throwing', async () => {
+        const { manager } = node({ sendError: Object.assign(new Error('nonce too low'), { shortMessage: 'nonce too low' }) });
+
+        const result = await manager.send(BET);
+
+        assert.equal(result.status, 'rejected');
+        assert.equal(result.reason, 'nonce too low');
+    });
+
+    it('hands out nonces one send at a time, ahead of a lagging node', async () => {
+        const { manager, sent } = node({ mine: () => true });
+
+        const results = await Promise.all([manager.send(BET), manager.send(BET)]);
+
+        assert.deepEqual(results.map(result => result.status), ['mined', 'mined']);
+        assert.deepEqual(sent.map(tx => tx.nonce), [7, 8]);
+    });
+
+    it('does not use up a nonce on a send that would revert', async () => {
+        const { manager, sent } = node({ mine: () => true, estimateError: new Error('Round not bettable') });
+
+        assert.equal((await manager.send(BET)).status, 'rejected');
+        assert.equal(manager.nextNonce, null);
+        assert.equal(sent.length, 0);
+    });
+
+    it('speeds a stuck transaction up with the same nonce', async () => {
+        const { manager, sent } = node({ mine: (tx) => tx.gasPrice > GWEI });
+
+        const result = await manager.send(BET);
+
+        assert.equal(result.status, 'mined');
+        assert.equal(result.speedUps, 1);
+        assert.deepEqual(sent.map(tx => [tx.nonce, tx.gasPrice]), [[7, GWEI], [7, GWEI * 120n / 100n]]);
+    });
+
+    it('replaces a bet that misses its deadline with a self-transfer', async () => {
+        const { manager, sent } = node({ mine: (tx) => tx.to === ADDRESS });
+
+        const result = await manager.send(BET, { deadline: START / 1000 + 2 });
+
+        assert.equal(result.status, 'cancelled');
+        assert.equal(sent.at(-1).nonce, 7);
+        assert.equal(sent.at(-1).value, 0n);
+    });
+
+    it('keeps the cancel within the max gas price', async () => {
+        const { manager, sent } = node({ mine: (tx) => tx.to === ADDRESS, options: { maxGasPriceGwei: 1.1 } });
+
+        const result = await manager.send(BET, { deadline: START / 1000 + 2 });
+
+        assert.equal(result.status, 'cancelled');
+        assert.equal(sent.at(-1).gasPrice, GWEI * 110n / 100n);
+    });
+
+    it('leaves a bet already at the max gas price uncancelled', async () => {
+        const { manager, sent } = node({ options: { maxGasPriceGwei: 1 } });
+
+        const result = await manager.send(BET, { deadline: START / 1000 + 2 });
+
+        assert.equal(result.status, 'timeout');
+        assert.deepEqual(sent.map(tx => tx.gasPrice), [GWEI]);
+    });
+
+    it('gives up on the clock when nothing is ever mined', async () => {
+        const { manager, time } = node();
+
+        const result = await manager.send(BET, { deadline: START / 1000 });
+
+        assert.equal(result.status, 'timeout');
+        assert.ok(time.now >= START + 10_000);
+    });
+});
+
+describe('bot bets without a receipt', () => {
+    let bot;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(async () => {
+        bot.telegram = null;
+        await bot.shutdown();
+        mock.restoreAll();
+    });
+
+    it('counts a timed-out bet the ledger shows was placed', async () => {
+        bot = await createFakeBot(new FakeChain());
+        let placed = 0n;
+        bot.config.dryRun = false;
+        bot.txManager = { send: async () => ({ status: 'timeout', hash: '0x1', receipt: null, reason: 'No receipt for any replacement' }) };
+        bot.contract = {
+            betBull: { populateTransaction: async () => BET },
+            ledger: async () => [0n, placed, false]
+        };
+
+        assert.equal((await bot.sendBet('BULL', 5, 10n ** 16n, 0)).status, 'timeout');
+
+        placed = 10n ** 16n;
+        assert.equal((await bot.sendBet('BULL', 5, 10n ** 16n, 0)).status, 'mined');
+    });
+});
@@ -0,0 +1,208 @@
+// Trade journal for PancakeSwap Prediction Bot
+//
+// Usage: node trade-journal.js [--file trades.jsonl] [--from 2024-01-01] [--to 2024-01-31] [--format csv|json] [--out file]
+// --file defaults to the bot's own journal, as TRADE_JOURNAL and DRY_RUN pick it.
+//
+// Append-only JSONL: one line per event, never rewritten. The bot writes a
+// `bet` line when a bet goes out (mined or not), a `prediction` line when
+// early prediction makes an assumption about it, a `result` line once the
+// round has closed and a `claim` line for the gas each claim cost. trades()
+// folds the per-round lines into one row per epoch.
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { tradeJournalPath } from './config.js';
+import 'dotenv/config';
+
+// Columns of an exported trade, in order
+export const TRADE_FIELDS = [
+    'time', 'epoch', 'strategy', 'direction', 'amount', 'status', 'reason', 'txHash', 'gas',
+    'lockPrice', 'closePrice', 'totalAmount', 'bullAmount', 'bearAmount',
+    'assumed', 'result', 'payout', 'pnl', 'settledAt'
+];
+
+export class TradeJournal {
+    constructor(filePath, options = {}) {
+        if (!filePath) {
+            throw new Error('Trade journal path required');
+        }
+
+        this.filePath = path.resolve(filePath);
+        this.clock = options.clock || Date.now;
+    }
+
+    append(entry) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify({ time: new Date(this.clock()).toISOString(), ...entry }) + '\n');
+    }
+
+    entries() {
+        if (!fs.existsSync(this.filePath)) return [];
+
+        const entries = [];
+        for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // A line cut short by a crash
+            }
+        }
+        return entries;
+    }
+
+    // One row per bet, oldest first, optionally limited to bets placed
+    // between `from` and `to` (Dates or ms)
+    trades({ from = null, to = null } = {}) {
+        const byEpoch = new Map();
+
+        for (const entry of this.entries()) {
+            if (entry.type === 'claim') continue;
+
+            const trade = byEpoch.get(entry.epoch) || { epoch: entry.epoch };
+            byEpoch.set(entry.epoch, trade);
+
+            switch (entry.type) {
+                case 'bet':
+                    Object.assign(trade, {
+                        time: entry.time,
+                        strategy: entry.strategy,
+                        direction: entry.direction,
+                        amount: entry.amount,
+                        status: entry.status,
+                        reason: entry.reason ?? null,
+                        txHash: entry.txHash ?? null,
+                        gas: entry.gas
+                    });
+                    break;
+                case 'prediction':
+                    // An uncertain prediction assumed nothing
+                    if (entry.assumed !== 'uncertain') {
+                        trade.assumed = entry.assumed;
+                    }
+                    break;
+                case 'result':
+                    Object.assign(trade, {
+                        lockPrice: entry.lockPrice,
+                        closePrice: entry.closePrice,
+                        totalAmount: entry.totalAmount,
+                        bullAmount: entry.bullAmount,
+                        bearAmount: entry.bearAmount,
+                        result: entry.result,
+                        payout: entry.payout,
+                        pnl: entry.pnl,
+                        settledAt: entry.time
+                    });
+                    break;
+            }
+        }
+
+        const fromMs = from === null ? -Infinity : new Date(from).getTime();
+        const toMs = to === null ? Infinity : new Date(to).getTime();
+
+        return Array.from(byEpoch.values())
+            .filter(trade => trade.time && Date.parse(trade.time) >= fromMs && Date.parse(trade.time) <= toMs)
+            .sort((a, b) => a.epoch - b.epoch);
+    }
+
+    recent(count) {
+        return this.trades().slice(-count);
+    }
+
+    // Claim lines written between `from` and `to`
+    claims({ from = null, to = null } = {}) {
+        const fromMs = from === null ? -Infinity : new Date(from).getTime();
+        const toMs = to === null ? Infinity : new Date(to).getTime();
+
+        return this.entries().filter(entry =>
+            entry.type === 'claim' && Date.parse(entry.time) >= fromMs && Date.parse(entry.time) <= toMs
+        );
+    }
+}
+
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(trades) {
+    const lines = [TRADE_FIELDS.join(',')];
+    for (const trade of trades) {
+        lines.push(TRADE_FIELDS.map(field => csvValue(trade[field])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// One line per trade for Telegram
+export function formatTrade(trade) {
+    const bet = `#${trade.epoch} ${trade.direction} ${trade.amount.toFixed(4)}`;
+    const assumed = trade.assumed ? ` (assumed ${trade.assumed})` : '';
+
+    if (trade.status !== 'mined') {
+        return `⚠️ ${bet} - ${trade.status}`;
+    }
+    if (!trade.result) {
+        return `⏳ ${bet} - pending${assumed}`;
+    }
+    const pnl = `${trade.pnl >= 0 ? '+' : ''}${trade.pnl.toFixed(4)}`;
+    return `${trade.result === 'won' ? '✅' : '❌'} ${bet} → ${pnl}${assumed}`;
+}
+
+// Parse a CLI date: YYYY-MM-DD is the whole day in UTC
+function parseDate(text, endOfDay) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        return new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    }
+    const date = new Date(text);
+    if (isNaN(date)) {
+        throw new Error(`Invalid date "${text}"`);
+    }
+    return date;
+}
+
+function main() {
+    const { values } = parseArgs({
+        options: {
+            file: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            format: { type: 'string', default: 'csv' },
+            out: { type: 'string' }
+        }
+    });
+
+    if (!['csv', 'json'].includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}" - use csv or json`);
+    }
+
+    // The bot's journal, unless another is named
+    const file = values.file ?? tradeJournalPath(process.env);
+    if (!file) {
+        throw new Error('Trade journal is disabled (TRADE_JOURNAL=off) - pass --file to export another one');
+    }
+
+    const journal = new TradeJournal(file);
+    const trades = journal.trades({
+        from: values.from ? parseDate(values.from, false) : null,
+        to: values.to ? parseDate(values.to, true) : null
+    });
+    const output = values.format === 'json' ? JSON.stringify(trades, null, 2) + '\n' : toCsv(trades);
+
+    if (values.out) {
+        fs.writeFileSync(values.out, output);
+        console.error(`✅ Exported ${trades.length} trades to ${values.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    try {
+        main();
+    } catch (error) {
+        console.error('❌ Export failed:', error.message);
+        process.exit(1);
+    }
+}
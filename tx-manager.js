@@ -0,0 +1,189 @@
+// Transaction manager for PancakeSwap Prediction Bot
+//
+// A bet only counts if it is mined before its round locks. The manager prices
+// gas from recent blocks, watches the pending transaction against that
+// deadline, re-sends it with the same nonce and a higher gas price while it
+// is stuck, and once the deadline has passed replaces it with an empty
+// self-transfer so it can't land late or hold up the nonce. Reverts and
+// sends the node refuses come back with their reason instead of as an
+// exception. Every send from the wallet - bets and claims alike - goes
+// through one manager, which hands out the nonces one send at a time.
+import { ethers } from 'ethers';
+
+// Most useful message out of an ethers error, preferring the revert reason
+export function revertReason(error) {
+    return error.reason || error.revert?.args?.[0] || error.shortMessage || error.message;
+}
+
+function bump(gasPrice, percent) {
+    return gasPrice * BigInt(100 + percent) / 100n;
+}
+
+export class TransactionManager {
+    constructor(wallet, options = {}) {
+        this.wallet = wallet;
+        this.provider = wallet.provider;
+        this.gasBlocks = options.gasBlocks ?? 20;
+        this.gasPercentile = options.gasPercentile ?? 60;
+        this.maxGasPrice = ethers.parseUnits(String(options.maxGasPriceGwei ?? 10), 'gwei');
+        this.speedUpAfterMs = (options.speedUpAfterSeconds ?? 6) * 1000;
+        this.maxSpeedUps = options.maxSpeedUps ?? 2;
+        this.bumpPercent = options.bumpPercent ?? 20; // Nodes want at least +10% to replace
+        this.giveUpAfterMs = (options.giveUpAfterSeconds ?? 120) * 1000;
+        this.pollMs = options.pollMs ?? 1000;
+        this.clock = options.clock || Date.now;
+        this.nextNonce = null; // One past the last nonce sent, while the node may lag behind it
+        this.nonceLock = Promise.resolve();
+    }
+
+    // Pick a nonce and send with it, one send at a time. `sendWith(nonce)`
+    // resolves true if a transaction went out. The node's pending count can
+    // lag behind what was just sent, so the higher of the two is used
+    withNonce(sendWith) {
+        const run = this.nonceLock.then(async () => {
+            const pending = await this.wallet.getNonce('pending');
+            const nonce = this.nextNonce !== null && this.nextNonce > pending ? this.nextNonce : pending;
+            const sent = await sendWith(nonce);
+            this.nextNonce = sent ? nonce + 1 : null;
+            return sent;
+        });
+        this.nonceLock = run.catch(() => {});
+        return run;
+    }
+
+    // Median over recent blocks of the chosen percentile of paid gas prices,
+    // never below what the node suggests and never above maxGasPrice
+    async gasPrice() {
+        const { gasPrice: nodePrice } = await this.provider.getFeeData();
+        let price = nodePrice ?? 0n;
+
+        try {
+            const history = await this.provider.send('eth_feeHistory', [
+                ethers.toQuantity(this.gasBlocks), 'latest', [this.gasPercentile]
+            ]);
+            const paid = history.reward
+                .map((reward, i) => BigInt(history.baseFeePerGas[i]) + BigInt(reward[0]))
+                .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+            const median = paid[Math.floor(paid.length / 2)];
+            if (median > price) price = median;
+        } catch (error) {
+            // Endpoint without eth_feeHistory - the node's suggestion will do
+        }
+
+        return price > this.maxGasPrice ? this.maxGasPrice : price;
+    }
+
+    // Send `request` and follow it until it is mined, replaced or given up on.
+    // `deadline` is a unix timestamp the transaction must be mined before.
+    // Resolves to { status, hash, receipt, reason, gasPrice, speedUps } where
+    // status is mined, reverted, rejected (would revert, not sent), cancelled
+    // (deadline passed, replaced by a self-transfer) or timeout.
+    async send(request, { deadline = null } = {}) {
+        let gasPrice = await this.gasPrice();
+        let tx = null;
+        let sent = null;
+        let reason = null;
+
+        await this.withNonce(async (nonce) => {
+            tx = { ...request, type: 0, nonce, gasPrice };
+            try {
+                tx.gasLimit = request.gasLimit ?? await this.wallet.estimateGas(tx);
+                sent = [{ hash: (await this.wallet.sendTransaction(tx)).hash, cancel: false }];
+                return true;
+            } catch (error) {
+                // Would revert, or the node refused it (nonce too low, endpoint
+                // failing) - either way nothing went out
+                reason = revertReason(error);
+                return false;
+            }
+        });
+
+        if (!sent) {
+            return { status: 'rejected', hash: null, receipt: null, reason, gasPrice, speedUps: 0 };
+        }
+        const { nonce } = tx;
+
+        let lastSentAt = this.clock();
+        let speedUps = 0;
+        let cancelled = false;
+        const giveUpAt = (deadline ? deadline * 1000 : this.clock()) + this.giveUpAfterMs;
+
+        for (;;) {
+            for (const { hash, cancel } of sent) {
+                const receipt = await this.provider.getTransactionReceipt(hash);
+                if (!receipt) continue;
+
+                if (cancel) {
+                    return { status: 'cancelled', hash, receipt, reason: 'Not mined before round lock', gasPrice, speedUps };
+                }
+                if (receipt.status === 1) {
+                    return { status: 'mined', hash, receipt, reason: null, gasPrice, speedUps };
+                }
+                return { status: 'reverted', hash, receipt, reason: await this.decodeRevert(tx, receipt), gasPrice, speedUps };
+            }
+
+            const now = this.clock();
+            if (now >= giveUpAt) {
+                // Whatever became of the nonce, the node knows better now
+                this.nextNonce = null;
+                return { status: 'timeout', hash: sent[sent.length - 1].hash, receipt: null, reason: 'No receipt for any replacement', gasPrice, speedUps };
+            }
+
+            if (!cancelled && deadline && now >= deadline * 1000) {
+                // Capped like a speed-up - already at maxGasPrice there is no
+                // higher price to replace it with, so it is left to land or time out
+                const bumped = bump(gasPrice, this.bumpPercent);
+                const cancelPrice = bumped < this.maxGasPrice ? bumped : this.maxGasPrice;
+                if (cancelPrice > gasPrice) {
+                    console.log(`🚫 Transaction ${sent[0].hash} missed its deadline - cancelling nonce ${nonce}`);
+                    gasPrice = cancelPrice;
+                    await this.replace(sent, true, {
+                        type: 0, nonce, gasPrice, to: this.wallet.address, value: 0n, gasLimit: 21000n
+                    });
+                } else {
+                    console.log(`🚫 Transaction ${sent[0].hash} missed its deadline - already at max gas price, can't cancel nonce ${nonce}`);
+                }
+                cancelled = true;
+            } else if (!cancelled && speedUps < this.maxSpeedUps && now - lastSentAt >= this.speedUpAfterMs) {
+                const faster = bump(gasPrice, this.bumpPercent);
+                if (faster <= this.maxGasPrice) {
+                    console.log(`⛽ Transaction still pending - speeding up to ${ethers.formatUnits(faster, 'gwei')} gwei`);
+                    gasPrice = faster;
+                    if (await this.replace(sent, false, { ...tx, gasPrice })) speedUps++;
+                }
+                lastSentAt = now;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pollMs));
+        }
+    }
+
+    // Send a same-nonce replacement. Failing is fine - usually the original
+    // was mined in the meantime and its receipt shows up on the next poll.
+    async replace(sent, cancel, tx) {
+        try {
+            const replacement = await this.wallet.sendTransaction(tx);
+            sent.push({ hash: replacement.hash, cancel });
+            return true;
+        } catch (error) {
+            console.log(`⚠️ Replacement not sent: ${revertReason(error)}`);
+            return false;
+        }
+    }
+
+    // Replay the call at the block it was mined in to get the revert reason
+    async decodeRevert(tx, receipt) {
+        try {
+            await this.provider.call({
+                from: this.wallet.address,
+                to: tx.to,
+                data: tx.data,
+                value: tx.value,
+                blockTag: receipt.blockNumber
+            });
+            return 'Reverted without a reason';
+        } catch (error) {
+            return revertReason(error);
+        }
+    }
+}